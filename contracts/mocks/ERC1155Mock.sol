@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title ERC1155 Mock
+ *
+ * @dev Simple ERC1155 token with the public `mint(address,uint256,uint256,bytes)` function
+ *
+ * @author Basil Gorin
+ */
+contract ERC1155Mock is ERC1155 {
+	/// @dev creates the token with the URI specified
+	constructor(string memory _uri) ERC1155(_uri) {}
+
+	/// @dev mints the tokens to the address specified, no access restrictions
+	function mint(address to, uint256 id, uint256 amount, bytes memory data) public {
+		// delegate to the ERC1155 internal implementation
+		_mint(to, id, amount, data);
+	}
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title ERC20 Mock
+ *
+ * @dev Simple ERC20 token with the public `mint` function;
+ *      can be switched into the "broken" mode where `transfer` returns false
+ *      instead of throwing, simulating non-compliant tokens
+ *
+ * @author Basil Gorin
+ */
+contract ERC20Mock is ERC20 {
+	/// @dev if set, `transfer` does nothing and returns false
+	bool public transferReturnsFalse;
+
+	/// @dev creates the token with the name and symbol specified
+	constructor(string memory _name, string memory _symbol) ERC20(_name, _symbol) {}
+
+	/// @dev mints the tokens to the address specified, no access restrictions
+	function mint(address to, uint256 value) public {
+		// delegate to the ERC20 internal implementation
+		_mint(to, value);
+	}
+
+	/// @dev switches the "broken" mode on/off
+	function setTransferReturnsFalse(bool _transferReturnsFalse) public {
+		// update the flag
+		transferReturnsFalse = _transferReturnsFalse;
+	}
+
+	/// @inheritdoc ERC20
+	function transfer(address to, uint256 value) public override returns(bool) {
+		// in the "broken" mode do nothing and return false
+		if(transferReturnsFalse) {
+			return false;
+		}
+
+		// delegate to the ERC20 implementation
+		return super.transfer(to, value);
+	}
+}
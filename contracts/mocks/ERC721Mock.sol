@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title ERC721 Mock
+ *
+ * @dev Simple ERC721 token with the public `mint(address,uint256)` function
+ *
+ * @author Basil Gorin
+ */
+contract ERC721Mock is ERC721 {
+	/// @dev creates the token with the name and symbol specified
+	constructor(string memory _name, string memory _symbol) ERC721(_name, _symbol) {}
+
+	/// @dev mints the token to the address specified, no access restrictions
+	function mint(address to, uint256 tokenId) public {
+		// delegate to the ERC721 internal implementation
+		_mint(to, tokenId);
+	}
+}
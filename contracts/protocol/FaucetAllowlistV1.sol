@@ -0,0 +1,234 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/MerkleProofUpgradeable.sol";
+import "./TheFaucetV1.sol";
+import "./FaucetCompanionV1.sol";
+
+/**
+ * @title Faucet Allow-list
+ *
+ * @notice Self-service onboarding via the Merkle allow-list: instead of adding each teammate
+ *      via `addUsers`, the faucet manager publishes the Merkle root of the eligible addresses,
+ *      and the addresses in the tree claim ETH within their throttle, presenting the Merkle proof
+ *
+ * @notice Each tree leaf is an (address, limit) pair, where limit is the ETH limit per epoch
+ *      for the address; zero limit means the global faucet limit (`weiLimitPerEpoch`) applies
+ *
+ * @notice The root can be rotated at any time: addresses removed from the tree lose the access
+ *      immediately, while the amounts already claimed in the current epoch are kept for the rest
+ *
+ * @dev Faucet Allow-list is a companion contract to The Faucet, it relies on the faucet roles:
+ *      `ROLE_FAUCET_MANAGER` is required to update the Merkle root
+ *
+ * @dev The ETH is withdrawn from the faucet via `withdrawEth` when claimed,
+ *      therefore Faucet Allow-list must have `ROLE_FAUCET_USER` permission on the faucet;
+ *      faucet ETH limit per epoch for the Faucet Allow-list address caps the total amount
+ *      claimed by all the allow-listed addresses in one epoch, and should be set by the faucet manager
+ *      via `setWeiLimitPerEpochForUser`; faucet-wide budget, recipient limits, and
+ *      emergency pause apply to the claims as well
+ *
+ * @dev Leaves are double hashed `keccak256(bytes.concat(keccak256(abi.encode(address, uint192))))`,
+ *      and the tree is built with the sorted pairs hashing, see `scripts/include/faucet_allowlist.js`
+ *
+ * @author Basil Gorin
+ */
+contract FaucetAllowlistV1 is UpgradeableAccessControl, FaucetCompanionV1 {
+	/**
+	 * @dev The Faucet the ETH is withdrawn from
+	 */
+	TheFaucetV1 public faucet;
+
+	/**
+	 * @dev Merkle root of the allow-list tree, (address, limit) leaves;
+	 *      zero means the allow-list is not set, and nobody can claim
+	 *
+	 * @dev Can be updated (rotated) by the faucet manager `ROLE_FAUCET_MANAGER`
+	 */
+	bytes32 public merkleRoot;
+
+	/**
+	 * @dev Claim stat for the allow-listed address, throttles the amount claimed per epoch
+	 */
+	struct ClaimStat {
+		/**
+		 * @dev Last claim timestamp, unix timestamp
+		 */
+		uint64 lastClaimTimestamp;
+
+		/**
+		 * @dev Amount of ETH claimed in the epoch of the last claim, wei
+		 */
+		uint192 weiClaimed;
+	}
+
+	/**
+	 * @dev Claim stats, maps `address => ClaimStat struct`; kept when the root is rotated
+	 */
+	mapping(address => ClaimStat) public claimStats;
+
+	/**
+	 * @dev Fired in `setMerkleRoot`
+	 *
+	 * @param manager faucet manager address which updated the root
+	 * @param merkleRoot new Merkle root, zero if the allow-list is disabled
+	 */
+	event MerkleRootUpdated(address indexed manager, bytes32 merkleRoot);
+
+	/**
+	 * @dev Fired in `claim`
+	 *
+	 * @param user allow-listed address which claimed the ETH
+	 * @param to an address ETH was sent to
+	 * @param value amount of ETH sent, wei
+	 */
+	event Claimed(address indexed user, address indexed to, uint192 value);
+
+	/**
+	 * @dev "Constructor replacement" for upgradeable, must be executed immediately after deployment
+	 *      see https://docs.openzeppelin.com/upgrades-plugins/1.x/writing-upgradeable#initializers
+	 *
+	 * @param _faucet The Faucet address (proxy) to withdraw the ETH from
+	 */
+	function postConstruct(address _faucet) public initializer {
+		// verify faucet address is set
+		require(_faucet != address(0), "faucet address not set");
+
+		// execute parent initializer
+		_postConstruct(msg.sender, 0);
+
+		// initialize own internal state
+		faucet = TheFaucetV1(payable(_faucet));
+	}
+
+	/**
+	 * @notice Checks if the (address, limit) leaf belongs to the current allow-list tree
+	 *
+	 * @param _userAddress address to check
+	 * @param _limit ETH limit per epoch of the leaf, wei, zero for the global faucet limit
+	 * @param _proof Merkle proof of the leaf
+	 * @return true if the allow-list is set and the proof is valid, false otherwise
+	 */
+	function isAllowed(address _userAddress, uint192 _limit, bytes32[] calldata _proof) public view returns(bool) {
+		// the allow-list must be set, and the leaf must be in the tree
+		return merkleRoot != 0 && MerkleProofUpgradeable.verifyCalldata(_proof, merkleRoot, _leaf(_userAddress, _limit));
+	}
+
+	/**
+	 * @notice Returns the actual ETH limit for the allow-list leaf limit:
+	 *      the leaf limit if it is set, global faucet limit otherwise
+	 *
+	 * @param _limit ETH limit per epoch of the leaf, wei, zero for the global faucet limit
+	 * @return ETH limit per epoch, wei
+	 */
+	function weiLimitPerEpochForLimit(uint192 _limit) public view returns(uint192) {
+		// depending if the leaf limit is set or no, return the leaf one or global one
+		return _limit != 0? _limit: faucet.weiLimitPerEpoch();
+	}
+
+	/**
+	 * @notice Returns the amount of ETH a particular address already claimed in the current epoch
+	 *
+	 * @param _userAddress address to check the claimed ETH for
+	 * @return ETH claimed in current epoch by the address, wei
+	 */
+	function weiClaimedInCurrentEpoch(address _userAddress) public view returns(uint192) {
+		// read the claim stat and the epoch length
+		ClaimStat storage stat = claimStats[_userAddress];
+		uint64 epochLength = faucet.epochLength();
+
+		// if last claim epoch is in the past, nothing was claimed in current epoch
+		if(stat.lastClaimTimestamp / epochLength < block.timestamp / epochLength) {
+			return 0;
+		}
+
+		// return the stored value otherwise
+		return stat.weiClaimed;
+	}
+
+	/**
+	 * @notice Returns the amount of ETH available for a particular address in the current epoch
+	 *
+	 * @dev Doesn't verify the address is allow-listed, see `isAllowed`
+	 *
+	 * @param _userAddress address to check amount of ETH available for
+	 * @param _limit ETH limit per epoch of the leaf, wei, zero for the global faucet limit
+	 * @return available ETH for the address in current epoch
+	 */
+	function weiLeftInEpochForUser(address _userAddress, uint192 _limit) public view returns(uint192) {
+		// read the limit and the amount already claimed
+		uint192 limit = weiLimitPerEpochForLimit(_limit);
+		uint192 claimed = weiClaimedInCurrentEpoch(_userAddress);
+
+		// the limit could have been decreased after the claim, don't underflow
+		return claimed < limit? limit - claimed: 0;
+	}
+
+	/**
+	 * @dev Restricted access function to update (rotate) the allow-list Merkle root,
+	 *      updates `merkleRoot` param; claim stats are kept
+	 *
+	 * @param _merkleRoot new Merkle root, zero to disable the allow-list
+	 */
+	function setMerkleRoot(bytes32 _merkleRoot) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// update the param
+		merkleRoot = _merkleRoot;
+
+		// emit an event
+		emit MerkleRootUpdated(msg.sender, _merkleRoot);
+	}
+
+	/**
+	 * @notice Claims ETH from the faucet for the allow-listed address, within its throttle
+	 *
+	 * @dev The sender must be in the allow-list tree, with the limit specified
+	 *
+	 * @param to an address to send ETH to, required
+	 * @param value amount of ETH to send, wei, required
+	 * @param limit ETH limit per epoch of the sender leaf, wei, zero for the global faucet limit
+	 * @param proof Merkle proof of the sender leaf
+	 */
+	function claim(address payable to, uint192 value, uint192 limit, bytes32[] calldata proof) public {
+		// verify the sender is allow-listed
+		require(merkleRoot != 0, "allow-list not set");
+		require(isAllowed(msg.sender, limit, proof), "invalid proof");
+
+		// verify the request doesn't exceed the allowance
+		require(value <= weiLeftInEpochForUser(msg.sender, limit), "allowance exceeded");
+
+		// update the claim stat
+		ClaimStat storage stat = claimStats[msg.sender];
+		stat.weiClaimed = weiClaimedInCurrentEpoch(msg.sender) + value;
+		stat.lastClaimTimestamp = uint64(block.timestamp);
+
+		// withdraw the ETH from the faucet, the faucet verifies the recipient address and the value are set
+		faucet.withdrawEth(to, value);
+
+		// emit an event
+		emit Claimed(msg.sender, to, value);
+	}
+
+	/**
+	 * @dev Calculates the allow-list tree leaf for the (address, limit) pair
+	 *
+	 * @param _userAddress allow-listed address
+	 * @param _limit ETH limit per epoch of the leaf
+	 * @return the leaf, double hashed to prevent the second preimage attacks
+	 */
+	function _leaf(address _userAddress, uint192 _limit) internal pure returns(bytes32) {
+		// hash the ABI encoded pair twice
+		return keccak256(bytes.concat(keccak256(abi.encode(_userAddress, _limit))));
+	}
+
+	/**
+	 * @inheritdoc FaucetCompanionV1
+	 */
+	function _getFaucet() internal view override returns(TheFaucetV1) {
+		// read the faucet from storage and return
+		return faucet;
+	}
+}
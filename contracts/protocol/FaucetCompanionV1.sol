@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "./TheFaucetV1.sol";
+
+/**
+ * @title Faucet Companion
+ *
+ * @notice Base for The Faucet companion contracts (requests, timelock, allowlist, public claims):
+ *      verifies the access permissions against the faucet roles, and reads the enumerable sets page by page
+ *
+ * @dev Doesn't declare any state variables, and therefore doesn't affect the storage layout
+ *      of the upgradeable companion contracts inheriting from it
+ *
+ * @author Basil Gorin
+ */
+abstract contract FaucetCompanionV1 {
+	// using enumerable uint set from OpenZeppelin for the pending items registries
+	using EnumerableSetUpgradeable for EnumerableSetUpgradeable.UintSet;
+
+	/**
+	 * @dev The Faucet the companion contract works with, and the roles are verified against
+	 *
+	 * @return The Faucet instance
+	 */
+	function _getFaucet() internal view virtual returns(TheFaucetV1);
+
+	/**
+	 * @dev Reads the page of the uint set
+	 *
+	 * @param set uint set to read
+	 * @param offset index of the first element to return
+	 * @param limit maximum number of the elements to return
+	 * @return page of the set elements, up to `limit` elements starting from `offset`
+	 */
+	function _paginate(
+		EnumerableSetUpgradeable.UintSet storage set,
+		uint256 offset,
+		uint256 limit
+	) internal view returns(uint256[] memory) {
+		// determine the page boundaries
+		uint256 length = set.length();
+		uint256 end = offset + limit < length? offset + limit: length;
+
+		// allocate the page and fill it in
+		uint256[] memory page = new uint256[](offset < end? end - offset: 0);
+		for(uint256 i = 0; i < page.length; i++) {
+			page[i] = set.at(offset + i);
+		}
+
+		// return the page
+		return page;
+	}
+
+	/**
+	 * @dev Verifies the sender has the role required on the faucet, throws "access denied" otherwise;
+	 *      expired faucet user access (`TheFaucetV1.userAccessExpiries`) is treated as not granted
+	 *
+	 * @param required set of permissions (role) to check against
+	 */
+	function _requireFaucetRole(uint256 required) internal view {
+		// verify the access permission, and its expiration time
+		require(_getFaucet().isActiveOperatorInRole(msg.sender, required), "access denied");
+	}
+}
@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/IERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/IERC1155Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+
+/**
+ * @title Faucet Library
+ *
+ * @notice External library The Faucet delegates its bulky features to: the users and managers registry,
+ *      tier membership, claim signature recovery, and the asset transfers (ERC20, ERC721, ERC1155, mint proxy)
+ *
+ * @dev Keeps The Faucet implementation below the contract size limit (EIP-170);
+ *      the library is deployed once and linked into The Faucet implementation
+ *
+ * @dev The functions are executed via `DELEGATECALL` in the context of The Faucet:
+ *      they operate on The Faucet storage passed as storage pointers, `address(this)` is The Faucet,
+ *      and the events are emitted on behalf of The Faucet
+ *
+ * @author Basil Gorin
+ */
+library FaucetLibV1 {
+	// using ERC20.transfer wrapper from OpenZeppelin adopted SafeERC20Upgradeable
+	using SafeERC20Upgradeable for IERC20Upgradeable;
+
+	// using enumerable address set from OpenZeppelin for the users and managers registry
+	using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
+	/**
+	 * @dev Gas forwarded to the ERC721/ERC1155 collection `mint` function call;
+	 *      caps the gas the collection (and the ERC1155 receiver hook) can consume
+	 *      on behalf of the faucet, leaving the rest of the transaction unaffected
+	 */
+	uint256 public constant NFT_MINT_GAS_LIMIT = 250_000;
+
+	/**
+	 * @dev Fired in `setUserTier`, mirrors `TheFaucetV1.UserTierUpdated`
+	 *
+	 * @param user user address assigned to the tier
+	 * @param tierId ID of the tier assigned, zero if the user is removed from the tier
+	 */
+	event UserTierUpdated(address indexed user, uint256 indexed tierId);
+
+	/**
+	 * @dev Adds the operator to (removes from) the users and managers registry
+	 *
+	 * @param userRegistry faucet users registry
+	 * @param managerRegistry faucet managers registry
+	 * @param operator address to synchronize the registry for
+	 * @param isUser true if the operator has `ROLE_FAUCET_USER` permission
+	 * @param isManager true if the operator has `ROLE_FAUCET_MANAGER` permission
+	 */
+	function syncRole(
+		EnumerableSetUpgradeable.AddressSet storage userRegistry,
+		EnumerableSetUpgradeable.AddressSet storage managerRegistry,
+		address operator,
+		bool isUser,
+		bool isManager
+	) external {
+		// add to or remove from the users registry
+		if(isUser) {
+			userRegistry.add(operator);
+		}
+		else {
+			userRegistry.remove(operator);
+		}
+
+		// add to or remove from the managers registry
+		if(isManager) {
+			managerRegistry.add(operator);
+		}
+		else {
+			managerRegistry.remove(operator);
+		}
+	}
+
+	/**
+	 * @dev Reads the page of the address set, skipping the elements not having the role on The Faucet
+	 *
+	 * @dev The role can be revoked via `updateRole` directly, which doesn't update the set,
+	 *      such (stale) elements are dropped from the page; the page can therefore be shorter than `limit`
+	 *      even if it is not the last one
+	 *
+	 * @param set address set to read
+	 * @param role the role the elements returned must have on The Faucet
+	 * @param offset index of the first element to read
+	 * @param limit maximum number of the elements to read
+	 * @return page of the set elements, up to `limit` elements starting from `offset`
+	 */
+	function paginate(
+		EnumerableSetUpgradeable.AddressSet storage set,
+		uint256 role,
+		uint256 offset,
+		uint256 limit
+	) external view returns(address[] memory) {
+		// determine the page boundaries
+		uint256 length = set.length();
+		uint256 end = offset + limit < length? offset + limit: length;
+
+		// read the page, keeping only the elements still having the role
+		address[] memory buffer = new address[](offset < end? end - offset: 0);
+		uint256 n = 0;
+		for(uint256 i = 0; i < buffer.length; i++) {
+			address element = set.at(offset + i);
+			if(UpgradeableAccessControl(address(this)).isOperatorInRole(element, role)) {
+				buffer[n++] = element;
+			}
+		}
+
+		// copy the elements kept into the page of the exact size
+		address[] memory page = new address[](n);
+		for(uint256 i = 0; i < n; i++) {
+			page[i] = buffer[i];
+		}
+
+		// return the page
+		return page;
+	}
+
+	/**
+	 * @dev Moves the user from the tier it belongs to (if any) to the new tier (if any)
+	 *
+	 * @dev Moves the last member of the old tier into the place of the user removed
+	 *
+	 * @param userTiers tier IDs the users belong to
+	 * @param tierMembers tier members, maps tier ID to the users
+	 * @param tierMemberIndexes user indexes in the `tierMembers` arrays
+	 * @param user user address to move
+	 * @param tierId ID of the tier to move the user to, zero to remove the user from its tier
+	 */
+	function setUserTier(
+		mapping(address => uint256) storage userTiers,
+		mapping(uint256 => address[]) storage tierMembers,
+		mapping(address => uint256) storage tierMemberIndexes,
+		address user,
+		uint256 tierId
+	) external {
+		// if user belongs to some tier, remove it from there
+		uint256 oldTierId = userTiers[user];
+		if(oldTierId != 0) {
+			// move the last member into the place of the user removed
+			address[] storage members = tierMembers[oldTierId];
+			uint256 index = tierMemberIndexes[user];
+			address last = members[members.length - 1];
+			members[index] = last;
+			tierMemberIndexes[last] = index;
+
+			// shrink the array and cleanup the index
+			members.pop();
+			delete tierMemberIndexes[user];
+		}
+
+		// add the user to the new tier (if any)
+		if(tierId != 0) {
+			tierMemberIndexes[user] = tierMembers[tierId].length;
+			tierMembers[tierId].push(user);
+		}
+
+		// update the user tier
+		userTiers[user] = tierId;
+
+		// emit an event
+		emit UserTierUpdated(user, tierId);
+	}
+
+	/**
+	 * @dev Recovers the address which signed the EIP-712 typed message
+	 *
+	 * @param domainSeparator EIP-712 domain separator
+	 * @param hashStruct EIP-712 hashStruct of the message
+	 * @param v the recovery byte of the signature
+	 * @param r half of the ECDSA signature pair
+	 * @param s half of the ECDSA signature pair
+	 * @return signer address
+	 */
+	function recoverSigner(bytes32 domainSeparator, bytes32 hashStruct, uint8 v, bytes32 r, bytes32 s) external pure returns(address) {
+		// calculate the EIP-712 digest "\x19\x01" ‖ domainSeparator ‖ hashStruct(message)
+		bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator, hashStruct));
+
+		// recover the address which signed the message with v, r, s
+		return ECDSAUpgradeable.recover(digest, v, r, s);
+	}
+
+	/**
+	 * @dev Sends ERC20 tokens held by the faucet, reverts if the transfer fails or returns false
+	 *
+	 * @param token ERC20 token address
+	 * @param to an address to send tokens to
+	 * @param value amount of tokens to send
+	 */
+	function transferErc20(address token, address to, uint256 value) external {
+		// send the tokens via the safe transfer
+		IERC20Upgradeable(token).safeTransfer(to, value);
+	}
+
+	/**
+	 * @dev Mints ERC721 token on the collection as `collection.mint(to, tokenId)`,
+	 *      or transfers it from the faucet inventory as `collection.safeTransferFrom(faucet, to, tokenId)`
+	 *
+	 * @param collection ERC721 collection address
+	 * @param to an address to send (mint) the token to
+	 * @param tokenId ID of the token to mint or transfer
+	 * @param mint true to mint the token, false to transfer it from the faucet inventory
+	 */
+	function sendErc721(address collection, address to, uint256 tokenId, bool mint) external {
+		// mint the token via the low-level call
+		if(mint) {
+			proxyMint(collection, abi.encodeWithSignature("mint(address,uint256)", to, tokenId), NFT_MINT_GAS_LIMIT);
+		}
+		// or transfer it from the faucet inventory
+		else {
+			IERC721Upgradeable(collection).safeTransferFrom(address(this), to, tokenId);
+		}
+	}
+
+	/**
+	 * @dev Mints ERC1155 tokens on the collection as `collection.mint(to, id, amount, "")`,
+	 *      or transfers them from the faucet inventory as `collection.safeTransferFrom(faucet, to, id, amount, "")`
+	 *
+	 * @param collection ERC1155 collection address
+	 * @param to an address to send (mint) the tokens to
+	 * @param id token type ID to mint or transfer
+	 * @param amount number of tokens to mint or transfer
+	 * @param mint true to mint the tokens, false to transfer them from the faucet inventory
+	 */
+	function sendErc1155(address collection, address to, uint256 id, uint256 amount, bool mint) external {
+		// mint the tokens via the low-level call
+		if(mint) {
+			proxyMint(collection, abi.encodeWithSignature("mint(address,uint256,uint256,bytes)", to, id, amount, ""), NFT_MINT_GAS_LIMIT);
+		}
+		// or transfer them from the faucet inventory
+		else {
+			IERC1155Upgradeable(collection).safeTransferFrom(address(this), to, id, amount, "");
+		}
+	}
+
+	/**
+	 * @dev Executes the mint function on the target contract (ERC20 mint target,
+	 *      ERC721/ERC1155 collection) via the low-level call
+	 *
+	 * @param target mint target contract or ERC721/ERC1155 collection address
+	 * @param payload mint function call payload
+	 * @param gasLimit gas to forward to the low-level call
+	 */
+	function proxyMint(address target, bytes memory payload, uint256 gasLimit) public {
+		// execute the low-level function call
+		(bool success, ) = target.call{gas: gasLimit}(payload);
+
+		// verify the result, throw on error
+		require(success, "low-level function call failed");
+	}
+}
@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "./TheFaucetV1.sol";
+import "./FaucetCompanionV1.sol";
+
+/**
+ * @title Faucet Public Tier
+ *
+ * @notice Public tier exposes the faucet to the non-whitelisted addresses (open hackathons),
+ *      with much stricter limits than the faucet users have: anyone can claim a fixed small
+ *      amount of ETH (`weiPerClaim`) to the recipient address, once per long cooldown period
+ *      per recipient (`cooldown`), solving a small proof-of-work first
+ *
+ * @notice Proof-of-work: the sender looks for the nonce such that
+ *      `keccak256(abi.encode(sender, nonce, epoch))` is below the target (`powTarget`), where epoch
+ *      is the current faucet epoch (`currentEpoch`); the solution is valid in the current epoch only,
+ *      and can be used only once; see `scripts/include/faucet_pow.js` for the JS solver
+ *
+ * @notice Public tier is enabled by the faucet `FEATURE_PUBLIC` feature, which is enabled/disabled
+ *      via `updateFeatures` on the faucet by the faucet access manager `ROLE_ACCESS_MANAGER`
+ *
+ * @dev Faucet Public Tier is a companion contract to The Faucet, it relies on the faucet roles:
+ *      `ROLE_FAUCET_MANAGER` is required to update the public tier params
+ *
+ * @dev The ETH is withdrawn from the faucet via `withdrawEth` when claimed,
+ *      therefore Faucet Public Tier must have `ROLE_FAUCET_USER` permission on the faucet;
+ *      faucet ETH limit per epoch for the Faucet Public Tier address caps the total amount
+ *      claimed by all the public users in one epoch, and should be set by the faucet manager
+ *      via `setWeiLimitPerEpochForUser`; faucet-wide budget, recipient limits, and
+ *      emergency pause apply to the claims as well
+ *
+ * @author Basil Gorin
+ */
+contract FaucetPublicV1 is UpgradeableAccessControl, FaucetCompanionV1 {
+	/**
+	 * @dev The Faucet the ETH is withdrawn from
+	 */
+	TheFaucetV1 public faucet;
+
+	/**
+	 * @dev Amount of ETH sent in one public claim, wei
+	 *
+	 * @dev Can be updated by the faucet manager `ROLE_FAUCET_MANAGER`
+	 */
+	uint192 public weiPerClaim;
+
+	/**
+	 * @dev Cooldown period for the recipient: minimum time between two public claims
+	 *      to the same recipient address, seconds
+	 *
+	 * @dev Can be updated by the faucet manager `ROLE_FAUCET_MANAGER`
+	 */
+	uint64 public cooldown;
+
+	/**
+	 * @dev Proof-of-work difficulty, the number of the leading zero bits the work hash must have;
+	 *      the expected number of hashes to solve the proof-of-work is `2^difficulty`
+	 *
+	 * @dev Zero difficulty effectively disables the proof-of-work (any nonce is valid)
+	 *
+	 * @dev Can be updated by the faucet manager `ROLE_FAUCET_MANAGER`
+	 */
+	uint8 public difficulty;
+
+	/**
+	 * @dev Last public claim timestamps for the recipients, maps `recipient => unix timestamp`
+	 */
+	mapping(address => uint64) public lastClaimTimestamps;
+
+	/**
+	 * @dev Spent proofs of work, maps `work hash => true if used`; prevents the solution reuse
+	 */
+	mapping(bytes32 => bool) public spentWork;
+
+	/**
+	 * @dev Fired in `setPublicParams`
+	 *
+	 * @param manager faucet manager address which updated the params
+	 * @param weiPerClaim new amount of ETH sent in one public claim, wei
+	 * @param cooldown new recipient cooldown period, seconds
+	 * @param difficulty new proof-of-work difficulty, leading zero bits
+	 */
+	event PublicParamsUpdated(address indexed manager, uint192 weiPerClaim, uint64 cooldown, uint8 difficulty);
+
+	/**
+	 * @dev Fired in `claim`
+	 *
+	 * @param sender an address which solved the proof-of-work and claimed the ETH
+	 * @param to an address ETH was sent to
+	 * @param value amount of ETH sent, wei
+	 * @param nonce proof-of-work solution (nonce)
+	 */
+	event PublicClaimed(address indexed sender, address indexed to, uint192 value, uint256 nonce);
+
+	/**
+	 * @dev "Constructor replacement" for upgradeable, must be executed immediately after deployment
+	 *      see https://docs.openzeppelin.com/upgrades-plugins/1.x/writing-upgradeable#initializers
+	 *
+	 * @param _faucet The Faucet address (proxy) to withdraw the ETH from
+	 */
+	function postConstruct(address _faucet) public initializer {
+		// verify faucet address is set
+		require(_faucet != address(0), "faucet address not set");
+
+		// execute parent initializer
+		_postConstruct(msg.sender, 0);
+
+		// initialize own internal state
+		faucet = TheFaucetV1(payable(_faucet));
+		weiPerClaim = 0.05 ether;
+		cooldown = 7 days;
+		difficulty = 18;
+	}
+
+	/**
+	 * @notice Checks if the public tier is enabled (`FEATURE_PUBLIC` is enabled on the faucet)
+	 *
+	 * @return true if the public claims are allowed, false otherwise
+	 */
+	function isPublicModeEnabled() public view returns(bool) {
+		// read the feature from the faucet features bitmask
+		return faucet.isFeatureEnabled(faucet.FEATURE_PUBLIC());
+	}
+
+	/**
+	 * @notice Returns the current epoch index the proof-of-work must be solved for:
+	 *      current faucet epoch, `block.timestamp / epochLength`
+	 *
+	 * @return current epoch index
+	 */
+	function currentEpoch() public view returns(uint256) {
+		// fixed faucet epochs are used regardless of the faucet throttling mode
+		return block.timestamp / faucet.epochLength();
+	}
+
+	/**
+	 * @notice Returns the proof-of-work target: the work hash must not exceed it
+	 *
+	 * @return the target derived from the difficulty, `2^(256 - difficulty) - 1`
+	 */
+	function powTarget() public view returns(uint256) {
+		// each difficulty bit halves the target
+		return type(uint256).max >> difficulty;
+	}
+
+	/**
+	 * @notice Calculates the proof-of-work hash for the (sender, nonce, epoch) tuple
+	 *
+	 * @param _sender an address solving the proof-of-work
+	 * @param _nonce proof-of-work nonce
+	 * @param _epoch epoch index the proof-of-work is solved for
+	 * @return the work hash, `keccak256(abi.encode(sender, nonce, epoch))`
+	 */
+	function workHash(address _sender, uint256 _nonce, uint256 _epoch) public pure returns(bytes32) {
+		// hash the ABI encoded tuple
+		return keccak256(abi.encode(_sender, _nonce, _epoch));
+	}
+
+	/**
+	 * @notice Checks if the nonce is a valid proof-of-work solution for the sender in the current epoch
+	 *
+	 * @param _sender an address solving the proof-of-work
+	 * @param _nonce proof-of-work nonce
+	 * @return true if the work hash is below the target, and the solution is not spent, false otherwise
+	 */
+	function isValidWork(address _sender, uint256 _nonce) public view returns(bool) {
+		// calculate the work hash for the current epoch
+		bytes32 h = workHash(_sender, _nonce, currentEpoch());
+
+		// verify the target and the solution is not spent
+		return uint256(h) <= powTarget() && !spentWork[h];
+	}
+
+	/**
+	 * @notice Returns the time left until the recipient can receive the next public claim
+	 *
+	 * @param _recipient recipient address to check
+	 * @return cooldown period left, seconds, zero if the recipient can receive the claim
+	 */
+	function cooldownLeft(address _recipient) public view returns(uint64) {
+		// the recipient never received the claim
+		uint64 lastClaimTimestamp = lastClaimTimestamps[_recipient];
+		if(lastClaimTimestamp == 0) {
+			return 0;
+		}
+
+		// the cooldown could have been decreased after the claim, don't underflow
+		uint256 nextClaimTimestamp = uint256(lastClaimTimestamp) + cooldown;
+		return nextClaimTimestamp > block.timestamp? uint64(nextClaimTimestamp - block.timestamp): 0;
+	}
+
+	/**
+	 * @notice Checks if the sender can claim ETH to the recipient with the nonce (proof-of-work) specified
+	 *
+	 * @dev Doesn't verify the faucet limits, budgets, balance, and pause, the claim may still fail on the faucet
+	 *
+	 * @param _sender an address to claim ETH from
+	 * @param _recipient an address to send ETH to
+	 * @param _nonce proof-of-work nonce
+	 * @return true if public mode is enabled, the recipient is not on cooldown, and the nonce is valid
+	 */
+	function canClaim(address _sender, address _recipient, uint256 _nonce) public view returns(bool) {
+		// verify all the public tier conditions
+		return isPublicModeEnabled() && cooldownLeft(_recipient) == 0 && isValidWork(_sender, _nonce);
+	}
+
+	/**
+	 * @dev Restricted access function to update the public tier params
+	 *
+	 * @param _weiPerClaim amount of ETH sent in one public claim, wei, required
+	 * @param _cooldown recipient cooldown period, seconds
+	 * @param _difficulty proof-of-work difficulty, leading zero bits
+	 */
+	function setPublicParams(uint192 _weiPerClaim, uint64 _cooldown, uint8 _difficulty) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// verify the claim amount is set
+		require(_weiPerClaim != 0, "value not set");
+
+		// update the params
+		weiPerClaim = _weiPerClaim;
+		cooldown = _cooldown;
+		difficulty = _difficulty;
+
+		// emit an event
+		emit PublicParamsUpdated(msg.sender, _weiPerClaim, _cooldown, _difficulty);
+	}
+
+	/**
+	 * @notice Claims the fixed amount of ETH (`weiPerClaim`) from the faucet to the recipient,
+	 *      presenting the proof-of-work solved for the sender in the current epoch
+	 *
+	 * @dev The recipient must not have received the public claim within the cooldown period
+	 *
+	 * @param to an address to send ETH to, required
+	 * @param nonce proof-of-work nonce, see `isValidWork`
+	 */
+	function claim(address payable to, uint256 nonce) public {
+		// verify the public tier is enabled
+		require(isPublicModeEnabled(), "public mode disabled");
+
+		// verify the recipient is not on cooldown
+		require(cooldownLeft(to) == 0, "recipient cooldown");
+
+		// verify the proof-of-work and mark it spent
+		bytes32 h = workHash(msg.sender, nonce, currentEpoch());
+		require(uint256(h) <= powTarget(), "invalid proof of work");
+		require(!spentWork[h], "proof of work already spent");
+		spentWork[h] = true;
+
+		// update the recipient cooldown
+		lastClaimTimestamps[to] = uint64(block.timestamp);
+
+		// withdraw the ETH from the faucet, the faucet verifies the recipient address is set
+		faucet.withdrawEth(to, weiPerClaim);
+
+		// emit an event
+		emit PublicClaimed(msg.sender, to, weiPerClaim, nonce);
+	}
+
+	/**
+	 * @inheritdoc FaucetCompanionV1
+	 */
+	function _getFaucet() internal view override returns(TheFaucetV1) {
+		// read the faucet from storage and return
+		return faucet;
+	}
+}
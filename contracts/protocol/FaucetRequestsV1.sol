@@ -0,0 +1,365 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "./TheFaucetV1.sol";
+import "./FaucetCompanionV1.sol";
+
+/**
+ * @title Faucet Requests
+ *
+ * @notice Request/approval workflow for the over-limit ETH withdrawals: when the faucet user
+ *      needs more than their `weiLeftInEpochForUser` (for a load test, for example), they file
+ *      a withdrawal request with the amount and the reason hash, the faucet manager approves
+ *      or rejects it, and the user claims the ETH once the request is approved
+ *
+ * @notice Requests expire: neither pending nor approved request can be approved (claimed)
+ *      after `requestTtl` seconds since it was filed
+ *
+ * @dev Faucet Requests is a companion contract to The Faucet, it doesn't keep its own list of
+ *      users and managers, and relies on the faucet roles instead: `ROLE_FAUCET_USER` is required
+ *      to file and claim the request, `ROLE_FAUCET_MANAGER` is required to approve and reject it
+ *
+ * @dev The ETH is withdrawn from the faucet via `withdrawEth` when the request is claimed,
+ *      therefore Faucet Requests must have `ROLE_FAUCET_USER` permission on the faucet;
+ *      faucet ETH limit per epoch for the Faucet Requests address caps the total amount
+ *      of all the requests claimed in one epoch, and should be set by the faucet manager
+ *      via `setWeiLimitPerEpochForUser`; faucet-wide budget, recipient limits, and
+ *      emergency pause apply to the requests claimed as well
+ *
+ * @author Basil Gorin
+ */
+contract FaucetRequestsV1 is UpgradeableAccessControl, FaucetCompanionV1 {
+	// using enumerable uint set from OpenZeppelin for the pending requests registry
+	using EnumerableSetUpgradeable for EnumerableSetUpgradeable.UintSet;
+
+	/**
+	 * @dev The Faucet the requests are filed for, and the ETH is withdrawn from
+	 */
+	TheFaucetV1 public faucet;
+
+	/**
+	 * @dev Request time to live: the request expires `requestTtl` seconds after it was filed
+	 *
+	 * @dev Can be updated by the faucet manager `ROLE_FAUCET_MANAGER`
+	 */
+	uint64 public requestTtl; // 7 days
+
+	/**
+	 * @dev Over-limit withdrawal request
+	 */
+	struct Request {
+		/**
+		 * @dev Faucet user address which filed the request
+		 */
+		address user;
+
+		/**
+		 * @dev When the request expires, unix timestamp
+		 */
+		uint64 expiresAt;
+
+		/**
+		 * @dev Request status: `REQUEST_STATUS_PENDING`, `REQUEST_STATUS_APPROVED`,
+		 *      `REQUEST_STATUS_REJECTED`, or `REQUEST_STATUS_CLAIMED`
+		 */
+		uint8 status;
+
+		/**
+		 * @dev Amount of ETH requested, wei
+		 */
+		uint192 value;
+
+		/**
+		 * @dev Hash of the reason (justification) the request was filed for,
+		 *      the reason itself is stored off-chain
+		 */
+		bytes32 reasonHash;
+	}
+
+	/**
+	 * @dev Number of the requests filed, last request ID; request IDs start from one
+	 */
+	uint256 public requestCount;
+
+	/**
+	 * @dev Requests filed, maps `request ID => Request struct`
+	 */
+	mapping(uint256 => Request) public requests;
+
+	/**
+	 * @dev Enumerable registry of the pending requests IDs (requests waiting for the manager decision),
+	 *      expired requests remain in the registry until rejected
+	 */
+	EnumerableSetUpgradeable.UintSet internal pendingRequests;
+
+	/**
+	 * @dev Request status: request is filed and is waiting for the manager decision
+	 */
+	uint8 public constant REQUEST_STATUS_PENDING = 1;
+
+	/**
+	 * @dev Request status: request is approved and can be claimed by the user
+	 */
+	uint8 public constant REQUEST_STATUS_APPROVED = 2;
+
+	/**
+	 * @dev Request status: request is rejected
+	 */
+	uint8 public constant REQUEST_STATUS_REJECTED = 3;
+
+	/**
+	 * @dev Request status: request is claimed, ETH is sent
+	 */
+	uint8 public constant REQUEST_STATUS_CLAIMED = 4;
+
+	/**
+	 * @dev Request status: pending or approved request has expired, see `requestStatus`
+	 */
+	uint8 public constant REQUEST_STATUS_EXPIRED = 5;
+
+	/**
+	 * @dev Fired in `fileRequest`
+	 *
+	 * @param requestId ID of the request filed
+	 * @param user faucet user address which filed the request
+	 * @param value amount of ETH requested, wei
+	 * @param reasonHash hash of the reason the request was filed for
+	 * @param expiresAt when the request expires, unix timestamp
+	 */
+	event RequestFiled(uint256 indexed requestId, address indexed user, uint192 value, bytes32 reasonHash, uint64 expiresAt);
+
+	/**
+	 * @dev Fired in `approveRequest`
+	 *
+	 * @param requestId ID of the request approved
+	 * @param manager faucet manager address which approved the request
+	 */
+	event RequestApproved(uint256 indexed requestId, address indexed manager);
+
+	/**
+	 * @dev Fired in `rejectRequest`
+	 *
+	 * @param requestId ID of the request rejected
+	 * @param manager faucet manager address which rejected the request
+	 */
+	event RequestRejected(uint256 indexed requestId, address indexed manager);
+
+	/**
+	 * @dev Fired in `claimRequest`
+	 *
+	 * @param requestId ID of the request claimed
+	 * @param to an address ETH was sent to
+	 * @param value amount of ETH sent, wei
+	 */
+	event RequestClaimed(uint256 indexed requestId, address indexed to, uint192 value);
+
+	/**
+	 * @dev Fired in `setRequestTtl`
+	 *
+	 * @param requestTtl new request time to live, seconds
+	 */
+	event RequestTtlUpdated(uint64 requestTtl);
+
+	/**
+	 * @dev "Constructor replacement" for upgradeable, must be executed immediately after deployment
+	 *      see https://docs.openzeppelin.com/upgrades-plugins/1.x/writing-upgradeable#initializers
+	 *
+	 * @param _faucet The Faucet address (proxy) to file the requests for
+	 */
+	function postConstruct(address _faucet) public initializer {
+		// verify faucet address is set
+		require(_faucet != address(0), "faucet address not set");
+
+		// execute parent initializer
+		_postConstruct(msg.sender, 0);
+
+		// initialize own internal state
+		faucet = TheFaucetV1(payable(_faucet));
+		requestTtl = 7 days;
+	}
+
+	/**
+	 * @notice Returns the actual status of the request, taking into account the request expiration
+	 *
+	 * @param _requestId ID of the request to check the status for
+	 * @return request status, zero if the request doesn't exist,
+	 *      `REQUEST_STATUS_EXPIRED` if pending or approved request has expired
+	 */
+	function requestStatus(uint256 _requestId) public view returns(uint8) {
+		// read the request
+		Request storage request = requests[_requestId];
+
+		// pending or approved request expires, final statuses don't
+		if((request.status == REQUEST_STATUS_PENDING || request.status == REQUEST_STATUS_APPROVED) && request.expiresAt <= block.timestamp) {
+			return REQUEST_STATUS_EXPIRED;
+		}
+
+		// return the stored status otherwise
+		return request.status;
+	}
+
+	/**
+	 * @notice Number of the pending requests (waiting for the manager decision),
+	 *      including the expired ones which are not yet rejected
+	 *
+	 * @return pending requests count
+	 */
+	function pendingRequestCount() public view returns(uint256) {
+		// read the set size and return
+		return pendingRequests.length();
+	}
+
+	/**
+	 * @notice Lists the pending requests IDs, paginated; the order is not guaranteed
+	 *      to be preserved when the requests are approved or rejected
+	 *
+	 * @dev Expired requests are included, use `requestStatus` to filter them out
+	 *
+	 * @param _offset index of the first request ID to return
+	 * @param _limit maximum number of the request IDs to return
+	 * @return request IDs, up to `_limit` IDs starting from `_offset`
+	 */
+	function getPendingRequests(uint256 _offset, uint256 _limit) public view returns(uint256[] memory) {
+		// delegate to the paginated set reader
+		return _paginate(pendingRequests, _offset, _limit);
+	}
+
+	/**
+	 * @dev Restricted access function to update the request time to live,
+	 *      updates `requestTtl` param; doesn't affect the requests already filed
+	 *
+	 * @param _requestTtl new request time to live, seconds
+	 */
+	function setRequestTtl(uint64 _requestTtl) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// verify request time to live is set
+		require(_requestTtl != 0, "request TTL not set");
+
+		// update the param
+		requestTtl = _requestTtl;
+
+		// emit an event
+		emit RequestTtlUpdated(_requestTtl);
+	}
+
+	/**
+	 * @notice Files the over-limit withdrawal request, the request is to be approved
+	 *      by the faucet manager, and claimed via `claimRequest` before it expires
+	 *
+	 * @dev Restricted access function, requires `ROLE_FAUCET_USER` permission on the faucet
+	 *
+	 * @param value amount of ETH requested, wei
+	 * @param reasonHash hash of the reason (justification) the request is filed for
+	 * @return requestId ID of the request filed
+	 */
+	function fileRequest(uint192 value, bytes32 reasonHash) public returns(uint256 requestId) {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_USER());
+
+		// verify the inputs
+		require(value != 0, "value not set");
+
+		// create the request
+		requestId = ++requestCount;
+		uint64 expiresAt = uint64(block.timestamp) + requestTtl;
+		requests[requestId] = Request({
+			user: msg.sender,
+			expiresAt: expiresAt,
+			status: REQUEST_STATUS_PENDING,
+			value: value,
+			reasonHash: reasonHash
+		});
+		pendingRequests.add(requestId);
+
+		// emit an event
+		emit RequestFiled(requestId, msg.sender, value, reasonHash, expiresAt);
+	}
+
+	/**
+	 * @notice Approves the pending request, approved request can be claimed by the user
+	 *      who filed it until the request expires
+	 *
+	 * @dev Restricted access function, requires `ROLE_FAUCET_MANAGER` permission on the faucet
+	 *
+	 * @param requestId ID of the request to approve
+	 */
+	function approveRequest(uint256 requestId) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// verify the request is pending and is not expired
+		require(requestStatus(requestId) == REQUEST_STATUS_PENDING, "request is not pending");
+
+		// update the request status
+		requests[requestId].status = REQUEST_STATUS_APPROVED;
+		pendingRequests.remove(requestId);
+
+		// emit an event
+		emit RequestApproved(requestId, msg.sender);
+	}
+
+	/**
+	 * @notice Rejects the pending request; expired pending requests can be rejected as well,
+	 *      which removes them from the pending requests registry
+	 *
+	 * @dev Restricted access function, requires `ROLE_FAUCET_MANAGER` permission on the faucet
+	 *
+	 * @param requestId ID of the request to reject
+	 */
+	function rejectRequest(uint256 requestId) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// verify the request is pending (expired or not)
+		require(requests[requestId].status == REQUEST_STATUS_PENDING, "request is not pending");
+
+		// update the request status
+		requests[requestId].status = REQUEST_STATUS_REJECTED;
+		pendingRequests.remove(requestId);
+
+		// emit an event
+		emit RequestRejected(requestId, msg.sender);
+	}
+
+	/**
+	 * @notice Claims the approved request, sending the ETH requested from the faucet
+	 *
+	 * @dev Restricted access function, can be executed only by the user who filed the request,
+	 *      and requires `ROLE_FAUCET_USER` permission on the faucet
+	 *
+	 * @param requestId ID of the request to claim
+	 * @param to an address to send ETH to, required
+	 */
+	function claimRequest(uint256 requestId, address payable to) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_USER());
+
+		// read the request
+		Request storage request = requests[requestId];
+
+		// verify the request belongs to the sender, is approved, and is not expired
+		require(request.user == msg.sender, "access denied");
+		require(requestStatus(requestId) == REQUEST_STATUS_APPROVED, "request is not approved");
+
+		// update the request status
+		request.status = REQUEST_STATUS_CLAIMED;
+
+		// withdraw the ETH from the faucet, the faucet verifies the recipient address is set
+		faucet.withdrawEth(to, request.value);
+
+		// emit an event
+		emit RequestClaimed(requestId, to, request.value);
+	}
+
+	/**
+	 * @inheritdoc FaucetCompanionV1
+	 */
+	function _getFaucet() internal view override returns(TheFaucetV1) {
+		// read the faucet from storage and return
+		return faucet;
+	}
+}
@@ -0,0 +1,333 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "./TheFaucetV1.sol";
+import "./FaucetCompanionV1.sol";
+
+/**
+ * @title Faucet Timelock
+ *
+ * @notice Timelock for the sensitive faucet parameter changes: global ETH limit and budgets increases,
+ *      epoch length changes, and upgrades are queued by the faucet manager, and can be executed
+ *      only after the `delay` passes, giving the rest of the team the time to review (and cancel) them
+ *
+ * @notice Decreases and pauses are not timelocked, they are executed on the faucet directly
+ *
+ * @dev Faucet Timelock is a companion contract to The Faucet, it relies on the faucet roles:
+ *      `ROLE_FAUCET_MANAGER` is required to queue, execute, and cancel the operations,
+ *      queueing the upgrade requires `ROLE_UPGRADE_MANAGER` in addition
+ *
+ * @dev The timelock is enabled on the faucet via `FEATURE_TIMELOCK` feature: when enabled, the faucet
+ *      accepts the sensitive changes only from the `ROLE_TIMELOCK` holder; Faucet Timelock executes
+ *      the operations on the faucet on its own behalf, and therefore must have `ROLE_TIMELOCK`,
+ *      `ROLE_FAUCET_MANAGER`, and `ROLE_UPGRADE_MANAGER` permissions on the faucet
+ *
+ * @author Basil Gorin
+ */
+contract FaucetTimelockV1 is UpgradeableAccessControl, FaucetCompanionV1 {
+	// using enumerable uint set from OpenZeppelin for the pending operations registry
+	using EnumerableSetUpgradeable for EnumerableSetUpgradeable.UintSet;
+
+	/**
+	 * @dev The Faucet the operations are executed on
+	 */
+	TheFaucetV1 public faucet;
+
+	/**
+	 * @dev Timelock delay: the operation can be executed `delay` seconds after it was queued
+	 *
+	 * @dev Can be increased by the faucet manager `ROLE_FAUCET_MANAGER`,
+	 *      and decreased by the faucet access manager `ROLE_ACCESS_MANAGER`
+	 */
+	uint64 public delay; // 2 days
+
+	/**
+	 * @dev Timelocked operation: the faucet function call
+	 */
+	struct Operation {
+		/**
+		 * @dev Faucet manager address which queued the operation
+		 */
+		address proposer;
+
+		/**
+		 * @dev When the operation can be executed, unix timestamp
+		 */
+		uint64 eta;
+
+		/**
+		 * @dev Operation status: `OPERATION_STATUS_PENDING`, `OPERATION_STATUS_EXECUTED`,
+		 *      or `OPERATION_STATUS_CANCELLED`
+		 */
+		uint8 status;
+
+		/**
+		 * @dev Faucet function call data (ABI encoded), like `setEpochParams(86400, 20 ether)`
+		 */
+		bytes data;
+	}
+
+	/**
+	 * @dev Number of the operations queued, last operation ID; operation IDs start from one
+	 */
+	uint256 public operationCount;
+
+	/**
+	 * @dev Operations queued, maps `operation ID => Operation struct`
+	 */
+	mapping(uint256 => Operation) public operations;
+
+	/**
+	 * @dev Enumerable registry of the pending operations IDs (operations neither executed nor cancelled)
+	 */
+	EnumerableSetUpgradeable.UintSet internal pendingOperations;
+
+	/**
+	 * @dev Operation status: operation is queued and is waiting for the delay to pass
+	 */
+	uint8 public constant OPERATION_STATUS_PENDING = 1;
+
+	/**
+	 * @dev Operation status: operation is executed
+	 */
+	uint8 public constant OPERATION_STATUS_EXECUTED = 2;
+
+	/**
+	 * @dev Operation status: operation is cancelled
+	 */
+	uint8 public constant OPERATION_STATUS_CANCELLED = 3;
+
+	/**
+	 * @dev Operation status: the delay has passed and pending operation can be executed, see `operationStatus`
+	 */
+	uint8 public constant OPERATION_STATUS_READY = 4;
+
+	/**
+	 * @dev Fired in `queueOperation`
+	 *
+	 * @param operationId ID of the operation queued
+	 * @param proposer faucet manager address which queued the operation
+	 * @param data faucet function call data (ABI encoded)
+	 * @param eta when the operation can be executed, unix timestamp
+	 */
+	event OperationQueued(uint256 indexed operationId, address indexed proposer, bytes data, uint64 eta);
+
+	/**
+	 * @dev Fired in `executeOperation`
+	 *
+	 * @param operationId ID of the operation executed
+	 * @param executor faucet manager address which executed the operation
+	 */
+	event OperationExecuted(uint256 indexed operationId, address indexed executor);
+
+	/**
+	 * @dev Fired in `cancelOperation`
+	 *
+	 * @param operationId ID of the operation cancelled
+	 * @param manager faucet manager address which cancelled the operation
+	 */
+	event OperationCancelled(uint256 indexed operationId, address indexed manager);
+
+	/**
+	 * @dev Fired in `setDelay`
+	 *
+	 * @param delay new timelock delay, seconds
+	 */
+	event DelayUpdated(uint64 delay);
+
+	/**
+	 * @dev "Constructor replacement" for upgradeable, must be executed immediately after deployment
+	 *      see https://docs.openzeppelin.com/upgrades-plugins/1.x/writing-upgradeable#initializers
+	 *
+	 * @param _faucet The Faucet address (proxy) to execute the operations on
+	 */
+	function postConstruct(address _faucet) public initializer {
+		// verify faucet address is set
+		require(_faucet != address(0), "faucet address not set");
+
+		// execute parent initializer
+		_postConstruct(msg.sender, 0);
+
+		// initialize own internal state
+		faucet = TheFaucetV1(payable(_faucet));
+		delay = 2 days;
+	}
+
+	/**
+	 * @notice Returns the actual status of the operation, taking into account the delay
+	 *
+	 * @param _operationId ID of the operation to check the status for
+	 * @return operation status, zero if the operation doesn't exist,
+	 *      `OPERATION_STATUS_READY` if pending operation can be executed
+	 */
+	function operationStatus(uint256 _operationId) public view returns(uint8) {
+		// read the operation
+		Operation storage operation = operations[_operationId];
+
+		// pending operation becomes ready once the delay passes
+		if(operation.status == OPERATION_STATUS_PENDING && operation.eta <= block.timestamp) {
+			return OPERATION_STATUS_READY;
+		}
+
+		// return the stored status otherwise
+		return operation.status;
+	}
+
+	/**
+	 * @notice Number of the pending operations (neither executed nor cancelled),
+	 *      including the ones ready to be executed
+	 *
+	 * @return pending operations count
+	 */
+	function pendingOperationCount() public view returns(uint256) {
+		// read the set size and return
+		return pendingOperations.length();
+	}
+
+	/**
+	 * @notice Lists the pending operations IDs, paginated; the order is not guaranteed
+	 *      to be preserved when the operations are executed or cancelled
+	 *
+	 * @param _offset index of the first operation ID to return
+	 * @param _limit maximum number of the operation IDs to return
+	 * @return operation IDs, up to `_limit` IDs starting from `_offset`
+	 */
+	function getPendingOperations(uint256 _offset, uint256 _limit) public view returns(uint256[] memory) {
+		// delegate to the paginated set reader
+		return _paginate(pendingOperations, _offset, _limit);
+	}
+
+	/**
+	 * @dev Restricted access function to update the timelock delay, updates `delay` param;
+	 *      doesn't affect the operations already queued
+	 *
+	 * @dev Increasing the delay requires `ROLE_FAUCET_MANAGER` permission on the faucet,
+	 *      decreasing it requires `ROLE_ACCESS_MANAGER` permission on the faucet
+	 *      (access manager can disable the timelock on the faucet anyway)
+	 *
+	 * @param _delay new timelock delay, seconds
+	 */
+	function setDelay(uint64 _delay) public {
+		// verify the access permission: decreasing the delay weakens the timelock
+		_requireFaucetRole(_delay < delay? faucet.ROLE_ACCESS_MANAGER(): faucet.ROLE_FAUCET_MANAGER());
+
+		// update the param
+		delay = _delay;
+
+		// emit an event
+		emit DelayUpdated(_delay);
+	}
+
+	/**
+	 * @notice Queues the faucet function call to be executed via `executeOperation`
+	 *      after the `delay` passes
+	 *
+	 * @dev Restricted access function, requires `ROLE_FAUCET_MANAGER` permission on the faucet,
+	 *      and `ROLE_UPGRADE_MANAGER` permission in addition if the operation is an upgrade
+	 *      (`upgradeTo`, `upgradeToAndCall`)
+	 *
+	 * @param data faucet function call data (ABI encoded), like `setEpochParams(86400, 20 ether)`
+	 * @return operationId ID of the operation queued
+	 */
+	function queueOperation(bytes calldata data) public returns(uint256 operationId) {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// verify the inputs
+		require(data.length >= 4, "function selector not set");
+
+		// read the function selector, the first 4 bytes of the call data
+		bytes4 selector;
+		assembly {
+			selector := and(calldataload(data.offset), 0xffffffff00000000000000000000000000000000000000000000000000000000)
+		}
+
+		// upgrades additionally require the upgrade manager permission
+		if(selector == faucet.upgradeTo.selector || selector == faucet.upgradeToAndCall.selector) {
+			_requireFaucetRole(faucet.ROLE_UPGRADE_MANAGER());
+		}
+
+		// create the operation
+		operationId = ++operationCount;
+		uint64 eta = uint64(block.timestamp) + delay;
+		operations[operationId] = Operation({
+			proposer: msg.sender,
+			eta: eta,
+			status: OPERATION_STATUS_PENDING,
+			data: data
+		});
+		pendingOperations.add(operationId);
+
+		// emit an event
+		emit OperationQueued(operationId, msg.sender, data, eta);
+	}
+
+	/**
+	 * @notice Executes the operation on the faucet once the delay has passed
+	 *
+	 * @dev Restricted access function, requires `ROLE_FAUCET_MANAGER` permission on the faucet
+	 *
+	 * @dev Bubbles up the faucet revert reason if the faucet function call fails
+	 *
+	 * @param operationId ID of the operation to execute
+	 */
+	function executeOperation(uint256 operationId) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// verify the operation is pending and the delay has passed
+		uint8 status = operationStatus(operationId);
+		require(status != OPERATION_STATUS_PENDING, "operation is timelocked");
+		require(status == OPERATION_STATUS_READY, "operation is not pending");
+
+		// update the operation status
+		Operation storage operation = operations[operationId];
+		operation.status = OPERATION_STATUS_EXECUTED;
+		pendingOperations.remove(operationId);
+
+		// execute the faucet function call
+		(bool success, bytes memory result) = address(faucet).call(operation.data);
+
+		// verify the result, bubble up the revert reason on error
+		if(!success) {
+			assembly {
+				revert(add(result, 32), mload(result))
+			}
+		}
+
+		// emit an event
+		emit OperationExecuted(operationId, msg.sender);
+	}
+
+	/**
+	 * @notice Cancels the pending operation (ready to be executed or not)
+	 *
+	 * @dev Restricted access function, requires `ROLE_FAUCET_MANAGER` permission on the faucet
+	 *
+	 * @param operationId ID of the operation to cancel
+	 */
+	function cancelOperation(uint256 operationId) public {
+		// verify the access permission
+		_requireFaucetRole(faucet.ROLE_FAUCET_MANAGER());
+
+		// verify the operation is pending (ready or not)
+		require(operations[operationId].status == OPERATION_STATUS_PENDING, "operation is not pending");
+
+		// update the operation status
+		operations[operationId].status = OPERATION_STATUS_CANCELLED;
+		pendingOperations.remove(operationId);
+
+		// emit an event
+		emit OperationCancelled(operationId, msg.sender);
+	}
+
+	/**
+	 * @inheritdoc FaucetCompanionV1
+	 */
+	function _getFaucet() internal view override returns(TheFaucetV1) {
+		// read the faucet from storage and return
+		return faucet;
+	}
+}
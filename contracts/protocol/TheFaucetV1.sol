@@ -2,6 +2,11 @@
 pragma solidity ^0.8.4;
 
 import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/IERC721ReceiverUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/IERC1155ReceiverUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "./FaucetLibV1.sol";
 
 /**
  * @title The Faucet
@@ -15,9 +20,52 @@ import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.
  *
  * @dev `ROLE_FAUCET_MANAGER` can set ETH withdrawal limits for the faucet users
  *
+ * @dev `ROLE_FAUCET_MANAGER` can group the users into named tiers having their own epoch length
+ *      and ETH limit; the effective user limit is resolved as: user override > tier > global
+ *
+ * @dev `ROLE_FAUCET_MANAGER` can optionally set ETH limits for the recipients, limiting
+ *      the amount of ETH the recipient can get in one epoch from all the faucet users
+ *
+ * @dev `ROLE_FAUCET_MANAGER` maintains the registry of the contracts allowed to be minted
+ *      via the faucet, and the mint limits for the faucet users
+ *
+ * @dev `ROLE_FAUCET_MANAGER` selects the throttling mode: fixed epochs (default),
+ *      or rolling window where the limits are restored continuously
+ *
+ * @dev The Faucet can also dispense ERC20 tokens it holds, with the limits set by
+ *      `ROLE_FAUCET_MANAGER` per token, and per user for each token
+ *
+ * @dev The Faucet can also dispense ERC721 and ERC1155 test assets (NFTs), either by minting them
+ *      on the allow-listed collections, or by transferring them from its own inventory,
+ *      with the count limits set by `ROLE_FAUCET_MANAGER` per collection, and per user for each collection
+ *
+ * @dev `ROLE_FAUCET_MANAGER` can set the faucet-wide ETH and mint budgets per epoch,
+ *      limiting the total amount withdrawn (minted) by all the users in one epoch
+ *
+ * @dev `FEATURE_PAUSED` feature, when enabled, blocks all the withdrawals and mints,
+ *      and can be used during the incidents
+ *
+ * @dev `FEATURE_TIMELOCK` feature, when enabled, restricts the sensitive changes (ETH limits
+ *      and budgets increases, epoch length changes, upgrades) to `ROLE_TIMELOCK` holder, which is
+ *      the timelock contract (`FaucetTimelockV1`) queueing them with a delay; decreases stay immediate
+ *
+ * @dev `FEATURE_PUBLIC` feature, when enabled, opens the faucet to the non-whitelisted addresses
+ *      via the public tier contract (`FaucetPublicV1`) with much stricter limits: a small proof-of-work,
+ *      a fixed amount per claim, and a long per-recipient cooldown
+ *
+ * @dev The Faucet keeps an enumerable registry of the faucet users and managers; the registry is updated
+ *      by `addUsers`/`removeUsers`/`setUsers`, roles updated via `updateRole` directly are picked up by `syncRoles`
+ *
+ * @dev Faucet users can sign the ETH withdrawal request off-chain (EIP-712 claim),
+ *      and anyone (a relayer) can submit it via `claimEth`, paying for gas,
+ *      which allows funding the empty wallets
+ *
  * @author Basil Gorin
  */
-contract TheFaucetV1 is UpgradeableAccessControl {
+contract TheFaucetV1 is UpgradeableAccessControl, IERC721ReceiverUpgradeable, IERC1155ReceiverUpgradeable {
+	// using enumerable address set from OpenZeppelin for the users and managers registry
+	using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
 	/**
 	 * @dev We divide the time into the epochs of equal size, and make sure
 	 *      that no user exceeds the ETH limit set for one epoch
@@ -89,299 +137,2138 @@ contract TheFaucetV1 is UpgradeableAccessControl {
 	mapping(address => WithdrawalStat) public withdrawalStats;
 
 	/**
-	 * @dev Grants permission to withdraw ETH (throttled)
+	 * @dev Global ETH limit per epoch for a recipient defines how much ETH it is allowed
+	 *      to be sent to the recipient address in one epoch, regardless of the user(s) sending it
 	 *
-	 * @dev Faucet user is allowed to get ETH via the faucet
+	 * @dev Zero value (non set value) disables the recipient-side throttling,
+	 *      unless the recipient has an override set
 	 *
-	 * @dev `ROLE_FAUCET_USER` is required to execute:
-	 *      `withdrawEth`, `mint`
+	 * @dev This value can have a per recipient override, set by the faucet manager `ROLE_FAUCET_MANAGER`
+	 *
+	 * @dev Recipient ETH limit per epoch is measured in wei
 	 */
-	uint256 public constant ROLE_FAUCET_USER = 0x0001_0000;
+	uint192 public recipientWeiLimitPerEpoch;
 
 	/**
-	 * @dev Grants permission to change throttling settings:
-	 *      `epochLength`, `weiLimitPerEpoch`, `weiLimitPerEpochOverrides`
+	 * @dev Overrides global recipient ETH limit for a recipient address
 	 *
-	 * @dev Faucet manager is responsible for faucet configuration and managing
-	 *      faucet users
+	 * @dev Zero values (non set values) are ignored and
+	 *      global recipient ETH limit per epoch (`recipientWeiLimitPerEpoch`) is used
 	 *
-	 * @dev `ROLE_FAUCET_MANAGER` is required to execute:
-	 *      `setEpochParams`, `setWeiLimitPerEpochForUser`
+	 * @dev Maps `recipient address => wei limit per epoch (override)`
 	 */
-	uint256 public constant ROLE_FAUCET_MANAGER = 0x0002_0000;
+	mapping(address => uint192) public recipientWeiLimitPerEpochOverrides;
 
 	/**
-	 * @dev Fired in `setEpochParams`
+	 * @dev Keeps track of recent ETH receipts to enable recipient-side throttling,
+	 *      works in the same way as `withdrawalStats`, but tracks the recipient (`to`)
+	 *      address instead of the user (`msg.sender`) address
 	 *
-	 * @param epochLength new epoch length, seconds
-	 * @param weiLimitPerEpoch new ETH limit per epoch, wei
+	 * @dev The stats are recorded only when recipient-side throttling is enabled
+	 *      for the recipient address
+	 *
+	 * @dev Maps `recipient address -> WithdrawalStat struct`
 	 */
-	event EpochParamsUpdated(uint64 epochLength, uint192 weiLimitPerEpoch);
+	mapping(address => WithdrawalStat) public recipientWithdrawalStats;
 
 	/**
-	 * @dev Fired in `setWeiLimitPerEpochForUser`
+	 * @dev Mint targets registry: an allow-list of the contracts `mint` can be executed on,
+	 *      together with their global mint limits per epoch
 	 *
-	 * @param userAddress user address to update the wei limit for
-	 * @param weiLimitPerEpoch new ETH limit per epoch for user, wei
+	 * @dev Defines how many tokens it is allowed to be minted via the faucet by
+	 *      the user address in one epoch, for each of the target contracts
+	 *
+	 * @dev Zero values (non set values) mean the target contract is not allowed
+	 *
+	 * @dev The value can have a per user override, set by the faucet manager `ROLE_FAUCET_MANAGER`
+	 *
+	 * @dev Maps `target contract address => token limit per epoch`
 	 */
-	event WeiLimitUpdated(address indexed userAddress, uint192 weiLimitPerEpoch);
+	mapping(address => uint192) public mintLimitPerEpoch;
 
 	/**
-	 * @dev Fired in `withdrawEth`
+	 * @dev Overrides target contract mint limit for a user address
 	 *
-	 * @param to an address to send ETH to
-	 * @param value amount of ETH to send, wei
+	 * @dev Zero values (non set values) are ignored and
+	 *      target contract mint limit per epoch (`mintLimitPerEpoch`) is used
+	 *
+	 * @dev Maps `target contract address => user address => token limit per epoch (override)`
 	 */
-	event ETHWithdrawn(address indexed to, uint192 value);
+	mapping(address => mapping(address => uint192)) public mintLimitPerEpochOverrides;
 
 	/**
-	 * @dev Fired in `mint`
+	 * @dev Keeps track of recent mints to enable mint throttling,
+	 *      works in the same way as `withdrawalStats`, but tracks the amount of tokens minted
+	 *      separately for each target contract
 	 *
-	 * @param target target smart contract address to invoke function call on
-	 * @param to an address to mint tokens to
-	 * @param value amount of tokens to mint, wei
+	 * @dev Maps `target contract address => user address -> WithdrawalStat struct`
 	 */
-	event MintProxied(address indexed target, address indexed to, uint192 value);
+	mapping(address => mapping(address => WithdrawalStat)) public mintStats;
 
 	/**
-	 * @dev "Constructor replacement" for upgradeable, must be executed immediately after deployment
-	 *      see https://docs.openzeppelin.com/upgrades-plugins/1.x/writing-upgradeable#initializers
+	 * @dev Throttling mode defines how the amounts withdrawn (received, minted)
+	 *      are restored over time, applies to all the limits enforced by the faucet:
+	 *      - `THROTTLING_MODE_FIXED_EPOCH`: the amounts are reset at the epoch boundaries
+	 *        (`block.timestamp / epochLength`), this is the default mode
+	 *      - `THROTTLING_MODE_ROLLING_WINDOW`: the amounts are restored continuously
+	 *        (leaky bucket), at the rate of the limit per `epochLength`
+	 *
+	 * @dev In the fixed epoch mode a user can withdraw the full limit just before
+	 *      the epoch boundary and then again just after it, rolling window mode makes sure
+	 *      no more than the limit is withdrawn during any `epochLength` time interval
+	 *
+	 * @dev Throttling mode can be updated by the faucet manager `ROLE_FAUCET_MANAGER`
 	 */
-	function postConstruct() public initializer {
-		// execute parent initializer
-		_postConstruct(msg.sender, 0);
+	uint8 public throttlingMode;
 
-		// initialize own internal state
-		setEpochParams(1 days, 10 ether);
-	}
+	/**
+	 * @dev Fixed epoch throttling mode, see `throttlingMode`
+	 */
+	uint8 public constant THROTTLING_MODE_FIXED_EPOCH = 0;
 
 	/**
-	 * @notice Returns the actual ETH limit for a particular user address,
-	 *      taking into account if it is set for this particular user,
-	 *      and global limit value if it is not set for the particular user
-	 *
-	 * @param _userAddress user address to check the actual ETH limit for
-	 * @return ETH limit for a user address, wei
+	 * @dev Rolling window throttling mode, see `throttlingMode`
 	 */
-	function weiLimitPerEpochForUser(address _userAddress) public view returns(uint192) {
-		// read the overrides value (if it set)
-		uint192 overridden = weiLimitPerEpochOverrides[_userAddress];
+	uint8 public constant THROTTLING_MODE_ROLLING_WINDOW = 1;
 
-		// depending if overrides value is set or no, return the overridden one or global one
-		return overridden != 0? overridden: weiLimitPerEpoch;
-	}
+	/**
+	 * @dev Keeps track of the EIP-712 claims used, protects from the claim replay
+	 *
+	 * @dev Claim nonces are sequential: the claim must have the nonce equal to
+	 *      the current nonce of its signer, which is increased when the claim is used
+	 *
+	 * @dev Maps `signer (user) address => next nonce to use`
+	 */
+	mapping(address => uint256) public claimNonces;
 
 	/**
-	 * @notice Returns the amount of ETH a particular user already withdrawn in the current epoch
+	 * @notice EIP-712 contract's domain typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
 	 *
-	 * @param _userAddress user address to check the withdrawn ETH for
-	 * @return ETH withdrawn in current epoch by the user address, wei
+	 * @dev Note: we do not include version into the domain typehash/separator,
+	 *      it is implied version is concatenated to the name field, like "TheFaucetV1"
 	 */
-	function weiWithdrawnInCurrentEpoch(address _userAddress) public view returns(uint192) {
-		// read the withdrawal stats storage slot into memory
-		WithdrawalStat memory userStat = withdrawalStats[_userAddress];
+	// keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)")
+	bytes32 public constant DOMAIN_TYPEHASH = 0x8cad95687ba82c2ce50e74f7b754645e5117c3a5bec8151c0726d5857980a866;
 
-		// compare last withdrawal epoch number and current epoch number
-		// if last withdrawal epoch is in the past
-		if(userStat.lastWithdrawalTimestamp / epochLength < block.timestamp / epochLength) {
-			// we didn't withdraw anything in current epoch, return zero
-			return 0;
-		}
-		// if last withdrawal epoch is the current one
-		else {
-			// return the stored wei value
-			return userStat.weiWithdrawn;
-		}
-	}
+	/**
+	 * @notice EIP-712 claim struct typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 */
+	// keccak256("Claim(address recipient,uint256 value,uint256 nonce,uint256 deadline)")
+	bytes32 public constant CLAIM_TYPEHASH = 0x24aba3b50585efdec6ba7c8650c3cb4dc9fc20543fb1f0136511ae03d59b8d38;
 
 	/**
-	 * @notice Returns the amount of ETH available for a particular user in the current epoch
+	 * @dev ERC20 tokens registry: the tokens `withdrawToken` can be executed for,
+	 *      together with their global limits per epoch
 	 *
-	 * @param _userAddress user address to check amount of ETH available for
-	 * @return available ETH for a user address available in current epoch
+	 * @dev Defines how many tokens it is allowed to be withdrawn by the user address
+	 *      in one epoch, for each of the ERC20 tokens
+	 *
+	 * @dev Zero values (non set values) mean the token is not allowed to be withdrawn
+	 *
+	 * @dev The value can have a per user override, set by the faucet manager `ROLE_FAUCET_MANAGER`
+	 *
+	 * @dev Maps `ERC20 token address => token limit per epoch`
 	 */
-	function weiLeftInEpochForUser(address _userAddress) public view returns(uint192) {
-		// calculate based on the aux functions we have and return
-		return weiLimitPerEpochForUser(_userAddress) - weiWithdrawnInCurrentEpoch(_userAddress);
-	}
+	mapping(address => uint192) public tokenLimitPerEpoch;
 
 	/**
-	 * @dev Restricted access function to update global throttling params,
-	 *      updates `epochLength` and `weiLimitPerEpoch` global params
+	 * @dev Overrides ERC20 token limit for a user address
 	 *
-	 * @param _epochLength new epoch length, seconds, required
-	 * @param _weiLimitPerEpoch new ETH limit per epoch, wei
+	 * @dev Zero values (non set values) are ignored and
+	 *      token limit per epoch (`tokenLimitPerEpoch`) is used
+	 *
+	 * @dev Maps `ERC20 token address => user address => token limit per epoch (override)`
 	 */
-	function setEpochParams(uint64 _epochLength, uint192 _weiLimitPerEpoch) public {
-		// verify the access permission
-		require(isSenderInRole(ROLE_FAUCET_MANAGER), "access denied");
-
-		// verify epoch length is set
-		require(_epochLength != 0, "epoch length not set");
+	mapping(address => mapping(address => uint192)) public tokenLimitPerEpochOverrides;
 
-		// update the params
-		epochLength = _epochLength;
-		weiLimitPerEpoch = _weiLimitPerEpoch;
+	/**
+	 * @dev Keeps track of recent ERC20 withdrawals to enable token throttling,
+	 *      works in the same way as `withdrawalStats`, but tracks the amount of tokens withdrawn
+	 *      separately for each ERC20 token
+	 *
+	 * @dev Maps `ERC20 token address => user address -> WithdrawalStat struct`
+	 */
+	mapping(address => mapping(address => WithdrawalStat)) public tokenWithdrawalStats;
 
-		// emit an event
-		emit EpochParamsUpdated(_epochLength, _weiLimitPerEpoch);
-	}
+	/**
+	 * @dev NFT collections registry: an allow-list of the ERC721/ERC1155 collections
+	 *      `withdrawErc721` and `withdrawErc1155` can be executed for,
+	 *      together with their global count limits per epoch
+	 *
+	 * @dev Defines how many NFTs (ERC721 tokens, or ERC1155 token units) it is allowed
+	 *      to be minted or transferred by the user address in one epoch, for each of the collections
+	 *
+	 * @dev Zero values (non set values) mean the collection is not allowed
+	 *
+	 * @dev The value can have a per user override, set by the faucet manager `ROLE_FAUCET_MANAGER`
+	 *
+	 * @dev Maps `collection address => count limit per epoch`
+	 */
+	mapping(address => uint192) public nftLimitPerEpoch;
 
 	/**
-	 * @dev Restricted access function to update throttling params for a user,
-	 *      updates `weiLimitPerEpochOverrides` param for a particular user
+	 * @dev Overrides collection count limit for a user address
 	 *
-	 * @param _userAddress user address to update the wei limit for, required
-	 * @param _weiLimitPerEpoch new ETH limit per epoch for user, wei
+	 * @dev Zero values (non set values) are ignored and
+	 *      collection count limit per epoch (`nftLimitPerEpoch`) is used
+	 *
+	 * @dev Maps `collection address => user address => count limit per epoch (override)`
 	 */
-	function setWeiLimitPerEpochForUser(address _userAddress, uint192 _weiLimitPerEpoch) public {
-		// verify the access permission
-		require(isSenderInRole(ROLE_FAUCET_MANAGER), "access denied");
+	mapping(address => mapping(address => uint192)) public nftLimitPerEpochOverrides;
 
-		// verify user address is set
-		require(_userAddress != address(0), "user address not set");
+	/**
+	 * @dev Keeps track of recent NFT withdrawals to enable NFT throttling,
+	 *      works in the same way as `withdrawalStats`, but tracks the number of NFTs
+	 *      minted or transferred separately for each collection
+	 *
+	 * @dev Maps `collection address => user address -> WithdrawalStat struct`
+	 */
+	mapping(address => mapping(address => WithdrawalStat)) public nftWithdrawalStats;
 
-		// update the params
-		weiLimitPerEpochOverrides[_userAddress] = _weiLimitPerEpoch;
+	/**
+	 * @dev Faucet-wide ETH budget per epoch defines how much ETH it is allowed
+	 *      to be consumed by all the users in one epoch, on top of the per user limits
+	 *
+	 * @dev Zero value (non set value) disables the faucet-wide ETH budget
+	 *
+	 * @dev ETH budget per epoch is measured in wei
+	 */
+	uint192 public weiBudgetPerEpoch;
 
-		// emit an event
-		emit WeiLimitUpdated(_userAddress, _weiLimitPerEpoch);
-	}
+	/**
+	 * @dev Faucet-wide mint budget per epoch defines how many tokens it is allowed
+	 *      to be minted via `mint` by all the users in one epoch, on all the target contracts,
+	 *      on top of the per user limits
+	 *
+	 * @dev Zero value (non set value) disables the faucet-wide mint budget
+	 */
+	uint192 public mintBudgetPerEpoch;
 
 	/**
-	 * @notice Restricted access function to withdraw ETH from the faucet
+	 * @dev Keeps track of the ETH withdrawn by all the users in the current epoch,
+	 *      works in the same way as `withdrawalStats`
 	 *
-	 * @param to an address to send ETH to, required
-	 * @param value amount of ETH to send, wei, required
+	 * @dev The stat is recorded only when the faucet-wide ETH budget is set
 	 */
-	function withdrawEth(address payable to, uint192 value) public {
-		// verify the access permission
-		require(isSenderInRole(ROLE_FAUCET_USER), "access denied");
+	WithdrawalStat public weiBudgetStat;
 
-		// verify the inputs
-		require(to != address(0), "recipient not set");
-		require(value != 0, "value not set");
+	/**
+	 * @dev Keeps track of the tokens minted by all the users in the current epoch,
+	 *      works in the same way as `withdrawalStats`
+	 *
+	 * @dev The stat is recorded only when the faucet-wide mint budget is set
+	 */
+	WithdrawalStat public mintBudgetStat;
 
-		// determine how much ETH user is allowed to withdraw in current epoch
-		uint192 allowance = weiLeftInEpochForUser(msg.sender);
+	/**
+	 * @dev Tier (group) of the faucet users, like "QA", "CI bots", or "contractors",
+	 *      having its own epoch length and ETH limit per epoch
+	 *
+	 * @dev Zero values (non set values) are ignored and global params are used instead
+	 */
+	struct Tier {
+		/**
+		 * @dev Tier name, human-readable
+		 */
+		string name;
 
-		// verify the request doesn't exceed the allowance
-		require(value <= allowance, "allowance exceeded");
+		/**
+		 * @dev Epoch length for the tier members, seconds;
+		 *      global epoch length (`epochLength`) is used if not set
+		 */
+		uint64 epochLength;
 
-		// verify the request doesn't exceed faucet balance
-		require(value <= address(this).balance, "balance exceeded");
+		/**
+		 * @dev ETH limit per epoch for the tier members, wei;
+		 *      global ETH limit per epoch (`weiLimitPerEpoch`) is used if not set
+		 */
+		uint192 weiLimitPerEpoch;
+	}
 
-		// get a link to the user withdrawal stat
-		WithdrawalStat storage userStat = withdrawalStats[msg.sender];
+	/**
+	 * @dev Number of the tiers created, tier IDs are `1, 2, ..., tierCount`
+	 */
+	uint256 public tierCount;
 
-		// update user withdrawal stat:
-		// if user stat doesn't exist or is too old (updated in the previous epoch)
-		if(userStat.lastWithdrawalTimestamp / epochLength < block.timestamp / epochLength) {
-			// overwrite it
-			userStat.weiWithdrawn = value;
-		}
-		// if user stat is fresh (updated in the current epoch)
-		else {
-			// merge it
-			userStat.weiWithdrawn += value;
-		}
+	/**
+	 * @dev Tiers registry, maps `tier ID => Tier struct`
+	 */
+	mapping(uint256 => Tier) public tiers;
 
-		// update the last withdrawal timestamp
-		userStat.lastWithdrawalTimestamp = uint64(block.timestamp);
+	/**
+	 * @dev Tier the user address belongs to, zero if the user doesn't belong to any tier
+	 *
+	 * @dev Maps `user address => tier ID`
+	 */
+	mapping(address => uint256) public userTiers;
 
-		// send the ETH to the destination requested
-		to.transfer(value);
+	/**
+	 * @dev Tier members, enumerable, maps `tier ID => user addresses`
+	 */
+	mapping(uint256 => address[]) public tierMembers;
 
-		// emit an event
-		emit ETHWithdrawn(to, value);
-	}
+	/**
+	 * @dev Auxiliary mapping allowing to remove the user from the `tierMembers` array
+	 *      in a constant time, maps `user address => index in tierMembers array`
+	 */
+	mapping(address => uint256) internal tierMemberIndexes;
 
 	/**
-	 * @notice Bonus: a restricted access function to mint any ERC20 token
+	 * @dev Enumerable registry of the addresses having `ROLE_FAUCET_USER` permission
 	 *
-	 * @dev Proxies the request as `target.mint(to, value)`, and can be used
-	 *      to mint any "mintable" entity, that is having the `mint(address,uint256)`
-	 *      function available
+	 * @dev Updated by `addUsers`, `removeUsers`, `setUsers`, and `syncRoles`
+	 */
+	EnumerableSetUpgradeable.AddressSet internal userRegistry;
+
+	/**
+	 * @dev Enumerable registry of the addresses having `ROLE_FAUCET_MANAGER` permission
 	 *
-	 * @dev Implicitly limits the value to the 192-bits space, effectively protecting
-	 *      target token contract from integer overflow
+	 * @dev Updated by `addUsers`, `removeUsers`, `setUsers`, and `syncRoles`
+	 */
+	EnumerableSetUpgradeable.AddressSet internal managerRegistry;
+
+	/**
+	 * @dev Faucet user access expiration times, maps `user address => unix timestamp`;
+	 *      zero means the access doesn't expire
 	 *
-	 * @dev Requires executor to have `ROLE_FAUCET_USER` permission
-	 * @dev Requires Faucet to have the permission to execute `mint` function on the
-	 *      target contract (don't forget to setup it)
+	 * @dev Expired user is treated as not having `ROLE_FAUCET_USER` permission,
+	 *      the role itself and the registry entry remain until removed via `removeUsers` or `setUsers`
 	 *
-	 * @param target target smart contract address to invoke function call on, required
-	 * @param to an address to mint tokens to, required
-	 * @param value amount of tokens to mint, wei, required
+	 * @dev Set by `addUsersWithExpiry`, reset by `addUsers`, `removeUsers`, and `setUsers`
 	 */
-	function mint(address target, address to, uint192 value) public {
-		// verify the access permission
-		require(isSenderInRole(ROLE_FAUCET_USER), "access denied");
-
-		// verify the inputs
-		require(target != address(0), "target contract not set");
-		require(to != address(0), "recipient not set");
-		require(value != 0, "value not set");
-
-		// prepare the mint payload for a low-level function call
-		bytes memory payload = abi.encodeWithSignature("mint(address,uint256)", to, value);
-
-		// execute the low-level function call
-		(bool success, ) = target.call{gas: 81_000}(payload);
+	mapping(address => uint64) public userAccessExpiries;
 
-		// verify the result, throw on error
-		require(success, "low-level function call failed");
-
-		// emit an event
-		emit MintProxied(target, to, value);
-	}
+	/**
+	 * @dev `weiLimitPerEpochOverrides` expiration times, maps `user address => unix timestamp`;
+	 *      zero means the override doesn't expire
+	 *
+	 * @dev Expired override is treated as not set by `weiLimitPerEpochForUser`
+	 *
+	 * @dev Set by `setWeiLimitPerEpochForUserWithExpiry`, reset by `setWeiLimitPerEpochForUser`
+	 */
+	mapping(address => uint64) public weiLimitOverrideExpiries;
 
 	/**
-	 * @dev Restricted access function to add faucet users in bulk mode
+	 * @notice Emergency pause feature: when enabled, all the withdrawals and mints are blocked:
+	 *      `withdrawEth`, `claimEth`, `withdrawToken`, `withdrawErc721`, `withdrawErc1155`, `mint`
 	 *
-	 * @param users user addresses to add
+	 * @dev Feature is enabled/disabled via `updateFeatures` by the access manager `ROLE_ACCESS_MANAGER`
 	 */
-	function addUsers(address[] calldata users) public {
-		// verify the access permission
-		require(isSenderInRole(ROLE_FAUCET_MANAGER), "access denied");
+	uint32 public constant FEATURE_PAUSED = 0x0000_0001;
 
-		// verify the input array is set
-		require(users.length != 0, "empty users array");
+	/**
+	 * @notice Timelock feature: when enabled, the sensitive changes can be executed only by
+	 *      the timelock (`ROLE_TIMELOCK`): global, user, tier, and recipient ETH limits increases,
+	 *      `weiBudgetPerEpoch` and `mintBudgetPerEpoch` increases, global and tier epoch length changes,
+	 *      and upgrades; decreases and pauses stay immediate
+	 *
+	 * @dev Feature is enabled/disabled via `updateFeatures` by the access manager `ROLE_ACCESS_MANAGER`
+	 */
+	uint32 public constant FEATURE_TIMELOCK = 0x0000_0002;
 
-		// process each user address individually
-		for(uint256 i = 0; i < users.length; i++) {
-			// and share `ROLE_FAUCET_USER` with it
-			// calculate the role
-			uint256 role = getRole(users[i]) | ROLE_FAUCET_USER;
-			// set the calculated role
-			// execute via external call in order to use contract's self-permissions
-			this.updateRole(users[i], role);
-		}
-	}
+	/**
+	 * @notice Public mode feature: when enabled, the faucet is exposed to the non-whitelisted addresses
+	 *      via the public tier contract (`FaucetPublicV1`), with the proof-of-work and recipient cooldown
+	 *
+	 * @dev The faucet itself doesn't use the feature, it is read by the public tier contract;
+	 *      `ROLE_FAUCET_USER` withdrawals are not affected
+	 *
+	 * @dev Feature is enabled/disabled via `updateFeatures` by the access manager `ROLE_ACCESS_MANAGER`
+	 */
+	uint32 public constant FEATURE_PUBLIC = 0x0000_0004;
 
 	/**
-	 * @dev Restricted access function to remove faucet users in bulk mode
+	 * @dev Grants permission to withdraw ETH (throttled)
 	 *
-	 * @param users user addresses to remove
+	 * @dev Faucet user is allowed to get ETH via the faucet
+	 *
+	 * @dev `ROLE_FAUCET_USER` is required to execute:
+	 *      `withdrawEth`, `withdrawToken`, `withdrawErc721`, `withdrawErc1155`, `mint`,
+	 *      and to sign the claims for `claimEth`
 	 */
-	function removeUsers(address[] calldata users) public {
-		// verify the access permission
-		require(isSenderInRole(ROLE_FAUCET_MANAGER), "access denied");
+	uint256 public constant ROLE_FAUCET_USER = 0x0001_0000;
 
-		// verify the input array is set
-		require(users.length != 0, "empty users array");
+	/**
+	 * @dev Grants permission to change throttling settings:
+	 *      `epochLength`, `weiLimitPerEpoch`, `weiLimitPerEpochOverrides`,
+	 *      `recipientWeiLimitPerEpoch`, `recipientWeiLimitPerEpochOverrides`,
+	 *      `mintLimitPerEpoch`, `mintLimitPerEpochOverrides`, `throttlingMode`,
+	 *      `tokenLimitPerEpoch`, `tokenLimitPerEpochOverrides`,
+	 *      `nftLimitPerEpoch`, `nftLimitPerEpochOverrides`,
+	 *      `weiBudgetPerEpoch`, `mintBudgetPerEpoch`, `tiers`, `userTiers`
+	 *
+	 * @dev Faucet manager is responsible for faucet configuration and managing
+	 *      faucet users
+	 *
+	 * @dev `ROLE_FAUCET_MANAGER` is required to execute:
+	 *      `setEpochParams`, `setWeiLimitPerEpochForUser`,
+	 *      `setRecipientWeiLimitPerEpoch`, `setWeiLimitPerEpochForRecipient`,
+	 *      `setMintTarget`, `setMintLimitPerEpochForUser`, `setThrottlingMode`,
+	 *      `setTokenLimitPerEpoch`, `setTokenLimitPerEpochForUser`,
+	 *      `setNftLimitPerEpoch`, `setNftLimitPerEpochForUser`, `setBudgetsPerEpoch`,
+	 *      `setTier`, `setTierForUsers`
+	 */
+	uint256 public constant ROLE_FAUCET_MANAGER = 0x0002_0000;
+
+	/**
+	 * @dev Grants permission to execute the sensitive changes when `FEATURE_TIMELOCK` is enabled:
+	 *      global, user, tier, and recipient ETH limits increases, `weiBudgetPerEpoch` and
+	 *      `mintBudgetPerEpoch` increases, global and tier epoch length changes, and upgrades
+	 *
+	 * @dev Timelock role is held by the timelock contract (`FaucetTimelockV1`), which executes
+	 *      the changes queued by the faucet managers after the delay passes; the timelock
+	 *      contract also requires `ROLE_FAUCET_MANAGER` and `ROLE_UPGRADE_MANAGER` to execute them
+	 */
+	uint256 public constant ROLE_TIMELOCK = 0x0004_0000;
+
+	/**
+	 * @dev Fired in `setEpochParams`
+	 *
+	 * @param epochLength new epoch length, seconds
+	 * @param weiLimitPerEpoch new ETH limit per epoch, wei
+	 */
+	event EpochParamsUpdated(uint64 epochLength, uint192 weiLimitPerEpoch);
+
+	/**
+	 * @dev Fired in `setWeiLimitPerEpochForUser`
+	 *
+	 * @param userAddress user address to update the wei limit for
+	 * @param weiLimitPerEpoch new ETH limit per epoch for user, wei
+	 */
+	event WeiLimitUpdated(address indexed userAddress, uint192 weiLimitPerEpoch);
+
+	/**
+	 * @dev Fired in `setWeiLimitPerEpochForUserWithExpiry` and `setWeiLimitPerEpochForUser`
+	 *      when the ETH limit override expiration time changes
+	 *
+	 * @param userAddress user address the wei limit override expiration time is updated for
+	 * @param expiresAt new override expiration time, unix timestamp; zero if the override doesn't expire
+	 */
+	event WeiLimitExpiryUpdated(address indexed userAddress, uint64 expiresAt);
+
+	/**
+	 * @dev Fired in `addUsersWithExpiry`, `addUsers`, `removeUsers`, and `setUsers`
+	 *      when the user access expiration time changes
+	 *
+	 * @param userAddress user address the access expiration time is updated for
+	 * @param expiresAt new access expiration time, unix timestamp; zero if the access doesn't expire
+	 */
+	event UserAccessExpiryUpdated(address indexed userAddress, uint64 expiresAt);
+
+	/**
+	 * @dev Fired in `setRecipientWeiLimitPerEpoch`
+	 *
+	 * @param weiLimitPerEpoch new global recipient ETH limit per epoch, wei
+	 */
+	event RecipientWeiLimitPerEpochUpdated(uint192 weiLimitPerEpoch);
+
+	/**
+	 * @dev Fired in `setWeiLimitPerEpochForRecipient`
+	 *
+	 * @param recipientAddress recipient address to update the wei limit for
+	 * @param weiLimitPerEpoch new ETH limit per epoch for recipient, wei
+	 */
+	event RecipientWeiLimitUpdated(address indexed recipientAddress, uint192 weiLimitPerEpoch);
+
+	/**
+	 * @dev Fired in `setMintTarget`
+	 *
+	 * @param target target contract address added to/removed from the mint targets registry
+	 * @param limitPerEpoch new token limit per epoch for the target contract, zero if removed
+	 */
+	event MintTargetUpdated(address indexed target, uint192 limitPerEpoch);
+
+	/**
+	 * @dev Fired in `setMintLimitPerEpochForUser`
+	 *
+	 * @param target target contract address to update the mint limit for
+	 * @param userAddress user address to update the mint limit for
+	 * @param limitPerEpoch new token limit per epoch for the user and target contract
+	 */
+	event MintLimitUpdated(address indexed target, address indexed userAddress, uint192 limitPerEpoch);
+
+	/**
+	 * @dev Fired in `setTokenLimitPerEpoch`
+	 *
+	 * @param token ERC20 token address added to/removed from the tokens registry
+	 * @param limitPerEpoch new token limit per epoch for the token, zero if removed
+	 */
+	event TokenLimitPerEpochUpdated(address indexed token, uint192 limitPerEpoch);
+
+	/**
+	 * @dev Fired in `setTokenLimitPerEpochForUser`
+	 *
+	 * @param token ERC20 token address to update the limit for
+	 * @param userAddress user address to update the limit for
+	 * @param limitPerEpoch new token limit per epoch for the user and ERC20 token
+	 */
+	event TokenLimitUpdated(address indexed token, address indexed userAddress, uint192 limitPerEpoch);
+
+	/**
+	 * @dev Fired in `setNftLimitPerEpoch`
+	 *
+	 * @param collection ERC721/ERC1155 collection address added to/removed from the collections registry
+	 * @param limitPerEpoch new count limit per epoch for the collection, zero if removed
+	 */
+	event NftLimitPerEpochUpdated(address indexed collection, uint192 limitPerEpoch);
+
+	/**
+	 * @dev Fired in `setNftLimitPerEpochForUser`
+	 *
+	 * @param collection ERC721/ERC1155 collection address to update the limit for
+	 * @param userAddress user address to update the limit for
+	 * @param limitPerEpoch new count limit per epoch for the user and collection
+	 */
+	event NftLimitUpdated(address indexed collection, address indexed userAddress, uint192 limitPerEpoch);
+
+	/**
+	 * @dev Fired in `setBudgetsPerEpoch`
+	 *
+	 * @param weiBudgetPerEpoch new faucet-wide ETH budget per epoch, wei, zero if disabled
+	 * @param mintBudgetPerEpoch new faucet-wide mint budget per epoch, zero if disabled
+	 */
+	event BudgetsPerEpochUpdated(uint192 weiBudgetPerEpoch, uint192 mintBudgetPerEpoch);
+
+	/**
+	 * @dev Fired in `setTier`
+	 *
+	 * @param tierId ID of the tier created or updated
+	 * @param name tier name
+	 * @param epochLength tier epoch length, seconds, zero if global epoch length is used
+	 * @param weiLimitPerEpoch tier ETH limit per epoch, wei, zero if global limit is used
+	 */
+	event TierUpdated(uint256 indexed tierId, string name, uint64 epochLength, uint192 weiLimitPerEpoch);
+
+	/**
+	 * @dev Fired in `setTierForUsers`
+	 *
+	 * @param userAddress user address assigned to the tier
+	 * @param tierId ID of the tier the user is assigned to, zero if removed from the tier
+	 */
+	event UserTierUpdated(address indexed userAddress, uint256 indexed tierId);
+
+	/**
+	 * @dev Fired in `setThrottlingMode`
+	 *
+	 * @param mode new throttling mode
+	 */
+	event ThrottlingModeUpdated(uint8 mode);
+
+	/**
+	 * @dev Fired in `claimEth`
+	 *
+	 * @param signer faucet user address which signed the claim
+	 * @param to an address ETH was sent to
+	 * @param value amount of ETH sent, wei
+	 * @param nonce claim nonce used
+	 */
+	event ETHClaimed(address indexed signer, address indexed to, uint192 value, uint256 nonce);
+
+	/**
+	 * @dev Fired in `withdrawEth`, `claimEth`
+	 *
+	 * @param to an address to send ETH to
+	 * @param value amount of ETH to send, wei
+	 */
+	event ETHWithdrawn(address indexed to, uint192 value);
+
+	/**
+	 * @dev Fired in `withdrawToken`
+	 *
+	 * @param token ERC20 token address transferred
+	 * @param to an address the tokens were sent to
+	 * @param value amount of tokens sent
+	 */
+	event TokenWithdrawn(address indexed token, address indexed to, uint192 value);
+
+	/**
+	 * @dev Fired in `withdrawErc721`, `withdrawErc1155`
+	 *
+	 * @param collection ERC721/ERC1155 collection address
+	 * @param to an address the NFTs were sent (minted) to
+	 * @param id ERC721 token ID, or ERC1155 token type ID
+	 * @param amount number of tokens sent (minted), 1 for ERC721
+	 * @param minted true if the tokens were minted, false if transferred from the faucet inventory
+	 */
+	event NftWithdrawn(address indexed collection, address indexed to, uint256 id, uint192 amount, bool minted);
+
+	/**
+	 * @dev Fired in `mint`
+	 *
+	 * @param target target smart contract address to invoke function call on
+	 * @param to an address to mint tokens to
+	 * @param value amount of tokens to mint, wei
+	 */
+	event MintProxied(address indexed target, address indexed to, uint192 value);
+
+	/**
+	 * @dev "Constructor replacement" for upgradeable, must be executed immediately after deployment
+	 *      see https://docs.openzeppelin.com/upgrades-plugins/1.x/writing-upgradeable#initializers
+	 */
+	function postConstruct() public initializer {
+		// execute parent initializer
+		_postConstruct(msg.sender, 0);
+
+		// initialize own internal state
+		setEpochParams(1 days, 10 ether);
+
+		// register the deployer, it has all the permissions including faucet user and manager
+		_syncRole(msg.sender);
+	}
+
+	/**
+	 * @notice Returns the actual ETH limit for a particular user address,
+	 *      taking into account if it is set for this particular user,
+	 *      the limit of the tier the user belongs to if it is not set for the particular user,
+	 *      and global limit value if neither is set
+	 *
+	 * @dev Expired override (see `weiLimitOverrideExpiries`) is treated as not set
+	 *
+	 * @param _userAddress user address to check the actual ETH limit for
+	 * @return ETH limit for a user address, wei
+	 */
+	function weiLimitPerEpochForUser(address _userAddress) public view returns(uint192) {
+		// read the overrides value (if it set)
+		uint192 overridden = weiLimitPerEpochOverrides[_userAddress];
+
+		// if overrides value is set and is not expired, return the overridden one
+		if(overridden != 0 && !_isExpired(weiLimitOverrideExpiries[_userAddress])) {
+			return overridden;
+		}
+
+		// read the tier value (if user belongs to the tier, and the tier limit is set)
+		uint192 tierLimit = tiers[userTiers[_userAddress]].weiLimitPerEpoch;
+
+		// depending if tier value is set or no, return the tier one or global one
+		return tierLimit != 0? tierLimit: weiLimitPerEpoch;
+	}
+
+	/**
+	 * @notice Returns the actual epoch length for a particular user address,
+	 *      taking into account the tier the user belongs to
+	 *
+	 * @param _userAddress user address to check the actual epoch length for
+	 * @return epoch length for a user address, seconds
+	 */
+	function epochLengthForUser(address _userAddress) public view returns(uint64) {
+		// read the tier value (if user belongs to the tier, and the tier epoch length is set)
+		uint64 tierEpochLength = tiers[userTiers[_userAddress]].epochLength;
+
+		// depending if tier value is set or no, return the tier one or global one
+		return tierEpochLength != 0? tierEpochLength: epochLength;
+	}
+
+	/**
+	 * @notice Returns the amount of ETH a particular user already withdrawn in the current epoch
+	 *
+	 * @dev In the rolling window mode returns the amount withdrawn and not yet restored
+	 *
+	 * @param _userAddress user address to check the withdrawn ETH for
+	 * @return ETH withdrawn in current epoch by the user address, wei
+	 */
+	function weiWithdrawnInCurrentEpoch(address _userAddress) public view returns(uint192) {
+		// delegate to the withdrawal stats reader
+		return _withdrawnInCurrentEpoch(withdrawalStats[_userAddress], weiLimitPerEpochForUser(_userAddress), epochLengthForUser(_userAddress));
+	}
+
+	/**
+	 * @notice Returns the amount of ETH available for a particular user in the current epoch
+	 *
+	 * @dev Returns zero if the user withdrawn more than the limit allows, which happens
+	 *      when the limit decreases within the epoch: the override expires, the tier limit is lowered, etc.
+	 *
+	 * @param _userAddress user address to check amount of ETH available for
+	 * @return available ETH for a user address available in current epoch
+	 */
+	function weiLeftInEpochForUser(address _userAddress) public view returns(uint192) {
+		// calculate based on the aux functions we have and return
+		return _leftInEpoch(weiLimitPerEpochForUser(_userAddress), weiWithdrawnInCurrentEpoch(_userAddress));
+	}
+
+	/**
+	 * @notice Returns the actual ETH limit for a particular recipient address,
+	 *      taking into account if it is set for this particular recipient,
+	 *      and global recipient limit value if it is not set for the particular recipient
+	 *
+	 * @dev Zero return value means recipient-side throttling is disabled for the recipient
+	 *
+	 * @param _recipientAddress recipient address to check the actual ETH limit for
+	 * @return ETH limit for a recipient address, wei
+	 */
+	function weiLimitPerEpochForRecipient(address _recipientAddress) public view returns(uint192) {
+		// read the overrides value (if it set)
+		uint192 overridden = recipientWeiLimitPerEpochOverrides[_recipientAddress];
+
+		// depending if overrides value is set or no, return the overridden one or global one
+		return overridden != 0? overridden: recipientWeiLimitPerEpoch;
+	}
+
+	/**
+	 * @notice Returns the amount of ETH a particular recipient already received in the current epoch
+	 *
+	 * @param _recipientAddress recipient address to check the received ETH for
+	 * @return ETH received in current epoch by the recipient address, wei
+	 */
+	function weiReceivedInCurrentEpoch(address _recipientAddress) public view returns(uint192) {
+		// delegate to the withdrawal stats reader
+		return _withdrawnInCurrentEpoch(recipientWithdrawalStats[_recipientAddress], weiLimitPerEpochForRecipient(_recipientAddress), epochLength);
+	}
+
+	/**
+	 * @notice Returns the amount of ETH available for a particular recipient in the current epoch
+	 *
+	 * @dev Returns the maximum possible value if recipient-side throttling is disabled for the recipient
+	 *
+	 * @dev Returns zero if the recipient received more than the limit allows (the limit was lowered within the epoch)
+	 *
+	 * @param _recipientAddress recipient address to check amount of ETH available for
+	 * @return available ETH for a recipient address available in current epoch
+	 */
+	function weiLeftInEpochForRecipient(address _recipientAddress) public view returns(uint192) {
+		// read the recipient limit
+		uint192 limit = weiLimitPerEpochForRecipient(_recipientAddress);
+
+		// if the limit is not set, recipient-side throttling is disabled
+		if(limit == 0) {
+			return type(uint192).max;
+		}
+
+		// calculate based on the aux functions we have and return
+		return _leftInEpoch(limit, weiReceivedInCurrentEpoch(_recipientAddress));
+	}
+
+	/**
+	 * @notice Checks if the target contract is allowed to be used in `mint`
+	 *
+	 * @param _target target contract address to check
+	 * @return true if target contract is in the mint targets registry, false otherwise
+	 */
+	function isMintTargetAllowed(address _target) public view returns(bool) {
+		// the target is allowed if its mint limit is set
+		return mintLimitPerEpoch[_target] != 0;
+	}
+
+	/**
+	 * @notice Returns the actual mint limit for a particular user address and target contract,
+	 *      taking into account if it is set for this particular user,
+	 *      and target contract limit value if it is not set for the particular user
+	 *
+	 * @param _target target contract address to check the mint limit for
+	 * @param _userAddress user address to check the mint limit for
+	 * @return token limit for a user address and target contract, zero if target is not allowed
+	 */
+	function mintLimitPerEpochForUser(address _target, address _userAddress) public view returns(uint192) {
+		// delegate to the limit resolver: not allowed target has no limit, regardless of the overrides
+		return _limitPerEpochForUser(mintLimitPerEpoch[_target], mintLimitPerEpochOverrides[_target][_userAddress]);
+	}
+
+	/**
+	 * @notice Returns the amount of tokens a particular user already minted in the current epoch
+	 *
+	 * @param _target target contract address to check the minted tokens for
+	 * @param _userAddress user address to check the minted tokens for
+	 * @return tokens minted in current epoch by the user address on the target contract
+	 */
+	function mintedInCurrentEpoch(address _target, address _userAddress) public view returns(uint192) {
+		// delegate to the withdrawal stats reader
+		return _withdrawnInCurrentEpoch(mintStats[_target][_userAddress], mintLimitPerEpochForUser(_target, _userAddress), epochLength);
+	}
+
+	/**
+	 * @notice Returns the amount of tokens available to mint for a particular user in the current epoch
+	 *
+	 * @param _target target contract address to check the amount of tokens available for
+	 * @param _userAddress user address to check the amount of tokens available for
+	 * @return available tokens for a user address to mint on the target contract in current epoch
+	 */
+	function mintLeftInEpochForUser(address _target, address _userAddress) public view returns(uint192) {
+		// read the limit and the amount already minted
+		uint192 limit = mintLimitPerEpochForUser(_target, _userAddress);
+		uint192 minted = mintedInCurrentEpoch(_target, _userAddress);
+
+		// the limit could have been decreased after the mint, don't underflow
+		return _leftInEpoch(limit, minted);
+	}
+
+	/**
+	 * @notice Returns the actual ERC20 token limit for a particular user address,
+	 *      taking into account if it is set for this particular user,
+	 *      and token limit value if it is not set for the particular user
+	 *
+	 * @param _token ERC20 token address to check the limit for
+	 * @param _userAddress user address to check the limit for
+	 * @return token limit for a user address, zero if token is not allowed
+	 */
+	function tokenLimitPerEpochForUser(address _token, address _userAddress) public view returns(uint192) {
+		// delegate to the limit resolver: not allowed token has no limit, regardless of the overrides
+		return _limitPerEpochForUser(tokenLimitPerEpoch[_token], tokenLimitPerEpochOverrides[_token][_userAddress]);
+	}
+
+	/**
+	 * @notice Returns the amount of ERC20 tokens a particular user already withdrawn in the current epoch
+	 *
+	 * @param _token ERC20 token address to check the withdrawn tokens for
+	 * @param _userAddress user address to check the withdrawn tokens for
+	 * @return tokens withdrawn in current epoch by the user address
+	 */
+	function tokenWithdrawnInCurrentEpoch(address _token, address _userAddress) public view returns(uint192) {
+		// delegate to the withdrawal stats reader
+		return _withdrawnInCurrentEpoch(tokenWithdrawalStats[_token][_userAddress], tokenLimitPerEpochForUser(_token, _userAddress), epochLength);
+	}
+
+	/**
+	 * @notice Returns the amount of ERC20 tokens available for a particular user in the current epoch
+	 *
+	 * @param _token ERC20 token address to check the amount of tokens available for
+	 * @param _userAddress user address to check the amount of tokens available for
+	 * @return available tokens for a user address available in current epoch
+	 */
+	function tokenLeftInEpochForUser(address _token, address _userAddress) public view returns(uint192) {
+		// read the limit and the amount already withdrawn
+		uint192 limit = tokenLimitPerEpochForUser(_token, _userAddress);
+		uint192 withdrawn = tokenWithdrawnInCurrentEpoch(_token, _userAddress);
+
+		// the limit could have been decreased after the withdrawal, don't underflow
+		return _leftInEpoch(limit, withdrawn);
+	}
+
+	/**
+	 * @notice Returns the actual NFT count limit for a particular user address and collection,
+	 *      taking into account if it is set for this particular user,
+	 *      and collection limit value if it is not set for the particular user
+	 *
+	 * @param _collection ERC721/ERC1155 collection address to check the limit for
+	 * @param _userAddress user address to check the limit for
+	 * @return count limit for a user address, zero if collection is not allowed
+	 */
+	function nftLimitPerEpochForUser(address _collection, address _userAddress) public view returns(uint192) {
+		// delegate to the limit resolver: not allowed collection has no limit, regardless of the overrides
+		return _limitPerEpochForUser(nftLimitPerEpoch[_collection], nftLimitPerEpochOverrides[_collection][_userAddress]);
+	}
+
+	/**
+	 * @notice Returns the number of NFTs a particular user already withdrawn (minted or transferred)
+	 *      in the current epoch
+	 *
+	 * @param _collection ERC721/ERC1155 collection address to check the withdrawn NFTs for
+	 * @param _userAddress user address to check the withdrawn NFTs for
+	 * @return NFTs withdrawn in current epoch by the user address
+	 */
+	function nftWithdrawnInCurrentEpoch(address _collection, address _userAddress) public view returns(uint192) {
+		// delegate to the withdrawal stats reader
+		return _withdrawnInCurrentEpoch(nftWithdrawalStats[_collection][_userAddress], nftLimitPerEpochForUser(_collection, _userAddress), epochLength);
+	}
+
+	/**
+	 * @notice Returns the number of NFTs available for a particular user in the current epoch
+	 *
+	 * @param _collection ERC721/ERC1155 collection address to check the number of NFTs available for
+	 * @param _userAddress user address to check the number of NFTs available for
+	 * @return available NFTs for a user address available in current epoch
+	 */
+	function nftLeftInEpochForUser(address _collection, address _userAddress) public view returns(uint192) {
+		// read the limit and the amount already withdrawn
+		uint192 limit = nftLimitPerEpochForUser(_collection, _userAddress);
+		uint192 withdrawn = nftWithdrawnInCurrentEpoch(_collection, _userAddress);
+
+		// the limit could have been decreased after the withdrawal, don't underflow
+		return _leftInEpoch(limit, withdrawn);
+	}
+
+	/**
+	 * @notice Checks if the operator has all the permissions required, and the faucet user access
+	 *      is not expired if `ROLE_FAUCET_USER` is required (see `userAccessExpiries`)
+	 *
+	 * @dev Companion contracts verify the faucet roles via this function, `isOperatorInRole`
+	 *      doesn't take the access expiration time into account
+	 *
+	 * @param operator address to check the permissions for
+	 * @param required set of permissions (role) to check against
+	 * @return true if the operator has all the permissions required, and they are not expired
+	 */
+	function isActiveOperatorInRole(address operator, uint256 required) public view returns(bool) {
+		// verify the permissions, and the access expiration time if faucet user permission is required
+		return isOperatorInRole(operator, required)
+			&& (required & ROLE_FAUCET_USER == 0 || !_isExpired(userAccessExpiries[operator]));
+	}
+
+	/**
+	 * @notice Checks if the user has `ROLE_FAUCET_USER` permission which is not expired
+	 *
+	 * @param user user address to check
+	 * @return true if the user can withdraw from the faucet, false otherwise
+	 */
+	function isActiveUser(address user) public view returns(bool) {
+		// delegate to the expiration aware role check
+		return isActiveOperatorInRole(user, ROLE_FAUCET_USER);
+	}
+
+	/**
+	 * @notice Checks if the faucet is paused (`FEATURE_PAUSED` is enabled)
+	 *
+	 * @return true if all the withdrawals and mints are blocked, false otherwise
+	 */
+	function isPaused() public view returns(bool) {
+		// read the feature flag
+		return isFeatureEnabled(FEATURE_PAUSED);
+	}
+
+	/**
+	 * @notice Returns the amount of ETH available for all the users in the current epoch
+	 *
+	 * @dev Returns the maximum possible value if faucet-wide ETH budget is disabled
+	 *
+	 * @return available ETH budget in current epoch
+	 */
+	function weiBudgetLeftInEpoch() public view returns(uint192) {
+		// delegate to the budget reader
+		return _budgetLeftInEpoch(weiBudgetStat, weiBudgetPerEpoch);
+	}
+
+	/**
+	 * @notice Returns the amount of tokens available to mint for all the users in the current epoch
+	 *
+	 * @dev Returns the maximum possible value if faucet-wide mint budget is disabled
+	 *
+	 * @return available mint budget in current epoch
+	 */
+	function mintBudgetLeftInEpoch() public view returns(uint192) {
+		// delegate to the budget reader
+		return _budgetLeftInEpoch(mintBudgetStat, mintBudgetPerEpoch);
+	}
+
+	/**
+	 * @notice Lists all the tiers created, tier with the ID `i` is at index `i - 1`
+	 *
+	 * @return tiers array
+	 */
+	function getTiers() public view returns(Tier[] memory) {
+		// allocate the array to return
+		Tier[] memory _tiers = new Tier[](tierCount);
+
+		// copy the tiers one by one
+		for(uint256 i = 0; i < _tiers.length; i++) {
+			_tiers[i] = tiers[i + 1];
+		}
+
+		// return the result
+		return _tiers;
+	}
+
+	/**
+	 * @notice Lists the members of the tier
+	 *
+	 * @param _tierId ID of the tier to list the members for
+	 * @return tier members, user addresses
+	 */
+	function getTierMembers(uint256 _tierId) public view returns(address[] memory) {
+		// read the array from storage and return
+		return tierMembers[_tierId];
+	}
+
+	/**
+	 * @notice Number of the faucet users (addresses having `ROLE_FAUCET_USER`) in the registry
+	 *
+	 * @dev An upper bound: includes the users which `ROLE_FAUCET_USER` was revoked via `updateRole` directly,
+	 *      until the registry is synced with `syncRoles`
+	 *
+	 * @return faucet users count
+	 */
+	function userCount() public view returns(uint256) {
+		// read the set size and return
+		return userRegistry.length();
+	}
+
+	/**
+	 * @notice Reads the faucet user from the registry by its index
+	 *
+	 * @dev The order is not guaranteed to be preserved when the users are removed
+	 *
+	 * @dev Returns zero address if the user doesn't have `ROLE_FAUCET_USER` anymore
+	 *      (the role was revoked via `updateRole` directly, and the registry was not synced yet)
+	 *
+	 * @param i index of the user, `0 <= i < userCount()`
+	 * @return user address, or zero address
+	 */
+	function userAt(uint256 i) public view returns(address) {
+		// read the set element
+		address user = userRegistry.at(i);
+
+		// drop the element if it doesn't have the role anymore
+		return isOperatorInRole(user, ROLE_FAUCET_USER)? user: address(0);
+	}
+
+	/**
+	 * @notice Lists the faucet users in the registry, paginated
+	 *
+	 * @dev Skips the users not having `ROLE_FAUCET_USER` anymore (the role was revoked via `updateRole` directly,
+	 *      and the registry was not synced yet), the page can therefore be shorter than `_limit`
+	 *
+	 * @param _offset index of the first user to read
+	 * @param _limit maximum number of the users to read
+	 * @return user addresses, up to `_limit` users starting from `_offset`
+	 */
+	function getUsers(uint256 _offset, uint256 _limit) public view returns(address[] memory) {
+		// delegate to the paginated set reader in the library
+		return FaucetLibV1.paginate(userRegistry, ROLE_FAUCET_USER, _offset, _limit);
+	}
+
+	/**
+	 * @notice Number of the faucet managers (addresses having `ROLE_FAUCET_MANAGER`) in the registry
+	 *
+	 * @dev An upper bound: includes the managers which `ROLE_FAUCET_MANAGER` was revoked via `updateRole` directly,
+	 *      until the registry is synced with `syncRoles`
+	 *
+	 * @return faucet managers count
+	 */
+	function managerCount() public view returns(uint256) {
+		// read the set size and return
+		return managerRegistry.length();
+	}
+
+	/**
+	 * @notice Reads the faucet manager from the registry by its index
+	 *
+	 * @dev The order is not guaranteed to be preserved when the managers are removed
+	 *
+	 * @dev Returns zero address if the manager doesn't have `ROLE_FAUCET_MANAGER` anymore
+	 *      (the role was revoked via `updateRole` directly, and the registry was not synced yet)
+	 *
+	 * @param i index of the manager, `0 <= i < managerCount()`
+	 * @return manager address, or zero address
+	 */
+	function managerAt(uint256 i) public view returns(address) {
+		// read the set element
+		address manager = managerRegistry.at(i);
+
+		// drop the element if it doesn't have the role anymore
+		return isOperatorInRole(manager, ROLE_FAUCET_MANAGER)? manager: address(0);
+	}
+
+	/**
+	 * @notice Lists the faucet managers in the registry, paginated
+	 *
+	 * @dev Skips the managers not having `ROLE_FAUCET_MANAGER` anymore (the role was revoked via `updateRole` directly,
+	 *      and the registry was not synced yet), the page can therefore be shorter than `_limit`
+	 *
+	 * @param _offset index of the first manager to read
+	 * @param _limit maximum number of the managers to read
+	 * @return manager addresses, up to `_limit` managers starting from `_offset`
+	 */
+	function getManagers(uint256 _offset, uint256 _limit) public view returns(address[] memory) {
+		// delegate to the paginated set reader in the library
+		return FaucetLibV1.paginate(managerRegistry, ROLE_FAUCET_MANAGER, _offset, _limit);
+	}
+
+	/**
+	 * @notice EIP-712 contract's domain separator,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#definition-of-domainseparator
+	 *
+	 * @dev Calculated dynamically, since the contract is used via the proxy,
+	 *      and to support the chain forks
+	 *
+	 * @return domain separator for the claims signed for this faucet
+	 */
+	function DOMAIN_SEPARATOR() public view returns(bytes32) {
+		// build the EIP-712 contract domain separator, see https://eips.ethereum.org/EIPS/eip-712#definition-of-domainseparator
+		return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes("TheFaucetV1")), block.chainid, address(this)));
+	}
+
+	/**
+	 * @dev Restricted access function to update global throttling params,
+	 *      updates `epochLength` and `weiLimitPerEpoch` global params
+	 *
+	 * @param _epochLength new epoch length, seconds, required
+	 * @param _weiLimitPerEpoch new ETH limit per epoch, wei
+	 */
+	function setEpochParams(uint64 _epochLength, uint192 _weiLimitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify epoch length is set
+		require(_epochLength != 0, "epoch length not set");
+
+		// epoch length changes and limit increases are timelocked
+		_requireTimelock(_epochLength != epochLength || _weiLimitPerEpoch > weiLimitPerEpoch);
+
+		// update the params
+		epochLength = _epochLength;
+		weiLimitPerEpoch = _weiLimitPerEpoch;
+
+		// emit an event
+		emit EpochParamsUpdated(_epochLength, _weiLimitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to update throttling params for a user,
+	 *      updates `weiLimitPerEpochOverrides` param for a particular user
+	 *
+	 * @param _userAddress user address to update the wei limit for, required
+	 * @param _weiLimitPerEpoch new ETH limit per epoch for user, wei
+	 */
+	function setWeiLimitPerEpochForUser(address _userAddress, uint192 _weiLimitPerEpoch) public {
+		// delegate to the function setting the override which doesn't expire
+		setWeiLimitPerEpochForUserWithExpiry(_userAddress, _weiLimitPerEpoch, 0);
+	}
+
+	/**
+	 * @dev Restricted access function to update throttling params for a user temporarily,
+	 *      updates `weiLimitPerEpochOverrides` and `weiLimitOverrideExpiries` params for a particular user
+	 *
+	 * @dev Once expired, the override is treated as not set by `weiLimitPerEpochForUser`
+	 *
+	 * @param _userAddress user address to update the wei limit for, required
+	 * @param _weiLimitPerEpoch new ETH limit per epoch for user, wei
+	 * @param _expiresAt override expiration time, unix timestamp; zero means the override doesn't expire
+	 */
+	function setWeiLimitPerEpochForUserWithExpiry(address _userAddress, uint192 _weiLimitPerEpoch, uint64 _expiresAt) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify user address is set
+		_requireUserAddress(_userAddress);
+
+		// read the actual user limit before the update
+		uint192 oldLimit = weiLimitPerEpochForUser(_userAddress);
+
+		// update the params
+		weiLimitPerEpochOverrides[_userAddress] = _weiLimitPerEpoch;
+
+		// emit an event
+		emit WeiLimitUpdated(_userAddress, _weiLimitPerEpoch);
+
+		// update the expiration time if it changes, and emit an event
+		if(weiLimitOverrideExpiries[_userAddress] != _expiresAt) {
+			weiLimitOverrideExpiries[_userAddress] = _expiresAt;
+			emit WeiLimitExpiryUpdated(_userAddress, _expiresAt);
+		}
+
+		// actual user limit increases (including removing the override) are timelocked
+		_requireTimelock(weiLimitPerEpochForUser(_userAddress) > oldLimit);
+	}
+
+	/**
+	 * @dev Restricted access function to update global recipient throttling param,
+	 *      updates `recipientWeiLimitPerEpoch` global param
+	 *
+	 * @dev Setting the value to zero disables the recipient-side throttling
+	 *      for the recipients which don't have an override set
+	 *
+	 * @param _weiLimitPerEpoch new recipient ETH limit per epoch, wei
+	 */
+	function setRecipientWeiLimitPerEpoch(uint192 _weiLimitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// limit increases (including disabling the throttling) are timelocked
+		_requireTimelock(_isIncreased(recipientWeiLimitPerEpoch, _weiLimitPerEpoch));
+
+		// update the param
+		recipientWeiLimitPerEpoch = _weiLimitPerEpoch;
+
+		// emit an event
+		emit RecipientWeiLimitPerEpochUpdated(_weiLimitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to update throttling params for a recipient,
+	 *      updates `recipientWeiLimitPerEpochOverrides` param for a particular recipient
+	 *
+	 * @param _recipientAddress recipient address to update the wei limit for, required
+	 * @param _weiLimitPerEpoch new ETH limit per epoch for recipient, wei
+	 */
+	function setWeiLimitPerEpochForRecipient(address _recipientAddress, uint192 _weiLimitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify recipient address is set
+		require(_recipientAddress != address(0), "recipient address not set");
+
+		// read the actual recipient limit before the update
+		uint192 oldLimit = weiLimitPerEpochForRecipient(_recipientAddress);
+
+		// update the params
+		recipientWeiLimitPerEpochOverrides[_recipientAddress] = _weiLimitPerEpoch;
+
+		// emit an event
+		emit RecipientWeiLimitUpdated(_recipientAddress, _weiLimitPerEpoch);
+
+		// actual recipient limit increases (including removing the override) are timelocked
+		_requireTimelock(_isIncreased(oldLimit, weiLimitPerEpochForRecipient(_recipientAddress)));
+	}
+
+	/**
+	 * @dev Restricted access function to add/remove the target contract to/from the mint targets registry,
+	 *      updates `mintLimitPerEpoch` param for a particular target contract
+	 *
+	 * @dev Setting the limit to zero removes the target contract from the registry
+	 *
+	 * @param _target target contract address to update the mint limit for, required
+	 * @param _limitPerEpoch new token limit per epoch for the target contract, zero to remove it
+	 */
+	function setMintTarget(address _target, uint192 _limitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify target address is set
+		_requireTargetAddress(_target);
+
+		// update the params
+		mintLimitPerEpoch[_target] = _limitPerEpoch;
+
+		// emit an event
+		emit MintTargetUpdated(_target, _limitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to update mint throttling params for a user,
+	 *      updates `mintLimitPerEpochOverrides` param for a particular user and target contract
+	 *
+	 * @param _target target contract address to update the mint limit for, required
+	 * @param _userAddress user address to update the mint limit for, required
+	 * @param _limitPerEpoch new token limit per epoch for the user and target contract
+	 */
+	function setMintLimitPerEpochForUser(address _target, address _userAddress, uint192 _limitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify the inputs
+		_requireTargetAddress(_target);
+		_requireUserAddress(_userAddress);
+
+		// update the params
+		mintLimitPerEpochOverrides[_target][_userAddress] = _limitPerEpoch;
+
+		// emit an event
+		emit MintLimitUpdated(_target, _userAddress, _limitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to add/remove the ERC20 token to/from the tokens registry,
+	 *      updates `tokenLimitPerEpoch` param for a particular token
+	 *
+	 * @dev Setting the limit to zero disables the token withdrawals
+	 *
+	 * @param _token ERC20 token address to update the limit for, required
+	 * @param _limitPerEpoch new token limit per epoch, zero to disable the token withdrawals
+	 */
+	function setTokenLimitPerEpoch(address _token, uint192 _limitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify token address is set
+		_requireTokenAddress(_token);
+
+		// update the params
+		tokenLimitPerEpoch[_token] = _limitPerEpoch;
+
+		// emit an event
+		emit TokenLimitPerEpochUpdated(_token, _limitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to update ERC20 token throttling params for a user,
+	 *      updates `tokenLimitPerEpochOverrides` param for a particular user and token
+	 *
+	 * @param _token ERC20 token address to update the limit for, required
+	 * @param _userAddress user address to update the limit for, required
+	 * @param _limitPerEpoch new token limit per epoch for the user
+	 */
+	function setTokenLimitPerEpochForUser(address _token, address _userAddress, uint192 _limitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify the inputs
+		_requireTokenAddress(_token);
+		_requireUserAddress(_userAddress);
+
+		// update the params
+		tokenLimitPerEpochOverrides[_token][_userAddress] = _limitPerEpoch;
+
+		// emit an event
+		emit TokenLimitUpdated(_token, _userAddress, _limitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to add/remove the ERC721/ERC1155 collection to/from the collections registry,
+	 *      updates `nftLimitPerEpoch` param for a particular collection
+	 *
+	 * @dev Setting the limit to zero removes the collection from the registry
+	 *
+	 * @param _collection ERC721/ERC1155 collection address to update the limit for, required
+	 * @param _limitPerEpoch new count limit per epoch, zero to remove the collection
+	 */
+	function setNftLimitPerEpoch(address _collection, uint192 _limitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify collection address is set
+		_requireCollectionAddress(_collection);
+
+		// update the params
+		nftLimitPerEpoch[_collection] = _limitPerEpoch;
+
+		// emit an event
+		emit NftLimitPerEpochUpdated(_collection, _limitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to update NFT throttling params for a user,
+	 *      updates `nftLimitPerEpochOverrides` param for a particular user and collection
+	 *
+	 * @param _collection ERC721/ERC1155 collection address to update the limit for, required
+	 * @param _userAddress user address to update the limit for, required
+	 * @param _limitPerEpoch new count limit per epoch for the user
+	 */
+	function setNftLimitPerEpochForUser(address _collection, address _userAddress, uint192 _limitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify the inputs
+		_requireCollectionAddress(_collection);
+		_requireUserAddress(_userAddress);
+
+		// update the params
+		nftLimitPerEpochOverrides[_collection][_userAddress] = _limitPerEpoch;
+
+		// emit an event
+		emit NftLimitUpdated(_collection, _userAddress, _limitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to update faucet-wide budgets,
+	 *      updates `weiBudgetPerEpoch` and `mintBudgetPerEpoch` global params
+	 *
+	 * @dev Setting the value to zero disables the corresponding budget
+	 *
+	 * @param _weiBudgetPerEpoch new faucet-wide ETH budget per epoch, wei, zero to disable
+	 * @param _mintBudgetPerEpoch new faucet-wide mint budget per epoch, zero to disable
+	 */
+	function setBudgetsPerEpoch(uint192 _weiBudgetPerEpoch, uint192 _mintBudgetPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// budget increases (including disabling the budget) are timelocked
+		_requireTimelock(_isIncreased(weiBudgetPerEpoch, _weiBudgetPerEpoch) || _isIncreased(mintBudgetPerEpoch, _mintBudgetPerEpoch));
+
+		// update the params
+		weiBudgetPerEpoch = _weiBudgetPerEpoch;
+		mintBudgetPerEpoch = _mintBudgetPerEpoch;
+
+		// emit an event
+		emit BudgetsPerEpochUpdated(_weiBudgetPerEpoch, _mintBudgetPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to create a new tier, or to update the existing one
+	 *
+	 * @dev New tier is created if the tier ID is equal to `tierCount + 1`
+	 *
+	 * @dev Setting the epoch length (ETH limit) to zero makes the tier members
+	 *      use global epoch length (ETH limit)
+	 *
+	 * @param _tierId ID of the tier to update, or `tierCount + 1` to create a new one
+	 * @param _name tier name, required
+	 * @param _epochLength tier epoch length, seconds, zero to use global epoch length
+	 * @param _weiLimitPerEpoch tier ETH limit per epoch, wei, zero to use global limit
+	 */
+	function setTier(uint256 _tierId, string calldata _name, uint64 _epochLength, uint192 _weiLimitPerEpoch) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify the inputs
+		require(_tierId != 0 && _tierId <= tierCount + 1, "invalid tier");
+		require(bytes(_name).length != 0, "tier name not set");
+
+		// read the tier to update
+		Tier storage tier = tiers[_tierId];
+
+		// epoch length changes and limit increases of the existing tier are timelocked;
+		// zero tier limit means the tier members use global limit
+		_requireTimelock(_tierId <= tierCount && (
+			_epochLength != tier.epochLength
+			|| (_weiLimitPerEpoch != 0? _weiLimitPerEpoch: weiLimitPerEpoch)
+				> (tier.weiLimitPerEpoch != 0? tier.weiLimitPerEpoch: weiLimitPerEpoch)
+		));
+
+		// if tier doesn't exist yet, create it
+		if(_tierId > tierCount) {
+			tierCount++;
+		}
+
+		// update the tier
+		tier.name = _name;
+		tier.epochLength = _epochLength;
+		tier.weiLimitPerEpoch = _weiLimitPerEpoch;
+
+		// emit an event
+		emit TierUpdated(_tierId, _name, _epochLength, _weiLimitPerEpoch);
+	}
+
+	/**
+	 * @dev Restricted access function to assign the users to the tier,
+	 *      moves the users from the tier they belong to (if any)
+	 *
+	 * @dev Setting the tier ID to zero removes the users from their tiers
+	 *
+	 * @param _tierId ID of the tier to assign the users to, zero to remove the users from their tiers
+	 * @param _users user addresses to assign to the tier
+	 */
+	function setTierForUsers(uint256 _tierId, address[] calldata _users) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify the tier exists
+		require(_tierId <= tierCount, "invalid tier");
+
+		// iterate the users
+		for(uint256 i = 0; i < _users.length; i++) {
+			// read the user address
+			address user = _users[i];
+
+			// verify user address is set
+			_requireUserAddress(user);
+
+			// read the actual user limit and epoch length before the move
+			uint192 oldLimit = weiLimitPerEpochForUser(user);
+			uint64 oldEpochLength = epochLengthForUser(user);
+
+			// move the user from the tier it belongs to (if any) to the new tier (if any), emit an event
+			FaucetLibV1.setUserTier(userTiers, tierMembers, tierMemberIndexes, user, _tierId);
+
+			// actual user limit increases and epoch length changes are timelocked
+			_requireTimelock(weiLimitPerEpochForUser(user) > oldLimit || epochLengthForUser(user) != oldEpochLength);
+		}
+	}
+
+	/**
+	 * @dev Restricted access function to update the throttling mode,
+	 *      updates `throttlingMode` global param
+	 *
+	 * @dev The withdrawal stats recorded are kept and interpreted according to the new mode
+	 *
+	 * @param _mode new throttling mode, `THROTTLING_MODE_FIXED_EPOCH` or `THROTTLING_MODE_ROLLING_WINDOW`
+	 */
+	function setThrottlingMode(uint8 _mode) public {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify the mode is supported
+		require(_mode <= THROTTLING_MODE_ROLLING_WINDOW, "invalid throttling mode");
+
+		// update the param
+		throttlingMode = _mode;
+
+		// emit an event
+		emit ThrottlingModeUpdated(_mode);
+	}
+
+	/**
+	 * @notice Restricted access function to withdraw ETH from the faucet
+	 *
+	 * @param to an address to send ETH to, required
+	 * @param value amount of ETH to send, wei, required
+	 */
+	function withdrawEth(address payable to, uint192 value) public {
+		// verify the access permission
+		_requireUser(msg.sender);
+
+		// delegate to the internal implementation
+		_withdrawEth(msg.sender, to, value);
+	}
+
+	/**
+	 * @notice Withdraws ETH from the faucet on behalf of the faucet user,
+	 *      who signed the claim off-chain (EIP-712 typed data); can be executed by anyone
+	 *
+	 * @dev Allows the faucet user to fund an empty wallet: the claim is submitted
+	 *      by a relayer, which pays for gas
+	 *
+	 * @dev Signer must have `ROLE_FAUCET_USER` permission, signer throttling params apply
+	 *
+	 * @param to an address to send ETH to, required
+	 * @param value amount of ETH to send, wei, required
+	 * @param nonce claim nonce, must be equal to the current signer nonce `claimNonces`
+	 * @param deadline unix timestamp the claim is valid until
+	 * @param v the recovery byte of the signature
+	 * @param r half of the ECDSA signature pair
+	 * @param s half of the ECDSA signature pair
+	 */
+	function claimEth(
+		address payable to,
+		uint192 value,
+		uint256 nonce,
+		uint256 deadline,
+		uint8 v,
+		bytes32 r,
+		bytes32 s
+	) public {
+		// verify the claim is not expired
+		require(block.timestamp <= deadline, "signature expired");
+
+		// build the EIP-712 hashStruct of the claim
+		bytes32 hashStruct = keccak256(abi.encode(CLAIM_TYPEHASH, to, value, nonce, deadline));
+
+		// recover the address which signed the message with v, r, s
+		address signer = FaucetLibV1.recoverSigner(DOMAIN_SEPARATOR(), hashStruct, v, r, s);
+
+		// verify the signer has the permission to withdraw
+		_requireUser(signer);
+
+		// verify and update the nonce, protecting from the replay
+		require(nonce == claimNonces[signer]++, "invalid nonce");
+
+		// delegate to the internal implementation
+		_withdrawEth(signer, to, value);
+
+		// emit an event
+		emit ETHClaimed(signer, to, value, nonce);
+	}
+
+	/**
+	 * @dev Withdraws ETH from the faucet on behalf of the faucet user,
+	 *      applying the user (and recipient) throttling
+	 *
+	 * @dev Doesn't verify the access permission, the caller must verify it
+	 *
+	 * @param user faucet user address to withdraw ETH on behalf of
+	 * @param to an address to send ETH to, required
+	 * @param value amount of ETH to send, wei, required
+	 */
+	function _withdrawEth(address user, address payable to, uint192 value) internal {
+		// verify the faucet is not paused, and the inputs
+		_verifyWithdrawal(to, value);
+
+		// determine how much ETH user is allowed to withdraw in current epoch
+		uint192 allowance = weiLeftInEpochForUser(user);
+
+		// verify the request doesn't exceed the allowance
+		require(value <= allowance, "allowance exceeded");
+
+		// verify the request doesn't exceed recipient allowance
+		require(value <= weiLeftInEpochForRecipient(to), "recipient allowance exceeded");
+
+		// verify the request doesn't exceed faucet-wide budget
+		require(value <= weiBudgetLeftInEpoch(), "budget exceeded");
+
+		// verify the request doesn't exceed faucet balance
+		require(value <= address(this).balance, "balance exceeded");
+
+		// update user withdrawal stat
+		_recordWithdrawal(withdrawalStats[user], value, weiLimitPerEpochForUser(user), epochLengthForUser(user));
+
+		// if recipient-side throttling is enabled for the recipient
+		uint192 recipientLimit = weiLimitPerEpochForRecipient(to);
+		if(recipientLimit != 0) {
+			// update recipient withdrawal stat
+			_recordWithdrawal(recipientWithdrawalStats[to], value, recipientLimit, epochLength);
+		}
+
+		// if faucet-wide ETH budget is enabled
+		if(weiBudgetPerEpoch != 0) {
+			// update faucet-wide withdrawal stat
+			_recordWithdrawal(weiBudgetStat, value, weiBudgetPerEpoch, epochLength);
+		}
+
+		// send the ETH to the destination requested
+		to.transfer(value);
+
+		// emit an event
+		emit ETHWithdrawn(to, value);
+	}
+
+	/**
+	 * @notice Restricted access function to withdraw ERC20 tokens held by the faucet
+	 *
+	 * @dev Requires the token to be in the tokens registry (`tokenLimitPerEpoch`),
+	 *      throttles the amount withdrawn per user per epoch for each token
+	 *
+	 * @dev Uses safe transfer, reverts if the token transfer fails or returns false
+	 *
+	 * @param token ERC20 token address to withdraw, required
+	 * @param to an address to send tokens to, required
+	 * @param value amount of tokens to send, required
+	 */
+	function withdrawToken(address token, address to, uint192 value) public {
+		// verify the access permission
+		_requireUser(msg.sender);
+
+		// verify the faucet is not paused, and the inputs
+		_verifyWithdrawal(to, value);
+		_requireTokenAddress(token);
+
+		// verify the token is allowed
+		require(tokenLimitPerEpoch[token] != 0, "token not allowed");
+
+		// verify the request doesn't exceed the token allowance
+		require(value <= tokenLeftInEpochForUser(token, msg.sender), "token allowance exceeded");
+
+		// verify the request doesn't exceed faucet token balance
+		require(value <= IERC20Upgradeable(token).balanceOf(address(this)), "token balance exceeded");
+
+		// update user token withdrawal stat
+		_recordWithdrawal(tokenWithdrawalStats[token][msg.sender], value, tokenLimitPerEpochForUser(token, msg.sender), epochLength);
+
+		// send the tokens to the destination requested
+		FaucetLibV1.transferErc20(token, to, value);
+
+		// emit an event
+		emit TokenWithdrawn(token, to, value);
+	}
+
+	/**
+	 * @notice Restricted access function to mint ERC721 token on the allow-listed collection,
+	 *      or to transfer it from the faucet inventory
+	 *
+	 * @dev Minting proxies the request as `collection.mint(to, tokenId)`,
+	 *      transferring executes `collection.safeTransferFrom(faucet, to, tokenId)`
+	 *
+	 * @dev Requires the collection to be in the collections registry (`nftLimitPerEpoch`),
+	 *      counts as one NFT against the user limit
+	 *
+	 * @param collection ERC721 collection address, required
+	 * @param to an address to send (mint) the token to, required
+	 * @param tokenId ID of the token to mint or transfer
+	 * @param mint true to mint the token, false to transfer it from the faucet inventory
+	 */
+	function withdrawErc721(address collection, address to, uint256 tokenId, bool mint) public {
+		// verify and update the NFT allowance
+		_useNftAllowance(collection, to, 1);
+
+		// mint the token, or transfer it from the faucet inventory
+		FaucetLibV1.sendErc721(collection, to, tokenId, mint);
+
+		// emit an event
+		emit NftWithdrawn(collection, to, tokenId, 1, mint);
+	}
+
+	/**
+	 * @notice Restricted access function to mint ERC1155 tokens on the allow-listed collection,
+	 *      or to transfer them from the faucet inventory
+	 *
+	 * @dev Minting proxies the request as `collection.mint(to, id, amount, "")`,
+	 *      transferring executes `collection.safeTransferFrom(faucet, to, id, amount, "")`
+	 *
+	 * @dev Requires the collection to be in the collections registry (`nftLimitPerEpoch`),
+	 *      counts as `amount` NFTs against the user limit
+	 *
+	 * @param collection ERC1155 collection address, required
+	 * @param to an address to send (mint) the tokens to, required
+	 * @param id token type ID to mint or transfer
+	 * @param amount number of tokens to mint or transfer, required
+	 * @param mint true to mint the tokens, false to transfer them from the faucet inventory
+	 */
+	function withdrawErc1155(address collection, address to, uint256 id, uint192 amount, bool mint) public {
+		// verify and update the NFT allowance
+		_useNftAllowance(collection, to, amount);
+
+		// mint the tokens, or transfer them from the faucet inventory
+		FaucetLibV1.sendErc1155(collection, to, id, amount, mint);
+
+		// emit an event
+		emit NftWithdrawn(collection, to, id, amount, mint);
+	}
+
+	/**
+	 * @inheritdoc IERC721ReceiverUpgradeable
+	 *
+	 * @dev Accepts the ERC721 tokens into the faucet inventory
+	 */
+	function onERC721Received(address, address, uint256, bytes calldata) external pure override returns(bytes4) {
+		// accept the token
+		return this.onERC721Received.selector;
+	}
+
+	/**
+	 * @inheritdoc IERC1155ReceiverUpgradeable
+	 *
+	 * @dev Accepts the ERC1155 tokens into the faucet inventory
+	 */
+	function onERC1155Received(address, address, uint256, uint256, bytes calldata) external pure override returns(bytes4) {
+		// accept the tokens
+		return this.onERC1155Received.selector;
+	}
+
+	/**
+	 * @inheritdoc IERC1155ReceiverUpgradeable
+	 *
+	 * @dev Accepts the ERC1155 tokens into the faucet inventory
+	 */
+	function onERC1155BatchReceived(address, address, uint256[] calldata, uint256[] calldata, bytes calldata) external pure override returns(bytes4) {
+		// accept the tokens
+		return this.onERC1155BatchReceived.selector;
+	}
+
+	/**
+	 * @inheritdoc IERC165Upgradeable
+	 */
+	function supportsInterface(bytes4 interfaceId) external pure override returns(bool) {
+		// ERC165, ERC721 and ERC1155 receivers are supported
+		return interfaceId == type(IERC165Upgradeable).interfaceId
+			|| interfaceId == type(IERC721ReceiverUpgradeable).interfaceId
+			|| interfaceId == type(IERC1155ReceiverUpgradeable).interfaceId;
+	}
+
+	/**
+	 * @notice Bonus: a restricted access function to mint any ERC20 token
+	 *
+	 * @dev Proxies the request as `target.mint(to, value)`, and can be used
+	 *      to mint any "mintable" entity, that is having the `mint(address,uint256)`
+	 *      function available
+	 *
+	 * @dev Implicitly limits the value to the 192-bits space, effectively protecting
+	 *      target token contract from integer overflow
+	 *
+	 * @dev Requires executor to have `ROLE_FAUCET_USER` permission
+	 * @dev Requires target contract to be in the mint targets registry (`mintLimitPerEpoch`),
+	 *      throttles the amount minted per user per epoch for each target contract
+	 * @dev Requires Faucet to have the permission to execute `mint` function on the
+	 *      target contract (don't forget to setup it)
+	 *
+	 * @param target target smart contract address to invoke function call on, required
+	 * @param to an address to mint tokens to, required
+	 * @param value amount of tokens to mint, wei, required
+	 */
+	function mint(address target, address to, uint192 value) public {
+		// verify the access permission
+		_requireUser(msg.sender);
+
+		// verify the faucet is not paused, and the inputs
+		_verifyWithdrawal(to, value);
+		_requireTargetAddress(target);
+
+		// verify the target contract is allowed
+		require(isMintTargetAllowed(target), "target contract not allowed");
+
+		// verify the request doesn't exceed the mint allowance
+		require(value <= mintLeftInEpochForUser(target, msg.sender), "mint allowance exceeded");
+
+		// verify the request doesn't exceed faucet-wide mint budget
+		require(value <= mintBudgetLeftInEpoch(), "mint budget exceeded");
+
+		// update user mint stat
+		_recordWithdrawal(mintStats[target][msg.sender], value, mintLimitPerEpochForUser(target, msg.sender), epochLength);
+
+		// if faucet-wide mint budget is enabled
+		if(mintBudgetPerEpoch != 0) {
+			// update faucet-wide mint stat
+			_recordWithdrawal(mintBudgetStat, value, mintBudgetPerEpoch, epochLength);
+		}
+
+		// execute the mint via the low-level function call
+		FaucetLibV1.proxyMint(target, abi.encodeWithSignature("mint(address,uint256)", to, value), 81_000);
+
+		// emit an event
+		emit MintProxied(target, to, value);
+	}
+
+	/**
+	 * @dev Restricted access function to add faucet users in bulk mode
+	 *
+	 * @dev The access granted doesn't expire; resets the expiration time
+	 *      previously set via `addUsersWithExpiry`
+	 *
+	 * @param users user addresses to add
+	 */
+	function addUsers(address[] calldata users) public {
+		// delegate to the function granting the access which doesn't expire
+		addUsersWithExpiry(users, 0);
+	}
+
+	/**
+	 * @dev Restricted access function to add faucet users in bulk mode for a limited time
+	 *
+	 * @dev Once expired, the users are treated as not having `ROLE_FAUCET_USER` permission
+	 *      by `withdrawEth`, `claimEth`, `withdrawToken`, `withdrawErc721`, `withdrawErc1155`, and `mint`
+	 *
+	 * @param users user addresses to add
+	 * @param expiresAt access expiration time, unix timestamp; zero means the access doesn't expire
+	 */
+	function addUsersWithExpiry(address[] calldata users, uint64 expiresAt) public {
+		// verify the access permission, and the input array is set
+		_verifyUsersUpdate(users);
+
+		// process each user address individually
+		for(uint256 i = 0; i < users.length; i++) {
+			// and share `ROLE_FAUCET_USER` with it
+			_setUser(users[i], true, expiresAt);
+		}
+	}
+
+	/**
+	 * @dev Restricted access function to remove faucet users in bulk mode
+	 *
+	 * @dev Idempotent: removing the address which is not a faucet user doesn't change its role
+	 *
+	 * @param users user addresses to remove
+	 */
+	function removeUsers(address[] calldata users) public {
+		// verify the access permission, and the input array is set
+		_verifyUsersUpdate(users);
 
 		// process each user address individually
 		for(uint256 i = 0; i < users.length; i++) {
 			// and remove `ROLE_FAUCET_USER` from it
-			// calculate the role
-			uint256 role = getRole(users[i]) ^ ROLE_FAUCET_USER;
-			// set the calculated role
-			// execute via external call in order to use contract's self-permissions
-			this.updateRole(users[i], role);
+			_setUser(users[i], false, 0);
+		}
+	}
+
+	/**
+	 * @dev Restricted access function to add and remove faucet users in bulk mode,
+	 *      setting the faucet user membership explicitly for each address
+	 *
+	 * @param users user addresses to update
+	 * @param memberships true to add the user (grant `ROLE_FAUCET_USER`),
+	 *      false to remove the user (revoke `ROLE_FAUCET_USER`), for each address in `users`
+	 */
+	function setUsers(address[] calldata users, bool[] calldata memberships) public {
+		// verify the access permission, and the input arrays are set and are of the same length
+		_verifyUsersUpdate(users);
+		require(users.length == memberships.length, "array lengths mismatch");
+
+		// process each user address individually
+		for(uint256 i = 0; i < users.length; i++) {
+			// and share (remove) `ROLE_FAUCET_USER` with (from) it
+			_setUser(users[i], memberships[i], 0);
+		}
+	}
+
+	/**
+	 * @dev Verifies the sender has `ROLE_FAUCET_MANAGER` permission, and the users array is not empty
+	 *
+	 * @param users user addresses to verify
+	 */
+	function _verifyUsersUpdate(address[] calldata users) internal view {
+		// verify the access permission
+		_requireRole(ROLE_FAUCET_MANAGER);
+
+		// verify the input array is set
+		require(users.length != 0, "empty users array");
+	}
+
+	/**
+	 * @dev Grants (revokes) `ROLE_FAUCET_USER` to (from) the address, keeping the rest of its role intact,
+	 *      and updates the users and managers registry
+	 *
+	 * @dev Updates the access expiration time as well
+	 *
+	 * @param user user address to update
+	 * @param membership true to grant `ROLE_FAUCET_USER`, false to revoke it
+	 * @param expiresAt access expiration time, unix timestamp; zero means the access doesn't expire
+	 */
+	function _setUser(address user, bool membership, uint64 expiresAt) internal {
+		// calculate the role: set or clear `ROLE_FAUCET_USER` bit
+		uint256 role = getRole(user);
+		role = membership? role | ROLE_FAUCET_USER: role & ~ROLE_FAUCET_USER;
+		// set the calculated role
+		// execute via external call in order to use contract's self-permissions
+		this.updateRole(user, role);
+		// update the registry
+		_syncRole(user);
+
+		// update the expiration time if it changes, and emit an event
+		if(userAccessExpiries[user] != expiresAt) {
+			userAccessExpiries[user] = expiresAt;
+			emit UserAccessExpiryUpdated(user, expiresAt);
+		}
+	}
+
+	/**
+	 * @notice Synchronizes the users and managers registry with the actual roles of the operators
+	 *
+	 * @dev `updateRole` cannot be intercepted, and the roles updated via `updateRole` directly
+	 *      are not reflected in the registry until this function is executed for the operators updated
+	 *
+	 * @dev Unrestricted access function: it only mirrors the on-chain roles into the registry;
+	 *      can be used as well to register the users and managers which existed before the upgrade
+	 *
+	 * @param operators addresses to synchronize the registry for
+	 */
+	function syncRoles(address[] calldata operators) public {
+		// process each address individually
+		for(uint256 i = 0; i < operators.length; i++) {
+			// update the registry
+			_syncRole(operators[i]);
+		}
+	}
+
+	/**
+	 * @dev Adds the operator to (removes from) the users and managers registry,
+	 *      depending on the operator's actual role
+	 *
+	 * @dev The faucet itself (global features) is never registered
+	 *
+	 * @param operator address to synchronize the registry for
+	 */
+	function _syncRole(address operator) internal {
+		// the faucet itself holds the features, not the roles
+		if(operator == address(this)) {
+			return;
+		}
+
+		// add to or remove from the users and managers registry
+		FaucetLibV1.syncRole(
+			userRegistry,
+			managerRegistry,
+			operator,
+			isOperatorInRole(operator, ROLE_FAUCET_USER),
+			isOperatorInRole(operator, ROLE_FAUCET_MANAGER)
+		);
+	}
+
+	/**
+	 * @dev Verifies the faucet is not paused, recipient address and value are set
+	 *
+	 * @param to recipient address to verify
+	 * @param value value (amount) to verify
+	 */
+	function _verifyWithdrawal(address to, uint256 value) internal view {
+		// verify the faucet is not paused
+		require(!isPaused(), "faucet is paused");
+
+		// verify the inputs
+		require(to != address(0), "recipient not set");
+		require(value != 0, "value not set");
+	}
+
+	/**
+	 * @dev Verifies the sender has the role required, throws "access denied" otherwise
+	 *
+	 * @param required set of permissions (role) to check against
+	 */
+	function _requireRole(uint256 required) internal view {
+		// verify the access permission
+		require(isSenderInRole(required), "access denied");
+	}
+
+	/**
+	 * @dev Verifies the sender is the timelock (has `ROLE_TIMELOCK` permission) if the change is sensitive
+	 *      and `FEATURE_TIMELOCK` is enabled, throws "access denied" otherwise
+	 *
+	 * @param sensitive true if the change is sensitive (increases the limits, changes the epoch, upgrades)
+	 */
+	function _requireTimelock(bool sensitive) internal view {
+		// if the change is sensitive and the timelock is enabled
+		if(sensitive && isFeatureEnabled(FEATURE_TIMELOCK)) {
+			// verify the timelock permission
+			_requireRole(ROLE_TIMELOCK);
+		}
+	}
+
+	/**
+	 * @dev Checks if the throttling value (limit or budget) is increased;
+	 *      zero value means the throttling is disabled (unlimited)
+	 *
+	 * @param oldValue limit or budget value before the change
+	 * @param newValue limit or budget value after the change
+	 * @return true if the new value allows more than the old one
+	 */
+	function _isIncreased(uint192 oldValue, uint192 newValue) internal pure returns(bool) {
+		// zero (disabled throttling) wraps to the maximum value
+		unchecked {
+			return newValue - 1 > oldValue - 1;
+		}
+	}
+
+	/**
+	 * @inheritdoc UpgradeableAccessControlCore
+	 *
+	 * @dev Upgrades are timelocked if `FEATURE_TIMELOCK` is enabled
+	 */
+	function _authorizeUpgrade(address _newImplementation) internal override {
+		// verify the upgrade manager permission
+		super._authorizeUpgrade(_newImplementation);
+
+		// verify the timelock permission
+		_requireTimelock(true);
+	}
+
+	/**
+	 * @dev Verifies the user has `ROLE_FAUCET_USER` permission which is not expired,
+	 *      throws "access denied" otherwise
+	 *
+	 * @param user user address to verify
+	 */
+	function _requireUser(address user) internal view {
+		// verify the access permission, and its expiration time
+		require(isActiveUser(user), "access denied");
+	}
+
+	/**
+	 * @dev Verifies the user address is set (non-zero), throws "user address not set" otherwise
+	 *
+	 * @param user user address to verify
+	 */
+	function _requireUserAddress(address user) internal pure {
+		// verify user address is set
+		require(user != address(0), "user address not set");
+	}
+
+	/**
+	 * @dev Verifies the mint target contract address is set (non-zero), throws "target contract not set" otherwise
+	 *
+	 * @param target mint target contract address to verify
+	 */
+	function _requireTargetAddress(address target) internal pure {
+		// verify target address is set
+		require(target != address(0), "target contract not set");
+	}
+
+	/**
+	 * @dev Verifies the ERC20 token address is set (non-zero), throws "token address not set" otherwise
+	 *
+	 * @param token ERC20 token address to verify
+	 */
+	function _requireTokenAddress(address token) internal pure {
+		// verify token address is set
+		require(token != address(0), "token address not set");
+	}
+
+	/**
+	 * @dev Verifies the ERC721/ERC1155 collection address is set (non-zero), throws "collection address not set" otherwise
+	 *
+	 * @param collection ERC721/ERC1155 collection address to verify
+	 */
+	function _requireCollectionAddress(address collection) internal pure {
+		// verify collection address is set
+		require(collection != address(0), "collection address not set");
+	}
+
+	/**
+	 * @dev Checks if the expiration time is set and has passed
+	 *
+	 * @param expiresAt expiration time, unix timestamp; zero means no expiration
+	 * @return true if expired, false otherwise
+	 */
+	function _isExpired(uint64 expiresAt) internal view returns(bool) {
+		// zero expiration time means no expiration
+		return expiresAt != 0 && expiresAt <= block.timestamp;
+	}
+
+	/**
+	 * @dev Verifies the NFT withdrawal request and records it into the withdrawal stat
+	 *
+	 * @param collection ERC721/ERC1155 collection address, required
+	 * @param to an address to send (mint) the NFTs to, required
+	 * @param amount number of NFTs to withdraw, required
+	 */
+	function _useNftAllowance(address collection, address to, uint192 amount) internal {
+		// verify the access permission
+		_requireUser(msg.sender);
+
+		// verify the faucet is not paused, and the inputs
+		_verifyWithdrawal(to, amount);
+		_requireCollectionAddress(collection);
+
+		// verify the collection is allowed
+		require(nftLimitPerEpoch[collection] != 0, "collection not allowed");
+
+		// verify the request doesn't exceed the NFT allowance
+		require(amount <= nftLeftInEpochForUser(collection, msg.sender), "NFT allowance exceeded");
+
+		// update user NFT withdrawal stat
+		_recordWithdrawal(nftWithdrawalStats[collection][msg.sender], amount, nftLimitPerEpochForUser(collection, msg.sender), epochLength);
+	}
+
+	/**
+	 * @dev Resolves the effective limit per epoch for a user: the override if it is set, the limit otherwise;
+	 *      zero limit means the asset (mint target, token, collection) is not allowed, and the override is ignored
+	 *
+	 * @param limit limit per epoch set for the asset, zero if the asset is not allowed
+	 * @param overridden limit per epoch override set for the user, zero if not set
+	 * @return effective limit per epoch for the user
+	 */
+	function _limitPerEpochForUser(uint192 limit, uint192 overridden) internal pure returns(uint192) {
+		// not allowed asset has no limit, otherwise the override takes precedence (if set)
+		return limit == 0 || overridden == 0? limit: overridden;
+	}
+
+	/**
+	 * @dev Calculates the amount left in the current epoch, doesn't underflow
+	 *      if the limit was decreased after the withdrawal
+	 *
+	 * @param limit limit per epoch
+	 * @param withdrawn amount withdrawn in current epoch
+	 * @return amount left in current epoch, zero if the limit is exceeded
+	 */
+	function _leftInEpoch(uint192 limit, uint192 withdrawn) internal pure returns(uint192) {
+		// don't underflow
+		return withdrawn < limit? limit - withdrawn: 0;
+	}
+
+	/**
+	 * @dev Reads the faucet-wide budget left in the current epoch from the budget stat
+	 *
+	 * @param stat budget stat to read
+	 * @param budget budget per epoch, zero if disabled
+	 * @return budget left in current epoch, maximum possible value if budget is disabled
+	 */
+	function _budgetLeftInEpoch(WithdrawalStat memory stat, uint192 budget) internal view returns(uint192) {
+		// if the budget is not set, it is disabled
+		if(budget == 0) {
+			return type(uint192).max;
+		}
+
+		// read the amount used
+		uint192 used = _withdrawnInCurrentEpoch(stat, budget, epochLength);
+
+		// the budget could have been decreased after the withdrawal, don't underflow
+		return _leftInEpoch(budget, used);
+	}
+
+	/**
+	 * @dev Reads the amount withdrawn in the current epoch from the withdrawal stat
+	 *
+	 * @dev In the rolling window mode the amount withdrawn is restored continuously
+	 *      at the rate of `limit` per `period`, and the amount not yet restored is returned
+	 *
+	 * @param stat withdrawal stat to read
+	 * @param limit limit per epoch the stat is checked against, used in the rolling window mode
+	 * @param period epoch length the stat is checked against, seconds
+	 * @return amount withdrawn in current epoch, zero if the stat belongs to the past epoch
+	 */
+	function _withdrawnInCurrentEpoch(WithdrawalStat memory stat, uint192 limit, uint64 period) internal view returns(uint192) {
+		// in the rolling window mode
+		if(throttlingMode == THROTTLING_MODE_ROLLING_WINDOW) {
+			// calculate how much was restored since the last withdrawal
+			uint256 restored = (block.timestamp - stat.lastWithdrawalTimestamp) * limit / period;
+
+			// return the amount not yet restored, don't underflow
+			return restored < stat.weiWithdrawn? stat.weiWithdrawn - uint192(restored): 0;
+		}
+
+		// compare last withdrawal epoch number and current epoch number
+		// if last withdrawal epoch is in the past
+		if(stat.lastWithdrawalTimestamp / period < block.timestamp / period) {
+			// we didn't withdraw anything in current epoch, return zero
+			return 0;
+		}
+		// if last withdrawal epoch is the current one
+		else {
+			// return the stored wei value
+			return stat.weiWithdrawn;
 		}
 	}
 
+	/**
+	 * @dev Records the withdrawal into the withdrawal stat
+	 *
+	 * @param stat withdrawal stat to update
+	 * @param value amount withdrawn
+	 * @param limit limit per epoch the stat is checked against, used in the rolling window mode
+	 * @param period epoch length the stat is checked against, seconds
+	 */
+	function _recordWithdrawal(WithdrawalStat storage stat, uint192 value, uint192 limit, uint64 period) internal {
+		// update withdrawal stat: add the value to the amount withdrawn in current epoch
+		// (not yet restored in the rolling window mode), dropping the stat if it is too old
+		stat.weiWithdrawn = _withdrawnInCurrentEpoch(stat, limit, period) + value;
+
+		// update the last withdrawal timestamp
+		stat.lastWithdrawalTimestamp = uint64(block.timestamp);
+	}
+
 	/**
 	 * @dev Allow our dear valued users to send their ETH back
 	 */
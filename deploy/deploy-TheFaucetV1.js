@@ -28,6 +28,9 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 
 	// TheFaucetV1
 	{
+		// get the library deployment to link the implementation with
+		const {address: lib_address} = await deployments.get("FaucetLibV1");
+
 		// deploy implementation (v1) if required
 		await deployments.deploy("TheFaucetV1", {
 			// address (or private key) that will perform the transaction.
@@ -36,6 +39,10 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 			contract: "TheFaucetV1",
 			// the list of argument for the constructor (or the upgrade function in case of proxy)
 			// args: [],
+			// external libraries the implementation is linked with
+			libraries: {
+				FaucetLibV1: lib_address,
+			},
 			// if set it to true, will not attempt to deploy even if the contract deployed under the same name is different
 			skipIfAlreadyDeployed: true,
 			// if true, it will log the result of the deployment (tx hash, address and gas used)
@@ -57,3 +64,4 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 // and that tag is requested, the dependency will be executed first.
 // https://www.npmjs.com/package/hardhat-deploy#deploy-scripts-tags-and-dependencies
 module.exports.tags = ["TheFaucetV1", "deploy", "v1_0"];
+module.exports.dependencies = ["FaucetLibV1"];
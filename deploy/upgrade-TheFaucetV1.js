@@ -1,4 +1,6 @@
 // upgrade: npx hardhat deploy --network sepolia --tags upgrade-TheFaucetV1
+// the upgrade is sent (queued via the timelock) from the deployment account, or from UPGRADE_MANAGER env variable
+// address if set: the account must be available to sign with (upgrade:rehearse sets it to the impersonated manager)
 
 // script is built for hardhat-deploy plugin:
 // A Hardhat Plugin For Replicable Deployments And Easy Testing
@@ -10,13 +12,25 @@ const {
 	print_contract_details,
 } = require("@lazy-sol/a-missing-gem/deployment_utils");
 
+// storage layout snapshots, upgrade safety check
+const {
+	verify_deployment_layout,
+} = require("../scripts/include/storage_layout");
+
+// ACL features and roles
+const {
+	FEATURE_TIMELOCK,
+} = require("../scripts/include/features_roles");
+
 // to be picked up and executed by hardhat-deploy plugin
 module.exports = async function({deployments, getChainId, getNamedAccounts, getUnnamedAccounts}) {
 	// print some useful info on the account we're using for the deployment
 	const chainId = await getChainId();
 	const accounts = await web3.eth.getAccounts();
-	// do not use the default account for tests
-	const A0 = network.name === "hardhat"? accounts[1]: accounts[0];
+	// do not use the default account for tests; the upgrade manager account overrides the deployment one
+	const A0 = process.env.UPGRADE_MANAGER
+		? web3.utils.toChecksumAddress(process.env.UPGRADE_MANAGER)
+		: network.name === "hardhat"? accounts[1]: accounts[0];
 	const nonce = await web3.eth.getTransactionCount(A0);
 	const balance = await web3.eth.getBalance(A0);
 
@@ -43,11 +57,47 @@ module.exports = async function({deployments, getChainId, getNamedAccounts, getU
 
 		// check if upgrade is not yet done
 		if(implementation_address !== web3.utils.toChecksumAddress(v1_deployment.address)) {
+			// verify the new implementation doesn't break the storage of the versions deployed (storage_layouts)
+			await verify_deployment_layout(deployments, "TheFaucetV1");
+
 			// prepare the upgradeTo call bytes
 			const proxy_upgrade_data = v1_contract.methods.upgradeTo(v1_deployment.address).encodeABI();
 
+			// upgrades are accepted from the timelock only if the timelock is enabled: queue the upgrade there
+			if(await proxy_contract.methods.isFeatureEnabled(FEATURE_TIMELOCK).call()) {
+				const timelock_deployment = await deployments.getOrNull("FaucetTimelock_Proxy");
+				if(!timelock_deployment) {
+					throw new Error(
+						"FEATURE_TIMELOCK is enabled on TheFaucet_Proxy, the upgrade must be queued via FaucetTimelock_Proxy, "
+						+ `but it is not deployed on ${network.name}`
+					);
+				}
+				const {abi} = await deployments.get("FaucetTimelockV1");
+				const timelock_contract = new web3.eth.Contract(abi, timelock_deployment.address);
+
+				// do not queue the same upgrade twice if the script is re-run during the delay
+				const pending_count = await timelock_contract.methods.pendingOperationCount().call();
+				for(const id of await timelock_contract.methods.getPendingOperations(0, pending_count).call()) {
+					const {data, eta} = await timelock_contract.methods.operations(id).call();
+					if(data === proxy_upgrade_data) {
+						console.log("TheFaucet_Proxy.upgradeTo(%o) is already queued as operation %o, ETA %o", v1_deployment.address, id, eta);
+						return;
+					}
+				}
+
+				// queue the upgradeTo call, it is executed by the faucet manager once the delay passes
+				const receipt = await timelock_contract.methods.queueOperation(proxy_upgrade_data).send({from: A0});
+				const {operationId, eta} = receipt.events.OperationQueued.returnValues;
+				console.log(
+					"FaucetTimelock_Proxy.queueOperation(upgradeTo(%o)): %o, operation %o, ETA %o",
+					v1_deployment.address, receipt.transactionHash, operationId, eta
+				);
+				console.log("execute it once the delay passes: npx hardhat faucet:execute-operation --network %s %s", network.name, operationId);
+				return;
+			}
+
 			// update the implementation address in the proxy
-			const receipt = await deployments.rawTx({
+			const receipt = await web3.eth.sendTransaction({
 				from: A0,
 				to: proxy_deployment.address,
 				data: proxy_upgrade_data, // upgradeTo(v1_deployment.address)
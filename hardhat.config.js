@@ -93,6 +93,32 @@ require("hardhat-dependency-compiler");
 // https://www.npmjs.com/package/hardhat-deploy
 require("hardhat-deploy");
 
+// faucet administration tasks:
+// faucet:add-users, faucet:remove-users, faucet:set-limit, faucet:status
+require("./tasks/faucet_admin");
+// faucet users synchronization with the team roster file: faucet:sync-users
+require("./tasks/faucet_roster");
+// off-chain faucet indexer: faucet:index
+require("./tasks/faucet_indexer");
+// faucet relayer HTTP service submitting the signed claims: faucet:relay
+require("./tasks/faucet_relayer");
+// faucet auto-refill watcher topping up the faucets from the treasury: faucet:refill
+require("./tasks/faucet_refill");
+// multi-network faucet dashboard report: faucet:report
+require("./tasks/faucet_report");
+// over-limit withdrawal requests administration: faucet:requests, faucet:approve-request, faucet:reject-request
+require("./tasks/faucet_requests");
+// timelocked faucet operations review and administration: faucet:timelock, faucet:queue-operation, faucet:execute-operation, faucet:cancel-operation
+require("./tasks/faucet_timelock");
+// Merkle allow-list self-service onboarding: faucet:allowlist, faucet:allowlist-claim
+require("./tasks/faucet_allowlist");
+// public tier (proof-of-work) claims: faucet:public, faucet:public-claim
+require("./tasks/faucet_public");
+// upgrade safety: storage layout snapshots and compatibility check: storage:snapshot, storage:check
+require("./tasks/storage_layout");
+// upgrade rehearsal on a forked network (or a state dump): upgrade:rehearse, upgrade:capture-state
+require("./tasks/upgrade_rehearsal");
+
 // automatically generate TypeScript bindings for smart contracts while using Hardhat
 // TypeScript bindings help IDEs to properly recognize compiled contracts' ABIs
 // https://github.com/dethcrypto/TypeChain/tree/master/packages/hardhat
@@ -100,6 +126,9 @@ require("hardhat-deploy");
 // run: npx hardhat typechain
 // require("@typechain/hardhat");
 
+// JSON-RPC endpoint resolution by the network name, shared with the faucet CLI (bin/faucet)
+const {get_endpoint_url} = require("./scripts/include/network_utils");
+
 // verify environment setup, display warning if required, replace missing values with fakes
 const FAKE_MNEMONIC = "test test test test test test test test test test test junk";
 if(!process.env.MNEMONIC1 && !process.env.P_KEY1) {
@@ -390,110 +419,6 @@ module.exports = {
 	},
 }
 
-/**
- * Determines a JSON-RPC endpoint to use to connect to the node
- * based on the requested network name and environment variables set
- *
- * Tries to use custom RPC URL first (MAINNET_RPC_URL/ROPSTEN_RPC_URL/RINKEBY_RPC_URL/KOVAN_RPC_URL)
- * Tries to use alchemy RPC URL next (if ALCHEMY_KEY is set)
- * Fallbacks to infura RPC URL
- *
- * @param network_name one of mainnet/ropsten/rinkeby/kovan
- * @return JSON-RPC endpoint URL
- */
-function get_endpoint_url(network_name) {
-	// try custom RPC endpoint first (private node, quicknode, etc.)
-	// create a quicknode key: https://www.quicknode.com/
-	if(process.env.MAINNET_RPC_URL && network_name === "mainnet") {
-		return process.env.MAINNET_RPC_URL;
-	}
-	if(process.env.ROPSTEN_RPC_URL && network_name === "ropsten") {
-		return process.env.ROPSTEN_RPC_URL;
-	}
-	if(process.env.RINKEBY_RPC_URL && network_name === "rinkeby") {
-		return process.env.RINKEBY_RPC_URL;
-	}
-	if(process.env.KOVAN_RPC_URL && network_name === "kovan") {
-		return process.env.KOVAN_RPC_URL;
-	}
-	if(process.env.GOERLI_RPC_URL && network_name === "goerli") {
-		return process.env.GOERLI_RPC_URL;
-	}
-	if(process.env.SEPOLIA_RPC_URL && network_name === "sepolia") {
-		return process.env.SEPOLIA_RPC_URL;
-	}
-	if(process.env.POLYGON_RPC_URL && network_name === "polygon") {
-		return process.env.POLYGON_RPC_URL;
-	}
-	if(process.env.MUMBAI_RPC_URL && network_name === "mumbai") {
-		return process.env.MUMBAI_RPC_URL;
-	}
-	if(process.env.BSC_RPC_URL && network_name === "binance") {
-		return process.env.BSC_RPC_URL;
-	}
-	if(process.env.BSC_TESTNET_RPC_URL && network_name === "binance_testnet") {
-		return process.env.BSC_TESTNET_RPC_URL;
-	}
-	if(process.env.BASE_RPC_URL && network_name === "base_mainnet") {
-		return process.env.BASE_RPC_URL;
-	}
-	if(process.env.BASE_GOERLI_RPC_URL && network_name === "base_goerli") {
-		return process.env.BASE_GOERLI_RPC_URL;
-	}
-	if(process.env.BASE_SEPOLIA_RPC_URL && network_name === "base_sepolia") {
-		return process.env.BASE_SEPOLIA_RPC_URL;
-	}
-
-	// try the alchemy next
-	// create a key: https://www.alchemy.com/
-	if(process.env.ALCHEMY_KEY) {
-		switch(network_name) {
-			case "mainnet": return "https://eth-mainnet.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
-			case "ropsten": return "https://eth-ropsten.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
-			case "rinkeby": return "https://eth-rinkeby.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
-			case "kovan": return "https://eth-kovan.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
-			case "goerli": return "https://eth-goerli.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
-			case "sepolia": return "https://eth-sepolia.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
-			case "polygon": return "https://polygon-mainnet.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
-			case "mumbai": return "https://polygon-mumbai.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
-			case "base_mainnet": return "https://base-mainnet.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
-			case "base_goerli": return "https://base-goerli.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
-			case "base_sepolia": return "https://base-sepolia.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
-		}
-	}
-
-	// fallback to infura
-	// create a key: https://infura.io/
-	if(process.env.INFURA_KEY) {
-		switch(network_name) {
-			case "mainnet": return "https://mainnet.infura.io/v3/" + process.env.INFURA_KEY;
-			case "ropsten": return "https://ropsten.infura.io/v3/" + process.env.INFURA_KEY;
-			case "rinkeby": return "https://rinkeby.infura.io/v3/" + process.env.INFURA_KEY;
-			case "kovan": return "https://kovan.infura.io/v3/" + process.env.INFURA_KEY;
-			case "goerli": return "https://goerli.infura.io/v3/" + process.env.INFURA_KEY;
-			case "sepolia": return "https://sepolia.infura.io/v3/" + process.env.INFURA_KEY;
-			case "polygon": return "https://polygon-mainnet.infura.io/v3/" + process.env.INFURA_KEY;
-			case "mumbai": return "https://polygon-mumbai.infura.io/v3/" + process.env.INFURA_KEY;
-		}
-	}
-
-	// some networks don't require API key
-	switch(network_name) {
-		case "polygon": return "https://polygon-rpc.com/";
-		case "mumbai": return "https://rpc-mumbai.maticvigil.com";
-		case "binance": return "https://bsc-dataseed1.binance.org/";
-		case "binance_testnet":  return "https://data-seed-prebsc-1-s3.binance.org:8545/";
-		case "opBnb": return "https://opbnb-mainnet.nodereal.io/v1/64a9df0874fb4a93b9d0a3849de012d3";
-		case "opBnb_testnet": return "https://opbnb-testnet.nodereal.io/v1/9989d39cb7484ee9abcec2132a242315";
-		case "base_mainnet": return "https://mainnet.base.org";
-		case "base_goerli": return "https://goerli.base.org";
-		case "base_sepolia": return "https://sepolia.base.org";
-	}
-
-	// fallback to default JSON_RPC_URL (if set)
-	return process.env.JSON_RPC_URL || "";
-}
-
 /**
  * Depending on which of the inputs are available (private key or mnemonic),
  * constructs an account object for use in the hardhat config
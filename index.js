@@ -0,0 +1,578 @@
+// The Faucet JS SDK: resolves The Faucet deployed to the network (deployments folder), and wraps
+// the most used faucet functions, taking care of the ABI encoding, amounts parsing, and revert reasons decoding;
+// works with both web3 (1.x) instances and ethers (v5/v6) providers and signers
+
+const fs = require("fs");
+const path = require("path");
+
+// web3 is used for the ABI encoding and BN handling only, the transport is the provider supplied
+const Web3 = require("web3");
+const {BN, isAddress, keccak256, toBN, toChecksumAddress, toWei} = Web3.utils;
+const abi_coder = new Web3().eth.abi;
+
+// deployments bundled with the package
+const DEPLOYMENTS_DIR = path.join(__dirname, "deployments");
+
+/**
+ * Base error for the faucet reverts, carries the revert reason (or the custom error signature);
+ * the arguments validated off-chain throw `InvalidArgumentError` having no reason
+ */
+class FaucetError extends Error {
+	/**
+	 * @param message error message
+	 * @param reason revert reason string, like "access denied", or custom error signature, like "AccessDenied()"
+	 * @param cause the original provider error
+	 */
+	constructor(message, {reason, cause} = {}) {
+		super(message);
+		this.name = this.constructor.name;
+		this.reason = reason;
+		this.cause = cause;
+	}
+}
+
+/**
+ * The sender doesn't have the permission required: not a faucet user, not a faucet manager, etc.
+ */
+class AccessDeniedError extends FaucetError {}
+
+/**
+ * The request exceeds the user (or recipient) allowance in current epoch
+ */
+class AllowanceExceededError extends FaucetError {}
+
+/**
+ * The request exceeds the faucet-wide budget in current epoch
+ */
+class BudgetExceededError extends FaucetError {}
+
+/**
+ * The faucet doesn't hold enough ETH (tokens) to fulfill the request
+ */
+class BalanceExceededError extends FaucetError {}
+
+/**
+ * The faucet is paused (emergency pause), all the withdrawals and mints are blocked
+ */
+class FaucetPausedError extends FaucetError {}
+
+/**
+ * The token (mint target, NFT collection) is not allow-listed on the faucet
+ */
+class NotAllowedError extends FaucetError {}
+
+/**
+ * The function arguments are invalid: address or value not set, arrays mismatch, etc.
+ */
+class InvalidArgumentError extends FaucetError {}
+
+// maps the faucet revert reasons to the error classes, the reasons not listed map to `FaucetError`
+const REVERT_REASONS = {
+	"access denied": AccessDeniedError,
+	"AccessDenied()": AccessDeniedError,
+	"allowance exceeded": AllowanceExceededError,
+	"recipient allowance exceeded": AllowanceExceededError,
+	"mint allowance exceeded": AllowanceExceededError,
+	"token allowance exceeded": AllowanceExceededError,
+	"NFT allowance exceeded": AllowanceExceededError,
+	"budget exceeded": BudgetExceededError,
+	"mint budget exceeded": BudgetExceededError,
+	"balance exceeded": BalanceExceededError,
+	"token balance exceeded": BalanceExceededError,
+	"faucet is paused": FaucetPausedError,
+	"target contract not allowed": NotAllowedError,
+	"token not allowed": NotAllowedError,
+	"collection not allowed": NotAllowedError,
+	"array lengths mismatch": InvalidArgumentError,
+	"empty users array": InvalidArgumentError,
+	"invalid nonce": InvalidArgumentError,
+	"invalid throttling mode": InvalidArgumentError,
+	"invalid tier": InvalidArgumentError,
+	"signature expired": InvalidArgumentError,
+};
+
+// `Error(string)` selector, used by `require(condition, "reason")`
+const ERROR_SELECTOR = "0x08c379a0";
+
+// custom errors the faucet (its access control) can revert with, maps `selector => signature`
+const CUSTOM_ERRORS = Object.fromEntries(["AccessDenied()"].map(signature => [keccak256(signature).slice(0, 10), signature]));
+
+/**
+ * Decodes the revert reason from the provider error: looks for the revert data in the error
+ * (web3 and ethers put it into the different places), and falls back to parsing the error message
+ *
+ * @param error provider error thrown by the call or transaction
+ * @return revert reason string, custom error signature, or undefined if the error is not a revert
+ */
+function decode_revert(error) {
+	// look for the revert data (hex string) recursively, checking the `data` and nested `error`, `info`, `cause` fields
+	const find_data = (e, depth = 0) => {
+		if(!e || typeof e !== "object" || depth > 4) {
+			return undefined;
+		}
+		if(typeof e.data === "string" && /^0x[0-9a-fA-F]{8}/.test(e.data)) {
+			return e.data;
+		}
+		for(const key of ["data", "error", "info", "cause"]) {
+			const data = find_data(e[key], depth + 1);
+			if(data) {
+				return data;
+			}
+		}
+		return undefined;
+	};
+
+	const data = find_data(error);
+	if(data && data.startsWith(ERROR_SELECTOR)) {
+		return abi_coder.decodeParameter("string", "0x" + data.slice(10));
+	}
+	if(data && CUSTOM_ERRORS[data.slice(0, 10)]) {
+		return CUSTOM_ERRORS[data.slice(0, 10)];
+	}
+
+	// hardhat, geth, and ethers error message formats
+	const match = /reverted with (?:reason string|custom error) '([^']*)'/.exec(error.message)
+		|| /reason="([^"]*)"/.exec(error.message)
+		|| /execution reverted: "?([^"\n]+)"?/.exec(error.message);
+	return match? match[1]: undefined;
+}
+
+/**
+ * Converts the provider error into the faucet error if the error is a faucet revert
+ *
+ * @param error provider error thrown by the call or transaction
+ * @return FaucetError subclass instance for the reverts, the original error otherwise
+ */
+function to_faucet_error(error) {
+	const reason = decode_revert(error);
+	if(reason === undefined) {
+		return error;
+	}
+	// the rest of "... not set" reasons are the arguments errors as well
+	const ErrorClass = REVERT_REASONS[reason] || (/ not set$/.test(reason)? InvalidArgumentError: FaucetError);
+	return new ErrorClass(`faucet reverted: ${reason}`, {reason, cause: error});
+}
+
+/**
+ * Parses the amount into BN (wei)
+ *
+ * @example "0.5 ether", "100 gwei", "1000", 1000, 1000n, new BN(1000)
+ *
+ * @param amount amount to parse: BN, bigint, number, or a string with an optional unit (wei is the default unit)
+ * @return BN amount in wei
+ */
+function parse_amount(amount) {
+	if(BN.isBN(amount)) {
+		return amount;
+	}
+	if(typeof amount === "bigint" || typeof amount === "number") {
+		return toBN(amount.toString());
+	}
+
+	// split the input into the value and the unit
+	const match = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*([a-zA-Z]*)\s*$/.exec(amount + "");
+	if(!match) {
+		throw new InvalidArgumentError(`malformed amount ${amount}, expected "<value> [unit]", for example "0.5 ether"`);
+	}
+	const [, value, unit] = match;
+
+	// delegate the unit conversion to web3
+	return toBN(toWei(value, (unit || "wei").toLowerCase()));
+}
+
+/**
+ * Verifies and checksums the address
+ *
+ * @param address address to verify
+ * @return checksummed address
+ */
+function parse_address(address) {
+	if(!isAddress(address)) {
+		throw new InvalidArgumentError(`invalid address ${address}`);
+	}
+	return toChecksumAddress(address);
+}
+
+/**
+ * Reads The Faucet deployment from the deployments folder: the proxy address, and the implementation ABI
+ *
+ * @param network network name, like "sepolia"
+ * @param deploymentsDir deployments folder path, optional, defaults to the deployments bundled with the package
+ * @return {network, chainId, address, abi, blockNumber} where `blockNumber` is the proxy deployment block, if known
+ */
+function load_deployment(network, deploymentsDir = DEPLOYMENTS_DIR) {
+	const dir = path.join(deploymentsDir, network);
+	const proxy_path = path.join(dir, "TheFaucet_Proxy.json");
+	if(!fs.existsSync(proxy_path)) {
+		throw new Error(`faucet is not deployed on ${network}: ${proxy_path} doesn't exist`);
+	}
+	const {address, receipt} = JSON.parse(fs.readFileSync(proxy_path, "utf8"));
+	const {abi} = JSON.parse(fs.readFileSync(path.join(dir, "TheFaucetV1.json"), "utf8"));
+	const chain_id_path = path.join(dir, ".chainId");
+	const chainId = fs.existsSync(chain_id_path)? fs.readFileSync(chain_id_path, "utf8").trim(): undefined;
+	return {network, chainId, address, abi, blockNumber: receipt && receipt.blockNumber};
+}
+
+/**
+ * Finds the network having The Faucet deployed by the chain ID
+ *
+ * @param chainId chain ID to look for
+ * @param deploymentsDir deployments folder path, optional, defaults to the deployments bundled with the package
+ * @return network name, or undefined if the faucet is not deployed to the chain
+ */
+function find_network(chainId, deploymentsDir = DEPLOYMENTS_DIR) {
+	if(!fs.existsSync(deploymentsDir)) {
+		return undefined;
+	}
+	return fs.readdirSync(deploymentsDir).find(name => {
+		const chain_id_path = path.join(deploymentsDir, name, ".chainId");
+		return fs.existsSync(chain_id_path) && fs.readFileSync(chain_id_path, "utf8").trim() === chainId + "";
+	});
+}
+
+/**
+ * Creates the transport for the provider: web3 instance, or ethers provider (read only) or signer
+ *
+ * @param provider web3 instance, or ethers provider or signer
+ * @param from web3 account to send the transactions from, optional (the first account by default)
+ * @return {chainId(), sender(), getBalance(address), blockNumber(), getLogs(filter), call(tx), send(tx)}
+ *      where `send` resolves to the mined receipt
+ */
+function create_transport(provider, from) {
+	// web3
+	if(provider && provider.eth && typeof provider.eth.call === "function") {
+		const web3 = provider;
+		const sender = async() => from || (await web3.eth.getAccounts())[0];
+		return {
+			chainId: async() => (await web3.eth.getChainId()) + "",
+			sender,
+			getBalance: async(address) => toBN(await web3.eth.getBalance(address)),
+			blockNumber: async() => Number(await web3.eth.getBlockNumber()),
+			getLogs: async(filter) => await web3.eth.getPastLogs(filter),
+			call: async(tx) => await web3.eth.call({from: await sender(), ...tx}),
+			// gas is estimated explicitly: the accounts added to the web3 wallet sign the transactions locally, and require it
+			send: async(tx) => {
+				const from = await sender();
+				return await web3.eth.sendTransaction({from, gas: await web3.eth.estimateGas({from, ...tx}), ...tx});
+			},
+		};
+	}
+
+	// ethers: signer has `sendTransaction`, provider has `getNetwork`
+	if(provider && (typeof provider.sendTransaction === "function" || typeof provider.getNetwork === "function")) {
+		const signer = typeof provider.sendTransaction === "function"? provider: undefined;
+		const reader = signer && signer.provider || provider;
+		const sender = async() => {
+			if(!signer) {
+				throw new Error("ethers signer is required to send the transactions, provider is read only");
+			}
+			return await signer.getAddress();
+		};
+		return {
+			chainId: async() => (await reader.getNetwork()).chainId.toString(),
+			sender,
+			getBalance: async(address) => toBN((await reader.getBalance(address)).toString()),
+			blockNumber: async() => Number(await reader.getBlockNumber()),
+			getLogs: async(filter) => await reader.getLogs(filter),
+			// signer adds the `from` field to the call
+			call: async(tx) => await (signer || reader).call(tx),
+			send: async(tx) => await (await signer.sendTransaction(tx)).wait(),
+		};
+	}
+
+	throw new Error("unsupported provider: web3 instance, or ethers provider or signer expected");
+}
+
+/**
+ * The Faucet client, wraps the faucet functions; amounts are returned as BN (wei),
+ * and accepted as BN, bigint, number, or a string like "0.5 ether"
+ *
+ * The transactions are simulated (eth_call) before being sent, so that the reverts are thrown as
+ * the `FaucetError` subclasses before spending any gas
+ */
+class TheFaucet {
+	/**
+	 * @param provider web3 instance, or ethers provider or signer
+	 * @param address The Faucet (proxy) address
+	 * @param abi TheFaucetV1 ABI
+	 * @param from web3 account to send the transactions from, optional (the first account by default)
+	 * @param network network name, optional, informational
+	 * @param fromBlock The Faucet (proxy) deployment block, optional, used to look up the events
+	 */
+	constructor({provider, address, abi, from, network, fromBlock = 0}) {
+		this.address = parse_address(address);
+		this.abi = abi;
+		this.network = network;
+		this.fromBlock = fromBlock;
+		this.transport = create_transport(provider, from && parse_address(from));
+	}
+
+	/**
+	 * Connects to The Faucet deployed to the network the provider is connected to
+	 *
+	 * @param provider web3 instance, or ethers provider or signer
+	 * @param network network name, optional, resolved by the provider chain ID if not set
+	 * @param deploymentsDir deployments folder path, optional, defaults to the deployments bundled with the package
+	 * @param from web3 account to send the transactions from, optional (the first account by default)
+	 * @return TheFaucet instance
+	 */
+	static async connect(provider, {network, deploymentsDir = DEPLOYMENTS_DIR, from} = {}) {
+		if(!network) {
+			const chainId = await create_transport(provider).chainId();
+			network = find_network(chainId, deploymentsDir);
+			if(!network) {
+				throw new Error(`faucet is not deployed to the chain ${chainId}`);
+			}
+		}
+		const {address, abi, blockNumber} = load_deployment(network, deploymentsDir);
+		return new TheFaucet({provider, address, abi, from, network, fromBlock: blockNumber});
+	}
+
+	/**
+	 * @return faucet ETH balance, BN (wei)
+	 */
+	async getBalance() {
+		return await this.transport.getBalance(this.address);
+	}
+
+	/**
+	 * @param user faucet user address
+	 * @return amount of ETH available for the user in current epoch, BN (wei)
+	 */
+	async getAllowance(user) {
+		return toBN(await this.call("weiLeftInEpochForUser", parse_address(user)));
+	}
+
+	/**
+	 * @param user faucet user address
+	 * @return ETH limit per epoch for the user, BN (wei)
+	 */
+	async getLimit(user) {
+		return toBN(await this.call("weiLimitPerEpochForUser", parse_address(user)));
+	}
+
+	/**
+	 * Checks if the address is a faucet user; the faucet versions supporting the user access expiration
+	 * (`isActiveUser`) treat the expired access as not granted
+	 *
+	 * @param user address to check
+	 * @return true if the address has `ROLE_FAUCET_USER` permission, and it is not expired
+	 */
+	async isUser(user) {
+		if(this.supports("isActiveUser", 1)) {
+			return await this.call("isActiveUser", parse_address(user));
+		}
+		return await this.call("isOperatorInRole", parse_address(user), await this.call("ROLE_FAUCET_USER"));
+	}
+
+	/**
+	 * Lists the faucet users from the faucet users registry; the faucet versions not having the registry
+	 * are scanned for the `RoleUpdated` events instead, starting from the faucet deployment block
+	 *
+	 * @param pageSize number of the users to read in one call, optional
+	 * @param chunkSize number of blocks to look up the events in at once, optional, limited by the JSON-RPC endpoints
+	 * @return array of the faucet user addresses
+	 */
+	async getUsers(pageSize = 100, chunkSize = 5_000) {
+		if(!this.supports("userCount", 0) || !this.supports("getUsers", 2)) {
+			return await this._getUsersFromEvents(chunkSize);
+		}
+		const count = parseInt(await this.call("userCount"));
+		const users = [];
+		for(let offset = 0; offset < count; offset += pageSize) {
+			users.push(...await this.call("getUsers", offset, pageSize));
+		}
+		return users;
+	}
+
+	/**
+	 * Withdraws ETH from the faucet, the sender must be a faucet user
+	 *
+	 * @param to an address to send ETH to
+	 * @param amount amount of ETH to send
+	 * @return transaction result {transactionHash, blockNumber, events}
+	 */
+	async withdraw(to, amount) {
+		return await this.send("withdrawEth", parse_address(to), parse_amount(amount));
+	}
+
+	/**
+	 * Mints the tokens via the faucet, the sender must be a faucet user
+	 *
+	 * @param token token (mint target) address, must be allow-listed on the faucet
+	 * @param to an address to mint the tokens to
+	 * @param amount amount of tokens to mint
+	 * @return transaction result {transactionHash, blockNumber, events}
+	 */
+	async mint(token, to, amount) {
+		return await this.send("mint", parse_address(token), parse_address(to), parse_amount(amount));
+	}
+
+	/**
+	 * Adds the faucet users, the sender must be a faucet manager
+	 *
+	 * @param users array of the addresses to add
+	 * @return transaction result {transactionHash, blockNumber, events}
+	 */
+	async addUsers(users) {
+		return await this.send("addUsers", users.map(parse_address));
+	}
+
+	/**
+	 * Removes the faucet users, the sender must be a faucet manager
+	 *
+	 * @param users array of the addresses to remove
+	 * @return transaction result {transactionHash, blockNumber, events}
+	 */
+	async removeUsers(users) {
+		return await this.send("removeUsers", users.map(parse_address));
+	}
+
+	/**
+	 * Sets the ETH limit per epoch for the user, the sender must be a faucet manager
+	 *
+	 * @param user faucet user address
+	 * @param amount ETH limit per epoch, zero to use the global limit
+	 * @return transaction result {transactionHash, blockNumber, events}
+	 */
+	async setLimit(user, amount) {
+		return await this.send("setWeiLimitPerEpochForUser", parse_address(user), parse_amount(amount));
+	}
+
+	/**
+	 * Calls the faucet view function
+	 *
+	 * @param method function name
+	 * @param args function arguments
+	 * @return decoded result: the value for a single output, the result object otherwise
+	 * @throws FaucetError if the call reverts
+	 */
+	async call(method, ...args) {
+		const fn = this._function(method, args);
+		let result;
+		try {
+			result = await this.transport.call({to: this.address, data: this._encode(fn, args)});
+		}
+		catch(e) {
+			throw to_faucet_error(e);
+		}
+		const decoded = abi_coder.decodeParameters(fn.outputs, result);
+		return fn.outputs.length === 1? decoded[0]: decoded;
+	}
+
+	/**
+	 * Sends the faucet function transaction, simulating it first
+	 *
+	 * @param method function name
+	 * @param args function arguments
+	 * @return transaction result {transactionHash, blockNumber, events}, events are decoded with the faucet ABI
+	 * @throws FaucetError if the transaction reverts
+	 */
+	async send(method, ...args) {
+		const fn = this._function(method, args);
+		const tx = {to: this.address, data: this._encode(fn, args)};
+		// fails early for the read-only providers
+		await this.transport.sender();
+		let receipt;
+		try {
+			await this.transport.call(tx);
+			receipt = await this.transport.send(tx);
+		}
+		catch(e) {
+			throw to_faucet_error(e);
+		}
+		return {
+			// web3 receipt field, ethers v5 receipt field, ethers v6 receipt field
+			transactionHash: receipt.transactionHash || receipt.hash,
+			blockNumber: Number(receipt.blockNumber),
+			events: this._decodeLogs(receipt.logs || []),
+		};
+	}
+
+	/**
+	 * Checks if the faucet deployed supports the function (the function is in the deployed ABI)
+	 *
+	 * @param method function name
+	 * @param argsLength number of the function arguments
+	 * @return true if the function is in the ABI
+	 */
+	supports(method, argsLength) {
+		return this.abi.some(e => e.type === "function" && e.name === method && e.inputs.length === argsLength);
+	}
+
+	// lists the faucet users by replaying the `RoleUpdated` events: the last role assigned wins
+	async _getUsersFromEvents(chunkSize) {
+		const event = this.abi.find(e => e.type === "event" && e.name === "RoleUpdated");
+		if(!event) {
+			throw new Error(`listing the users is not supported by the faucet deployed on ${this.network || this.address}`);
+		}
+		const role = toBN(await this.call("ROLE_FAUCET_USER"));
+		const topic = abi_coder.encodeEventSignature(event);
+		const latest = await this.transport.blockNumber();
+		const roles = new Map();
+		for(let fromBlock = Number(this.fromBlock); fromBlock <= latest; fromBlock += chunkSize) {
+			const toBlock = Math.min(fromBlock + chunkSize - 1, latest);
+			const logs = await this.transport.getLogs({address: this.address, topics: [topic], fromBlock, toBlock});
+			for(const log of logs) {
+				const {operator, assigned} = abi_coder.decodeLog(event.inputs, log.data, log.topics.slice(1));
+				roles.set(toChecksumAddress(operator), toBN(assigned));
+			}
+		}
+		// the faucet itself holds the features, not the roles
+		roles.delete(this.address);
+		return [...roles].filter(([, assigned]) => assigned.and(role).eq(role)).map(([operator]) => operator);
+	}
+
+	// finds the ABI function entry, verifying it exists in the deployed ABI
+	_function(method, args) {
+		const fn = this.abi.find(e => e.type === "function" && e.name === method && e.inputs.length === args.length);
+		if(!fn) {
+			throw new Error(`${method}(${args.length} argument(s)) is not supported by the faucet deployed on ${this.network || this.address}`);
+		}
+		return fn;
+	}
+
+	// encodes the function call data, converting BNs into decimal strings
+	_encode(fn, args) {
+		const values = args.map(arg => BN.isBN(arg)? arg.toString(10): arg);
+		return abi_coder.encodeFunctionSignature(fn) + abi_coder.encodeParameters(fn.inputs, values).slice(2);
+	}
+
+	// decodes the faucet events from the receipt logs, skipping the logs of other contracts and unknown events
+	_decodeLogs(logs) {
+		const events = [];
+		for(const log of logs) {
+			if(toChecksumAddress(log.address) !== this.address) {
+				continue;
+			}
+			const event = this.abi.find(e => e.type === "event" && abi_coder.encodeEventSignature(e) === log.topics[0]);
+			if(!event) {
+				continue;
+			}
+			const values = abi_coder.decodeLog(event.inputs, log.data, log.topics.slice(1));
+			// keep only named values, skip the numeric duplicates
+			const args = Object.fromEntries(Object.entries(values).filter(([key]) => isNaN(key) && key !== "__length__"));
+			events.push({event: event.name, args});
+		}
+		return events;
+	}
+}
+
+// export public module API
+module.exports = {
+	TheFaucet,
+	FaucetError,
+	AccessDeniedError,
+	AllowanceExceededError,
+	BudgetExceededError,
+	BalanceExceededError,
+	FaucetPausedError,
+	NotAllowedError,
+	InvalidArgumentError,
+	decode_revert,
+	to_faucet_error,
+	parse_amount,
+	load_deployment,
+	find_network,
+	DEPLOYMENTS_DIR,
+}
@@ -0,0 +1,129 @@
+// Merkle allow-list helpers: build the allow-list tree from the roster (see `roster_utils.js`),
+// and the Merkle proofs for the allow-listed addresses, compatible with the FaucetAllowlistV1 contract:
+// leaves are double hashed keccak256(keccak256(abi.encode(address, uint192 limit))),
+// pairs are sorted before hashing (OpenZeppelin MerkleProof), and the odd node is promoted to the next layer
+// note: functions rely on the `web3` instance injected by hardhat into the global scope
+
+/**
+ * Calculates the allow-list tree leaf for the (address, limit) pair
+ *
+ * @param address allow-listed address
+ * @param limit ETH limit per epoch, wei (BN, string, or number), zero for the global faucet limit
+ * @return leaf, hex string
+ */
+function leaf_hash(address, limit = 0) {
+	const encoded = web3.eth.abi.encodeParameters(["address", "uint192"], [address, limit.toString()]);
+	return web3.utils.keccak256(web3.utils.keccak256(encoded));
+}
+
+/**
+ * Hashes the pair of the tree nodes, sorting them first
+ *
+ * @param a tree node, hex string
+ * @param b tree node, hex string
+ * @return parent tree node, hex string
+ */
+function hash_pair(a, b) {
+	const [left, right] = web3.utils.toBN(a).lt(web3.utils.toBN(b))? [a, b]: [b, a];
+	return web3.utils.keccak256("0x" + left.slice(2) + right.slice(2));
+}
+
+/**
+ * Builds the allow-list Merkle tree for the roster
+ *
+ * @param roster an array of {address, limit} entries, see `parse_roster`; limit is optional
+ * @return the tree {root, layers, entries}, where layers[0] are the sorted leaves, and the last layer is the root;
+ *      entries map the checksummed addresses to {address, limit, leaf}, limit is a decimal string (wei)
+ */
+function build_tree(roster) {
+	if(!roster.length) {
+		throw new Error("allow-list is empty");
+	}
+
+	const entries = {};
+	for(const {address, limit} of roster) {
+		const checksummed = web3.utils.toChecksumAddress(address);
+		if(entries[checksummed]) {
+			throw new Error(`duplicate address ${checksummed}`);
+		}
+		const value = (limit || 0).toString();
+		entries[checksummed] = {address: checksummed, limit: value, leaf: leaf_hash(checksummed, value)};
+	}
+
+	// sorted leaves make the tree (and the root) independent of the roster order
+	const layers = [Object.values(entries).map(e => e.leaf).sort()];
+	while(layers[layers.length - 1].length > 1) {
+		const layer = layers[layers.length - 1];
+		const next = [];
+		for(let i = 0; i < layer.length; i += 2) {
+			// the odd node is promoted to the next layer as is
+			next.push(i + 1 < layer.length? hash_pair(layer[i], layer[i + 1]): layer[i]);
+		}
+		layers.push(next);
+	}
+
+	return {root: layers[layers.length - 1][0], layers, entries};
+}
+
+/**
+ * Builds the Merkle proof for the allow-listed address
+ *
+ * @param tree allow-list tree, see `build_tree`
+ * @param address allow-listed address
+ * @return Merkle proof, an array of hex strings
+ */
+function get_proof(tree, address) {
+	const entry = tree.entries[web3.utils.toChecksumAddress(address)];
+	if(!entry) {
+		throw new Error(`${address} is not in the allow-list`);
+	}
+
+	const proof = [];
+	let index = tree.layers[0].indexOf(entry.leaf);
+	for(const layer of tree.layers.slice(0, -1)) {
+		const sibling = index % 2? index - 1: index + 1;
+		// the odd node has no sibling
+		if(sibling < layer.length) {
+			proof.push(layer[sibling]);
+		}
+		index = Math.floor(index / 2);
+	}
+	return proof;
+}
+
+/**
+ * Verifies the Merkle proof off-chain, the same way the FaucetAllowlistV1 contract does
+ *
+ * @param root Merkle root, hex string
+ * @param address allow-listed address
+ * @param limit ETH limit per epoch of the leaf, wei
+ * @param proof Merkle proof, an array of hex strings
+ * @return true if the proof is valid, false otherwise
+ */
+function verify_proof(root, address, limit, proof) {
+	return proof.reduce(hash_pair, leaf_hash(address, limit)) === root;
+}
+
+/**
+ * Builds the allow-list distribution file contents: the root and the proofs for all the addresses,
+ *      to be shared with the allow-listed users
+ *
+ * @param tree allow-list tree, see `build_tree`
+ * @return {root, claims}, where claims map the addresses to {limit, proof}
+ */
+function export_proofs(tree) {
+	const claims = {};
+	for(const {address, limit} of Object.values(tree.entries)) {
+		claims[address] = {limit, proof: get_proof(tree, address)};
+	}
+	return {root: tree.root, claims};
+}
+
+// export public module API
+module.exports = {
+	leaf_hash,
+	build_tree,
+	get_proof,
+	verify_proof,
+	export_proofs,
+}
@@ -0,0 +1,191 @@
+// EIP-712 claims helpers: build and sign the typed data for the faucet `claimEth` function
+
+// EIP-712 domain name, see `TheFaucetV1.DOMAIN_SEPARATOR`
+const DOMAIN_NAME = "TheFaucetV1";
+
+// EIP-712 types used in the claim typed data
+const CLAIM_TYPES = {
+	EIP712Domain: [
+		{name: "name", type: "string"},
+		{name: "chainId", type: "uint256"},
+		{name: "verifyingContract", type: "address"},
+	],
+	Claim: [
+		{name: "recipient", type: "address"},
+		{name: "value", type: "uint256"},
+		{name: "nonce", type: "uint256"},
+		{name: "deadline", type: "uint256"},
+	],
+};
+
+/**
+ * Builds the EIP-712 typed data for the claim, ready to be signed
+ * with `eth_signTypedData_v4`
+ *
+ * @param faucet_address faucet (proxy) address the claim is for
+ * @param chain_id chain ID the claim is for
+ * @param recipient an address to send ETH to
+ * @param value amount of ETH to send, wei (number, string or BN)
+ * @param nonce claim nonce, must be equal to the current signer nonce `claimNonces`
+ * @param deadline unix timestamp the claim is valid until
+ * @return EIP-712 typed data object
+ */
+function build_claim_typed_data({faucet_address, chain_id, recipient, value, nonce, deadline}) {
+	return {
+		types: CLAIM_TYPES,
+		domain: {
+			name: DOMAIN_NAME,
+			chainId: chain_id.toString(10),
+			verifyingContract: faucet_address,
+		},
+		primaryType: "Claim",
+		message: {
+			recipient,
+			value: value.toString(10),
+			nonce: nonce.toString(10),
+			deadline: deadline.toString(10),
+		},
+	};
+}
+
+/**
+ * Signs the EIP-712 typed data with `eth_signTypedData_v4`; the signer account must be
+ * available in the provider (unlocked node account, mnemonic or private key configured)
+ *
+ * @param web3 web3 instance connected to the network
+ * @param signer signer (faucet user) address
+ * @param typed_data EIP-712 typed data object to sign
+ * @return signature as a hex string
+ */
+async function sign_typed_data(web3, signer, typed_data) {
+	return await new Promise((resolve, reject) => web3.currentProvider.send({
+		jsonrpc: "2.0",
+		id: Date.now(),
+		method: "eth_signTypedData_v4",
+		params: [signer, JSON.stringify(typed_data)],
+	}, (err, response) => {
+		if(err || response.error) {
+			return reject(err || new Error(response.error.message));
+		}
+		resolve(response.result);
+	}));
+}
+
+/**
+ * Splits the 65 bytes signature into {v, r, s} components
+ *
+ * @param signature signature as a hex string
+ * @return {v, r, s} signature components
+ */
+function split_signature(signature) {
+	const hex = signature.replace(/^0x/, "");
+	if(hex.length !== 130) {
+		throw new Error(`malformed signature ${signature}`);
+	}
+	const r = "0x" + hex.substring(0, 64);
+	const s = "0x" + hex.substring(64, 128);
+	let v = parseInt(hex.substring(128, 130), 16);
+	// some signers return v as 0/1 instead of 27/28
+	if(v < 27) {
+		v += 27;
+	}
+	return {v, r, s};
+}
+
+/**
+ * Calculates the EIP-712 domain separator for the faucet, the same way `TheFaucetV1.DOMAIN_SEPARATOR` does
+ *
+ * @param web3 web3 instance (used for hashing and encoding only)
+ * @param faucet_address faucet (proxy) address
+ * @param chain_id chain ID
+ * @return domain separator as a hex string
+ */
+function domain_separator(web3, faucet_address, chain_id) {
+	const {keccak256} = web3.utils;
+	return keccak256(web3.eth.abi.encodeParameters(
+		["bytes32", "bytes32", "uint256", "address"],
+		[keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"), keccak256(DOMAIN_NAME), chain_id, faucet_address]
+	));
+}
+
+/**
+ * Recovers the address which signed the claim, the same way `TheFaucetV1.claimEth` does;
+ * allows to verify the claim off-chain, before submitting it
+ *
+ * @param web3 web3 instance (used for hashing and encoding only)
+ * @param faucet_address faucet (proxy) address the claim is for
+ * @param chain_id chain ID the claim is for
+ * @param recipient an address to send ETH to
+ * @param value amount of ETH to send, wei
+ * @param nonce claim nonce
+ * @param deadline unix timestamp the claim is valid until
+ * @param signature signature as a hex string
+ * @return signer address
+ */
+function recover_claim_signer(web3, {faucet_address, chain_id, recipient, value, nonce, deadline, signature}) {
+	const {keccak256} = web3.utils;
+	const hash_struct = keccak256(web3.eth.abi.encodeParameters(
+		["bytes32", "address", "uint256", "uint256", "uint256"],
+		[
+			keccak256("Claim(address recipient,uint256 value,uint256 nonce,uint256 deadline)"),
+			recipient,
+			value.toString(10),
+			nonce.toString(10),
+			deadline.toString(10),
+		]
+	));
+	const digest = keccak256("0x1901" + domain_separator(web3, faucet_address, chain_id).substring(2) + hash_struct.substring(2));
+	return web3.eth.accounts.recover(digest, signature, true);
+}
+
+/**
+ * Builds and signs the claim for the faucet; if nonce or deadline are not set,
+ * uses the current signer nonce, and one hour from now correspondingly
+ *
+ * @param web3 web3 instance connected to the network
+ * @param faucet_address faucet (proxy) address to build the claim for
+ * @param signer signer (faucet user) address
+ * @param recipient an address to send ETH to
+ * @param value amount of ETH to send, wei
+ * @param nonce claim nonce, optional
+ * @param deadline unix timestamp the claim is valid until, optional
+ * @return signed claim {signer, recipient, value, nonce, deadline, signature, v, r, s},
+ *      all the values are strings
+ */
+async function sign_claim(web3, {faucet_address, signer, recipient, value, nonce, deadline}) {
+	if(nonce === undefined) {
+		const faucet = new web3.eth.Contract([{
+			name: "claimNonces",
+			type: "function",
+			stateMutability: "view",
+			inputs: [{name: "", type: "address"}],
+			outputs: [{name: "", type: "uint256"}],
+		}], faucet_address);
+		nonce = await faucet.methods.claimNonces(signer).call();
+	}
+	if(deadline === undefined) {
+		const {timestamp} = await web3.eth.getBlock("latest");
+		deadline = parseInt(timestamp) + 3_600;
+	}
+	const chain_id = await web3.eth.getChainId();
+	const typed_data = build_claim_typed_data({faucet_address, chain_id, recipient, value, nonce, deadline});
+	const signature = await sign_typed_data(web3, signer, typed_data);
+	return {
+		signer,
+		...typed_data.message,
+		signature,
+		...split_signature(signature),
+	};
+}
+
+// export public module API
+module.exports = {
+	DOMAIN_NAME,
+	CLAIM_TYPES,
+	build_claim_typed_data,
+	sign_typed_data,
+	split_signature,
+	domain_separator,
+	recover_claim_signer,
+	sign_claim,
+}
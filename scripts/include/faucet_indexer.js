@@ -0,0 +1,268 @@
+// off-chain faucet indexer: rebuilds the faucet history from its event logs,
+// persists it in a local JSON store, and answers the questions the contract cannot answer,
+// like "who drained the faucet last week"
+
+// events indexed by the indexer
+const INDEXED_EVENTS = [
+	"ETHWithdrawn",
+	"ETHClaimed",
+	"MintProxied",
+	"WeiLimitUpdated",
+	"RoleUpdated",
+	"EpochParamsUpdated",
+];
+
+/**
+ * Simple JSON file backed store for the indexer (refiller) state;
+ * keeps everything in memory, and flushes to the file on `save`
+ */
+class JsonStore {
+	/**
+	 * @param path JSON file path; if not set, the store is memory only
+	 * @param data initial state if the file doesn't exist, optional (empty indexer state by default)
+	 */
+	constructor(path, data = {lastBlock: -1, events: []}) {
+		this.path = path;
+		this.data = data;
+		if(path && require("fs").existsSync(path)) {
+			this.data = JSON.parse(require("fs").readFileSync(path, "utf8"));
+		}
+	}
+
+	/**
+	 * Persists the state into the file; writes into the temporary file first,
+	 * and renames it, so that the file is never left half-written
+	 */
+	save() {
+		if(!this.path) {
+			return;
+		}
+		const fs = require("fs");
+		fs.writeFileSync(this.path + ".tmp", JSON.stringify(this.data, null, "\t"));
+		fs.renameSync(this.path + ".tmp", this.path);
+	}
+}
+
+/**
+ * Faucet indexer, backfills and then follows the faucet event logs
+ */
+class FaucetIndexer {
+	/**
+	 * @param web3 web3 instance connected to the network
+	 * @param faucet web3 contract instance of TheFaucetV1 (bound to the proxy address)
+	 * @param store JsonStore instance to persist the state in, optional (memory only by default)
+	 * @param fromBlock block to start indexing from, usually the faucet deployment block, optional
+	 * @param confirmations number of blocks to wait before indexing the block, optional
+	 * @param chunkSize number of blocks to query at once, limited by the JSON-RPC endpoints, optional
+	 */
+	constructor({web3, faucet, store = new JsonStore(), fromBlock = 0, confirmations = 0, chunkSize = 5_000}) {
+		this.web3 = web3;
+		this.faucet = faucet;
+		this.store = store;
+		this.fromBlock = fromBlock;
+		this.confirmations = confirmations;
+		this.chunkSize = chunkSize;
+
+		// verify the store belongs to the same faucet
+		const address = faucet.options.address.toLowerCase();
+		if(this.store.data.address && this.store.data.address !== address) {
+			throw new Error(`store belongs to another faucet ${this.store.data.address}`);
+		}
+		this.store.data.address = address;
+	}
+
+	/**
+	 * @return all the events indexed, ordered by block number and log index
+	 */
+	get events() {
+		return this.store.data.events;
+	}
+
+	/**
+	 * @return last block indexed, -1 if nothing is indexed yet
+	 */
+	get lastBlock() {
+		return this.store.data.lastBlock;
+	}
+
+	/**
+	 * Indexes all the blocks not yet indexed, up to the latest confirmed block
+	 *
+	 * @return number of new events indexed
+	 */
+	async sync() {
+		const latest = await this.web3.eth.getBlockNumber() - this.confirmations;
+		let added = 0;
+		for(let fromBlock = Math.max(this.lastBlock + 1, this.fromBlock); fromBlock <= latest; fromBlock += this.chunkSize) {
+			const toBlock = Math.min(fromBlock + this.chunkSize - 1, latest);
+			const logs = await this.faucet.getPastEvents("allEvents", {fromBlock, toBlock});
+			for(const log of logs.filter(log => INDEXED_EVENTS.includes(log.event))) {
+				this.events.push(await this._toRecord(log));
+				added++;
+			}
+			// persist after each chunk, so that the progress is not lost
+			this.store.data.lastBlock = toBlock;
+			this.store.save();
+		}
+		return added;
+	}
+
+	/**
+	 * Keeps the index up to date by polling the network periodically
+	 *
+	 * @param interval polling interval, ms
+	 * @param onError error handler, errors are logged by default, and the polling continues
+	 * @return a function to stop following
+	 */
+	follow(interval = 15_000, onError = e => console.error("faucet indexer sync failed: %o", e.message)) {
+		let stopped = false;
+		let timeout;
+		const poll = async() => {
+			try {
+				await this.sync();
+			}
+			catch(e) {
+				onError(e);
+			}
+			if(!stopped) {
+				timeout = setTimeout(poll, interval);
+			}
+		};
+		poll();
+		return () => {
+			stopped = true;
+			clearTimeout(timeout);
+		};
+	}
+
+	/**
+	 * Determines the epoch length in effect at the given timestamp,
+	 * based on the `EpochParamsUpdated` events indexed
+	 *
+	 * @param timestamp unix timestamp
+	 * @return epoch length, seconds, or undefined if unknown
+	 */
+	epochLengthAt(timestamp) {
+		let epochLength;
+		for(const e of this.events) {
+			if(e.event === "EpochParamsUpdated" && e.timestamp <= timestamp) {
+				epochLength = parseInt(e.epochLength);
+			}
+		}
+		return epochLength;
+	}
+
+	/**
+	 * Calculates how much ETH each user withdrawn in each epoch;
+	 * user is the transaction sender, or the claim signer for the claims
+	 * submitted by the relayer (`claimEth`), not the ETH recipient
+	 *
+	 * @param user optional user address to filter the results by
+	 * @param epochLength optional epoch length to use instead of the one in effect, seconds
+	 * @return an array of {user, epoch, epochStart, wei, withdrawals} entries, wei is a string,
+	 *      ordered by epoch and then by wei withdrawn (biggest first)
+	 */
+	userTotals({user, epochLength} = {}) {
+		// claims are submitted by the relayer, the user is the claim signer
+		const signers = {};
+		for(const e of this.events.filter(e => e.event === "ETHClaimed")) {
+			signers[e.transactionHash] = e.signer;
+		}
+		return this._totals("ETHWithdrawn", e => signers[e.transactionHash] || e.from, user, epochLength)
+			.map(({key, ...rest}) => ({user: key, ...rest}));
+	}
+
+	/**
+	 * Calculates how many tokens were minted via the faucet in total, for each target contract
+	 *
+	 * @param user optional user (transaction sender) address to filter the results by
+	 * @return an array of {target, value, mints} entries, value is a string, ordered by value (biggest first)
+	 */
+	mintTotals({user} = {}) {
+		const totals = {};
+		for(const e of this._filter("MintProxied", user)) {
+			const total = totals[e.target] = totals[e.target] || {target: e.target, value: this.web3.utils.toBN(0), mints: 0};
+			total.value = total.value.add(this.web3.utils.toBN(e.value));
+			total.mints++;
+		}
+		return Object.values(totals)
+			.sort((a, b) => b.value.cmp(a.value))
+			.map(t => ({...t, value: t.value.toString(10)}));
+	}
+
+	/**
+	 * @param operator optional address to filter the results by
+	 * @return role changes timeline, an array of `RoleUpdated` event records
+	 */
+	roleTimeline({operator} = {}) {
+		return this.events.filter(e => e.event === "RoleUpdated" && (!operator || eq(e.operator, operator)));
+	}
+
+	/**
+	 * @param user optional address to filter the results by
+	 * @return ETH limit changes timeline, an array of `WeiLimitUpdated` event records
+	 */
+	limitTimeline({user} = {}) {
+		return this.events.filter(e => e.event === "WeiLimitUpdated" && (!user || eq(e.userAddress, user)));
+	}
+
+	// converts the web3 event log into a record to store
+	async _toRecord(log) {
+		// we need the block timestamp to determine the epoch,
+		// and the transaction sender to determine the user
+		this._blocks = this._blocks || {};
+		const block = this._blocks[log.blockNumber] = this._blocks[log.blockNumber] || await this.web3.eth.getBlock(log.blockNumber);
+		const tx = await this.web3.eth.getTransaction(log.transactionHash);
+
+		// keep only named values, skip the numeric duplicates
+		const values = Object.fromEntries(Object.entries(log.returnValues).filter(([key]) => isNaN(key)));
+
+		return {
+			event: log.event,
+			blockNumber: log.blockNumber,
+			logIndex: log.logIndex,
+			transactionHash: log.transactionHash,
+			timestamp: parseInt(block.timestamp),
+			from: tx.from,
+			...values,
+		};
+	}
+
+	// filters the events by name and (optionally) by transaction sender
+	_filter(event, from) {
+		return this.events.filter(e => e.event === event && (!from || eq(e.from, from)));
+	}
+
+	// groups the event values by key and epoch, optionally filtering by key
+	_totals(event, key_fn, key_filter, epochLength) {
+		const {toBN} = this.web3.utils;
+		const totals = {};
+		for(const e of this._filter(event)) {
+			const key = key_fn(e);
+			if(key_filter && !eq(key, key_filter)) {
+				continue;
+			}
+			const length = epochLength || this.epochLengthAt(e.timestamp) || 86_400;
+			const epoch = Math.floor(e.timestamp / length);
+			const id = `${key}:${length}:${epoch}`;
+			const total = totals[id] = totals[id] || {key, epoch, epochStart: epoch * length, wei: toBN(0), withdrawals: 0};
+			total.wei = total.wei.add(toBN(e.value));
+			total.withdrawals++;
+		}
+		return Object.values(totals)
+			.sort((a, b) => a.epochStart - b.epochStart || b.wei.cmp(a.wei))
+			.map(t => ({...t, wei: t.wei.toString(10)}));
+	}
+}
+
+// case-insensitive address comparison
+function eq(address1, address2) {
+	return address1.toLowerCase() === address2.toLowerCase();
+}
+
+// export public module API
+module.exports = {
+	INDEXED_EVENTS,
+	JsonStore,
+	FaucetIndexer,
+}
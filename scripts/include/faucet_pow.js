@@ -0,0 +1,76 @@
+// Proof-of-work helpers for the public tier (FaucetPublicV1 contract): the work hash is
+// keccak256(abi.encode(address sender, uint256 nonce, uint256 epoch)), and the solution is valid
+// if the hash doesn't exceed the target 2^(256 - difficulty) - 1, that is, has `difficulty` leading zero bits
+// note: functions rely on the `web3` instance injected by hardhat into the global scope
+
+/**
+ * Calculates the proof-of-work target for the difficulty, the same way FaucetPublicV1 `powTarget` does
+ *
+ * @param difficulty number of the leading zero bits the work hash must have, 0 - 255
+ * @return the target, BN
+ */
+function pow_target(difficulty) {
+	const {BN} = web3.utils;
+	return new BN(2).pow(new BN(256 - difficulty)).subn(1);
+}
+
+/**
+ * Calculates the proof-of-work hash, the same way FaucetPublicV1 `workHash` does
+ *
+ * @param sender an address solving the proof-of-work
+ * @param nonce proof-of-work nonce (BN, string, or number)
+ * @param epoch epoch index the proof-of-work is solved for (BN, string, or number)
+ * @return the work hash, hex string
+ */
+function work_hash(sender, nonce, epoch) {
+	// ABI encoding of the static types is just the concatenation of the 32-byte words
+	return web3.utils.keccak256(
+		"0x" + sender.slice(2).toLowerCase().padStart(64, "0")
+		+ web3.utils.toBN(nonce).toString(16, 64)
+		+ web3.utils.toBN(epoch).toString(16, 64)
+	);
+}
+
+/**
+ * Verifies the proof-of-work solution off-chain; doesn't check if the solution was already spent
+ *
+ * @param sender an address solving the proof-of-work
+ * @param nonce proof-of-work nonce
+ * @param epoch epoch index the proof-of-work is solved for
+ * @param difficulty proof-of-work difficulty, leading zero bits
+ * @return true if the work hash doesn't exceed the target, false otherwise
+ */
+function verify_work(sender, nonce, epoch, difficulty) {
+	return web3.utils.toBN(work_hash(sender, nonce, epoch)).lte(pow_target(difficulty));
+}
+
+/**
+ * Solves the proof-of-work by the brute force: iterates the nonces starting from `start`
+ * until the work hash doesn't exceed the target; expected number of iterations is 2^difficulty
+ *
+ * @param sender an address solving the proof-of-work (the one to send the claim from)
+ * @param epoch epoch index the proof-of-work is solved for, see FaucetPublicV1 `currentEpoch`
+ * @param difficulty proof-of-work difficulty, leading zero bits, see FaucetPublicV1 `difficulty`
+ * @param start nonce to start from, optional; use different start nonces to get different solutions
+ * @param max_iterations maximum number of the nonces to try, optional
+ * @return {nonce, hash, iterations}, where nonce is a decimal string
+ */
+function solve_work(sender, epoch, difficulty, {start = 0, max_iterations = Infinity} = {}) {
+	const target = pow_target(difficulty);
+	let nonce = web3.utils.toBN(start);
+	for(let i = 1; i <= max_iterations; i++, nonce = nonce.addn(1)) {
+		const hash = work_hash(sender, nonce, epoch);
+		if(web3.utils.toBN(hash).lte(target)) {
+			return {nonce: nonce.toString(10), hash, iterations: i};
+		}
+	}
+	throw new Error(`proof-of-work not solved in ${max_iterations} iterations (difficulty ${difficulty})`);
+}
+
+// export public module API
+module.exports = {
+	pow_target,
+	work_hash,
+	verify_work,
+	solve_work,
+}
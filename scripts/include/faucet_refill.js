@@ -0,0 +1,239 @@
+// faucet auto-refill watcher: polls the faucet balances on one or more networks, and tops up
+// the faucets which balance dropped below the threshold from the treasury account, within the daily caps
+
+// JSON store to keep the refills history in (daily caps accounting)
+const {JsonStore} = require("./faucet_indexer");
+
+// multi-network deployments resolver
+const {load_deployed_networks} = require("./faucet_utils");
+
+/**
+ * Resolves the networks to watch: reads the JSON-RPC endpoint from the Hardhat config networks,
+ * and the faucet proxy address and chain ID from the deployments folder (see `load_deployed_networks`)
+ *
+ * The treasury private key is read from the TREASURY_P_KEY<chain_id> environment variable,
+ * falling back to TREASURY_P_KEY, in the same way hardhat.config.js reads the P_KEY<chain_id> variables
+ *
+ * @param networks Hardhat config networks (hre.config.networks)
+ * @param deployments_dir deployments folder path, optional
+ * @param names names of the networks to watch; all the networks having the faucet deployed if not set
+ * @param env environment variables to read the treasury keys from, optional
+ * @param Web3 web3 constructor, optional
+ * @return array of {network, chain_id, web3, faucet_address, treasury} objects;
+ *      treasury is undefined if the treasury key is not set for the network
+ */
+function load_refill_targets({networks, deployments_dir = "deployments", names, env = process.env, Web3 = require("web3")}) {
+	return load_deployed_networks({networks, deployments_dir, names}).map(({network, chain_id, url, faucet_address}) => {
+		const web3 = new Web3(url);
+		let key = env["TREASURY_P_KEY" + chain_id] || env.TREASURY_P_KEY;
+		if(key && !key.startsWith("0x")) {
+			key = "0x" + key;
+		}
+
+		return {
+			network,
+			chain_id,
+			web3,
+			faucet_address,
+			treasury: key? web3.eth.accounts.wallet.add(key).address: undefined,
+		};
+	});
+}
+
+/**
+ * Faucet refiller, checks the faucet balances and tops them up to the target balance
+ * from the treasury account; keeps the refills history in the JSON store to enforce the daily caps
+ */
+class FaucetRefiller {
+	/**
+	 * Threshold, target balance, and daily cap can be overridden for each target (network)
+	 *
+	 * @param targets array of {network, web3, faucet_address, treasury} objects to watch
+	 * @param threshold balance (wei) below which the faucet is refilled
+	 * @param target balance (wei) the faucet is refilled up to
+	 * @param dailyCap maximum amount (wei) to send to the faucet in one day (UTC)
+	 * @param dryRun if set, the refills are only logged, no transactions are sent
+	 * @param store JsonStore instance to persist the refills history in, optional (memory only by default)
+	 * @param log function accepting the log record object, optional
+	 * @param interval balances polling interval, ms, optional
+	 */
+	constructor({
+		targets,
+		threshold,
+		target,
+		dailyCap,
+		dryRun = false,
+		store = new JsonStore(undefined, {refills: []}),
+		log = record => console.log(JSON.stringify(record)),
+		interval = 60_000,
+	}) {
+		this.targets = targets;
+		this.threshold = threshold;
+		this.target = target;
+		this.dailyCap = dailyCap;
+		this.dryRun = dryRun;
+		this.store = store;
+		this.log = log;
+		this.interval = interval;
+
+		if(!this.store.data.refills) {
+			this.store.data.refills = [];
+		}
+	}
+
+	/**
+	 * @return refills history, array of {time, network, faucet, value, txHash, status} objects,
+	 *      status is "pending", "confirmed", or "failed"
+	 */
+	get refills() {
+		return this.store.data.refills;
+	}
+
+	/**
+	 * Calculates the amount already sent to the faucet on the network during the day (UTC);
+	 * pending refills are counted, failed (reverted) refills are not
+	 *
+	 * @param network network name
+	 * @param time unix timestamp (seconds) within the day, now by default
+	 * @return amount sent, wei, as a string
+	 */
+	sentOnDay(network, time = Math.floor(Date.now() / 1000)) {
+		const day = Math.floor(time / 86400);
+		return this.refills
+			.filter(r => r.network === network && Math.floor(r.time / 86400) === day && r.status !== "failed")
+			.reduce((sum, r) => sum + BigInt(r.value), 0n)
+			.toString(10);
+	}
+
+	/**
+	 * Checks the faucet balances once, and refills the faucets which need it;
+	 * errors on one network are logged and don't affect the other networks
+	 *
+	 * If the previous check is still running (waiting for the refill confirmations),
+	 * no new check is started, and the result of the running one is returned
+	 *
+	 * @return array of the log records, one per target
+	 */
+	check() {
+		// overlapping checks would see the same low balance and refill the faucet twice
+		if(!this._checking) {
+			this._checking = this._checkAll().finally(() => this._checking = undefined);
+		}
+		return this._checking;
+	}
+
+	// checks and refills the faucets on all the networks, returns the log records
+	async _checkAll() {
+		const records = [];
+		for(const target of this.targets) {
+			let record;
+			try {
+				record = await this._check(target);
+			}
+			catch(e) {
+				record = {network: target.network, faucet: target.faucet_address, action: "error", error: e.message};
+			}
+			record = {time: new Date().toISOString(), ...record};
+			this.log(record);
+			records.push(record);
+		}
+		return records;
+	}
+
+	/**
+	 * Starts polling the balances; the first check is executed immediately,
+	 * the polls happening while the previous check is still running are skipped
+	 *
+	 * @param onError function accepting the error, optional
+	 */
+	start(onError = e => console.error("faucet refill check failed: %o", e.message)) {
+		this.stop();
+		this.check().catch(onError);
+		this._interval = setInterval(() => this.check().catch(onError), this.interval);
+	}
+
+	/**
+	 * Stops polling the balances
+	 */
+	stop() {
+		clearInterval(this._interval);
+	}
+
+	// checks and refills the faucet on one network, returns the log record
+	async _check(target) {
+		const {network, web3, faucet_address, treasury} = target;
+		const threshold = BigInt(target.threshold || this.threshold);
+		const target_balance = BigInt(target.target || this.target);
+		const daily_cap = BigInt(target.dailyCap || this.dailyCap);
+		const record = {network, faucet: faucet_address};
+
+		// read the faucet balance
+		const balance = BigInt(await web3.eth.getBalance(faucet_address));
+		record.balance = balance.toString(10);
+		if(balance >= threshold) {
+			return {...record, action: "ok"};
+		}
+
+		// calculate the top-up amount, limited by the daily cap
+		const now = Math.floor(Date.now() / 1000);
+		const cap_left = daily_cap - BigInt(this.sentOnDay(network, now));
+		let value = target_balance - balance;
+		if(value > cap_left) {
+			value = cap_left;
+		}
+		if(value <= 0n) {
+			return {...record, action: "capped", dailyCap: daily_cap.toString(10)};
+		}
+		record.value = value.toString(10);
+
+		// verify the treasury
+		if(!treasury) {
+			if(this.dryRun) {
+				return {...record, action: "dry-run"};
+			}
+			throw new Error(`treasury key is not set for ${network}`);
+		}
+		record.treasury = treasury;
+		const treasury_balance = BigInt(await web3.eth.getBalance(treasury));
+		record.treasuryBalance = treasury_balance.toString(10);
+		if(treasury_balance < value) {
+			return {...record, action: "insufficient-treasury"};
+		}
+		if(this.dryRun) {
+			return {...record, action: "dry-run"};
+		}
+
+		// send the top-up, and record it as soon as it is sent, so that it counts towards the daily cap
+		// even if the watcher is restarted before the transaction is confirmed
+		let refill;
+		const tx = web3.eth.sendTransaction({from: treasury, to: faucet_address, value: record.value, gas: 50_000});
+		tx.once("transactionHash", txHash => {
+			refill = {time: now, network, faucet: faucet_address, value: record.value, txHash, status: "pending"};
+			this.refills.push(refill);
+			this.store.save();
+		});
+
+		let receipt;
+		try {
+			receipt = await tx;
+		}
+		catch(e) {
+			// reverted refill doesn't count towards the daily cap
+			if(refill && e.receipt) {
+				refill.status = "failed";
+				this.store.save();
+				throw new Error(`refill ${refill.txHash} reverted`);
+			}
+			throw e;
+		}
+		refill.status = "confirmed";
+		this.store.save();
+		return {...record, action: "refill", txHash: receipt.transactionHash};
+	}
+}
+
+// export public module API
+module.exports = {
+	load_refill_targets,
+	FaucetRefiller,
+};
@@ -0,0 +1,424 @@
+// faucet relayer: a small HTTP service accepting the signed (EIP-712) faucet claims from the faucet users,
+// verifying them off-chain, and submitting them to the faucet `claimEth` from the relayer account,
+// so that the faucet users can fund the wallets having no ETH for gas
+
+// EIP-712 claims helpers
+const {
+	split_signature,
+	recover_claim_signer,
+} = require("./faucet_claims");
+
+/**
+ * Relayer error, carries the HTTP status code to respond with
+ */
+class RelayerError extends Error {
+	/**
+	 * @param status HTTP status code
+	 * @param message error message
+	 */
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+/**
+ * Faucet relayer, verifies the claims off-chain, submits them, and keeps track of the claims
+ * submitted but not yet mined; claims which failed to be sent (network errors, nonce conflicts)
+ * are put into the retry queue
+ */
+class FaucetRelayer {
+	/**
+	 * @param web3 web3 instance connected to the network, having the relayer account unlocked
+	 * @param faucet web3 contract instance of TheFaucetV1 (bound to the proxy address)
+	 * @param relayer relayer account address to send the transactions from
+	 * @param gas gas limit for the `claimEth` transaction, optional
+	 * @param maxAttempts how many times to try sending the claim before giving up, optional
+	 * @param retryInterval retry queue processing interval, ms, optional
+	 */
+	constructor({web3, faucet, relayer, gas = 200_000, maxAttempts = 5, retryInterval = 15_000}) {
+		this.web3 = web3;
+		this.faucet = faucet;
+		this.relayer = relayer;
+		this.gas = gas;
+		this.maxAttempts = maxAttempts;
+		this.retryInterval = retryInterval;
+
+		// all the claims seen, maps `signer:nonce => claim entry`
+		this.claims = new Map();
+		// next relayer transaction nonce, undefined until first use (and after the send errors)
+		this.txNonce = undefined;
+		// serializes the claims processing, so that the off-chain checks are consistent
+		this._lock = Promise.resolve();
+	}
+
+	/**
+	 * @return claims which are not yet mined or failed (queued for retry or submitted)
+	 */
+	get pending() {
+		return [...this.claims.values()].filter(c => c.status === "queued" || c.status === "submitted");
+	}
+
+	/**
+	 * @return claims waiting in the retry queue
+	 */
+	get queue() {
+		return this.pending.filter(c => c.status === "queued");
+	}
+
+	/**
+	 * Verifies the claim off-chain and submits it to the faucet
+	 *
+	 * @param request claim request {recipient, value, nonce, deadline, signature} or
+	 *      {recipient, value, nonce, deadline, v, r, s}, optionally with the `signer` address to verify
+	 * @return claim entry {id, status, signer, recipient, value, nonce, deadline, txHash, attempts, error}
+	 * @throws RelayerError if the claim is not valid
+	 */
+	async claim(request) {
+		return await this._serialize(async() => {
+			const claim = await this._verify(request);
+			this.claims.set(claim.id, claim);
+			await this._submit(claim);
+			return claim;
+		});
+	}
+
+	/**
+	 * Reads the state of the faucet user
+	 *
+	 * @param address faucet user address
+	 * @return {address, isUser, weiLimit, weiLeft, claimNonce, pending} where `weiLeft` takes into account
+	 *      the claims pending, and `pending` is an array of the pending claims
+	 */
+	async status(address) {
+		const {isAddress, toBN} = this.web3.utils;
+		if(!isAddress(address)) {
+			throw new RelayerError(400, `invalid address ${address}`);
+		}
+		const {methods} = this.faucet;
+		const weiLeft = toBN(await methods.weiLeftInEpochForUser(address).call()).sub(this._pendingValue(address));
+		return {
+			address,
+			isUser: await methods.isActiveUser(address).call(),
+			weiLimit: await methods.weiLimitPerEpochForUser(address).call(),
+			weiLeft: (weiLeft.isNeg()? toBN(0): weiLeft).toString(10),
+			claimNonce: (await this._nextClaimNonce(address)).toString(10),
+			pending: this.pending.filter(c => eq(c.signer, address)),
+		};
+	}
+
+	/**
+	 * @return relayer health info {status, chainId, blockNumber, faucet, faucetBalance,
+	 *      relayer, relayerBalance, pending, queue}
+	 */
+	async health() {
+		const {getBalance, getBlockNumber, getChainId} = this.web3.eth;
+		return {
+			status: "ok",
+			chainId: await getChainId(),
+			blockNumber: await getBlockNumber(),
+			faucet: this.faucet.options.address,
+			faucetBalance: await getBalance(this.faucet.options.address),
+			relayer: this.relayer,
+			relayerBalance: await getBalance(this.relayer),
+			pending: this.pending.length,
+			queue: this.queue.length,
+		};
+	}
+
+	/**
+	 * Tries to send the claims from the retry queue again; drops the expired claims,
+	 * and the claims which exceeded the max number of attempts
+	 */
+	async processQueue() {
+		await this._serialize(async() => {
+			const {timestamp} = await this.web3.eth.getBlock("latest");
+			for(const claim of this.queue) {
+				if(parseInt(claim.deadline) < parseInt(timestamp)) {
+					claim.status = "failed";
+					claim.error = "signature expired";
+					continue;
+				}
+				await this._submit(claim);
+			}
+		});
+	}
+
+	/**
+	 * Starts processing the retry queue periodically
+	 *
+	 * @param onError error handler, errors are logged by default, and the processing continues
+	 */
+	start(onError = e => console.error("faucet relayer retry queue processing failed: %o", e.message)) {
+		this.stop();
+		this._interval = setInterval(() => this.processQueue().catch(onError), this.retryInterval);
+	}
+
+	/**
+	 * Stops processing the retry queue
+	 */
+	stop() {
+		clearInterval(this._interval);
+	}
+
+	// verifies the claim request off-chain, throws RelayerError if the claim is not valid
+	async _verify(request) {
+		const {isAddress, toBN} = this.web3.utils;
+		const {recipient, value, nonce, deadline} = request || {};
+
+		// verify the inputs
+		if(!isAddress(recipient)) {
+			throw new RelayerError(400, "invalid recipient");
+		}
+		if(!/^[0-9]+$/.test(value) || toBN(value).isZero()) {
+			throw new RelayerError(400, "invalid value");
+		}
+		if(!/^[0-9]+$/.test(nonce)) {
+			throw new RelayerError(400, "invalid nonce");
+		}
+		if(!/^[0-9]+$/.test(deadline)) {
+			throw new RelayerError(400, "invalid deadline");
+		}
+		let signature = request.signature;
+		if(!signature && request.r && request.s && request.v) {
+			signature = request.r + request.s.replace(/^0x/, "") + parseInt(request.v).toString(16).padStart(2, "0");
+		}
+		let v, r, s;
+		try {
+			({v, r, s} = split_signature(signature || ""));
+		}
+		catch(e) {
+			throw new RelayerError(400, "invalid signature");
+		}
+
+		// verify the claim is not expired
+		const {timestamp} = await this.web3.eth.getBlock("latest");
+		if(parseInt(deadline) <= parseInt(timestamp)) {
+			throw new RelayerError(400, "signature expired");
+		}
+
+		// recover the signer the same way the faucet does
+		const chain_id = await this.web3.eth.getChainId();
+		let signer;
+		try {
+			signer = recover_claim_signer(this.web3, {
+				faucet_address: this.faucet.options.address,
+				chain_id,
+				recipient,
+				value,
+				nonce,
+				deadline,
+				signature,
+			});
+		}
+		catch(e) {
+			throw new RelayerError(400, "invalid signature");
+		}
+		if(request.signer && !eq(request.signer, signer)) {
+			throw new RelayerError(400, "signer mismatch");
+		}
+
+		// verify the faucet is not paused
+		const {methods} = this.faucet;
+		if(await methods.isPaused().call()) {
+			throw new RelayerError(503, "faucet is paused");
+		}
+
+		// verify the signer is a faucet user, and its access is not expired
+		if(!await methods.isActiveUser(signer).call()) {
+			throw new RelayerError(403, "access denied");
+		}
+
+		// verify the nonce, taking into account the claims pending
+		const id = `${signer.toLowerCase()}:${nonce}`;
+		if(this.claims.has(id) && this.claims.get(id).status !== "failed") {
+			throw new RelayerError(409, "duplicate claim");
+		}
+		if(!toBN(nonce).eq(await this._nextClaimNonce(signer))) {
+			throw new RelayerError(409, "invalid nonce");
+		}
+
+		// verify the signer allowance, taking into account the claims pending
+		const allowance = toBN(await methods.weiLeftInEpochForUser(signer).call()).sub(this._pendingValue(signer));
+		if(toBN(value).gt(allowance)) {
+			throw new RelayerError(429, "allowance exceeded");
+		}
+
+		// verify the recipient allowance (recipient-side throttling), taking into account the claims pending
+		const recipient_left = toBN(await methods.weiLeftInEpochForRecipient(recipient).call()).sub(this._pendingReceived(recipient));
+		if(toBN(value).gt(recipient_left)) {
+			throw new RelayerError(429, "recipient allowance exceeded");
+		}
+
+		// verify the faucet-wide budget, taking into account the claims pending
+		const budget = toBN(await methods.weiBudgetLeftInEpoch().call()).sub(this._pendingValue());
+		if(toBN(value).gt(budget)) {
+			throw new RelayerError(429, "budget exceeded");
+		}
+
+		// verify the faucet balance, taking into account the claims pending
+		const balance = toBN(await this.web3.eth.getBalance(this.faucet.options.address)).sub(this._pendingValue());
+		if(toBN(value).gt(balance)) {
+			throw new RelayerError(503, "balance exceeded");
+		}
+
+		return {id, status: "new", signer, recipient, value, nonce, deadline, v, r, s, attempts: 0};
+	}
+
+	// sends the claim, updates its status; puts the claim into the retry queue on the send errors,
+	// throws RelayerError if the transaction is reverted
+	async _submit(claim) {
+		claim.attempts++;
+		try {
+			claim.txHash = await this._send(claim);
+			claim.status = "submitted";
+			delete claim.error;
+		}
+		catch(e) {
+			// reset the relayer transaction nonce, it is going to be re-read from the network
+			this.txNonce = undefined;
+			claim.error = e.message;
+
+			// the transaction is reverted, there is no point in retrying
+			if(e.receipt || /revert/i.test(e.message)) {
+				claim.status = "failed";
+				throw new RelayerError(422, e.message);
+			}
+
+			// put the claim into the retry queue, or give up
+			claim.status = claim.attempts < this.maxAttempts? "queued": "failed";
+		}
+	}
+
+	// sends the `claimEth` transaction, resolves with the transaction hash;
+	// updates the claim status when the transaction is mined
+	async _send(claim) {
+		if(this.txNonce === undefined) {
+			this.txNonce = await this.web3.eth.getTransactionCount(this.relayer, "pending");
+		}
+		const nonce = this.txNonce;
+		return await new Promise((resolve, reject) => {
+			let txHash;
+			this.faucet.methods.claimEth(claim.recipient, claim.value, claim.nonce, claim.deadline, claim.v, claim.r, claim.s)
+				.send({from: this.relayer, gas: this.gas, nonce})
+				.on("transactionHash", hash => {
+					txHash = hash;
+					this.txNonce = nonce + 1;
+					resolve(hash);
+				})
+				.on("receipt", receipt => {
+					claim.status = receipt.status? "mined": "failed";
+					claim.blockNumber = receipt.blockNumber;
+				})
+				.on("error", e => {
+					// the error before the transaction is sent
+					if(!txHash) {
+						return reject(e);
+					}
+					// the error after the transaction is sent (reverted, dropped)
+					claim.status = "failed";
+					claim.error = e.message;
+				})
+				// the errors are handled in the "error" listener above
+				.catch(() => {});
+		});
+	}
+
+	// next claim nonce to use for the signer, taking into account the claims pending
+	async _nextClaimNonce(signer) {
+		const {toBN, BN} = this.web3.utils;
+		return this.pending.filter(c => eq(c.signer, signer))
+			.map(c => toBN(c.nonce).addn(1))
+			.reduce((a, b) => BN.max(a, b), toBN(await this.faucet.methods.claimNonces(signer).call()));
+	}
+
+	// total value of the claims pending, optionally filtered by the signer
+	_pendingValue(signer) {
+		const {toBN} = this.web3.utils;
+		return this.pending.filter(c => !signer || eq(c.signer, signer))
+			.reduce((sum, c) => sum.add(toBN(c.value)), toBN(0));
+	}
+
+	// total value of the claims pending to the recipient
+	_pendingReceived(recipient) {
+		const {toBN} = this.web3.utils;
+		return this.pending.filter(c => eq(c.recipient, recipient))
+			.reduce((sum, c) => sum.add(toBN(c.value)), toBN(0));
+	}
+
+	// executes the function exclusively, one at a time
+	_serialize(fn) {
+		const result = this._lock.then(fn);
+		this._lock = result.catch(() => {});
+		return result;
+	}
+}
+
+/**
+ * Creates the HTTP server exposing the relayer API:
+ *      POST /claim – submits the signed claim, responds with the claim entry having the transaction hash
+ *      GET /status/:address – responds with the faucet user state
+ *      GET /health – responds with the relayer health info
+ *
+ * @param relayer FaucetRelayer instance
+ * @param log logging function, console.log by default
+ * @return node http.Server instance, not yet listening
+ */
+function create_server(relayer, log = console.log) {
+	const routes = [
+		["POST", /^\/claim$/, async(req) => {
+			const claim = await relayer.claim(await read_json(req));
+			return [claim.status === "queued"? 202: 200, claim];
+		}],
+		["GET", /^\/status\/([^/]+)$/, async(req, [address]) => [200, await relayer.status(address)]],
+		["GET", /^\/health$/, async() => [200, await relayer.health()]],
+	];
+
+	return require("http").createServer(async(req, res) => {
+		let status, body;
+		try {
+			const path = req.url.split("?")[0];
+			const route = routes.find(([method, regex]) => req.method === method && regex.test(path));
+			if(!route) {
+				throw new RelayerError(404, "not found");
+			}
+			[status, body] = await route[2](req, path.match(route[1]).slice(1));
+		}
+		catch(e) {
+			status = e.status || 500;
+			body = {error: e.message};
+		}
+		log("%s %s %s", req.method, req.url, status);
+		res.writeHead(status, {"Content-Type": "application/json"});
+		res.end(JSON.stringify(body));
+	});
+}
+
+// reads the JSON request body
+async function read_json(req, max_length = 16_384) {
+	let data = "";
+	for await(const chunk of req) {
+		data += chunk;
+		if(data.length > max_length) {
+			throw new RelayerError(413, "request too large");
+		}
+	}
+	try {
+		return JSON.parse(data);
+	}
+	catch(e) {
+		throw new RelayerError(400, "malformed JSON");
+	}
+}
+
+// case-insensitive address comparison
+function eq(address1, address2) {
+	return address1.toLowerCase() === address2.toLowerCase();
+}
+
+// export public module API
+module.exports = {
+	RelayerError,
+	FaucetRelayer,
+	create_server,
+}
@@ -0,0 +1,210 @@
+// multi-network faucet dashboard report: collects the faucet state (balance, implementation, epoch params,
+// users with their effective limits and allowances, recent withdrawals) on several networks,
+// and formats it as JSON, Markdown, or HTML
+
+// indexer is used to discover the users and the recent withdrawals from the event logs
+const {JsonStore, FaucetIndexer} = require("./faucet_indexer");
+
+// ACL features and roles
+const {ROLE_FAUCET_USER} = require("./features_roles");
+
+/**
+ * Collects the faucet state on one network
+ *
+ * @param network network name
+ * @param web3 web3 instance connected to the network
+ * @param faucet web3 contract instance of TheFaucetV1 (bound to the proxy address)
+ * @param fromBlock block to start indexing the events from, usually the faucet deployment block, optional
+ * @param store JsonStore instance with the indexer state, optional (memory only by default)
+ * @param recent number of the recent withdrawals to include, optional
+ * @return network report object; amounts are strings, wei
+ */
+async function collect_network_report({network, web3, faucet, fromBlock = 0, store = new JsonStore(), recent = 10}) {
+	const {methods} = faucet;
+
+	// read the faucet state
+	const report = {
+		network,
+		address: faucet.options.address,
+		balance: await web3.eth.getBalance(faucet.options.address),
+		implementation: await methods.getImplementation().call(),
+		epochLength: await methods.epochLength().call(),
+		weiLimitPerEpoch: await methods.weiLimitPerEpoch().call(),
+		users: [],
+		recentWithdrawals: [],
+	};
+
+	// discover the users from the role changes, and verify their roles on-chain
+	const indexer = new FaucetIndexer({web3, faucet, store, fromBlock});
+	await indexer.sync();
+	const operators = [...new Set(indexer.roleTimeline().map(e => web3.utils.toChecksumAddress(e.operator)))]
+		.filter(operator => operator !== web3.utils.toChecksumAddress(report.address));
+	for(const operator of operators) {
+		if(!await methods.isOperatorInRole(operator, ROLE_FAUCET_USER).call()) {
+			continue;
+		}
+		report.users.push({
+			address: operator,
+			weiLimit: await methods.weiLimitPerEpochForUser(operator).call(),
+			weiLeft: await methods.weiLeftInEpochForUser(operator).call(),
+		});
+	}
+
+	// the user is the claim signer for the claims submitted by the relayer
+	const signers = {};
+	for(const e of indexer.events.filter(e => e.event === "ETHClaimed")) {
+		signers[e.transactionHash] = e.signer;
+	}
+	report.recentWithdrawals = indexer.events
+		.filter(e => e.event === "ETHWithdrawn")
+		.slice(-recent)
+		.reverse()
+		.map(e => ({
+			timestamp: e.timestamp,
+			user: signers[e.transactionHash] || e.from,
+			to: e.to,
+			value: e.value,
+			transactionHash: e.transactionHash,
+		}));
+
+	return report;
+}
+
+/**
+ * Collects the faucet state on several networks; unreachable (failing) networks
+ * don't stop the report and are reported with the error instead of the state
+ *
+ * @param targets array of {network, web3, faucet, fromBlock, store} objects,
+ *      or {network, error} objects for the networks which failed to resolve
+ * @param recent number of the recent withdrawals to include, optional
+ * @return report object {generatedAt, networks}
+ */
+async function build_report(targets, {recent = 10} = {}) {
+	const networks = [];
+	for(const target of targets) {
+		if(target.error) {
+			networks.push({network: target.network, error: target.error});
+			continue;
+		}
+		try {
+			networks.push(await collect_network_report({...target, recent}));
+		}
+		catch(e) {
+			networks.push({network: target.network, address: target.faucet && target.faucet.options.address, error: e.message});
+		}
+	}
+	return {generatedAt: new Date().toISOString(), networks};
+}
+
+/**
+ * Formats the report as JSON
+ *
+ * @param report report object built by `build_report`
+ * @return JSON string
+ */
+function format_json(report) {
+	return JSON.stringify(report, null, "\t");
+}
+
+/**
+ * Formats the report as Markdown, amounts are in ETH
+ *
+ * @param report report object built by `build_report`
+ * @param fromWei wei to ETH converter, optional
+ * @return Markdown string
+ */
+function format_markdown(report, fromWei = require("web3").utils.fromWei) {
+	const lines = [`# Faucet Report #`, ``, `Generated at ${report.generatedAt}`];
+	for(const n of report.networks) {
+		lines.push(``, `## ${n.network} ##`, ``);
+		if(n.error) {
+			lines.push(`**Unreachable:** ${n.error}`);
+			continue;
+		}
+		lines.push(
+			`| Key | Value |`,
+			`|-----|-------|`,
+			`| Address | ${n.address} |`,
+			`| Implementation | ${n.implementation} |`,
+			`| Balance | ${fromWei(n.balance)} ETH |`,
+			`| Epoch Length | ${n.epochLength} seconds |`,
+			`| ETH Limit per Epoch | ${fromWei(n.weiLimitPerEpoch)} ETH |`,
+			``,
+			`### Users ###`,
+			``,
+		);
+		if(n.users.length) {
+			lines.push(`| User | Limit, ETH | Left, ETH |`, `|------|------------|-----------|`);
+			lines.push(...n.users.map(u => `| ${u.address} | ${fromWei(u.weiLimit)} | ${fromWei(u.weiLeft)} |`));
+		}
+		else {
+			lines.push(`No users`);
+		}
+		lines.push(``, `### Recent Withdrawals ###`, ``);
+		if(n.recentWithdrawals.length) {
+			lines.push(`| Time | User | To | Value, ETH | Transaction |`, `|------|------|----|------------|-------------|`);
+			lines.push(...n.recentWithdrawals.map(w =>
+				`| ${new Date(w.timestamp * 1000).toISOString()} | ${w.user} | ${w.to} | ${fromWei(w.value)} | ${w.transactionHash} |`
+			));
+		}
+		else {
+			lines.push(`No withdrawals`);
+		}
+	}
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Formats the report as a standalone HTML page, amounts are in ETH
+ *
+ * @param report report object built by `build_report`
+ * @param fromWei wei to ETH converter, optional
+ * @return HTML string
+ */
+function format_html(report, fromWei = require("web3").utils.fromWei) {
+	const table = (headers, rows) => `<table><tr>${headers.map(h => `<th>${escape_html(h)}</th>`).join("")}</tr>`
+		+ rows.map(row => `<tr>${row.map(cell => `<td>${escape_html(cell)}</td>`).join("")}</tr>`).join("")
+		+ `</table>`;
+
+	const sections = report.networks.map(n => {
+		if(n.error) {
+			return `<h2>${escape_html(n.network)}</h2><p class="error">Unreachable: ${escape_html(n.error)}</p>`;
+		}
+		return `<h2>${escape_html(n.network)}</h2>`
+			+ table(["Key", "Value"], [
+				["Address", n.address],
+				["Implementation", n.implementation],
+				["Balance", fromWei(n.balance) + " ETH"],
+				["Epoch Length", n.epochLength + " seconds"],
+				["ETH Limit per Epoch", fromWei(n.weiLimitPerEpoch) + " ETH"],
+			])
+			+ `<h3>Users</h3>`
+			+ (n.users.length? table(["User", "Limit, ETH", "Left, ETH"], n.users.map(u => [
+				u.address, fromWei(u.weiLimit), fromWei(u.weiLeft),
+			])): `<p>No users</p>`)
+			+ `<h3>Recent Withdrawals</h3>`
+			+ (n.recentWithdrawals.length? table(["Time", "User", "To", "Value, ETH", "Transaction"], n.recentWithdrawals.map(w => [
+				new Date(w.timestamp * 1000).toISOString(), w.user, w.to, fromWei(w.value), w.transactionHash,
+			])): `<p>No withdrawals</p>`);
+	});
+
+	return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>Faucet Report</title>`
+		+ `<style>body{font-family:sans-serif}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:4px 8px}.error{color:#c00}</style>`
+		+ `</head><body><h1>Faucet Report</h1><p>Generated at ${escape_html(report.generatedAt)}</p>`
+		+ sections.join("")
+		+ `</body></html>\n`;
+}
+
+// escapes the special HTML characters
+function escape_html(value) {
+	return String(value).replace(/[&<>"']/g, c => ({"&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;"})[c]);
+}
+
+// export public module API
+module.exports = {
+	collect_network_report,
+	build_report,
+	format_json,
+	format_markdown,
+	format_html,
+};
@@ -0,0 +1,204 @@
+// helper functions shared by the faucet administration tasks and scripts
+// note: functions rely on the `web3` instance injected by hardhat into the global scope
+
+// duration units supported by `parse_duration`, seconds
+const DURATION_UNITS = {
+	s: 1,
+	m: 60,
+	h: 60 * 60,
+	d: 24 * 60 * 60,
+	w: 7 * 24 * 60 * 60,
+};
+
+/**
+ * Parses human-readable ETH amount into wei
+ *
+ * @example "0.5 ether", "100 gwei", "1000 wei", "1000" (wei is the default unit)
+ *
+ * @param amount amount to parse, a string or a number
+ * @return BN amount in wei
+ */
+function parse_amount(amount) {
+	// split the input into the value and the unit
+	const match = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*([a-zA-Z]*)\s*$/.exec(amount + "");
+	if(!match) {
+		throw new Error(`malformed amount ${amount}, expected "<value> [unit]", for example "0.5 ether"`);
+	}
+	const [, value, unit] = match;
+
+	// delegate the unit conversion to web3
+	return web3.utils.toBN(web3.utils.toWei(value, (unit || "wei").toLowerCase()));
+}
+
+/**
+ * Parses human-readable duration into seconds
+ *
+ * @example "12h", "1d12h", "30m", "2w", "86400" (seconds is the default unit)
+ *
+ * @param duration duration to parse, a string or a number
+ * @return duration in seconds, a number
+ */
+function parse_duration(duration) {
+	// remove the whitespaces and verify the format
+	const str = (duration + "").replace(/\s+/g, "").toLowerCase();
+	if(!/^(\d+[smhdw]?)+$/.test(str)) {
+		throw new Error(`malformed duration ${duration}, expected "<value>[s|m|h|d|w]", for example "12h"`);
+	}
+
+	// sum up all the components
+	let seconds = 0;
+	for(const [, value, unit] of str.matchAll(/(\d+)([smhdw]?)/g)) {
+		seconds += parseInt(value) * DURATION_UNITS[unit || "s"];
+	}
+	return seconds;
+}
+
+/**
+ * Resolves The Faucet proxy deployed to the current network via hardhat-deploy plugin
+ *
+ * @param deployments hardhat-deploy plugin deployments extension
+ * @return web3 contract instance, TheFaucetV1 ABI bound to the TheFaucet_Proxy address
+ */
+async function get_faucet(deployments) {
+	// proxy is deployed as ERC1967Proxy and has no faucet functions in its ABI,
+	// the implementation deployment is used to get the ABI
+	const {abi} = await deployments.get("TheFaucetV1");
+	const {address} = await deployments.get("TheFaucet_Proxy");
+
+	// bind the ABI to the proxy address
+	return new web3.eth.Contract(abi, address);
+}
+
+/**
+ * Resolves The Faucet companion proxy deployed to the current network via hardhat-deploy plugin
+ *
+ * @example get_companion(deployments, "FaucetTimelock") resolves FaucetTimelockV1 ABI bound to FaucetTimelock_Proxy address
+ *
+ * @param deployments hardhat-deploy plugin deployments extension
+ * @param name companion name: "FaucetRequests", "FaucetTimelock", "FaucetAllowlist", or "FaucetPublic"
+ * @return web3 contract instance, <name>V1 ABI bound to the <name>_Proxy address
+ */
+async function get_companion(deployments, name) {
+	// same as the faucet, the implementation deployment is used to get the ABI
+	const {abi} = await deployments.get(`${name}V1`);
+	const {address} = await deployments.get(`${name}_Proxy`);
+
+	// bind the ABI to the proxy address
+	return new web3.eth.Contract(abi, address);
+}
+
+/**
+ * Lists the networks having The Faucet deployed (deployments folder), and defined in the Hardhat config
+ *
+ * @param networks Hardhat config networks (hre.config.networks)
+ * @param deployments_dir deployments folder path, optional
+ * @return array of the network names
+ */
+function list_deployed_networks({networks, deployments_dir = "deployments"}) {
+	const fs = require("fs");
+	const path = require("path");
+
+	if(!fs.existsSync(deployments_dir)) {
+		return [];
+	}
+	return fs.readdirSync(deployments_dir)
+		.filter(name => networks[name] && fs.existsSync(path.join(deployments_dir, name, "TheFaucet_Proxy.json")));
+}
+
+/**
+ * Resolves The Faucet deployments on several networks at once (not only the current one):
+ * reads the JSON-RPC endpoint from the Hardhat config networks, and the faucet proxy address,
+ * ABI, and chain ID from the deployments folder
+ *
+ * @param networks Hardhat config networks (hre.config.networks)
+ * @param deployments_dir deployments folder path, optional
+ * @param names names of the networks to resolve; all the networks having the faucet deployed if not set,
+ *      in which case the networks without the JSON-RPC endpoint URL are skipped instead of failing
+ * @return array of {network, chain_id, url, faucet_address, abi, fromBlock} objects,
+ *      abi is undefined if the implementation deployment is missing,
+ *      fromBlock is the faucet proxy deployment block (zero if unknown)
+ */
+function load_deployed_networks({networks, deployments_dir = "deployments", names}) {
+	const fs = require("fs");
+	const path = require("path");
+
+	// all the networks having the faucet deployed and defined in the config,
+	// the ones not configured in the current environment (no endpoint URL) are skipped
+	if(!names || !names.length) {
+		names = list_deployed_networks({networks, deployments_dir}).filter(name => {
+			if(!networks[name].url) {
+				console.log("JSON-RPC endpoint URL is not set for %o, skipping", name);
+				return false;
+			}
+			return true;
+		});
+	}
+
+	return names.map(name => {
+		if(!networks[name]) {
+			throw new Error(`network ${name} is not defined in the Hardhat config`);
+		}
+		if(!networks[name].url) {
+			throw new Error(`JSON-RPC endpoint URL is not set for ${name}`);
+		}
+		const proxy_path = path.join(deployments_dir, name, "TheFaucet_Proxy.json");
+		if(!fs.existsSync(proxy_path)) {
+			throw new Error(`faucet is not deployed on ${name}: ${proxy_path} doesn't exist`);
+		}
+		const proxy = JSON.parse(fs.readFileSync(proxy_path, "utf8"));
+		const impl_path = path.join(deployments_dir, name, "TheFaucetV1.json");
+
+		return {
+			network: name,
+			chain_id: fs.readFileSync(path.join(deployments_dir, name, ".chainId"), "utf8").trim(),
+			url: networks[name].url,
+			faucet_address: proxy.address,
+			abi: fs.existsSync(impl_path)? JSON.parse(fs.readFileSync(impl_path, "utf8")).abi: undefined,
+			fromBlock: proxy.receipt? proxy.receipt.blockNumber: 0,
+		};
+	});
+}
+
+/**
+ * Determines the account to send transactions from:
+ * the one requested, or the first available account from the network config
+ *
+ * @param from optional account address requested explicitly
+ * @return account address to send transactions from
+ */
+async function get_sender(from) {
+	if(from) {
+		return web3.utils.toChecksumAddress(from);
+	}
+	const accounts = await web3.eth.getAccounts();
+	// do not use the default account for tests (same as deployment scripts do)
+	return network.name === "hardhat"? accounts[1]: accounts[0];
+}
+
+/**
+ * Prints all the events decoded in the web3 transaction receipt
+ *
+ * @param receipt web3 transaction receipt
+ */
+function print_events(receipt) {
+	console.log("tx %o mined in block %o", receipt.transactionHash, receipt.blockNumber);
+	for(const event of Object.values(receipt.events || {}).flat()) {
+		// keep only named values, skip the numeric duplicates
+		const values = Object.fromEntries(
+			Object.entries(event.returnValues || {}).filter(([key]) => isNaN(key))
+		);
+		console.log("\t%s(%o)", event.event || "<unknown event>", values);
+	}
+}
+
+// export public module API
+module.exports = {
+	parse_amount,
+	parse_duration,
+	get_faucet,
+	get_companion,
+	list_deployed_networks,
+	load_deployed_networks,
+	get_sender,
+	print_events,
+}
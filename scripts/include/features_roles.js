@@ -40,12 +40,24 @@ const ROLE_TOKEN_CREATOR = 0x0001_0000;
 
 // Start: ===== TheFaucet =====
 
+// [TheFaucet] Emergency pause: when enabled, all the withdrawals and mints are blocked
+const FEATURE_PAUSED = 0x0000_0001;
+
+// [TheFaucet] Timelock: when enabled, limit and budget increases, epoch changes, and upgrades are accepted from the timelock only
+const FEATURE_TIMELOCK = 0x0000_0002;
+
+// [TheFaucet] Public mode: when enabled, non-whitelisted addresses can claim ETH via the public tier (FaucetPublic contract)
+const FEATURE_PUBLIC = 0x0000_0004;
+
 // Faucet user is allowed to get ETH via The Faucet
 const ROLE_FAUCET_USER = 0x0001_0000;
 
 // Faucet manager is responsible for faucet configuration and managing faucet users
 const ROLE_FAUCET_MANAGER = 0x0002_0000;
 
+// Timelock (FaucetTimelock contract) is allowed to execute the sensitive changes when the timelock is enabled
+const ROLE_TIMELOCK = 0x0004_0000;
+
 // End: ===== TheFaucet =====
 
 
@@ -58,6 +70,10 @@ module.exports = {
 	or,
 	not,
 	ROLE_TOKEN_CREATOR,
+	FEATURE_PAUSED,
+	FEATURE_TIMELOCK,
+	FEATURE_PUBLIC,
 	ROLE_FAUCET_MANAGER,
 	ROLE_FAUCET_USER,
+	ROLE_TIMELOCK,
 };
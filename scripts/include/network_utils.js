@@ -0,0 +1,110 @@
+// JSON-RPC endpoints resolution shared by the hardhat config and the faucet CLI (bin/faucet)
+
+/**
+ * Determines a JSON-RPC endpoint to use to connect to the node
+ * based on the requested network name and environment variables set
+ *
+ * Tries to use custom RPC URL first (MAINNET_RPC_URL/ROPSTEN_RPC_URL/RINKEBY_RPC_URL/KOVAN_RPC_URL)
+ * Tries to use alchemy RPC URL next (if ALCHEMY_KEY is set)
+ * Fallbacks to infura RPC URL
+ *
+ * @param network_name one of mainnet/ropsten/rinkeby/kovan
+ * @return JSON-RPC endpoint URL
+ */
+function get_endpoint_url(network_name) {
+	// try custom RPC endpoint first (private node, quicknode, etc.)
+	// create a quicknode key: https://www.quicknode.com/
+	if(process.env.MAINNET_RPC_URL && network_name === "mainnet") {
+		return process.env.MAINNET_RPC_URL;
+	}
+	if(process.env.ROPSTEN_RPC_URL && network_name === "ropsten") {
+		return process.env.ROPSTEN_RPC_URL;
+	}
+	if(process.env.RINKEBY_RPC_URL && network_name === "rinkeby") {
+		return process.env.RINKEBY_RPC_URL;
+	}
+	if(process.env.KOVAN_RPC_URL && network_name === "kovan") {
+		return process.env.KOVAN_RPC_URL;
+	}
+	if(process.env.GOERLI_RPC_URL && network_name === "goerli") {
+		return process.env.GOERLI_RPC_URL;
+	}
+	if(process.env.SEPOLIA_RPC_URL && network_name === "sepolia") {
+		return process.env.SEPOLIA_RPC_URL;
+	}
+	if(process.env.POLYGON_RPC_URL && network_name === "polygon") {
+		return process.env.POLYGON_RPC_URL;
+	}
+	if(process.env.MUMBAI_RPC_URL && network_name === "mumbai") {
+		return process.env.MUMBAI_RPC_URL;
+	}
+	if(process.env.BSC_RPC_URL && network_name === "binance") {
+		return process.env.BSC_RPC_URL;
+	}
+	if(process.env.BSC_TESTNET_RPC_URL && network_name === "binance_testnet") {
+		return process.env.BSC_TESTNET_RPC_URL;
+	}
+	if(process.env.BASE_RPC_URL && network_name === "base_mainnet") {
+		return process.env.BASE_RPC_URL;
+	}
+	if(process.env.BASE_GOERLI_RPC_URL && network_name === "base_goerli") {
+		return process.env.BASE_GOERLI_RPC_URL;
+	}
+	if(process.env.BASE_SEPOLIA_RPC_URL && network_name === "base_sepolia") {
+		return process.env.BASE_SEPOLIA_RPC_URL;
+	}
+
+	// try the alchemy next
+	// create a key: https://www.alchemy.com/
+	if(process.env.ALCHEMY_KEY) {
+		switch(network_name) {
+			case "mainnet": return "https://eth-mainnet.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
+			case "ropsten": return "https://eth-ropsten.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
+			case "rinkeby": return "https://eth-rinkeby.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
+			case "kovan": return "https://eth-kovan.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
+			case "goerli": return "https://eth-goerli.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
+			case "sepolia": return "https://eth-sepolia.g.alchemyapi.io/v2/" + process.env.ALCHEMY_KEY;
+			case "polygon": return "https://polygon-mainnet.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
+			case "mumbai": return "https://polygon-mumbai.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
+			case "base_mainnet": return "https://base-mainnet.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
+			case "base_goerli": return "https://base-goerli.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
+			case "base_sepolia": return "https://base-sepolia.g.alchemy.com/v2/" + process.env.ALCHEMY_KEY;
+		}
+	}
+
+	// fallback to infura
+	// create a key: https://infura.io/
+	if(process.env.INFURA_KEY) {
+		switch(network_name) {
+			case "mainnet": return "https://mainnet.infura.io/v3/" + process.env.INFURA_KEY;
+			case "ropsten": return "https://ropsten.infura.io/v3/" + process.env.INFURA_KEY;
+			case "rinkeby": return "https://rinkeby.infura.io/v3/" + process.env.INFURA_KEY;
+			case "kovan": return "https://kovan.infura.io/v3/" + process.env.INFURA_KEY;
+			case "goerli": return "https://goerli.infura.io/v3/" + process.env.INFURA_KEY;
+			case "sepolia": return "https://sepolia.infura.io/v3/" + process.env.INFURA_KEY;
+			case "polygon": return "https://polygon-mainnet.infura.io/v3/" + process.env.INFURA_KEY;
+			case "mumbai": return "https://polygon-mumbai.infura.io/v3/" + process.env.INFURA_KEY;
+		}
+	}
+
+	// some networks don't require API key
+	switch(network_name) {
+		case "polygon": return "https://polygon-rpc.com/";
+		case "mumbai": return "https://rpc-mumbai.maticvigil.com";
+		case "binance": return "https://bsc-dataseed1.binance.org/";
+		case "binance_testnet":  return "https://data-seed-prebsc-1-s3.binance.org:8545/";
+		case "opBnb": return "https://opbnb-mainnet.nodereal.io/v1/64a9df0874fb4a93b9d0a3849de012d3";
+		case "opBnb_testnet": return "https://opbnb-testnet.nodereal.io/v1/9989d39cb7484ee9abcec2132a242315";
+		case "base_mainnet": return "https://mainnet.base.org";
+		case "base_goerli": return "https://goerli.base.org";
+		case "base_sepolia": return "https://sepolia.base.org";
+	}
+
+	// fallback to default JSON_RPC_URL (if set)
+	return process.env.JSON_RPC_URL || "";
+}
+
+// export public module API
+module.exports = {
+	get_endpoint_url,
+}
@@ -0,0 +1,225 @@
+// team roster (faucet users list) parsing and synchronization helpers
+// note: functions rely on the `web3` instance injected by hardhat into the global scope
+
+// faucet helpers
+const {
+	parse_amount,
+} = require("./faucet_utils");
+
+/**
+ * Reads and parses the roster file, the format is determined by the file extension
+ *
+ * @param path path to the roster file, .csv or .json
+ * @return roster entries array, see `parse_roster`
+ */
+function load_roster(path) {
+	const text = require("fs").readFileSync(path, "utf8");
+	return parse_roster(text, path.toLowerCase().endsWith(".json")? "json": "csv");
+}
+
+/**
+ * Parses the roster file contents
+ *
+ * CSV format: one user per line, "address[,limit]", where limit is optional;
+ *      header line, empty lines, and lines starting with "#" are ignored
+ *
+ * JSON format: one of
+ *      - an array of addresses, ["0x...", "0x..."]
+ *      - an array of objects, [{"address": "0x...", "limit": "2 ether"}, ...]
+ *      - an object mapping addresses to limits, {"0x...": "2 ether", "0x...": null}
+ *
+ * Limits are human-readable amounts (see `parse_amount`), missing limit means
+ *      global limit (`weiLimitPerEpoch`) is used for the user
+ *
+ * @param text roster file contents
+ * @param format "csv" or "json"
+ * @return an array of {address, limit} entries, where address is checksummed,
+ *      and limit is a wei BN (zero if not set)
+ */
+function parse_roster(text, format = "csv") {
+	// normalize the input into [{address, limit}, line] pairs
+	let rows = [];
+	if(format === "json") {
+		const json = JSON.parse(text);
+		if(Array.isArray(json)) {
+			rows = json.map((e, i) => [typeof e === "string"? {address: e}: e, i + 1]);
+		}
+		else {
+			rows = Object.entries(json).map(([address, limit], i) => [{address, limit}, i + 1]);
+		}
+	}
+	else {
+		text.split(/\r?\n/).forEach((line, i) => {
+			line = line.trim();
+			// skip empty lines and comments
+			if(!line || line.startsWith("#")) {
+				return;
+			}
+			const [address, limit] = line.split(",").map(cell => cell.trim().replace(/^"(.*)"$/, "$1"));
+			// skip the header
+			if(!rows.length && !web3.utils.isAddress(address)) {
+				return;
+			}
+			rows.push([{address, limit}, i + 1]);
+		});
+	}
+
+	// validate and convert the entries
+	const roster = [];
+	const seen = new Set();
+	for(const [{address, limit}, line] of rows) {
+		if(!web3.utils.isAddress(address)) {
+			throw new Error(`roster entry ${line}: invalid address ${address}`);
+		}
+		if(seen.has(address.toLowerCase())) {
+			throw new Error(`roster entry ${line}: duplicate address ${address}`);
+		}
+		seen.add(address.toLowerCase());
+		roster.push({
+			address: web3.utils.toChecksumAddress(address),
+			limit: limit === undefined || limit === null || limit === ""? web3.utils.toBN(0): parse_amount(limit),
+		});
+	}
+	return roster;
+}
+
+/**
+ * Finds all the addresses which were ever assigned a role on the faucet,
+ * by scanning the `RoleUpdated` events
+ *
+ * @param faucet web3 contract instance of TheFaucetV1
+ * @param from_block block number to start scanning from, usually the faucet deployment block
+ * @param chunk_size number of blocks to query at once, limited by the JSON-RPC endpoints
+ * @return an array of checksummed addresses, excluding the faucet itself (its role stores features)
+ */
+async function get_role_holders(faucet, from_block = 0, chunk_size = 50_000) {
+	const to_block = await web3.eth.getBlockNumber();
+	const holders = new Set();
+	for(let fromBlock = from_block; fromBlock <= to_block; fromBlock += chunk_size) {
+		const toBlock = Math.min(fromBlock + chunk_size - 1, to_block);
+		const events = await faucet.getPastEvents("RoleUpdated", {fromBlock, toBlock});
+		events.forEach(e => holders.add(web3.utils.toChecksumAddress(e.returnValues.operator)));
+	}
+	holders.delete(web3.utils.toChecksumAddress(faucet.options.address));
+	return [...holders];
+}
+
+/**
+ * Compares the roster against the on-chain state and determines the changes required
+ * to bring on-chain state in sync with the roster
+ *
+ * @dev Addresses having `ROLE_ACCESS_MANAGER` or `ROLE_FAUCET_MANAGER` permission are never removed,
+ *      even if they are not in the roster
+ *
+ * @dev Roster users whose faucet access expired (see `userAccessExpiries`) are added again,
+ *      `addUsers` grants the access which doesn't expire
+ *
+ * @dev Expired limit overrides (see `weiLimitOverrideExpiries`) are treated as not set,
+ *      roster limits are set again, `setWeiLimitPerEpochForUser` sets the override which doesn't expire
+ *
+ * @param faucet web3 contract instance of TheFaucetV1
+ * @param roster roster entries array, see `parse_roster`
+ * @param from_block block number to start scanning the `RoleUpdated` events from
+ * @return the sync plan {add, remove, limits}, where add and remove are the arrays of addresses,
+ *      and limits is an array of {address, current, limit} entries, with limits in wei (BN)
+ */
+async function plan_roster_sync(faucet, roster, from_block = 0) {
+	const {
+		ROLE_ACCESS_MANAGER,
+		ROLE_FAUCET_USER,
+		ROLE_FAUCET_MANAGER,
+	} = require("./features_roles");
+	const {toBN} = web3.utils;
+
+	// reads the role of the address and checks the permission required
+	const has_role = async(address, role) => toBN(await faucet.methods.getRole(address).call()).and(toBN(role)).eq(toBN(role));
+	// checks if the address has faucet user access which is not expired
+	const is_active_user = async(address) => await faucet.methods.isActiveUser(address).call();
+	// reads the limit override of the address; expired override is treated as not set (zero)
+	const now = toBN((await web3.eth.getBlock("latest")).timestamp);
+	const get_override = async(address) => {
+		const expires_at = toBN(await faucet.methods.weiLimitOverrideExpiries(address).call());
+		if(!expires_at.isZero() && expires_at.lte(now)) {
+			return toBN(0);
+		}
+		return toBN(await faucet.methods.weiLimitPerEpochOverrides(address).call());
+	};
+
+	const plan = {add: [], remove: [], limits: []};
+
+	// users in the roster are to be added (if not yet added, or expired), and their limits updated (if changed)
+	for(const {address, limit} of roster) {
+		if(!await is_active_user(address)) {
+			plan.add.push(address);
+		}
+		const current = await get_override(address);
+		if(!current.eq(limit)) {
+			plan.limits.push({address, current, limit});
+		}
+	}
+
+	// current users not in the roster are to be removed, and their limits reset
+	const in_roster = new Set(roster.map(e => e.address));
+	for(const address of await get_role_holders(faucet, from_block)) {
+		if(in_roster.has(address) || !await has_role(address, ROLE_FAUCET_USER)) {
+			continue;
+		}
+		if(await has_role(address, ROLE_ACCESS_MANAGER) || await has_role(address, ROLE_FAUCET_MANAGER)) {
+			continue;
+		}
+		plan.remove.push(address);
+		const current = await get_override(address);
+		if(!current.isZero()) {
+			plan.limits.push({address, current, limit: toBN(0)});
+		}
+	}
+
+	return plan;
+}
+
+/**
+ * Splits the array of items into batches, so that each batch fits into the gas limit
+ *
+ * @param items an array of items to split
+ * @param estimate_gas async function estimating the gas required to process the batch,
+ *      accepts a batch (an array of items), returns the gas estimate, may throw if
+ *      the batch doesn't fit into the block
+ * @param max_gas gas limit for a single batch
+ * @return an array of batches (an array of arrays)
+ */
+async function split_batches(items, estimate_gas, max_gas) {
+	if(!items.length) {
+		return [];
+	}
+	let gas;
+	try {
+		gas = await estimate_gas(items);
+	}
+	catch(e) {
+		// single item which cannot be estimated is an error
+		if(items.length === 1) {
+			throw e;
+		}
+	}
+	if(gas !== undefined && gas <= max_gas) {
+		return [items];
+	}
+	if(items.length === 1) {
+		throw new Error(`single item batch requires ${gas} gas, which exceeds the limit of ${max_gas} gas`);
+	}
+	// split in halves and process recursively
+	const half = Math.ceil(items.length / 2);
+	return [
+		...await split_batches(items.slice(0, half), estimate_gas, max_gas),
+		...await split_batches(items.slice(half), estimate_gas, max_gas),
+	];
+}
+
+// export public module API
+module.exports = {
+	load_roster,
+	parse_roster,
+	get_role_holders,
+	plan_roster_sync,
+	split_batches,
+}
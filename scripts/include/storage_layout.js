@@ -0,0 +1,248 @@
+// storage layout helpers for the upgrade safety check: extracts the storage layout from the compiler output,
+// normalizes it into a snapshot which can be committed, and compares the snapshots, detecting the changes
+// which break the proxy storage: removed, reordered, or retyped state variables
+
+// folder the storage layout snapshots are committed to, one subfolder per contract
+const SNAPSHOTS_DIR = require("path").join(__dirname, "../../storage_layouts");
+
+/**
+ * Removes the AST IDs from the type identifiers, like "t_struct(WithdrawalStat)2367_storage",
+ * which change between the compilations while the type remains the same
+ *
+ * @param type_id type identifier from the compiler storage layout output
+ * @return type identifier with no AST IDs, like "t_struct(WithdrawalStat)_storage"
+ */
+function normalize_type_id(type_id) {
+	return type_id && type_id.replace(/(t_(?:struct|enum|contract)\([^)]*\))\d+/g, "$1");
+}
+
+/**
+ * Normalizes the storage layout compiler output into the snapshot form:
+ * drops the AST IDs, contract names, and keeps only the fields affecting the storage
+ *
+ * @param layout storage layout, `storageLayout` compiler output or hardhat-deploy deployment field
+ * @return normalized storage layout {storage, types}
+ */
+function normalize_layout(layout) {
+	const normalize_var = ({label, slot, offset, type}) => ({label, slot: slot + "", offset, type: normalize_type_id(type)});
+
+	const types = {};
+	for(const [id, {label, encoding, numberOfBytes, key, value, base, members}] of Object.entries(layout.types || {})) {
+		types[normalize_type_id(id)] = Object.assign(
+			{label, encoding, numberOfBytes: numberOfBytes + ""},
+			key && {key: normalize_type_id(key)},
+			value && {value: normalize_type_id(value)},
+			base && {base: normalize_type_id(base)},
+			members && {members: members.map(normalize_var)},
+		);
+	}
+
+	return {
+		storage: layout.storage.map(normalize_var),
+		types,
+	};
+}
+
+/**
+ * Extracts the storage layout of the contract from the hardhat compiler output (build info)
+ *
+ * @param artifacts hardhat artifacts extension
+ * @param name contract name, like "TheFaucetV1"
+ * @return normalized storage layout {storage, types}
+ */
+async function extract_layout(artifacts, name) {
+	const {sourceName, contractName} = await artifacts.readArtifact(name);
+	const build_info = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+	const {storageLayout} = build_info.output.contracts[sourceName][contractName];
+	if(!storageLayout) {
+		throw new Error(`storage layout is not in the compiler output for ${name}, check the solidity outputSelection`);
+	}
+	return normalize_layout(storageLayout);
+}
+
+/**
+ * Reads the storage layout of the contract deployed via hardhat-deploy plugin;
+ * deployments not saved to disk (hardhat network, forks) don't keep the layout, compiler output is used then
+ *
+ * @param deployments hardhat-deploy plugin deployments extension
+ * @param name deployment (and contract) name, like "TheFaucetV1"
+ * @return normalized storage layout {storage, types}, undefined if not available
+ */
+async function get_deployment_layout(deployments, name) {
+	const deployment = await deployments.get(name);
+	const {storageLayout} = deployment.storageLayout? deployment: await deployments.getExtendedArtifact(name);
+	return storageLayout && normalize_layout(storageLayout);
+}
+
+/**
+ * Checks if the type in the new layout can be used instead of the type in the old layout,
+ * keeping the data stored intact
+ *
+ * @param old_layout old (snapshot) storage layout, normalized
+ * @param old_id type identifier in the old layout
+ * @param new_layout new storage layout, normalized
+ * @param new_id type identifier in the new layout
+ * @param growable true if the struct can be extended with new members (mapping values)
+ * @return error message if the types are not compatible, undefined otherwise
+ */
+function check_type(old_layout, old_id, new_layout, new_id, growable = false) {
+	const old_type = old_layout.types[old_id];
+	const new_type = new_layout.types[new_id];
+	if(!old_type || !new_type) {
+		return old_id === new_id? undefined: `type changed from ${old_id} to ${new_id}`;
+	}
+	if(old_type.encoding !== new_type.encoding) {
+		return `type changed from ${old_type.label} to ${new_type.label}`;
+	}
+	if(old_type.encoding === "mapping") {
+		if(old_type.key !== new_type.key) {
+			return `${old_type.label}: key type changed from ${old_type.key} to ${new_type.key}`;
+		}
+		// mapping values are stored in the hashed locations, structs can be extended
+		return check_type(old_layout, old_type.value, new_layout, new_type.value, true);
+	}
+	if(old_type.members) {
+		if(!new_type.members) {
+			return `type changed from ${old_type.label} to ${new_type.label}`;
+		}
+		if(!growable && old_type.numberOfBytes !== new_type.numberOfBytes) {
+			return `${old_type.label}: size changed from ${old_type.numberOfBytes} to ${new_type.numberOfBytes} bytes`;
+		}
+		const errors = compare_layouts(
+			{storage: old_type.members, types: old_layout.types},
+			{storage: new_type.members, types: new_layout.types}
+		);
+		return errors.length? `${old_type.label}: ${errors.join("; ")}`: undefined;
+	}
+	if(old_type.numberOfBytes !== new_type.numberOfBytes) {
+		return `${old_type.label}: size changed from ${old_type.numberOfBytes} to ${new_type.numberOfBytes} bytes`;
+	}
+	if(old_type.base) {
+		// array elements are packed one after another, array of structs cannot be extended
+		return new_type.base? check_type(old_layout, old_type.base, new_layout, new_type.base): `type changed from ${old_type.label} to ${new_type.label}`;
+	}
+	if(old_type.label !== new_type.label) {
+		return `type changed from ${old_type.label} to ${new_type.label}`;
+	}
+}
+
+/**
+ * Compares the new storage layout against the old one (snapshot): verifies every variable of the old layout
+ * is in its place in the new layout, and has a compatible type;
+ * `__gap` arrays can shrink as long as they end at the same slot (new variables are added in front of them)
+ *
+ * @param old_layout old (snapshot) storage layout {storage, types}, normalized
+ * @param new_layout new storage layout {storage, types}, normalized
+ * @return an array of error messages, empty if the new layout is compatible with the old one
+ */
+function compare_layouts(old_layout, new_layout) {
+	const errors = [];
+	const gap_end = (v, layout) => BigInt(v.slot) + BigInt(layout.types[v.type].numberOfBytes) / 32n;
+	for(const old_var of old_layout.storage) {
+		const where = `${old_var.label} (slot ${old_var.slot}, offset ${old_var.offset})`;
+		if(old_var.label === "__gap") {
+			const end = gap_end(old_var, old_layout);
+			if(!new_layout.storage.some(v => v.label === "__gap" && gap_end(v, new_layout) === end && BigInt(v.slot) >= BigInt(old_var.slot))) {
+				errors.push(`${where} is removed or moved`);
+			}
+			continue;
+		}
+		const new_var = new_layout.storage.find(v => v.slot === old_var.slot && v.offset === old_var.offset);
+		if(!new_var) {
+			errors.push(`${where} is removed or moved`);
+			continue;
+		}
+		if(new_var.label !== old_var.label) {
+			errors.push(`${where} is replaced by ${new_var.label}`);
+			continue;
+		}
+		const error = check_type(old_layout, old_var.type, new_layout, new_var.type);
+		if(error) {
+			errors.push(`${where}: ${error}`);
+		}
+	}
+	return errors;
+}
+
+/**
+ * Reads all the storage layout snapshots committed for the contract
+ *
+ * @param name contract name, like "TheFaucetV1"
+ * @param dir snapshots folder, optional
+ * @return an array of snapshots {version, storage, types}, sorted by version
+ */
+function load_snapshots(name, dir = SNAPSHOTS_DIR) {
+	const fs = require("fs");
+	const path = require("path");
+	const contract_dir = path.join(dir, name);
+	if(!fs.existsSync(contract_dir)) {
+		return [];
+	}
+	return fs.readdirSync(contract_dir)
+		.filter(file => file.endsWith(".json"))
+		.sort((a, b) => a.localeCompare(b, undefined, {numeric: true}))
+		.map(file => JSON.parse(fs.readFileSync(path.join(contract_dir, file), "utf8")));
+}
+
+/**
+ * Writes the storage layout snapshot for the contract version
+ *
+ * @param name contract name, like "TheFaucetV1"
+ * @param version version name, like "v1_0"
+ * @param layout storage layout to save, normalized
+ * @param dir snapshots folder, optional
+ * @return path to the snapshot file written
+ */
+function save_snapshot(name, version, layout, dir = SNAPSHOTS_DIR) {
+	const fs = require("fs");
+	const path = require("path");
+	const file = path.join(dir, name, `${version}.json`);
+	fs.mkdirSync(path.dirname(file), {recursive: true});
+	fs.writeFileSync(file, JSON.stringify({contract: name, version, storage: layout.storage, types: layout.types}, null, "\t") + "\n");
+	return file;
+}
+
+/**
+ * Compares the storage layout against all the snapshots committed for the contract
+ *
+ * @param name contract name, like "TheFaucetV1"
+ * @param layout storage layout to check, normalized
+ * @param dir snapshots folder, optional
+ * @return an array of error messages prefixed with the snapshot version, empty if the layout is compatible
+ */
+function check_snapshots(name, layout, dir = SNAPSHOTS_DIR) {
+	return load_snapshots(name, dir).flatMap(snapshot => compare_layouts(snapshot, layout).map(e => `${snapshot.version}: ${e}`));
+}
+
+/**
+ * Verifies the storage layout of the implementation deployed via hardhat-deploy plugin is compatible
+ * with all the snapshots committed for the contract, that is the upgrade to this implementation is safe
+ *
+ * @param deployments hardhat-deploy plugin deployments extension
+ * @param name deployment (and contract) name, like "TheFaucetV1"
+ * @param dir snapshots folder, optional
+ * @throws Error if the layout is not available or is incompatible with the versions deployed
+ */
+async function verify_deployment_layout(deployments, name, dir = SNAPSHOTS_DIR) {
+	const layout = await get_deployment_layout(deployments, name);
+	if(!layout) {
+		throw new Error(`${name} storage layout is not available, cannot verify the upgrade is safe`);
+	}
+	const layout_errors = check_snapshots(name, layout, dir);
+	if(layout_errors.length) {
+		throw new Error(`${name} storage layout is incompatible with the versions deployed:\n\t${layout_errors.join("\n\t")}`);
+	}
+}
+
+// export public module API
+module.exports = {
+	SNAPSHOTS_DIR,
+	normalize_layout,
+	extract_layout,
+	get_deployment_layout,
+	compare_layouts,
+	load_snapshots,
+	save_snapshot,
+	check_snapshots,
+	verify_deployment_layout,
+}
@@ -0,0 +1,262 @@
+// upgrade rehearsal helpers: capture the faucet state (proxy code, storage, and balances) into a dump
+// which can be loaded into the local hardhat network instead of forking the live one,
+// read the faucet state observable via its ABI, and compare the states before and after the upgrade
+// note: functions rely on the `web3` instance injected by hardhat into the global scope
+
+// ERC1967 implementation slot, bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Reads the implementation address of the ERC1967 proxy
+ *
+ * @param proxy_address ERC1967 proxy address
+ * @return implementation address, checksummed
+ */
+async function get_implementation(proxy_address) {
+	const value = await web3.eth.getStorageAt(proxy_address, IMPLEMENTATION_SLOT);
+	return web3.utils.toChecksumAddress("0x" + web3.utils.padLeft(value, 64).slice(-40));
+}
+
+/**
+ * Lists the storage slots occupied by the value of the type, located at the slot specified;
+ * mapping entries are resolved for the address (and bytes32) keys specified only,
+ * dynamic arrays are resolved using their actual length stored in the contract
+ *
+ * @param address contract address to read the dynamic arrays length from
+ * @param layout normalized storage layout {storage, types}
+ * @param type_id type identifier in the layout
+ * @param slot slot the value is located at, BN
+ * @param keys addresses to resolve the mapping entries for
+ * @param slots set of slots (hex strings) to add the slots found to
+ */
+async function collect_slots(address, layout, type_id, slot, keys, slots) {
+	const {toBN, toHex, keccak256, padLeft} = web3.utils;
+	const type = layout.types[type_id];
+	if(!type) {
+		return;
+	}
+	// number of slots occupied by the inplace value of the type
+	const slot_count = type => Math.max(1, Math.ceil(parseInt(type.numberOfBytes) / 32));
+
+	if(type.encoding === "mapping") {
+		// address and bytes32 keys (EnumerableSet indexes) are abi encoded the same way
+		if(type.key !== "t_address" && type.key !== "t_bytes32") {
+			return;
+		}
+		for(const key of keys) {
+			// keccak256(abi.encode(key, slot))
+			const base = keccak256(web3.eth.abi.encodeParameters(["address", "uint256"], [key, slot.toString()]));
+			await collect_slots(address, layout, type.value, toBN(base), keys, slots);
+		}
+	}
+	else if(type.encoding === "dynamic_array") {
+		// length is stored in the slot, elements – starting from keccak256(slot)
+		slots.add(toHex(slot));
+		const length = toBN(await web3.eth.getStorageAt(address, toHex(slot))).toNumber();
+		const base = toBN(keccak256(padLeft(toHex(slot), 64)));
+		const element = layout.types[type.base];
+		if(element && element.members) {
+			for(let i = 0; i < length; i++) {
+				await collect_slots(address, layout, type.base, base.addn(i * slot_count(element)), keys, slots);
+			}
+		}
+		else if(element) {
+			// elements up to 16 bytes long are packed into a single slot
+			const size = parseInt(element.numberOfBytes);
+			const count = size > 16? length * slot_count(element): Math.ceil(length / Math.floor(32 / size));
+			for(let i = 0; i < count; i++) {
+				slots.add(toHex(base.addn(i)));
+			}
+		}
+	}
+	else if(type.members) {
+		for(const member of type.members) {
+			await collect_slots(address, layout, member.type, slot.add(toBN(member.slot)), keys, slots);
+		}
+	}
+	else {
+		// elementary values, static arrays, and bytes/string (short value or the length only)
+		const count = type.encoding === "inplace"? slot_count(type): 1;
+		for(let i = 0; i < count; i++) {
+			slots.add(toHex(slot.addn(i)));
+		}
+	}
+}
+
+/**
+ * Lists the storage slots occupied by the state variables of the contract; `__gap` arrays are skipped
+ *
+ * @param address contract address
+ * @param layout normalized storage layout {storage, types}
+ * @param keys addresses to resolve the mapping entries for
+ * @return an array of slots, hex strings
+ */
+async function list_slots(address, layout, keys = []) {
+	const slots = new Set();
+	for(const v of layout.storage) {
+		if(v.label !== "__gap") {
+			await collect_slots(address, layout, v.type, web3.utils.toBN(v.slot), keys, slots);
+		}
+	}
+	return [...slots];
+}
+
+/**
+ * Captures the state of the account: code, balance, nonce, and the storage slots requested
+ *
+ * @param address account address
+ * @param slots storage slots to capture, zero values are skipped
+ * @return account state {code, balance, nonce, storage}
+ */
+async function capture_account(address, slots = []) {
+	const storage = {};
+	for(const slot of slots) {
+		const value = web3.utils.padLeft(await web3.eth.getStorageAt(address, slot), 64);
+		if(!/^0x0+$/.test(value)) {
+			storage[slot] = value;
+		}
+	}
+	return {
+		code: await web3.eth.getCode(address),
+		balance: await web3.eth.getBalance(address),
+		nonce: await web3.eth.getTransactionCount(address),
+		storage,
+	};
+}
+
+/**
+ * Captures the ERC1967 proxy (code and storage) and its implementation into the accounts state;
+ * the proxy address itself is a mapping key along with the accounts of interest
+ *
+ * @param accounts accounts state to add the proxy and implementation to
+ * @param proxy_address ERC1967 proxy address
+ * @param layout normalized storage layout of the implementation deployed
+ * @param addresses accounts of interest, used as the mapping keys
+ * @return implementation address
+ */
+async function capture_proxy(accounts, proxy_address, layout, addresses) {
+	const implementation = await get_implementation(proxy_address);
+	const proxy_slots = await list_slots(proxy_address, layout, [proxy_address, ...addresses]);
+	accounts[proxy_address] = await capture_account(proxy_address, [IMPLEMENTATION_SLOT, ...proxy_slots]);
+	accounts[implementation] = await capture_account(implementation, await list_slots(implementation, layout));
+	return implementation;
+}
+
+/**
+ * Captures the faucet state into a dump which can be loaded into the local hardhat network (`load_state`):
+ * proxy code and storage, implementation code and storage, code of the libraries the implementation
+ * is linked with, the companion proxies (like the timelock) the same way as the faucet proxy, and the accounts of interest;
+ * storage slots are derived from the storage layout of the implementation deployed
+ *
+ * @param proxy_address faucet proxy address
+ * @param layout normalized storage layout of the implementation deployed
+ * @param addresses accounts of interest (users, managers), used as the mapping keys
+ * @param libraries addresses of the libraries the implementation is linked with
+ * @param companions companion proxies to capture, [{proxy_address, layout}], optional
+ * @return state dump {blockNumber, proxy, implementation, companions, accounts},
+ *      where `companions` maps the companion proxy address to its implementation address
+ */
+async function capture_state({proxy_address, layout, addresses = [], libraries = [], companions = []}) {
+	const blockNumber = await web3.eth.getBlockNumber();
+	const implementation = await get_implementation(proxy_address);
+
+	const accounts = {};
+	// companion proxies are the mapping keys as well: they hold the roles on the faucet (like ROLE_TIMELOCK)
+	const keys = [...addresses, ...companions.map(companion => companion.proxy_address)];
+	await capture_proxy(accounts, proxy_address, layout, keys);
+	for(const library of libraries) {
+		accounts[library] = await capture_account(library);
+	}
+	const companion_implementations = {};
+	for(const companion of companions) {
+		companion_implementations[companion.proxy_address] = await capture_proxy(accounts, companion.proxy_address, companion.layout, keys);
+	}
+	for(const address of addresses) {
+		accounts[address] = accounts[address] || await capture_account(address);
+	}
+
+	return {blockNumber, proxy: proxy_address, implementation, companions: companion_implementations, accounts};
+}
+
+/**
+ * Loads the state dump (`capture_state`) into the local hardhat network
+ *
+ * @param provider hardhat network provider (hre.network.provider)
+ * @param dump state dump to load
+ */
+async function load_state(provider, dump) {
+	const {toHex, toBN} = web3.utils;
+	for(const [address, {code, balance, nonce, storage}] of Object.entries(dump.accounts)) {
+		if(code && code !== "0x") {
+			await provider.request({method: "hardhat_setCode", params: [address, code]});
+		}
+		await provider.request({method: "hardhat_setBalance", params: [address, toHex(balance)]});
+		// nonce can only be increased
+		if(nonce > await web3.eth.getTransactionCount(address)) {
+			await provider.request({method: "hardhat_setNonce", params: [address, toHex(nonce)]});
+		}
+		for(const [slot, value] of Object.entries(storage || {})) {
+			await provider.request({method: "hardhat_setStorageAt", params: [address, toHex(toBN(slot)), value]});
+		}
+	}
+}
+
+/**
+ * Reads the faucet state which must be kept by the upgrade: epoch length and ETH limit,
+ * features, ETH balance, and roles, ETH limit overrides, withdrawal stats of the accounts of interest
+ *
+ * @param faucet web3 contract instance, TheFaucetV1 ABI bound to the TheFaucet_Proxy address
+ * @param addresses accounts of interest (users, managers)
+ * @return faucet state object
+ */
+async function read_faucet_state(faucet, addresses = []) {
+	const accounts = {};
+	for(const address of addresses) {
+		const {lastWithdrawalTimestamp, weiWithdrawn} = await faucet.methods.withdrawalStats(address).call();
+		accounts[address] = {
+			role: await faucet.methods.getRole(address).call(),
+			weiLimitPerEpochOverride: await faucet.methods.weiLimitPerEpochOverrides(address).call(),
+			lastWithdrawalTimestamp,
+			weiWithdrawn,
+		};
+	}
+
+	return {
+		features: await faucet.methods.features().call(),
+		epochLength: await faucet.methods.epochLength().call(),
+		weiLimitPerEpoch: await faucet.methods.weiLimitPerEpoch().call(),
+		balance: await web3.eth.getBalance(faucet.options.address),
+		accounts,
+	};
+}
+
+/**
+ * Compares the faucet states (`read_faucet_state`) observed before and after the upgrade
+ *
+ * @param before faucet state before the upgrade
+ * @param after faucet state after the upgrade
+ * @return an array of the differences, like "epochLength: 86400 -> 0", empty if the state is kept
+ */
+function compare_states(before, after) {
+	// flatten the state into {"accounts.0x...role": "65536", ...}
+	const flatten = (obj, prefix = "") => Object.entries(obj).flatMap(([key, value]) => value !== null && typeof value === "object"
+		? flatten(value, `${prefix}${key}.`)
+		: [[prefix + key, value + ""]]);
+	const old_values = Object.fromEntries(flatten(before));
+	const new_values = Object.fromEntries(flatten(after));
+
+	return [...new Set([...Object.keys(old_values), ...Object.keys(new_values)])]
+		.filter(key => old_values[key] !== new_values[key])
+		.map(key => `${key}: ${old_values[key]} -> ${new_values[key]}`);
+}
+
+// export public module API
+module.exports = {
+	IMPLEMENTATION_SLOT,
+	get_implementation,
+	list_slots,
+	capture_state,
+	load_state,
+	read_faucet_state,
+	compare_states,
+}
@@ -0,0 +1,351 @@
+// Hardhat tasks for day-to-day faucet administration
+// usage examples:
+//   npx hardhat faucet:status --network sepolia 0x...
+//   npx hardhat faucet:add-users --network sepolia 0x... 0x...
+//   npx hardhat faucet:add-users --network sepolia --expires 30d 0x... 0x...
+//   npx hardhat faucet:remove-users --network sepolia 0x...
+//   npx hardhat faucet:set-limit --network sepolia --epoch 12h --limit "0.5 ether"
+//   npx hardhat faucet:set-limit --network sepolia --user 0x... --limit "2 ether"
+//   npx hardhat faucet:set-limit --network sepolia --user 0x... --limit "2 ether" --expires 2w
+//   npx hardhat faucet:sync-registry --network sepolia
+//   npx hardhat faucet:cleanup-expired --network sepolia --dry-run
+
+const {task, types} = require("hardhat/config");
+
+/**
+ * Verifies the account has `ROLE_FAUCET_MANAGER` permission on the faucet, and the permission is not expired,
+ * throws otherwise; allows to fail fast without sending a transaction which is going to revert
+ *
+ * @param faucet web3 contract instance of TheFaucetV1
+ * @param from account address to verify
+ */
+async function require_manager(faucet, from) {
+	const {ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+	if(!await faucet.methods.isActiveOperatorInRole(from, ROLE_FAUCET_MANAGER).call()) {
+		throw new Error(`${from} doesn't have ROLE_FAUCET_MANAGER permission on the faucet ${faucet.options.address}`);
+	}
+}
+
+/**
+ * Verifies the faucet has add/remove users functions enabled (has enough self-permissions
+ * to update the roles via `updateRole`), throws otherwise
+ *
+ * @param faucet web3 contract instance of TheFaucetV1
+ */
+async function require_add_remove_enabled(faucet) {
+	const {ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, or} = require("../scripts/include/features_roles");
+	if(!await faucet.methods.isFeatureEnabled(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).call()) {
+		throw new Error(`add/remove users functions are not enabled on the faucet ${faucet.options.address}`);
+	}
+}
+
+/**
+ * Converts the duration from now into the expiration time
+ *
+ * @param expires duration, for example "30d"; if not set, there is no expiration
+ * @return expiration time, unix timestamp (the latest block timestamp plus the duration),
+ *      zero if the duration is not set
+ */
+async function parse_expiry(expires) {
+	if(expires === undefined) {
+		return 0;
+	}
+	const {parse_duration} = require("../scripts/include/faucet_utils");
+	const {timestamp} = await web3.eth.getBlock("latest");
+	return parseInt(timestamp) + parse_duration(expires);
+}
+
+task("faucet:add-users", "Adds faucet users, granting them ROLE_FAUCET_USER")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addOptionalParam("expires", "access duration, for example \"30d\"; the access doesn't expire if not set")
+	.addVariadicPositionalParam("users", "addresses of the users to add")
+	.setAction(async({from, expires, users}, {deployments}) => {
+		const {get_faucet, get_sender, print_events} = require("../scripts/include/faucet_utils");
+		const faucet = await get_faucet(deployments);
+		from = await get_sender(from);
+
+		await require_manager(faucet, from);
+		await require_add_remove_enabled(faucet);
+
+		const expires_at = await parse_expiry(expires);
+		console.log("adding %o faucet user(s) on %o: %o", users.length, network.name, users);
+		const receipt = expires_at?
+			await faucet.methods.addUsersWithExpiry(users, expires_at).send({from}):
+			await faucet.methods.addUsers(users).send({from});
+		print_events(receipt);
+		return receipt;
+	});
+
+task("faucet:remove-users", "Removes faucet users, revoking ROLE_FAUCET_USER from them")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addVariadicPositionalParam("users", "addresses of the users to remove")
+	.setAction(async({from, users}, {deployments}) => {
+		const {get_faucet, get_sender, print_events} = require("../scripts/include/faucet_utils");
+		const faucet = await get_faucet(deployments);
+		from = await get_sender(from);
+
+		await require_manager(faucet, from);
+		await require_add_remove_enabled(faucet);
+
+		console.log("removing %o faucet user(s) on %o: %o", users.length, network.name, users);
+		const receipt = await faucet.methods.removeUsers(users).send({from});
+		print_events(receipt);
+		return receipt;
+	});
+
+task("faucet:set-limit", "Updates the global epoch params, or the ETH limit for a particular user if --user is set")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addOptionalParam("user", "user address to update the ETH limit for; updates global params if not set")
+	.addOptionalParam("limit", "ETH limit per epoch, for example \"0.5 ether\"; zero removes the user override")
+	.addOptionalParam("epoch", "epoch length (global params only), for example \"12h\" or \"1d\"")
+	.addOptionalParam("expires", "user override duration, for example \"2w\"; the override doesn't expire if not set")
+	.setAction(async({from, user, limit, epoch, expires}, {deployments}) => {
+		const {
+			parse_amount,
+			parse_duration,
+			get_faucet,
+			get_sender,
+			print_events,
+		} = require("../scripts/include/faucet_utils");
+		const faucet = await get_faucet(deployments);
+		from = await get_sender(from);
+
+		await require_manager(faucet, from);
+
+		let receipt;
+		// per user limit override
+		if(user) {
+			if(limit === undefined) {
+				throw new Error("--limit must be set when --user is set");
+			}
+			if(epoch !== undefined) {
+				throw new Error("--epoch cannot be set per user");
+			}
+			const wei_limit = parse_amount(limit);
+			const expires_at = await parse_expiry(expires);
+			console.log("setting ETH limit for %o on %o: %o wei", user, network.name, wei_limit.toString(10));
+			receipt = expires_at?
+				await faucet.methods.setWeiLimitPerEpochForUserWithExpiry(user, wei_limit, expires_at).send({from}):
+				await faucet.methods.setWeiLimitPerEpochForUser(user, wei_limit).send({from});
+		}
+		// global params, keep the value which is not set
+		else {
+			if(expires !== undefined) {
+				throw new Error("--expires can be set per user only");
+			}
+			if(limit === undefined && epoch === undefined) {
+				throw new Error("at least one of --limit or --epoch must be set");
+			}
+			const epoch_length = epoch === undefined? await faucet.methods.epochLength().call(): parse_duration(epoch);
+			const wei_limit = limit === undefined? await faucet.methods.weiLimitPerEpoch().call(): parse_amount(limit);
+			console.log(
+				"setting epoch params on %o: epoch length %o seconds, ETH limit %o wei",
+				network.name,
+				epoch_length + "",
+				wei_limit.toString(10)
+			);
+			receipt = await faucet.methods.setEpochParams(epoch_length, wei_limit).send({from});
+		}
+
+		print_events(receipt);
+		return receipt;
+	});
+
+task("faucet:sync-registry", "Synchronizes the on-chain users and managers registry with the roles updated via updateRole directly")
+	.addOptionalParam("from", "address to send the transaction(s) from")
+	.addOptionalParam("store", "indexer JSON store file; defaults to faucet_index_<network>.json in the current folder")
+	.addOptionalParam("batch", "maximum number of the addresses to synchronize in one transaction", 100, types.int)
+	.setAction(async({from, store, batch}, {deployments}) => {
+		const {get_faucet, get_sender} = require("../scripts/include/faucet_utils");
+		const {JsonStore, FaucetIndexer} = require("../scripts/include/faucet_indexer");
+		const {ROLE_FAUCET_USER, ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+		const faucet = await get_faucet(deployments);
+		from = await get_sender(from);
+
+		// discover all the addresses which role was ever updated
+		const {receipt: deployment_receipt} = await deployments.get("TheFaucet_Proxy");
+		const indexer = new FaucetIndexer({
+			web3,
+			faucet,
+			store: new JsonStore(store || `faucet_index_${network.name}.json`),
+			fromBlock: deployment_receipt? deployment_receipt.blockNumber: 0,
+		});
+		await indexer.sync();
+		const {toChecksumAddress} = web3.utils;
+		const operators = [...new Set(indexer.roleTimeline().map(e => toChecksumAddress(e.operator)))]
+			.filter(operator => operator !== toChecksumAddress(faucet.options.address));
+
+		// read the registry, and find the addresses it is out of sync for; the registry mirrors the roles
+		// regardless of the access expiration, and therefore the roles are compared as is;
+		// the registry getters skip the addresses which role was revoked, such (stale) entries
+		// are not visible, but still counted: if there are any, sync all the addresses not having the role
+		const user_count = parseInt(await faucet.methods.userCount().call());
+		const manager_count = parseInt(await faucet.methods.managerCount().call());
+		const users = new Set(await faucet.methods.getUsers(0, user_count).call());
+		const managers = new Set(await faucet.methods.getManagers(0, manager_count).call());
+		const stale_users = users.size < user_count;
+		const stale_managers = managers.size < manager_count;
+		const out_of_sync = [];
+		for(const operator of operators) {
+			const is_user = await faucet.methods.isOperatorInRole(operator, ROLE_FAUCET_USER).call();
+			const is_manager = await faucet.methods.isOperatorInRole(operator, ROLE_FAUCET_MANAGER).call();
+			if(is_user !== users.has(operator) || is_manager !== managers.has(operator)
+				|| !is_user && stale_users || !is_manager && stale_managers) {
+				out_of_sync.push(operator);
+			}
+		}
+		console.log("%o address(es) out of sync on %o: %o", out_of_sync.length, network.name, out_of_sync);
+
+		// synchronize in batches
+		for(let i = 0; i < out_of_sync.length; i += batch) {
+			const receipt = await faucet.methods.syncRoles(out_of_sync.slice(i, i + batch)).send({from});
+			console.log("tx %o mined in block %o", receipt.transactionHash, receipt.blockNumber);
+		}
+		return out_of_sync;
+	});
+
+task("faucet:cleanup-expired", "Lists the expired user access and ETH limit overrides, and removes them")
+	.addOptionalParam("from", "address to send the transaction(s) from, must have ROLE_FAUCET_MANAGER")
+	.addOptionalParam("store", "indexer JSON store file; defaults to faucet_index_<network>.json in the current folder")
+	.addOptionalParam("batch", "maximum number of the users to remove in one transaction", 100, types.int)
+	.addFlag("dryRun", "list the expired entries without sending any transactions")
+	.setAction(async({from, store, batch, dryRun}, {deployments}) => {
+		const {get_faucet, get_sender, print_events} = require("../scripts/include/faucet_utils");
+		const {JsonStore, FaucetIndexer} = require("../scripts/include/faucet_indexer");
+		const faucet = await get_faucet(deployments);
+		from = await get_sender(from);
+		const {timestamp} = await web3.eth.getBlock("latest");
+		const is_expired = expires_at => expires_at !== "0" && parseInt(expires_at) <= parseInt(timestamp);
+
+		// the access can expire only for the users added via addUsersWithExpiry, which are in the registry
+		const users = await faucet.methods.getUsers(0, await faucet.methods.userCount().call()).call();
+		const expired_users = [];
+		for(const user of users) {
+			// the faucet evaluates the expiration itself, the expiration time is read for the report only
+			if(!await faucet.methods.isActiveUser(user).call()) {
+				expired_users.push({user, expiresAt: parseInt(await faucet.methods.userAccessExpiries(user).call())});
+			}
+		}
+
+		// the overrides are not enumerable on-chain, discover them via the indexer
+		const {receipt: deployment_receipt} = await deployments.get("TheFaucet_Proxy");
+		const indexer = new FaucetIndexer({
+			web3,
+			faucet,
+			store: new JsonStore(store || `faucet_index_${network.name}.json`),
+			fromBlock: deployment_receipt? deployment_receipt.blockNumber: 0,
+		});
+		await indexer.sync();
+		const {toChecksumAddress} = web3.utils;
+		const override_users = [...new Set(indexer.limitTimeline().map(e => toChecksumAddress(e.userAddress)))];
+		const expired_overrides = [];
+		for(const user of override_users) {
+			const expires_at = await faucet.methods.weiLimitOverrideExpiries(user).call();
+			const override = await faucet.methods.weiLimitPerEpochOverrides(user).call();
+			if(override !== "0" && is_expired(expires_at)) {
+				expired_overrides.push({user, weiLimitPerEpoch: override, expiresAt: parseInt(expires_at)});
+			}
+		}
+
+		console.log("%o expired user(s) on %o: %o", expired_users.length, network.name, expired_users);
+		console.log("%o expired ETH limit override(s) on %o: %o", expired_overrides.length, network.name, expired_overrides);
+		if(dryRun || !expired_users.length && !expired_overrides.length) {
+			return {users: expired_users, overrides: expired_overrides};
+		}
+
+		await require_manager(faucet, from);
+		if(expired_users.length) {
+			await require_add_remove_enabled(faucet);
+		}
+
+		// remove the expired users in batches
+		for(let i = 0; i < expired_users.length; i += batch) {
+			const receipt = await faucet.methods.removeUsers(expired_users.slice(i, i + batch).map(e => e.user)).send({from});
+			print_events(receipt);
+		}
+		// reset the expired overrides one by one
+		for(const {user} of expired_overrides) {
+			const receipt = await faucet.methods.setWeiLimitPerEpochForUser(user, 0).send({from});
+			print_events(receipt);
+		}
+
+		return {users: expired_users, overrides: expired_overrides};
+	});
+
+task("faucet:status", "Prints the faucet state, and the state of the users specified")
+	.addOptionalVariadicPositionalParam("users", "addresses of the users to print the state for", [])
+	.setAction(async({users}, {deployments}) => {
+		const {get_faucet} = require("../scripts/include/faucet_utils");
+		const {ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+		const faucet = await get_faucet(deployments);
+		const {fromWei, toBN} = web3.utils;
+
+		const status = {
+			network: network.name,
+			address: faucet.options.address,
+			implementation: await faucet.methods.getImplementation().call(),
+			balance: await web3.eth.getBalance(faucet.options.address),
+			features: toBN(await faucet.methods.features().call()).toString(2),
+			epochLength: await faucet.methods.epochLength().call(),
+			weiLimitPerEpoch: await faucet.methods.weiLimitPerEpoch().call(),
+			throttlingMode: parseInt(await faucet.methods.throttlingMode().call()),
+			paused: await faucet.methods.isPaused().call(),
+			weiBudgetPerEpoch: await faucet.methods.weiBudgetPerEpoch().call(),
+			weiBudgetLeft: await faucet.methods.weiBudgetLeftInEpoch().call(),
+			mintBudgetPerEpoch: await faucet.methods.mintBudgetPerEpoch().call(),
+			mintBudgetLeft: await faucet.methods.mintBudgetLeftInEpoch().call(),
+			userCount: await faucet.methods.userCount().call(),
+			managerCount: await faucet.methods.managerCount().call(),
+			users: [],
+		};
+		for(const user of users) {
+			status.users.push({
+				address: user,
+				role: toBN(await faucet.methods.getRole(user).call()).toString(16),
+				isUser: await faucet.methods.isActiveUser(user).call(),
+				isManager: await faucet.methods.isActiveOperatorInRole(user, ROLE_FAUCET_MANAGER).call(),
+				tier: await faucet.methods.userTiers(user).call(),
+				accessExpiresAt: parseInt(await faucet.methods.userAccessExpiries(user).call()),
+				weiLimitOverride: await faucet.methods.weiLimitPerEpochOverrides(user).call(),
+				weiLimitOverrideExpiresAt: parseInt(await faucet.methods.weiLimitOverrideExpiries(user).call()),
+				weiLimit: await faucet.methods.weiLimitPerEpochForUser(user).call(),
+				weiWithdrawn: await faucet.methods.weiWithdrawnInCurrentEpoch(user).call(),
+				weiLeft: await faucet.methods.weiLeftInEpochForUser(user).call(),
+			});
+		}
+
+		console.table([
+			{"key": "Network", "value": status.network},
+			{"key": "Address", "value": status.address},
+			{"key": "Implementation Address", "value": status.implementation},
+			{"key": "Balance", "value": fromWei(status.balance) + " ETH"},
+			{"key": "Features", "value": status.features},
+			{"key": "Epoch Length", "value": status.epochLength + " seconds"},
+			{"key": "ETH Limit per Epoch", "value": fromWei(status.weiLimitPerEpoch) + " ETH"},
+			{"key": "Throttling Mode", "value": status.throttlingMode? "rolling window": "fixed epoch"},
+			{"key": "Paused", "value": status.paused},
+			{"key": "ETH Budget per Epoch", "value": status.weiBudgetPerEpoch === "0"? "disabled": fromWei(status.weiBudgetPerEpoch) + " ETH"},
+			{"key": "ETH Budget Left", "value": status.weiBudgetPerEpoch === "0"? "unlimited": fromWei(status.weiBudgetLeft) + " ETH"},
+			{"key": "Mint Budget per Epoch", "value": status.mintBudgetPerEpoch === "0"? "disabled": status.mintBudgetPerEpoch},
+			{"key": "Mint Budget Left", "value": status.mintBudgetPerEpoch === "0"? "unlimited": status.mintBudgetLeft},
+			{"key": "Users", "value": status.userCount},
+			{"key": "Managers", "value": status.managerCount},
+		]);
+		if(status.users.length) {
+			console.table(status.users.map(u => ({
+				"User": u.address,
+				"Role": u.role,
+				"User Role": u.isUser,
+				"Manager Role": u.isManager,
+				"Access Expires At": u.accessExpiresAt? new Date(u.accessExpiresAt * 1000).toISOString(): "never",
+				"Tier": u.tier,
+				"Limit Override, ETH": fromWei(u.weiLimitOverride),
+				"Override Expires At": u.weiLimitOverrideExpiresAt? new Date(u.weiLimitOverrideExpiresAt * 1000).toISOString(): "never",
+				"Limit, ETH": fromWei(u.weiLimit),
+				"Withdrawn, ETH": fromWei(u.weiWithdrawn),
+				"Left, ETH": fromWei(u.weiLeft),
+			})));
+		}
+
+		return status;
+	});
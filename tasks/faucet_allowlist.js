@@ -0,0 +1,79 @@
+// Hardhat tasks for the Merkle allow-list (Faucet Allow-list) self-service onboarding
+// usage examples:
+//   npx hardhat faucet:allowlist --out allowlist.json roster.csv
+//   npx hardhat faucet:allowlist --network sepolia --out allowlist.json --publish roster.csv
+//   npx hardhat faucet:allowlist-claim --network sepolia --proofs allowlist.json --to 0x... "0.5 ether"
+
+const {task} = require("hardhat/config");
+
+task("faucet:allowlist", "Builds the allow-list Merkle tree and proofs from the roster file, and publishes the root")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addOptionalParam("out", "file to save the root and the proofs to, to be shared with the allow-listed users")
+	.addFlag("publish", "update the Merkle root on the Faucet Allow-list contract")
+	.addPositionalParam("file", "roster file, .csv or .json; roster limits become the allow-list leaf limits")
+	.setAction(async({from, out, publish, file}, {deployments}) => {
+		const fs = require("fs");
+		const {load_roster} = require("../scripts/include/roster_utils");
+		const {build_tree, export_proofs} = require("../scripts/include/faucet_allowlist");
+
+		const roster = load_roster(file);
+		const tree = build_tree(roster);
+		const proofs = export_proofs(tree);
+		console.log("roster %o: %o address(es), Merkle root %s", file, roster.length, tree.root);
+		if(out) {
+			fs.writeFileSync(out, JSON.stringify(proofs, null, "\t") + "\n");
+			console.log("allow-list proofs saved to %o", out);
+		}
+		if(!publish) {
+			return proofs;
+		}
+
+		const {get_faucet, get_companion, get_sender, print_events} = require("../scripts/include/faucet_utils");
+		const {ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+		const faucet = await get_faucet(deployments);
+		const allowlist = await get_companion(deployments, "FaucetAllowlist");
+		from = await get_sender(from);
+
+		if(await allowlist.methods.merkleRoot().call() === tree.root) {
+			console.log("Merkle root is already published on %o, nothing to do", network.name);
+			return proofs;
+		}
+		if(!await faucet.methods.isOperatorInRole(from, ROLE_FAUCET_MANAGER).call()) {
+			throw new Error(`${from} doesn't have ROLE_FAUCET_MANAGER permission on the faucet ${faucet.options.address}`);
+		}
+		const receipt = await allowlist.methods.setMerkleRoot(tree.root).send({from});
+		print_events(receipt);
+		return proofs;
+	});
+
+task("faucet:allowlist-claim", "Claims ETH for the allow-listed address, using the proof from the allow-list proofs file")
+	.addOptionalParam("from", "allow-listed address to send the transaction from")
+	.addOptionalParam("to", "an address to send ETH to; defaults to the sender")
+	.addParam("proofs", "allow-list proofs file, see faucet:allowlist --out")
+	.addPositionalParam("value", "amount of ETH to claim, like \"0.5 ether\"")
+	.setAction(async({from, to, proofs, value}, {deployments}) => {
+		const fs = require("fs");
+		const {get_companion, get_sender, parse_amount, print_events} = require("../scripts/include/faucet_utils");
+		const allowlist = await get_companion(deployments, "FaucetAllowlist");
+		from = await get_sender(from);
+		to = to || from;
+		value = parse_amount(value);
+
+		const {root, claims} = JSON.parse(fs.readFileSync(proofs, "utf8"));
+		const entry = claims[web3.utils.toChecksumAddress(from)];
+		if(!entry) {
+			throw new Error(`${from} is not in the allow-list ${proofs}`);
+		}
+		if(await allowlist.methods.merkleRoot().call() !== root) {
+			throw new Error(`allow-list ${proofs} is outdated: its Merkle root ${root} is not published on ${network.name}`);
+		}
+		const left = web3.utils.toBN(await allowlist.methods.weiLeftInEpochForUser(from, entry.limit).call());
+		if(value.gt(left)) {
+			throw new Error(`${from} can claim up to ${web3.utils.fromWei(left)} ETH in current epoch`);
+		}
+
+		console.log("claiming %o ETH for %o to %o on %o", web3.utils.fromWei(value), from, to, network.name);
+		const receipt = await allowlist.methods.claim(to, value, entry.limit, entry.proof).send({from});
+		print_events(receipt);
+		return receipt;
+	});
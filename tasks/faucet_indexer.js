@@ -0,0 +1,71 @@
+// Hardhat task running the off-chain faucet indexer
+// usage examples:
+//   npx hardhat faucet:index --network sepolia
+//   npx hardhat faucet:index --network sepolia --user 0x...
+//   npx hardhat faucet:index --network sepolia --follow
+
+const {task, types} = require("hardhat/config");
+
+task("faucet:index", "Indexes the faucet events into a local JSON store, and prints the faucet history")
+	.addOptionalParam("store", "JSON store file; defaults to faucet_index_<network>.json in the current folder")
+	.addOptionalParam("user", "user address to print the history for; prints the history for all users if not set")
+	.addOptionalParam("confirmations", "number of blocks to wait before indexing the block", 0, types.int)
+	.addOptionalParam("interval", "polling interval in follow mode, seconds", 15, types.int)
+	.addFlag("follow", "keep running and indexing the new blocks")
+	.setAction(async({store, user, confirmations, interval, follow}, {deployments}) => {
+		const {get_faucet} = require("../scripts/include/faucet_utils");
+		const {JsonStore, FaucetIndexer} = require("../scripts/include/faucet_indexer");
+		const {fromWei} = web3.utils;
+
+		const faucet = await get_faucet(deployments);
+		const {receipt} = await deployments.get("TheFaucet_Proxy");
+		const indexer = new FaucetIndexer({
+			web3,
+			faucet,
+			store: new JsonStore(store || `faucet_index_${network.name}.json`),
+			fromBlock: receipt? receipt.blockNumber: 0,
+			confirmations,
+		});
+
+		// backfill
+		console.log("indexing the faucet %o on %o, starting from block %o", faucet.options.address, network.name, indexer.lastBlock + 1);
+		const added = await indexer.sync();
+		console.log("%o new event(s) indexed, %o event(s) in total, last block %o", added, indexer.events.length, indexer.lastBlock);
+
+		// print the history
+		const user_totals = indexer.userTotals({user});
+		if(user_totals.length) {
+			console.table(user_totals.map(t => ({
+				"Epoch Start": new Date(t.epochStart * 1000).toISOString(),
+				"User": t.user,
+				"Withdrawn, ETH": fromWei(t.wei),
+				"Withdrawals": t.withdrawals,
+			})));
+		}
+		const mint_totals = indexer.mintTotals({user});
+		if(mint_totals.length) {
+			console.table(mint_totals.map(t => ({
+				"Target": t.target,
+				"Minted": t.value,
+				"Mints": t.mints,
+			})));
+		}
+		const role_timeline = indexer.roleTimeline({operator: user});
+		if(role_timeline.length) {
+			console.table(role_timeline.map(e => ({
+				"Time": new Date(e.timestamp * 1000).toISOString(),
+				"Operator": e.operator,
+				"By": e.from,
+				"Assigned Role": web3.utils.toBN(e.assigned).toString(16),
+			})));
+		}
+
+		// follow
+		if(follow) {
+			console.log("following the new blocks, press Ctrl+C to stop");
+			indexer.follow(interval * 1000);
+			await new Promise(() => {});
+		}
+
+		return indexer;
+	});
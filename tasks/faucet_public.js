@@ -0,0 +1,90 @@
+// Hardhat tasks for the public tier (Faucet Public Tier) open to the non-whitelisted addresses
+// usage examples:
+//   npx hardhat faucet:public --network sepolia
+//   npx hardhat faucet:public --network sepolia --amount "0.05 ether" --cooldown 7d --difficulty 18
+//   npx hardhat faucet:public-claim --network sepolia --to 0x...
+
+const {task, types} = require("hardhat/config");
+
+task("faucet:public", "Prints the public tier status and params, and updates the params if any is specified")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addOptionalParam("amount", "new amount of ETH sent in one public claim, like \"0.05 ether\"")
+	.addOptionalParam("cooldown", "new recipient cooldown period, like \"7d\"")
+	.addOptionalParam("difficulty", "new proof-of-work difficulty, leading zero bits", undefined, types.int)
+	.setAction(async({from, amount, cooldown, difficulty}, {deployments}) => {
+		const {get_faucet, get_companion, get_sender, parse_amount, parse_duration, print_events} = require("../scripts/include/faucet_utils");
+		const {ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+		const faucet = await get_faucet(deployments);
+		const public_tier = await get_companion(deployments, "FaucetPublic");
+
+		const read_status = async() => ({
+			enabled: await public_tier.methods.isPublicModeEnabled().call(),
+			weiPerClaim: await public_tier.methods.weiPerClaim().call(),
+			cooldown: parseInt(await public_tier.methods.cooldown().call()),
+			difficulty: parseInt(await public_tier.methods.difficulty().call()),
+			epoch: await public_tier.methods.currentEpoch().call(),
+		});
+
+		let status = await read_status();
+		if(amount !== undefined || cooldown !== undefined || difficulty !== undefined) {
+			from = await get_sender(from);
+			if(!await faucet.methods.isOperatorInRole(from, ROLE_FAUCET_MANAGER).call()) {
+				throw new Error(`${from} doesn't have ROLE_FAUCET_MANAGER permission on the faucet ${faucet.options.address}`);
+			}
+			// params not specified are kept
+			const receipt = await public_tier.methods.setPublicParams(
+				amount !== undefined? parse_amount(amount): status.weiPerClaim,
+				cooldown !== undefined? parse_duration(cooldown): status.cooldown,
+				difficulty !== undefined? difficulty: status.difficulty,
+			).send({from});
+			print_events(receipt);
+			status = await read_status();
+		}
+
+		console.log("public tier on %o is %s: %o ETH per claim, %o seconds recipient cooldown, difficulty %o, epoch %o",
+			network.name,
+			status.enabled? "enabled": "disabled (FEATURE_PUBLIC is not enabled on the faucet)",
+			web3.utils.fromWei(status.weiPerClaim),
+			status.cooldown,
+			status.difficulty,
+			status.epoch,
+		);
+		return status;
+	});
+
+task("faucet:public-claim", "Solves the proof-of-work and claims ETH via the public tier")
+	.addOptionalParam("from", "address to send the transaction from, the proof-of-work is solved for")
+	.addOptionalParam("to", "an address to send ETH to; defaults to the sender")
+	.setAction(async({from, to}, {deployments}) => {
+		const crypto = require("crypto");
+		const {get_companion, get_sender, print_events} = require("../scripts/include/faucet_utils");
+		const {solve_work} = require("../scripts/include/faucet_pow");
+		const public_tier = await get_companion(deployments, "FaucetPublic");
+		from = await get_sender(from);
+		to = to || from;
+
+		if(!await public_tier.methods.isPublicModeEnabled().call()) {
+			throw new Error(`public tier is disabled on ${network.name}`);
+		}
+		const cooldown_left = parseInt(await public_tier.methods.cooldownLeft(to).call());
+		if(cooldown_left) {
+			throw new Error(`${to} is on cooldown, next claim in ${cooldown_left} seconds`);
+		}
+
+		const difficulty = parseInt(await public_tier.methods.difficulty().call());
+		let epoch, solution;
+		do {
+			epoch = await public_tier.methods.currentEpoch().call();
+			console.log("solving the proof-of-work for %o, epoch %o, difficulty %o", from, epoch, difficulty);
+			// random start nonce makes the solution unlikely to be spent already
+			solution = solve_work(from, epoch, difficulty, {start: web3.utils.toBN("0x" + crypto.randomBytes(16).toString("hex"))});
+			console.log("solved in %o iterations: nonce %o, hash %s", solution.iterations, solution.nonce, solution.hash);
+		}
+		// the solution is valid in the epoch it was solved for only
+		while(await public_tier.methods.currentEpoch().call() !== epoch);
+
+		console.log("claiming %o ETH to %o on %o", web3.utils.fromWei(await public_tier.methods.weiPerClaim().call()), to, network.name);
+		const receipt = await public_tier.methods.claim(to, solution.nonce).send({from});
+		print_events(receipt);
+		return receipt;
+	});
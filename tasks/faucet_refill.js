@@ -0,0 +1,75 @@
+// Hardhat task running the faucet auto-refill watcher
+// usage examples:
+//   npx hardhat faucet:refill --threshold "0.5 ether" --target "2 ether" --daily-cap "5 ether" --dry-run --once
+//   npx hardhat faucet:refill --networks sepolia,base_sepolia --threshold "0.5 ether" --target "2 ether" --daily-cap "5 ether"
+//   npx hardhat faucet:refill --overrides refill.json --log-file refill.log
+
+const {task, types} = require("hardhat/config");
+
+task("faucet:refill", "Watches the faucet balances on the networks specified, and tops them up from the treasury account")
+	.addOptionalParam("networks", "comma-separated network names; all the networks having the faucet deployed if not set")
+	.addOptionalParam("threshold", "balance below which the faucet is refilled, for example \"0.5 ether\"")
+	.addOptionalParam("target", "balance the faucet is refilled up to, for example \"2 ether\"")
+	.addOptionalParam("dailyCap", "maximum amount to send to the faucet in one day (UTC), for example \"5 ether\"")
+	.addOptionalParam("overrides", "JSON file with the per network overrides: {\"<network>\": {threshold, target, dailyCap}}")
+	.addOptionalParam("store", "JSON file to keep the refills history in", "faucet_refill_state.json")
+	.addOptionalParam("logFile", "file to append the log records to (JSON lines), in addition to the console")
+	.addOptionalParam("interval", "balances polling interval, seconds", 60, types.int)
+	.addFlag("dryRun", "log the refills without sending any transactions")
+	.addFlag("once", "check the balances once and exit")
+	.setAction(async({networks, threshold, target, dailyCap, overrides: overrides_file, store, logFile, interval, dryRun, once}, {config}) => {
+		const fs = require("fs");
+		const {parse_amount} = require("../scripts/include/faucet_utils");
+		const {JsonStore} = require("../scripts/include/faucet_indexer");
+		const {load_refill_targets, FaucetRefiller} = require("../scripts/include/faucet_refill");
+
+		// read the per network overrides, and parse the amounts
+		const overrides = overrides_file? JSON.parse(fs.readFileSync(overrides_file, "utf8")): {};
+		const amount = value => value === undefined? undefined: parse_amount(value).toString(10);
+		const targets = load_refill_targets({
+			networks: config.networks,
+			names: networks? networks.split(",").map(name => name.trim()): Object.keys(overrides),
+		}).map(t => ({
+			...t,
+			threshold: amount((overrides[t.network] || {}).threshold),
+			target: amount((overrides[t.network] || {}).target),
+			dailyCap: amount((overrides[t.network] || {}).dailyCap),
+		}));
+		if(!targets.length) {
+			throw new Error("no networks to watch");
+		}
+		for(const t of targets) {
+			if(!(t.threshold || threshold) || !(t.target || target) || !(t.dailyCap || dailyCap)) {
+				throw new Error(`threshold, target, and daily cap must be set for ${t.network}`);
+			}
+		}
+
+		const refiller = new FaucetRefiller({
+			targets,
+			threshold: amount(threshold),
+			target: amount(target),
+			dailyCap: amount(dailyCap),
+			dryRun,
+			store: new JsonStore(store, {refills: []}),
+			log: record => {
+				const line = JSON.stringify(record);
+				console.log(line);
+				if(logFile) {
+					fs.appendFileSync(logFile, line + "\n");
+				}
+			},
+			interval: interval * 1000,
+		});
+
+		console.log(
+			"watching the faucet(s) on %o%s",
+			targets.map(t => t.network),
+			dryRun? " (dry run, no transactions are sent)": ""
+		);
+		if(once) {
+			return await refiller.check();
+		}
+		refiller.start();
+		console.log("press Ctrl+C to stop");
+		await new Promise(() => {});
+	});
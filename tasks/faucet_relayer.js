@@ -0,0 +1,40 @@
+// Hardhat task running the faucet relayer HTTP service
+// usage examples:
+//   npx hardhat faucet:relay --network sepolia
+//   npx hardhat faucet:relay --network sepolia --port 8080 --from 0x...
+
+const {task, types} = require("hardhat/config");
+
+task("faucet:relay", "Runs the relayer HTTP service submitting the signed faucet claims")
+	.addOptionalParam("from", "relayer address to send the transactions from, pays for gas")
+	.addOptionalParam("host", "host to listen on", "127.0.0.1")
+	.addOptionalParam("port", "port to listen on", 3000, types.int)
+	.addOptionalParam("gas", "gas limit for the claim transaction", 200_000, types.int)
+	.addOptionalParam("retryInterval", "retry queue processing interval, seconds", 15, types.int)
+	.setAction(async({from, host, port, gas, retryInterval}, {deployments}) => {
+		const {get_faucet, get_sender} = require("../scripts/include/faucet_utils");
+		const {FaucetRelayer, create_server} = require("../scripts/include/faucet_relayer");
+
+		const faucet = await get_faucet(deployments);
+		const relayer = new FaucetRelayer({
+			web3,
+			faucet,
+			relayer: await get_sender(from),
+			gas,
+			retryInterval: retryInterval * 1000,
+		});
+
+		relayer.start();
+		const server = create_server(relayer);
+		await new Promise(resolve => server.listen(port, host, resolve));
+		console.log(
+			"faucet relayer for the faucet %o on %o is listening on http://%s:%d, relayer address %o",
+			faucet.options.address,
+			network.name,
+			host,
+			server.address().port,
+			relayer.relayer
+		);
+		console.log("press Ctrl+C to stop");
+		await new Promise(() => {});
+	});
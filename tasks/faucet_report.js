@@ -0,0 +1,55 @@
+// Hardhat task building the multi-network faucet dashboard report
+// usage examples:
+//   npx hardhat faucet:report
+//   npx hardhat faucet:report --networks sepolia,binance_testnet --format markdown
+//   npx hardhat faucet:report --format html --output faucet_report.html
+
+const {task, types} = require("hardhat/config");
+
+task("faucet:report", "Prints (exports) the faucet state on all the networks having the faucet deployed")
+	.addOptionalParam("networks", "comma-separated network names; all the networks having the faucet deployed if not set")
+	.addOptionalParam("format", "report format: json, markdown, or html", "json")
+	.addOptionalParam("output", "file to write the report into; the report is printed if not set")
+	.addOptionalParam("recent", "number of the recent withdrawals to include", 10, types.int)
+	.setAction(async({networks, format, output, recent}, {config}) => {
+		const Web3 = require("web3");
+		const {list_deployed_networks, load_deployed_networks} = require("../scripts/include/faucet_utils");
+		const {JsonStore} = require("../scripts/include/faucet_indexer");
+		const {build_report, format_json, format_markdown, format_html} = require("../scripts/include/faucet_report");
+
+		const formatters = {json: format_json, markdown: format_markdown, md: format_markdown, html: format_html};
+		if(!formatters[format]) {
+			throw new Error(`unknown report format ${format}, expected json, markdown, or html`);
+		}
+
+		// resolve the networks one by one, so that misconfigured networks are reported, not fatal
+		const names = networks? networks.split(",").map(name => name.trim()): list_deployed_networks({networks: config.networks});
+		const targets = names.map(name => {
+			try {
+				const [{network, url, faucet_address, abi, fromBlock}] = load_deployed_networks({networks: config.networks, names: [name]});
+				const web3 = new Web3(url);
+				return {
+					network,
+					web3,
+					faucet: new web3.eth.Contract(abi, faucet_address),
+					fromBlock,
+					// reuse the faucet:index store, so that the events are not fetched again
+					store: new JsonStore(`faucet_index_${network}.json`),
+				};
+			}
+			catch(e) {
+				return {network: name, error: e.message};
+			}
+		});
+
+		const report = await build_report(targets, {recent});
+		const formatted = formatters[format](report);
+		if(output) {
+			require("fs").writeFileSync(output, formatted);
+			console.log("faucet report for %o network(s) written into %o", report.networks.length, output);
+		}
+		else {
+			console.log(formatted);
+		}
+		return report;
+	});
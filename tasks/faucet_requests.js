@@ -0,0 +1,108 @@
+// Hardhat tasks for the over-limit withdrawal requests (Faucet Requests) administration
+// usage examples:
+//   npx hardhat faucet:requests --network sepolia
+//   npx hardhat faucet:requests --network sepolia --all
+//   npx hardhat faucet:approve-request --network sepolia 42
+//   npx hardhat faucet:reject-request --network sepolia 42
+
+const {task, types} = require("hardhat/config");
+
+// request status names, indexed by the status value
+const REQUEST_STATUSES = ["none", "pending", "approved", "rejected", "claimed", "expired"];
+
+/**
+ * Reads the request and its actual status (taking into account the expiration)
+ *
+ * @param requests web3 contract instance of FaucetRequestsV1
+ * @param id request ID
+ * @return request object {id, user, value, reasonHash, expiresAt, status}
+ */
+async function read_request(requests, id) {
+	const {user, value, reasonHash, expiresAt} = await requests.methods.requests(id).call();
+	const status = await requests.methods.requestStatus(id).call();
+	return {id: id + "", user, value, reasonHash, expiresAt: parseInt(expiresAt), status: REQUEST_STATUSES[status]};
+}
+
+/**
+ * Sends the approve or reject transaction for the pending request,
+ * verifying the sender is a faucet manager, and the request is pending first
+ *
+ * @param deployments hardhat-deploy plugin deployments extension
+ * @param from account address to send the transaction from
+ * @param id request ID
+ * @param approve true to approve the request, false to reject it
+ * @return web3 transaction receipt
+ */
+async function decide_request(deployments, from, id, approve) {
+	const {get_faucet, get_companion, get_sender, print_events} = require("../scripts/include/faucet_utils");
+	const {ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+	const faucet = await get_faucet(deployments);
+	const requests = await get_companion(deployments, "FaucetRequests");
+	from = await get_sender(from);
+
+	if(!await faucet.methods.isOperatorInRole(from, ROLE_FAUCET_MANAGER).call()) {
+		throw new Error(`${from} doesn't have ROLE_FAUCET_MANAGER permission on the faucet ${faucet.options.address}`);
+	}
+	const request = await read_request(requests, id);
+	// expired pending requests can be rejected (removed from the pending list), but not approved
+	if(request.status !== "pending" && !(request.status === "expired" && !approve)) {
+		throw new Error(`request ${id} is not pending: ${request.status}`);
+	}
+
+	console.log("%s request %o on %o: %o", approve? "approving": "rejecting", id, network.name, request);
+	const receipt = await (approve? requests.methods.approveRequest(id): requests.methods.rejectRequest(id)).send({from});
+	print_events(receipt);
+	return receipt;
+}
+
+task("faucet:requests", "Lists the over-limit withdrawal requests pending the manager decision")
+	.addFlag("all", "list all the requests filed, not only the pending ones")
+	.setAction(async({all}, {deployments}) => {
+		const {get_companion} = require("../scripts/include/faucet_utils");
+		const requests = await get_companion(deployments, "FaucetRequests");
+		const {fromWei} = web3.utils;
+
+		let ids;
+		if(all) {
+			const count = parseInt(await requests.methods.requestCount().call());
+			ids = Array.from({length: count}, (_, i) => i + 1);
+		}
+		else {
+			const count = await requests.methods.pendingRequestCount().call();
+			ids = (await requests.methods.getPendingRequests(0, count).call()).map(id => parseInt(id)).sort((a, b) => a - b);
+		}
+
+		const result = [];
+		for(const id of ids) {
+			result.push(await read_request(requests, id));
+		}
+		if(result.length) {
+			console.table(result.map(r => ({
+				"ID": r.id,
+				"User": r.user,
+				"Value, ETH": fromWei(r.value),
+				"Reason Hash": r.reasonHash,
+				"Expires At": new Date(r.expiresAt * 1000).toISOString(),
+				"Status": r.status,
+			})));
+		}
+		else {
+			console.log("no %srequests on %o", all? "": "pending ", network.name);
+		}
+
+		return result;
+	});
+
+task("faucet:approve-request", "Approves the pending over-limit withdrawal request")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addPositionalParam("id", "ID of the request to approve", undefined, types.int)
+	.setAction(async({from, id}, {deployments}) => {
+		return await decide_request(deployments, from, id, true);
+	});
+
+task("faucet:reject-request", "Rejects the pending (or expired) over-limit withdrawal request")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addPositionalParam("id", "ID of the request to reject", undefined, types.int)
+	.setAction(async({from, id}, {deployments}) => {
+		return await decide_request(deployments, from, id, false);
+	});
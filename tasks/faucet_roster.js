@@ -0,0 +1,78 @@
+// Hardhat task synchronizing the faucet users with the team roster file (CSV or JSON)
+// usage examples:
+//   npx hardhat faucet:sync-users --network sepolia --dry-run roster.csv
+//   npx hardhat faucet:sync-users --network sepolia roster.csv
+
+const {task, types} = require("hardhat/config");
+
+task("faucet:sync-users", "Adds, removes faucet users, and updates their limits to match the roster file")
+	.addOptionalParam("from", "address to send the transactions from, must have ROLE_FAUCET_MANAGER")
+	.addOptionalParam("fromBlock", "block to start scanning for the role holders from; defaults to the deployment block", undefined, types.int)
+	.addOptionalParam("maxGas", "gas limit for a single batch transaction; defaults to a half of the block gas limit", undefined, types.int)
+	.addFlag("dryRun", "print the planned changes without sending any transactions")
+	.addPositionalParam("file", "roster file, .csv or .json")
+	.setAction(async({from, fromBlock, maxGas, dryRun, file}, {deployments}) => {
+		const {get_faucet, get_sender, print_events} = require("../scripts/include/faucet_utils");
+		const {load_roster, plan_roster_sync, split_batches} = require("../scripts/include/roster_utils");
+		const {ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+		const {fromWei} = web3.utils;
+
+		const faucet = await get_faucet(deployments);
+		from = await get_sender(from);
+		if(fromBlock === undefined) {
+			const {receipt} = await deployments.get("TheFaucet_Proxy");
+			fromBlock = receipt? receipt.blockNumber: 0;
+		}
+
+		// determine the changes required
+		const roster = load_roster(file);
+		console.log("roster %o: %o user(s), syncing the faucet %o on %o", file, roster.length, faucet.options.address, network.name);
+		const plan = await plan_roster_sync(faucet, roster, fromBlock);
+
+		// print the planned diff
+		plan.add.forEach(address => console.log("\t+ %s", address));
+		plan.remove.forEach(address => console.log("\t- %s", address));
+		plan.limits.forEach(({address, current, limit}) => console.log(
+			"\t~ %s limit %s -> %s",
+			address,
+			current.isZero()? "global": fromWei(current) + " ETH",
+			limit.isZero()? "global": fromWei(limit) + " ETH"
+		));
+		if(!plan.add.length && !plan.remove.length && !plan.limits.length) {
+			console.log("faucet users are in sync with the roster, nothing to do");
+			return plan;
+		}
+		if(dryRun) {
+			console.log("dry run: %o to add, %o to remove, %o limit(s) to update", plan.add.length, plan.remove.length, plan.limits.length);
+			return plan;
+		}
+
+		// verify the permissions to fail fast
+		if(!await faucet.methods.isOperatorInRole(from, ROLE_FAUCET_MANAGER).call()) {
+			throw new Error(`${from} doesn't have ROLE_FAUCET_MANAGER permission on the faucet ${faucet.options.address}`);
+		}
+
+		// split the add/remove batches to fit into the block
+		if(!maxGas) {
+			const {gasLimit} = await web3.eth.getBlock("latest");
+			maxGas = Math.floor(gasLimit / 2);
+		}
+		const add_batches = await split_batches(plan.add, batch => faucet.methods.addUsers(batch).estimateGas({from}), maxGas);
+		const remove_batches = await split_batches(plan.remove, batch => faucet.methods.removeUsers(batch).estimateGas({from}), maxGas);
+
+		// execute the plan
+		for(const batch of add_batches) {
+			console.log("adding %o faucet user(s)", batch.length);
+			print_events(await faucet.methods.addUsers(batch).send({from}));
+		}
+		for(const batch of remove_batches) {
+			console.log("removing %o faucet user(s)", batch.length);
+			print_events(await faucet.methods.removeUsers(batch).send({from}));
+		}
+		for(const {address, limit} of plan.limits) {
+			console.log("setting ETH limit for %o: %o wei", address, limit.toString(10));
+			print_events(await faucet.methods.setWeiLimitPerEpochForUser(address, limit).send({from}));
+		}
+
+		return plan;
+	});
@@ -0,0 +1,146 @@
+// Hardhat tasks for the timelocked faucet operations (Faucet Timelock) administration and off-chain review
+// usage examples:
+//   npx hardhat faucet:timelock --network sepolia
+//   npx hardhat faucet:timelock --network sepolia --all
+//   npx hardhat faucet:queue-operation --network sepolia setEpochParams 86400 20000000000000000000
+//   npx hardhat faucet:execute-operation --network sepolia 42
+//   npx hardhat faucet:cancel-operation --network sepolia 42
+
+const {task, types} = require("hardhat/config");
+
+// operation status names, indexed by the status value
+const OPERATION_STATUSES = ["none", "pending", "executed", "cancelled", "ready"];
+
+/**
+ * Decodes the faucet function call data into the human-readable form, like "setEpochParams(86400, 20000000000000000000)"
+ *
+ * @param abi TheFaucetV1 ABI
+ * @param data faucet function call data (ABI encoded)
+ * @return decoded function call, or the raw data if the function is unknown
+ */
+function decode_call(abi, data) {
+	const selector = data.slice(0, 10);
+	const fn = abi.find(e => e.type === "function" && web3.eth.abi.encodeFunctionSignature(e) === selector);
+	if(!fn) {
+		return data;
+	}
+	const params = web3.eth.abi.decodeParameters(fn.inputs, "0x" + data.slice(10));
+	return `${fn.name}(${fn.inputs.map((input, i) => params[i]).join(", ")})`;
+}
+
+/**
+ * Reads the operation and its actual status (taking into account the delay)
+ *
+ * @param timelock web3 contract instance of FaucetTimelockV1
+ * @param abi TheFaucetV1 ABI to decode the operation call data with
+ * @param id operation ID
+ * @return operation object {id, proposer, eta, call, data, status}
+ */
+async function read_operation(timelock, abi, id) {
+	const {proposer, eta, data} = await timelock.methods.operations(id).call();
+	const status = await timelock.methods.operationStatus(id).call();
+	return {id: id + "", proposer, eta: parseInt(eta), call: decode_call(abi, data), data, status: OPERATION_STATUSES[status]};
+}
+
+/**
+ * Sends the execute or cancel transaction for the pending operation,
+ * verifying the sender is a faucet manager, and the operation is pending (ready) first
+ *
+ * @param deployments hardhat-deploy plugin deployments extension
+ * @param from account address to send the transaction from
+ * @param id operation ID
+ * @param execute true to execute the operation, false to cancel it
+ * @return web3 transaction receipt
+ */
+async function finalize_operation(deployments, from, id, execute) {
+	const {get_faucet, get_companion, get_sender, print_events} = require("../scripts/include/faucet_utils");
+	const {ROLE_FAUCET_MANAGER} = require("../scripts/include/features_roles");
+	const faucet = await get_faucet(deployments);
+	const timelock = await get_companion(deployments, "FaucetTimelock");
+	from = await get_sender(from);
+
+	if(!await faucet.methods.isOperatorInRole(from, ROLE_FAUCET_MANAGER).call()) {
+		throw new Error(`${from} doesn't have ROLE_FAUCET_MANAGER permission on the faucet ${faucet.options.address}`);
+	}
+	const operation = await read_operation(timelock, faucet.options.jsonInterface, id);
+	// pending operations can be cancelled at any time, but executed only once ready
+	if(operation.status !== "ready" && !(operation.status === "pending" && !execute)) {
+		throw new Error(`operation ${id} is not ${execute? "ready": "pending"}: ${operation.status}`);
+	}
+
+	console.log("%s operation %o on %o: %o", execute? "executing": "cancelling", id, network.name, operation);
+	const receipt = await (execute? timelock.methods.executeOperation(id): timelock.methods.cancelOperation(id)).send({from});
+	print_events(receipt);
+	return receipt;
+}
+
+task("faucet:timelock", "Lists the timelocked faucet operations pending the execution, for the review")
+	.addFlag("all", "list all the operations queued, not only the pending ones")
+	.setAction(async({all}, {deployments}) => {
+		const {get_faucet, get_companion} = require("../scripts/include/faucet_utils");
+		const faucet = await get_faucet(deployments);
+		const timelock = await get_companion(deployments, "FaucetTimelock");
+
+		let ids;
+		if(all) {
+			const count = parseInt(await timelock.methods.operationCount().call());
+			ids = Array.from({length: count}, (_, i) => i + 1);
+		}
+		else {
+			const count = await timelock.methods.pendingOperationCount().call();
+			ids = (await timelock.methods.getPendingOperations(0, count).call()).map(id => parseInt(id)).sort((a, b) => a - b);
+		}
+
+		const result = [];
+		for(const id of ids) {
+			result.push(await read_operation(timelock, faucet.options.jsonInterface, id));
+		}
+		if(result.length) {
+			console.table(result.map(o => ({
+				"ID": o.id,
+				"Proposer": o.proposer,
+				"Call": o.call,
+				"ETA": new Date(o.eta * 1000).toISOString(),
+				"Status": o.status,
+			})));
+		}
+		else {
+			console.log("no %soperations on %o", all? "": "pending ", network.name);
+		}
+
+		return result;
+	});
+
+task("faucet:queue-operation", "Queues the faucet function call to be executed via the timelock after the delay")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addPositionalParam("method", "faucet function to call, like setEpochParams")
+	.addOptionalVariadicPositionalParam("args", "faucet function arguments", [])
+	.setAction(async({from, method, args}, {deployments}) => {
+		const {get_faucet, get_companion, get_sender, print_events} = require("../scripts/include/faucet_utils");
+		const faucet = await get_faucet(deployments);
+		const timelock = await get_companion(deployments, "FaucetTimelock");
+		from = await get_sender(from);
+
+		if(!faucet.methods[method]) {
+			throw new Error(`unknown faucet function ${method}`);
+		}
+		const data = faucet.methods[method](...args).encodeABI();
+		console.log("queueing %o on %o", decode_call(faucet.options.jsonInterface, data), network.name);
+		const receipt = await timelock.methods.queueOperation(data).send({from});
+		print_events(receipt);
+		return receipt;
+	});
+
+task("faucet:execute-operation", "Executes the timelocked faucet operation once the delay has passed")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addPositionalParam("id", "ID of the operation to execute", undefined, types.int)
+	.setAction(async({from, id}, {deployments}) => {
+		return await finalize_operation(deployments, from, id, true);
+	});
+
+task("faucet:cancel-operation", "Cancels the pending timelocked faucet operation")
+	.addOptionalParam("from", "address to send the transaction from, must have ROLE_FAUCET_MANAGER")
+	.addPositionalParam("id", "ID of the operation to cancel", undefined, types.int)
+	.setAction(async({from, id}, {deployments}) => {
+		return await finalize_operation(deployments, from, id, false);
+	});
@@ -0,0 +1,77 @@
+// Hardhat tasks for the upgrade safety: storage layout snapshots and compatibility check
+// usage examples:
+//   npx hardhat storage:snapshot v1_0 --deployment sepolia
+//   npx hardhat storage:snapshot v1_1
+//   npx hardhat storage:check
+
+const {task} = require("hardhat/config");
+
+task("storage:snapshot", "Saves the contract storage layout snapshot for the version deployed, to be committed")
+	.addOptionalParam("contract", "contract name", "TheFaucetV1")
+	.addOptionalParam("deployment", "network name to take the storage layout from (deployments/<network>); compiler output is used if not set")
+	.addOptionalParam("dir", "snapshots folder; defaults to storage_layouts in the project root")
+	.addFlag("force", "save the snapshot even if it is incompatible with the snapshots saved before")
+	.addPositionalParam("tag", "version tag, like v1_0, used as the snapshot file name")
+	.setAction(async({contract, deployment, dir, force, tag}, {artifacts, config, run}) => {
+		const fs = require("fs");
+		const path = require("path");
+		const {SNAPSHOTS_DIR, normalize_layout, extract_layout, load_snapshots, compare_layouts, save_snapshot} = require("../scripts/include/storage_layout");
+		dir = dir || SNAPSHOTS_DIR;
+
+		let layout;
+		// storage layout of the contract deployed
+		if(deployment) {
+			const file = path.join(config.paths.deployments, deployment, `${contract}.json`);
+			if(!fs.existsSync(file)) {
+				throw new Error(`${contract} is not deployed to ${deployment}: ${file} doesn't exist`);
+			}
+			const {storageLayout} = JSON.parse(fs.readFileSync(file, "utf8"));
+			if(!storageLayout) {
+				throw new Error(`${file} doesn't contain the storage layout`);
+			}
+			layout = normalize_layout(storageLayout);
+		}
+		// storage layout of the contract compiled
+		else {
+			await run("compile", {quiet: true});
+			layout = await extract_layout(artifacts, contract);
+		}
+
+		// verify the layout is compatible with the previous versions
+		const errors = load_snapshots(contract, dir)
+			.filter(snapshot => snapshot.version !== tag)
+			.flatMap(snapshot => compare_layouts(snapshot, layout).map(e => `${snapshot.version}: ${e}`));
+		if(errors.length) {
+			console.log("%s storage layout is incompatible with the previous versions:\n\t%s", contract, errors.join("\n\t"));
+			if(!force) {
+				throw new Error(`${contract} storage layout is incompatible with the previous versions, use --force to save anyway`);
+			}
+		}
+
+		const file = save_snapshot(contract, tag, layout, dir);
+		console.log("%s %s storage layout snapshot saved to %o: %o variable(s)", contract, tag, file, layout.storage.length);
+		return file;
+	});
+
+task("storage:check", "Verifies the contract storage layout is compatible with all the snapshots saved")
+	.addOptionalParam("contract", "contract name", "TheFaucetV1")
+	.addOptionalParam("dir", "snapshots folder; defaults to storage_layouts in the project root")
+	.setAction(async({contract, dir}, {artifacts, run}) => {
+		const {SNAPSHOTS_DIR, extract_layout, load_snapshots, check_snapshots} = require("../scripts/include/storage_layout");
+		dir = dir || SNAPSHOTS_DIR;
+
+		await run("compile", {quiet: true});
+		const layout = await extract_layout(artifacts, contract);
+		const versions = load_snapshots(contract, dir).map(snapshot => snapshot.version);
+		if(!versions.length) {
+			console.log("no %s storage layout snapshots found in %o", contract, dir);
+		}
+
+		const errors = check_snapshots(contract, layout, dir);
+		if(errors.length) {
+			throw new Error(`${contract} storage layout is incompatible with the snapshots saved:\n\t${errors.join("\n\t")}`);
+		}
+
+		console.log("%s storage layout is compatible with %o", contract, versions);
+		return versions;
+	});
@@ -0,0 +1,245 @@
+// Hardhat tasks for the upgrade rehearsal: runs the upgrade script (upgrade-TheFaucetV1 deploy tag) against the real
+// faucet proxy on behalf of the impersonated upgrade manager on the local hardhat network (forked, or loaded
+// from the state dump), executes the upgrade queued via the timelock if it is enabled, and verifies the state is kept
+// usage examples:
+//   npx hardhat upgrade:rehearse sepolia
+//   npx hardhat upgrade:rehearse sepolia --block 5000000 --manager 0x...
+//   npx hardhat upgrade:capture-state --network sepolia state/sepolia.json
+//   npx hardhat upgrade:rehearse sepolia --state state/sepolia.json
+
+const {task, types} = require("hardhat/config");
+
+/**
+ * Lists the accounts of interest to verify the state for: the proxy deployer, the addresses specified,
+ * and the users and managers registry (if supported by the implementation deployed)
+ *
+ * @param faucet web3 contract instance, TheFaucetV1 ABI bound to the TheFaucet_Proxy address
+ * @param proxy_deployment TheFaucet_Proxy deployment
+ * @param users comma separated list of additional addresses, optional
+ * @return an array of unique checksummed addresses
+ */
+async function list_accounts(faucet, proxy_deployment, users) {
+	const addresses = users? users.split(",").map(address => address.trim()): [];
+	// proxy deployer usually has all the permissions
+	if(proxy_deployment.receipt) {
+		addresses.unshift(proxy_deployment.receipt.from);
+	}
+	try {
+		addresses.push(...await faucet.methods.getUsers(0, await faucet.methods.userCount().call()).call());
+		addresses.push(...await faucet.methods.getManagers(0, await faucet.methods.managerCount().call()).call());
+	}
+	catch(e) {
+		console.log("users and managers registry is not available, verifying %o account(s) only", addresses.length);
+	}
+	return [...new Set(addresses.map(address => web3.utils.toChecksumAddress(address)))];
+}
+
+task("upgrade:capture-state", "Captures The Faucet state (proxy code, storage, balances) into a dump for upgrade:rehearse --state")
+	.addOptionalParam("users", "comma separated list of addresses to capture the state for, in addition to the deployer and registry")
+	.addPositionalParam("file", "file to save the state dump to")
+	.setAction(async({users, file}, {artifacts, deployments}) => {
+		const fs = require("fs");
+		const path = require("path");
+		const {get_deployment_layout} = require("../scripts/include/storage_layout");
+		const {capture_state} = require("../scripts/include/upgrade_rehearsal");
+
+		const proxy_deployment = await deployments.get("TheFaucet_Proxy");
+		const {abi} = await artifacts.readArtifact("TheFaucetV1");
+		const faucet = new web3.eth.Contract(abi, proxy_deployment.address);
+		// storage slots to capture are derived from the implementation deployed
+		const layout = await get_deployment_layout(deployments, "TheFaucetV1");
+		if(!layout) {
+			throw new Error("TheFaucetV1 storage layout is not available, cannot capture the state");
+		}
+		// implementation doesn't work without the libraries it is linked with
+		const {libraries = {}} = await deployments.get("TheFaucetV1");
+		// the upgrade is queued and executed via the timelock if FEATURE_TIMELOCK is enabled, capture it as well
+		const companions = [];
+		const timelock_deployment = await deployments.getOrNull("FaucetTimelock_Proxy");
+		if(timelock_deployment) {
+			const timelock_layout = await get_deployment_layout(deployments, "FaucetTimelockV1");
+			if(!timelock_layout) {
+				throw new Error("FaucetTimelockV1 storage layout is not available, cannot capture the state");
+			}
+			companions.push({proxy_address: timelock_deployment.address, layout: timelock_layout});
+		}
+
+		const addresses = await list_accounts(faucet, proxy_deployment, users);
+		const dump = Object.assign(
+			{network: network.name},
+			await capture_state({
+				proxy_address: proxy_deployment.address,
+				layout,
+				addresses,
+				libraries: Object.values(libraries),
+				companions,
+			})
+		);
+
+		fs.mkdirSync(path.dirname(path.resolve(file)), {recursive: true});
+		fs.writeFileSync(file, JSON.stringify(dump, null, "\t") + "\n");
+		console.log(
+			"%s faucet state at block %o saved to %o: %o account(s)",
+			network.name, dump.blockNumber, file, Object.keys(dump.accounts).length
+		);
+		return dump;
+	});
+
+task("upgrade:rehearse", "Rehearses TheFaucetV1 upgrade on a local fork of the network, and verifies the state is kept")
+	.addOptionalParam("state", "state dump (upgrade:capture-state) to load instead of forking the live network")
+	.addOptionalParam("block", "block number to fork from, latest if not set", undefined, types.int)
+	.addOptionalParam("manager", "upgrade manager to impersonate, proxy deployer if not set")
+	.addOptionalParam("users", "comma separated list of addresses to verify the state for, in addition to the deployer and registry")
+	.addPositionalParam("target", "network to rehearse the upgrade for (deployments/<network>)")
+	.setAction(async({state, block, manager, users, target}, {artifacts, config, deployments}) => {
+		const fs = require("fs");
+		const path = require("path");
+		const {time} = require("@nomicfoundation/hardhat-network-helpers");
+		const {or, ROLE_UPGRADE_MANAGER, ROLE_FAUCET_MANAGER, FEATURE_TIMELOCK} = require("../scripts/include/features_roles");
+		const {
+			get_implementation,
+			load_state,
+			read_faucet_state,
+			compare_states,
+		} = require("../scripts/include/upgrade_rehearsal");
+
+		if(network.name !== "hardhat") {
+			throw new Error(`upgrade rehearsal runs on the hardhat network only, got ${network.name}`);
+		}
+
+		// the real proxy of the target network
+		const read_deployment = name => {
+			const deployment_path = path.join(config.paths.deployments, target, `${name}.json`);
+			return fs.existsSync(deployment_path)? JSON.parse(fs.readFileSync(deployment_path, "utf8")): undefined;
+		};
+		const proxy_deployment = read_deployment("TheFaucet_Proxy");
+		if(!proxy_deployment) {
+			throw new Error(`faucet is not deployed on ${target}: ${path.join(config.paths.deployments, target, "TheFaucet_Proxy.json")} doesn't exist`);
+		}
+		const faucet_address = web3.utils.toChecksumAddress(proxy_deployment.address);
+
+		// fork the target network, or load the state dump into the clean local network
+		let dump;
+		if(state) {
+			dump = JSON.parse(fs.readFileSync(state, "utf8"));
+			if(web3.utils.toChecksumAddress(dump.proxy) !== faucet_address) {
+				throw new Error(`state dump ${state} is captured for ${dump.proxy}, not for the ${target} faucet ${faucet_address}`);
+			}
+			await network.provider.request({method: "hardhat_reset", params: []});
+			await load_state(network.provider, dump);
+			console.log("%s faucet state at block %o loaded from %o", target, dump.blockNumber, state);
+		}
+		else {
+			const {url} = config.networks[target] || {};
+			if(!url) {
+				throw new Error(`JSON-RPC endpoint URL is not set for ${target}, cannot fork it`);
+			}
+			await network.provider.request({method: "hardhat_reset", params: [{forking: {jsonRpcUrl: url, blockNumber: block}}]});
+			console.log("%s forked at block %o", target, block || await web3.eth.getBlockNumber());
+		}
+
+		// faucet state is read with the ABI of the new implementation (superset of the deployed one)
+		const {abi} = await artifacts.readArtifact("TheFaucetV1");
+		const faucet = new web3.eth.Contract(abi, faucet_address);
+
+		// with the timelock enabled, the upgrade script queues the upgrade via the timelock,
+		// which requires the faucet manager permission (to queue and execute) along with the upgrade manager one
+		manager = web3.utils.toChecksumAddress(manager || proxy_deployment.receipt.from);
+		const timelock_enabled = await faucet.methods.isFeatureEnabled(FEATURE_TIMELOCK).call();
+		const timelock_deployment = timelock_enabled && read_deployment("FaucetTimelock_Proxy");
+		if(timelock_enabled) {
+			if(!timelock_deployment) {
+				throw new Error(`FEATURE_TIMELOCK is enabled on the faucet ${faucet_address}, but FaucetTimelock_Proxy is not deployed on ${target}`);
+			}
+			if(!await faucet.methods.isActiveOperatorInRole(manager, or(ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER).toString()).call()) {
+				throw new Error(`${manager} doesn't have ROLE_FAUCET_MANAGER and ROLE_UPGRADE_MANAGER permissions on the faucet ${faucet_address} (FEATURE_TIMELOCK is enabled)`);
+			}
+		}
+		else if(!await faucet.methods.isOperatorInRole(manager, ROLE_UPGRADE_MANAGER.toString()).call()) {
+			throw new Error(`${manager} doesn't have ROLE_UPGRADE_MANAGER permission on the faucet ${faucet_address}`);
+		}
+
+		// impersonate the upgrade manager, and fund it to pay for gas if required
+		await network.provider.request({method: "hardhat_impersonateAccount", params: [manager]});
+		const gas_funds = web3.utils.toBN(web3.utils.toWei("1", "ether"));
+		if(gas_funds.gt(web3.utils.toBN(await web3.eth.getBalance(manager)))) {
+			await network.provider.request({method: "hardhat_setBalance", params: [manager, web3.utils.toHex(gas_funds)]});
+		}
+
+		// accounts of interest: the ones specified, registered, and captured into the state dump
+		const captured = dump? Object.keys(dump.accounts).filter(address => address !== dump.proxy && address !== dump.implementation
+			&& !Object.values(dump.companions || {}).includes(address)): [];
+		const addresses = await list_accounts(faucet, proxy_deployment, [manager, users, ...captured].filter(Boolean).join(","));
+		const implementation_before = await get_implementation(faucet_address);
+		const before = await read_faucet_state(faucet, addresses);
+
+		// point the deployments to the real proxy (and timelock), the new implementation (and library) is deployed
+		await deployments.delete("TheFaucetV1");
+		await deployments.delete("FaucetLibV1");
+		await deployments.save("TheFaucet_Proxy", {address: faucet_address, abi: proxy_deployment.abi});
+		if(timelock_deployment) {
+			const {abi: timelock_abi} = read_deployment("FaucetTimelockV1") || await artifacts.readArtifact("FaucetTimelockV1");
+			await deployments.save("FaucetTimelock_Proxy", {address: timelock_deployment.address, abi: timelock_deployment.abi});
+			await deployments.save("FaucetTimelockV1", {address: await get_implementation(timelock_deployment.address), abi: timelock_abi});
+		}
+
+		// run the upgrade script on behalf of the impersonated upgrade manager (it verifies the storage layout)
+		const upgrade_manager = process.env.UPGRADE_MANAGER;
+		process.env.UPGRADE_MANAGER = manager;
+		try {
+			await deployments.run(["upgrade-TheFaucetV1"], {resetMemory: false, writeDeploymentsToFiles: false});
+		}
+		finally {
+			if(upgrade_manager === undefined) {
+				delete process.env.UPGRADE_MANAGER;
+			}
+			else {
+				process.env.UPGRADE_MANAGER = upgrade_manager;
+			}
+		}
+		const {address: implementation} = await deployments.get("TheFaucetV1");
+
+		// the upgrade is queued via the timelock: skip the delay, and execute it
+		if(timelock_deployment) {
+			const {abi: timelock_abi} = await deployments.get("FaucetTimelockV1");
+			const timelock = new web3.eth.Contract(timelock_abi, timelock_deployment.address);
+			const upgrade_data = faucet.methods.upgradeTo(implementation).encodeABI();
+			const pending_count = await timelock.methods.pendingOperationCount().call();
+			let operation_id;
+			for(const id of await timelock.methods.getPendingOperations(0, pending_count).call()) {
+				const {data} = await timelock.methods.operations(id).call();
+				if(data === upgrade_data) {
+					operation_id = id;
+				}
+			}
+			if(!operation_id) {
+				throw new Error(`upgrade rehearsal failed: upgradeTo(${implementation}) is not queued via the timelock ${timelock_deployment.address}`);
+			}
+			await time.increase(parseInt(await timelock.methods.delay().call()));
+			const receipt = await timelock.methods.executeOperation(operation_id).send({from: manager});
+			console.log("FaucetTimelock_Proxy.executeOperation(%o) from %o: %o", operation_id, manager, receipt.transactionHash);
+		}
+
+		const implementation_after = await get_implementation(faucet_address);
+		if(implementation_after !== implementation) {
+			throw new Error(`upgrade rehearsal failed: ${target} faucet implementation ${implementation_after} is not upgraded to ${implementation}`);
+		}
+		const after = await read_faucet_state(faucet, addresses);
+		const differences = compare_states(before, after);
+		if(differences.length) {
+			throw new Error(`upgrade rehearsal failed: ${target} faucet state is not kept:\n\t${differences.join("\n\t")}`);
+		}
+
+		console.log(
+			"%s faucet %o upgraded from %o to %o, state of %o account(s) is kept",
+			target, faucet_address, implementation_before, implementation_after, addresses.length
+		);
+		return {
+			target,
+			proxy: faucet_address,
+			manager,
+			implementation: {before: implementation_before, after: implementation_after},
+			accounts: addresses,
+			state: after,
+		};
+	});
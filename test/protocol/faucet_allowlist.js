@@ -0,0 +1,260 @@
+// Faucet Allow-list Tests: self-service onboarding via the Merkle allow-list
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	balance,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+} = constants;
+
+// ACL features and roles
+const {
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_MANAGER,
+	ROLE_FAUCET_USER,
+	FEATURE_PAUSED,
+} = require("../../scripts/include/features_roles");
+
+// allow-list tree helpers
+const {
+	build_tree,
+	get_proof,
+} = require("../../scripts/include/faucet_allowlist");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	faucet_allowlist_deploy,
+} = require("./include/deployment_routines");
+
+// run Faucet Allow-list tests
+contract("Faucet Allow-list: Merkle allow-list onboarding", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3, a4, a5] = accounts;
+
+	// faucet manager publishing the root, allow-listed addresses, and the ETH recipient
+	const manager = a1;
+	const alice = a2;
+	const bob = a3;
+	const carol = a4;
+	const recipient = a5;
+
+	// alice uses the global limit (10 ETH), bob has his own limit
+	const bob_limit = web3.utils.toWei("2", "ether");
+
+	let faucet, allowlist, tree;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		allowlist = await faucet_allowlist_deploy(a0, faucet);
+		await faucet.updateRole(manager, ROLE_FAUCET_MANAGER, {from: a0});
+		await web3.eth.sendTransaction({from: a0, to: faucet.address, value: web3.utils.toWei("50", "ether")});
+		tree = build_tree([{address: alice}, {address: bob, limit: bob_limit}]);
+	});
+
+	it("postConstruct fails if faucet address is not set", async function() {
+		const FaucetAllowlistV1 = artifacts.require("./FaucetAllowlistV1");
+		const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+		const instance = await FaucetAllowlistV1.new({from: a0});
+		const init_data = instance.contract.methods.postConstruct(ZERO_ADDRESS).encodeABI();
+		await expectRevert(ERC1967Proxy.new(instance.address, init_data, {from: a0}), "faucet address not set");
+	});
+
+	describe("when deployed", function() {
+		it("faucet address 'faucet' is set", async function() {
+			expect(await allowlist.faucet()).to.equal(faucet.address);
+		});
+		it("Merkle root 'merkleRoot' is not set", async function() {
+			expect(await allowlist.merkleRoot()).to.equal(ZERO_BYTES32);
+		});
+		it("nobody is allowed 'isAllowed'", async function() {
+			expect(await allowlist.isAllowed(alice, 0, get_proof(tree, alice))).to.be.false;
+		});
+		it("'claim' reverts", async function() {
+			await expectRevert(allowlist.claim(recipient, 1, 0, get_proof(tree, alice), {from: alice}), "allow-list not set");
+		});
+		it("leaf limit zero resolves to the global faucet limit 'weiLimitPerEpochForLimit'", async function() {
+			expect(await allowlist.weiLimitPerEpochForLimit(0)).to.be.bignumber.that.equals(await faucet.weiLimitPerEpoch());
+		});
+		it("leaf limit is used if set 'weiLimitPerEpochForLimit'", async function() {
+			expect(await allowlist.weiLimitPerEpochForLimit(bob_limit)).to.be.bignumber.that.equals(bob_limit);
+		});
+	});
+
+	describe("setting the Merkle root, 'setMerkleRoot'", function() {
+		it("fails if executed not by ROLE_FAUCET_MANAGER", async function() {
+			await expectRevert(allowlist.setMerkleRoot(tree.root, {from: alice}), "access denied");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await allowlist.setMerkleRoot(tree.root, {from: manager});
+			});
+			it("'MerkleRootUpdated' event is emitted", async function() {
+				expectEvent(receipt, "MerkleRootUpdated", {manager, merkleRoot: tree.root});
+			});
+			it("Merkle root 'merkleRoot' is updated", async function() {
+				expect(await allowlist.merkleRoot()).to.equal(tree.root);
+			});
+			it("allow-listed addresses are allowed 'isAllowed'", async function() {
+				expect(await allowlist.isAllowed(alice, 0, get_proof(tree, alice))).to.be.true;
+				expect(await allowlist.isAllowed(bob, bob_limit, get_proof(tree, bob))).to.be.true;
+			});
+			it("address is not allowed with the wrong limit 'isAllowed'", async function() {
+				expect(await allowlist.isAllowed(bob, 0, get_proof(tree, bob))).to.be.false;
+				expect(await allowlist.isAllowed(alice, bob_limit, get_proof(tree, alice))).to.be.false;
+			});
+			it("address is not allowed with the proof of another address 'isAllowed'", async function() {
+				expect(await allowlist.isAllowed(carol, 0, get_proof(tree, alice))).to.be.false;
+			});
+		});
+	});
+
+	describe("when the Merkle root is set", function() {
+		beforeEach(async function() {
+			await allowlist.setMerkleRoot(tree.root, {from: manager});
+		});
+
+		describe("claiming ETH, 'claim'", function() {
+			it("fails if the sender is not allow-listed", async function() {
+				await expectRevert(allowlist.claim(recipient, 1, 0, get_proof(tree, alice), {from: carol}), "invalid proof");
+			});
+			it("fails if the limit doesn't match the leaf", async function() {
+				await expectRevert(allowlist.claim(recipient, 1, web3.utils.toWei("20", "ether"), get_proof(tree, bob), {from: bob}), "invalid proof");
+			});
+			it("fails if the value exceeds the global limit", async function() {
+				const value = web3.utils.toWei("11", "ether");
+				await expectRevert(allowlist.claim(recipient, value, 0, get_proof(tree, alice), {from: alice}), "allowance exceeded");
+			});
+			it("fails if the value exceeds the leaf limit", async function() {
+				const value = web3.utils.toWei("3", "ether");
+				await expectRevert(allowlist.claim(recipient, value, bob_limit, get_proof(tree, bob), {from: bob}), "allowance exceeded");
+			});
+			it("fails if the faucet is paused", async function() {
+				await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED), {from: a0});
+				await expectRevert(allowlist.claim(recipient, 1, 0, get_proof(tree, alice), {from: alice}), "faucet is paused");
+			});
+			it("fails if the value exceeds the allow-list total limit on the faucet", async function() {
+				await faucet.setWeiLimitPerEpochForUser(allowlist.address, web3.utils.toWei("1", "ether"), {from: a0});
+				const value = web3.utils.toWei("2", "ether");
+				await expectRevert(allowlist.claim(recipient, value, 0, get_proof(tree, alice), {from: alice}), "allowance exceeded");
+			});
+			it("fails if the allow-list is not a faucet user", async function() {
+				await faucet.removeUsers([allowlist.address], {from: a0});
+				await expectRevert(allowlist.claim(recipient, 1, 0, get_proof(tree, alice), {from: alice}), "access denied");
+			});
+			describe("succeeds otherwise", function() {
+				const value = web3.utils.toWei("1.5", "ether");
+				let tracker, receipt;
+				beforeEach(async function() {
+					tracker = await balance.tracker(recipient);
+					receipt = await allowlist.claim(recipient, value, bob_limit, get_proof(tree, bob), {from: bob});
+				});
+				it("'Claimed' event is emitted", async function() {
+					expectEvent(receipt, "Claimed", {user: bob, to: recipient, value});
+				});
+				it("faucet 'ETHWithdrawn' event is emitted", async function() {
+					await expectEvent.inTransaction(receipt.tx, faucet, "ETHWithdrawn", {to: recipient, value});
+				});
+				it("recipient receives the ETH", async function() {
+					expect(await tracker.delta()).to.be.bignumber.that.equals(value);
+				});
+				it("claimed amount 'weiClaimedInCurrentEpoch' increases", async function() {
+					expect(await allowlist.weiClaimedInCurrentEpoch(bob)).to.be.bignumber.that.equals(value);
+				});
+				it("available amount 'weiLeftInEpochForUser' decreases", async function() {
+					expect(await allowlist.weiLeftInEpochForUser(bob, bob_limit)).to.be.bignumber.that.equals(web3.utils.toWei("0.5", "ether"));
+				});
+				it("the sender doesn't become a faucet user", async function() {
+					expect(await faucet.isOperatorInRole(bob, ROLE_FAUCET_USER)).to.be.false;
+				});
+				it("claiming over the leaf limit in the same epoch fails", async function() {
+					await expectRevert(allowlist.claim(recipient, value, bob_limit, get_proof(tree, bob), {from: bob}), "allowance exceeded");
+				});
+				it("claiming the rest of the leaf limit succeeds", async function() {
+					await allowlist.claim(recipient, web3.utils.toWei("0.5", "ether"), bob_limit, get_proof(tree, bob), {from: bob});
+					expect(await allowlist.weiLeftInEpochForUser(bob, bob_limit)).to.be.bignumber.that.equals("0");
+				});
+				it("other allow-listed addresses are not affected", async function() {
+					expect(await allowlist.weiLeftInEpochForUser(alice, 0)).to.be.bignumber.that.equals(web3.utils.toWei("10", "ether"));
+				});
+				describe("when the epoch passes", function() {
+					beforeEach(async function() {
+						await time.increase(86400);
+					});
+					it("claimed amount 'weiClaimedInCurrentEpoch' resets", async function() {
+						expect(await allowlist.weiClaimedInCurrentEpoch(bob)).to.be.bignumber.that.equals("0");
+					});
+					it("claiming up to the leaf limit succeeds again", async function() {
+						await allowlist.claim(recipient, bob_limit, bob_limit, get_proof(tree, bob), {from: bob});
+						expect(await allowlist.weiClaimedInCurrentEpoch(bob)).to.be.bignumber.that.equals(bob_limit);
+					});
+				});
+			});
+		});
+
+		describe("rotating the Merkle root", function() {
+			// bob is removed, alice gets her own limit, carol is added
+			const alice_limit = web3.utils.toWei("1", "ether");
+			let new_tree;
+			beforeEach(async function() {
+				await allowlist.claim(recipient, web3.utils.toWei("1", "ether"), bob_limit, get_proof(tree, bob), {from: bob});
+				await allowlist.claim(recipient, web3.utils.toWei("0.5", "ether"), 0, get_proof(tree, alice), {from: alice});
+				new_tree = build_tree([{address: alice, limit: alice_limit}, {address: carol}, {address: bob, limit: 1}]);
+				await allowlist.setMerkleRoot(new_tree.root, {from: manager});
+			});
+			it("the old proofs become invalid", async function() {
+				await expectRevert(allowlist.claim(recipient, 1, 0, get_proof(tree, alice), {from: alice}), "invalid proof");
+			});
+			it("the old leaf limit can't be used with the new proof", async function() {
+				await expectRevert(allowlist.claim(recipient, 1, bob_limit, get_proof(new_tree, bob), {from: bob}), "invalid proof");
+			});
+			it("new address can claim", async function() {
+				await allowlist.claim(recipient, web3.utils.toWei("10", "ether"), 0, get_proof(new_tree, carol), {from: carol});
+				expect(await allowlist.weiClaimedInCurrentEpoch(carol)).to.be.bignumber.that.equals(web3.utils.toWei("10", "ether"));
+			});
+			it("amount claimed in current epoch is kept", async function() {
+				expect(await allowlist.weiClaimedInCurrentEpoch(alice)).to.be.bignumber.that.equals(web3.utils.toWei("0.5", "ether"));
+				expect(await allowlist.weiLeftInEpochForUser(alice, alice_limit)).to.be.bignumber.that.equals(web3.utils.toWei("0.5", "ether"));
+			});
+			it("new leaf limit applies to the amount claimed", async function() {
+				await expectRevert(
+					allowlist.claim(recipient, web3.utils.toWei("0.6", "ether"), alice_limit, get_proof(new_tree, alice), {from: alice}),
+					"allowance exceeded"
+				);
+				await allowlist.claim(recipient, web3.utils.toWei("0.5", "ether"), alice_limit, get_proof(new_tree, alice), {from: alice});
+			});
+			it("decreased leaf limit below the amount claimed doesn't underflow", async function() {
+				expect(await allowlist.weiLeftInEpochForUser(bob, 1)).to.be.bignumber.that.equals("0");
+				await expectRevert(allowlist.claim(recipient, 1, 1, get_proof(new_tree, bob), {from: bob}), "allowance exceeded");
+			});
+			describe("when the allow-list is disabled (zero root)", function() {
+				beforeEach(async function() {
+					await allowlist.setMerkleRoot(ZERO_BYTES32, {from: manager});
+				});
+				it("nobody can claim", async function() {
+					await expectRevert(allowlist.claim(recipient, 1, 0, get_proof(new_tree, carol), {from: carol}), "allow-list not set");
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,345 @@
+// Faucet Public Tier Tests: proof-of-work claims for the non-whitelisted addresses
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	balance,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+	MAX_UINT256,
+} = constants;
+
+// ACL features and roles
+const {
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_MANAGER,
+	ROLE_FAUCET_USER,
+	FEATURE_PAUSED,
+	FEATURE_PUBLIC,
+} = require("../../scripts/include/features_roles");
+
+// proof-of-work helpers
+const {
+	pow_target,
+	work_hash,
+	verify_work,
+	solve_work,
+} = require("../../scripts/include/faucet_pow");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	faucet_public_deploy,
+} = require("./include/deployment_routines");
+
+// run Faucet Public Tier tests
+contract("Faucet Public Tier: proof-of-work claims", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3, a4, a5] = accounts;
+
+	// faucet manager, faucet user (whitelisted), public (non-whitelisted) users, and the ETH recipient
+	const manager = a1;
+	const user = a2;
+	const alice = a3;
+	const bob = a4;
+	const recipient = a5;
+
+	// stricter public tier params used in the tests, the difficulty is kept low to solve fast
+	const wei_per_claim = web3.utils.toWei("0.1", "ether");
+	const cooldown = 30 * 86400;
+	const difficulty = 8;
+
+	let faucet, public_tier;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		public_tier = await faucet_public_deploy(a0, faucet);
+		await faucet.updateRole(manager, ROLE_FAUCET_MANAGER, {from: a0});
+		await faucet.addUsers([user], {from: a0});
+		await web3.eth.sendTransaction({from: a0, to: faucet.address, value: web3.utils.toWei("50", "ether")});
+	});
+
+	// enables/disables the public mode on the faucet, keeping add/remove users features enabled
+	async function set_public_mode(enabled) {
+		await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, enabled? FEATURE_PUBLIC: 0), {from: a0});
+	}
+
+	// solves the proof-of-work for the sender in the current epoch,
+	// skipping the solutions accepted by the `excluded(nonce, epoch, difficulty)` predicate
+	async function solve(sender, start = 0, excluded = () => false) {
+		const epoch = await public_tier.currentEpoch();
+		const difficulty = (await public_tier.difficulty()).toNumber();
+		let {nonce} = solve_work(sender, epoch, difficulty, {start});
+		while(excluded(nonce, epoch, difficulty)) {
+			({nonce} = solve_work(sender, epoch, difficulty, {start: +nonce + 1}));
+		}
+		return nonce;
+	}
+
+	it("postConstruct fails if faucet address is not set", async function() {
+		const FaucetPublicV1 = artifacts.require("./FaucetPublicV1");
+		const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+		const instance = await FaucetPublicV1.new({from: a0});
+		const init_data = instance.contract.methods.postConstruct(ZERO_ADDRESS).encodeABI();
+		await expectRevert(ERC1967Proxy.new(instance.address, init_data, {from: a0}), "faucet address not set");
+	});
+
+	describe("when deployed", function() {
+		it("faucet address 'faucet' is set", async function() {
+			expect(await public_tier.faucet()).to.equal(faucet.address);
+		});
+		it("faucet FEATURE_PUBLIC matches the JS constant", async function() {
+			expect(await faucet.FEATURE_PUBLIC()).to.be.bignumber.that.equals(FEATURE_PUBLIC + "");
+		});
+		it("amount per claim 'weiPerClaim' is 0.05 ETH", async function() {
+			expect(await public_tier.weiPerClaim()).to.be.bignumber.that.equals(web3.utils.toWei("0.05", "ether"));
+		});
+		it("recipient cooldown 'cooldown' is 7 days", async function() {
+			expect(await public_tier.cooldown()).to.be.bignumber.that.equals(7 * 86400 + "");
+		});
+		it("proof-of-work difficulty 'difficulty' is 18", async function() {
+			expect(await public_tier.difficulty()).to.be.bignumber.that.equals("18");
+		});
+		it("public mode is disabled 'isPublicModeEnabled'", async function() {
+			expect(await public_tier.isPublicModeEnabled()).to.be.false;
+		});
+		it("target 'powTarget' matches the JS target", async function() {
+			expect(await public_tier.powTarget()).to.be.bignumber.that.equals(pow_target(18));
+		});
+		it("'claim' reverts", async function() {
+			await expectRevert(public_tier.claim(recipient, 0, {from: alice}), "public mode disabled");
+		});
+	});
+
+	describe("view helpers", function() {
+		beforeEach(async function() {
+			await public_tier.setPublicParams(wei_per_claim, cooldown, difficulty, {from: manager});
+		});
+		it("current epoch 'currentEpoch' is the faucet epoch", async function() {
+			const epoch_length = await faucet.epochLength();
+			const now = await time.latest();
+			expect(await public_tier.currentEpoch()).to.be.bignumber.that.equals(Math.floor(now / epoch_length) + "");
+		});
+		it("work hash 'workHash' matches the JS hash", async function() {
+			expect(await public_tier.workHash(alice, 12345, 67890)).to.equal(work_hash(alice, 12345, 67890));
+		});
+		it("work hash 'workHash' depends on the sender, nonce, and epoch", async function() {
+			const h = await public_tier.workHash(alice, 1, 1);
+			expect(await public_tier.workHash(bob, 1, 1)).to.not.equal(h);
+			expect(await public_tier.workHash(alice, 2, 1)).to.not.equal(h);
+			expect(await public_tier.workHash(alice, 1, 2)).to.not.equal(h);
+		});
+		it("solved nonce is valid 'isValidWork'", async function() {
+			expect(await public_tier.isValidWork(alice, await solve(alice))).to.be.true;
+		});
+		it("nonce solved for another sender is invalid 'isValidWork'", async function() {
+			// skip the nonces which are valid solutions for bob by chance
+			const nonce = await solve(alice, 0, (nonce, epoch, d) => verify_work(bob, nonce, epoch, d));
+			expect(await public_tier.isValidWork(bob, nonce)).to.be.false;
+		});
+		it("recipient which never received a claim has no cooldown 'cooldownLeft'", async function() {
+			expect(await public_tier.cooldownLeft(recipient)).to.be.bignumber.that.equals("0");
+		});
+		it("'canClaim' is false when public mode is disabled", async function() {
+			expect(await public_tier.canClaim(alice, recipient, await solve(alice))).to.be.false;
+		});
+	});
+
+	describe("updating the params, 'setPublicParams'", function() {
+		it("fails if executed not by ROLE_FAUCET_MANAGER", async function() {
+			await expectRevert(public_tier.setPublicParams(wei_per_claim, cooldown, difficulty, {from: alice}), "access denied");
+		});
+		it("fails if the amount per claim is not set", async function() {
+			await expectRevert(public_tier.setPublicParams(0, cooldown, difficulty, {from: manager}), "value not set");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await public_tier.setPublicParams(wei_per_claim, cooldown, difficulty, {from: manager});
+			});
+			it("'PublicParamsUpdated' event is emitted", async function() {
+				expectEvent(receipt, "PublicParamsUpdated", {
+					manager,
+					weiPerClaim: wei_per_claim,
+					cooldown: cooldown + "",
+					difficulty: difficulty + "",
+				});
+			});
+			it("amount per claim 'weiPerClaim' is updated", async function() {
+				expect(await public_tier.weiPerClaim()).to.be.bignumber.that.equals(wei_per_claim);
+			});
+			it("recipient cooldown 'cooldown' is updated", async function() {
+				expect(await public_tier.cooldown()).to.be.bignumber.that.equals(cooldown + "");
+			});
+			it("proof-of-work difficulty 'difficulty' is updated", async function() {
+				expect(await public_tier.difficulty()).to.be.bignumber.that.equals(difficulty + "");
+			});
+			it("target 'powTarget' is updated", async function() {
+				expect(await public_tier.powTarget()).to.be.bignumber.that.equals(pow_target(difficulty));
+			});
+		});
+		it("zero difficulty disables the proof-of-work", async function() {
+			await public_tier.setPublicParams(wei_per_claim, cooldown, 0, {from: manager});
+			expect(await public_tier.powTarget()).to.be.bignumber.that.equals(MAX_UINT256);
+			expect(await public_tier.isValidWork(alice, 0)).to.be.true;
+		});
+	});
+
+	describe("when the public mode is enabled", function() {
+		beforeEach(async function() {
+			await public_tier.setPublicParams(wei_per_claim, cooldown, difficulty, {from: manager});
+			await set_public_mode(true);
+		});
+		it("public mode is enabled 'isPublicModeEnabled'", async function() {
+			expect(await public_tier.isPublicModeEnabled()).to.be.true;
+		});
+		it("'canClaim' is true for the valid nonce", async function() {
+			expect(await public_tier.canClaim(alice, recipient, await solve(alice))).to.be.true;
+		});
+		it("public users don't become faucet users", async function() {
+			expect(await faucet.isOperatorInRole(alice, ROLE_FAUCET_USER)).to.be.false;
+			await expectRevert(faucet.withdrawEth(recipient, 1, {from: alice}), "access denied");
+		});
+		it("whitelisted faucet users are not affected", async function() {
+			const value = web3.utils.toWei("5", "ether");
+			const tracker = await balance.tracker(recipient);
+			await faucet.withdrawEth(recipient, value, {from: user});
+			expect(await tracker.delta()).to.be.bignumber.that.equals(value);
+		});
+
+		describe("claiming ETH, 'claim'", function() {
+			it("fails if the proof-of-work is invalid", async function() {
+				// find the nonce which is not a solution
+				let nonce = 0;
+				while(await public_tier.isValidWork(alice, nonce)) {
+					nonce++;
+				}
+				await expectRevert(public_tier.claim(recipient, nonce, {from: alice}), "invalid proof of work");
+			});
+			it("fails if the proof-of-work is solved for another sender", async function() {
+				const nonce = await solve(bob, 0, (nonce, epoch, d) => verify_work(alice, nonce, epoch, d));
+				await expectRevert(public_tier.claim(recipient, nonce, {from: alice}), "invalid proof of work");
+			});
+			it("fails if the proof-of-work is solved for another epoch", async function() {
+				const nonce = await solve(alice, 0, (nonce, epoch, d) => verify_work(alice, nonce, epoch.addn(1), d));
+				await time.increase(86400);
+				await expectRevert(public_tier.claim(recipient, nonce, {from: alice}), "invalid proof of work");
+			});
+			it("fails if the faucet is paused", async function() {
+				await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PUBLIC, FEATURE_PAUSED), {from: a0});
+				await expectRevert(public_tier.claim(recipient, await solve(alice), {from: alice}), "faucet is paused");
+			});
+			it("fails if the public tier total limit on the faucet is exceeded", async function() {
+				await faucet.setWeiLimitPerEpochForUser(public_tier.address, 1, {from: a0});
+				await expectRevert(public_tier.claim(recipient, await solve(alice), {from: alice}), "allowance exceeded");
+			});
+			it("fails if the recipient address is not set", async function() {
+				await expectRevert(public_tier.claim(ZERO_ADDRESS, await solve(alice), {from: alice}), "recipient not set");
+			});
+			it("fails if the public tier is not a faucet user", async function() {
+				await faucet.removeUsers([public_tier.address], {from: a0});
+				await expectRevert(public_tier.claim(recipient, await solve(alice), {from: alice}), "access denied");
+			});
+			describe("succeeds otherwise", function() {
+				let nonce, tracker, receipt;
+				beforeEach(async function() {
+					nonce = await solve(alice);
+					tracker = await balance.tracker(recipient);
+					receipt = await public_tier.claim(recipient, nonce, {from: alice});
+				});
+				it("'PublicClaimed' event is emitted", async function() {
+					expectEvent(receipt, "PublicClaimed", {sender: alice, to: recipient, value: wei_per_claim, nonce});
+				});
+				it("faucet 'ETHWithdrawn' event is emitted", async function() {
+					await expectEvent.inTransaction(receipt.tx, faucet, "ETHWithdrawn", {to: recipient, value: wei_per_claim});
+				});
+				it("recipient receives the fixed amount of ETH", async function() {
+					expect(await tracker.delta()).to.be.bignumber.that.equals(wei_per_claim);
+				});
+				it("the proof-of-work is spent 'spentWork'", async function() {
+					expect(await public_tier.spentWork(await public_tier.workHash(alice, nonce, await public_tier.currentEpoch()))).to.be.true;
+					expect(await public_tier.isValidWork(alice, nonce)).to.be.false;
+				});
+				it("last claim timestamp 'lastClaimTimestamps' is updated", async function() {
+					expect(await public_tier.lastClaimTimestamps(recipient)).to.be.bignumber.that.equals(await time.latest() + "");
+				});
+				it("recipient is on cooldown 'cooldownLeft'", async function() {
+					expect(await public_tier.cooldownLeft(recipient)).to.be.bignumber.that.equals(cooldown + "");
+				});
+				it("'canClaim' is false for the recipient on cooldown", async function() {
+					expect(await public_tier.canClaim(alice, recipient, await solve(alice, +nonce + 1))).to.be.false;
+				});
+				it("reusing the proof-of-work fails", async function() {
+					await expectRevert(public_tier.claim(a0, nonce, {from: alice}), "proof of work already spent");
+				});
+				it("claiming to the same recipient fails (another sender)", async function() {
+					await expectRevert(public_tier.claim(recipient, await solve(bob), {from: bob}), "recipient cooldown");
+				});
+				it("claiming to another recipient with the new proof-of-work succeeds", async function() {
+					await public_tier.claim(a0, await solve(alice, +nonce + 1), {from: alice});
+					expect(await public_tier.cooldownLeft(a0)).to.be.bignumber.that.equals(cooldown + "");
+				});
+				describe("when the faucet epoch passes", function() {
+					beforeEach(async function() {
+						await time.increase(86400);
+					});
+					it("recipient is still on cooldown", async function() {
+						expect(await public_tier.cooldownLeft(recipient)).to.be.bignumber.that.equals(cooldown - 86400 + "");
+						await expectRevert(public_tier.claim(recipient, await solve(alice), {from: alice}), "recipient cooldown");
+					});
+				});
+				describe("when the cooldown is decreased", function() {
+					beforeEach(async function() {
+						await time.increase(86400);
+						await public_tier.setPublicParams(wei_per_claim, 3600, difficulty, {from: manager});
+					});
+					it("cooldown period left doesn't underflow 'cooldownLeft'", async function() {
+						expect(await public_tier.cooldownLeft(recipient)).to.be.bignumber.that.equals("0");
+					});
+				});
+				describe("when the cooldown passes", function() {
+					beforeEach(async function() {
+						await time.increase(cooldown);
+					});
+					it("recipient has no cooldown 'cooldownLeft'", async function() {
+						expect(await public_tier.cooldownLeft(recipient)).to.be.bignumber.that.equals("0");
+					});
+					it("recipient can receive the claim again", async function() {
+						const tracker = await balance.tracker(recipient);
+						await public_tier.claim(recipient, await solve(alice), {from: alice});
+						expect(await tracker.delta()).to.be.bignumber.that.equals(wei_per_claim);
+					});
+				});
+			});
+		});
+
+		describe("when the public mode is disabled again", function() {
+			beforeEach(async function() {
+				await set_public_mode(false);
+			});
+			it("'claim' reverts", async function() {
+				await expectRevert(public_tier.claim(recipient, await solve(alice), {from: alice}), "public mode disabled");
+			});
+			it("whitelisted faucet users are not affected", async function() {
+				await faucet.withdrawEth(recipient, 1, {from: user});
+			});
+		});
+	});
+});
@@ -0,0 +1,330 @@
+// Faucet Requests Tests: over-limit withdrawals request/approval workflow
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	balance,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+} = constants;
+
+// ACL features and roles
+const {
+	ROLE_FAUCET_MANAGER,
+	FEATURE_PAUSED,
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_USER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	faucet_requests_deploy,
+} = require("./include/deployment_routines");
+
+// run Faucet Requests tests
+contract("Faucet Requests: over-limit withdrawals", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	// faucet user filing the requests, faucet manager approving them, and the ETH recipient
+	const user = a1;
+	const manager = a2;
+	const recipient = a3;
+
+	// the reason the requests are filed for
+	const reason_hash = web3.utils.keccak256("load test");
+
+	let faucet, requests;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		requests = await faucet_requests_deploy(a0, faucet);
+		await faucet.addUsers([user], {from: a0});
+		await faucet.updateRole(manager, ROLE_FAUCET_MANAGER, {from: a0});
+		await web3.eth.sendTransaction({from: a0, to: faucet.address, value: web3.utils.toWei("50", "ether")});
+	});
+
+	it("postConstruct fails if faucet address is not set", async function() {
+		const FaucetRequestsV1 = artifacts.require("./FaucetRequestsV1");
+		const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+		const instance = await FaucetRequestsV1.new({from: a0});
+		const init_data = instance.contract.methods.postConstruct(ZERO_ADDRESS).encodeABI();
+		await expectRevert(ERC1967Proxy.new(instance.address, init_data, {from: a0}), "faucet address not set");
+	});
+
+	describe("when deployed", function() {
+		it("faucet address 'faucet' is set", async function() {
+			expect(await requests.faucet()).to.equal(faucet.address);
+		});
+		it("request time to live 'requestTtl' is 7 days", async function() {
+			expect(await requests.requestTtl()).to.be.bignumber.that.equals(7 * 86400 + "");
+		});
+		it("request count 'requestCount' is zero", async function() {
+			expect(await requests.requestCount()).to.be.bignumber.that.equals("0");
+		});
+		it("there are no pending requests", async function() {
+			expect(await requests.pendingRequestCount()).to.be.bignumber.that.equals("0");
+			expect(await requests.getPendingRequests(0, 10)).to.be.empty;
+		});
+		it("non-existent request status 'requestStatus' is zero", async function() {
+			expect(await requests.requestStatus(1)).to.be.bignumber.that.equals("0");
+		});
+	});
+
+	describe("ACL", function() {
+		it("'fileRequest' reverts if executed not by ROLE_FAUCET_USER", async function() {
+			await expectRevert(requests.fileRequest(1, reason_hash, {from: manager}), "access denied");
+		});
+		it("'fileRequest' reverts if the user access is expired", async function() {
+			await faucet.addUsersWithExpiry([user], (await time.latest()) + 60, {from: a0});
+			await time.increase(60);
+			await expectRevert(requests.fileRequest(1, reason_hash, {from: user}), "access denied");
+		});
+		it("'setRequestTtl' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+			await expectRevert(requests.setRequestTtl(1, {from: user}), "access denied");
+		});
+		describe("when the request is filed", function() {
+			beforeEach(async function() {
+				await requests.fileRequest(1, reason_hash, {from: user});
+			});
+			it("'approveRequest' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+				await expectRevert(requests.approveRequest(1, {from: user}), "access denied");
+			});
+			it("'rejectRequest' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+				await expectRevert(requests.rejectRequest(1, {from: user}), "access denied");
+			});
+			describe("when the request is approved", function() {
+				beforeEach(async function() {
+					await requests.approveRequest(1, {from: manager});
+				});
+				it("'claimRequest' reverts if executed not by the user who filed the request", async function() {
+					await faucet.addUsers([a3], {from: a0});
+					await expectRevert(requests.claimRequest(1, recipient, {from: a3}), "access denied");
+				});
+				it("'claimRequest' reverts if the user is removed from the faucet users", async function() {
+					await faucet.removeUsers([user], {from: a0});
+					await expectRevert(requests.claimRequest(1, recipient, {from: user}), "access denied");
+				});
+				it("'claimRequest' reverts if the user access is expired", async function() {
+					await faucet.addUsersWithExpiry([user], (await time.latest()) + 60, {from: a0});
+					await time.increase(60);
+					await expectRevert(requests.claimRequest(1, recipient, {from: user}), "access denied");
+				});
+			});
+		});
+	});
+
+	describe("setting request time to live, 'setRequestTtl'", function() {
+		it("fails if time to live is not set", async function() {
+			await expectRevert(requests.setRequestTtl(0, {from: manager}), "request TTL not set");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await requests.setRequestTtl(3600, {from: manager});
+			});
+			it("'RequestTtlUpdated' event is emitted", async function() {
+				expectEvent(receipt, "RequestTtlUpdated", {requestTtl: "3600"});
+			});
+			it("request time to live 'requestTtl' is updated", async function() {
+				expect(await requests.requestTtl()).to.be.bignumber.that.equals("3600");
+			});
+		});
+	});
+
+	describe("filing the request, 'fileRequest'", function() {
+		it("fails if value is not set", async function() {
+			await expectRevert(requests.fileRequest(0, reason_hash, {from: user}), "value not set");
+		});
+		describe("succeeds otherwise", function() {
+			const value = web3.utils.toWei("25", "ether");
+			let receipt, expires_at;
+			beforeEach(async function() {
+				receipt = await requests.fileRequest(value, reason_hash, {from: user});
+				expires_at = (await time.latest()) + 7 * 86400;
+			});
+			it("'RequestFiled' event is emitted", async function() {
+				expectEvent(receipt, "RequestFiled", {
+					requestId: "1",
+					user,
+					value,
+					reasonHash: reason_hash,
+					expiresAt: expires_at + "",
+				});
+			});
+			it("request count 'requestCount' increases", async function() {
+				expect(await requests.requestCount()).to.be.bignumber.that.equals("1");
+			});
+			it("the request is stored", async function() {
+				const request = await requests.requests(1);
+				expect(request.user).to.equal(user);
+				expect(request.value).to.be.bignumber.that.equals(value);
+				expect(request.reasonHash).to.equal(reason_hash);
+				expect(request.expiresAt).to.be.bignumber.that.equals(expires_at + "");
+			});
+			it("request status is REQUEST_STATUS_PENDING", async function() {
+				expect(await requests.requestStatus(1)).to.be.bignumber.that.equals(await requests.REQUEST_STATUS_PENDING());
+			});
+			it("the request is listed in the pending requests", async function() {
+				expect(await requests.pendingRequestCount()).to.be.bignumber.that.equals("1");
+				expect((await requests.getPendingRequests(0, 10)).map(id => id.toString())).to.deep.equal(["1"]);
+			});
+			it("the request can be filed with an empty reason hash", async function() {
+				await requests.fileRequest(1, ZERO_BYTES32, {from: user});
+				expect(await requests.requestCount()).to.be.bignumber.that.equals("2");
+			});
+			it("the request can't be claimed before it is approved", async function() {
+				await expectRevert(requests.claimRequest(1, recipient, {from: user}), "request is not approved");
+			});
+
+			describe("approving the request, 'approveRequest'", function() {
+				beforeEach(async function() {
+					receipt = await requests.approveRequest(1, {from: manager});
+				});
+				it("'RequestApproved' event is emitted", async function() {
+					expectEvent(receipt, "RequestApproved", {requestId: "1", manager});
+				});
+				it("request status is REQUEST_STATUS_APPROVED", async function() {
+					expect(await requests.requestStatus(1)).to.be.bignumber.that.equals(await requests.REQUEST_STATUS_APPROVED());
+				});
+				it("the request is removed from the pending requests", async function() {
+					expect(await requests.pendingRequestCount()).to.be.bignumber.that.equals("0");
+				});
+				it("the request can't be approved again", async function() {
+					await expectRevert(requests.approveRequest(1, {from: manager}), "request is not pending");
+				});
+				it("the request can't be rejected", async function() {
+					await expectRevert(requests.rejectRequest(1, {from: manager}), "request is not pending");
+				});
+
+				describe("claiming the request, 'claimRequest'", function() {
+					it("fails if recipient is not set", async function() {
+						await expectRevert(requests.claimRequest(1, ZERO_ADDRESS, {from: user}), "recipient not set");
+					});
+					it("fails if the faucet is paused", async function() {
+						await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED), {from: a0});
+						await expectRevert(requests.claimRequest(1, recipient, {from: user}), "faucet is paused");
+					});
+					it("fails if the request exceeds the requests contract limit on the faucet", async function() {
+						await faucet.setWeiLimitPerEpochForUser(requests.address, 1, {from: a0});
+						await expectRevert(requests.claimRequest(1, recipient, {from: user}), "allowance exceeded");
+					});
+					describe("succeeds otherwise", function() {
+						let tracker;
+						beforeEach(async function() {
+							tracker = await balance.tracker(recipient);
+							receipt = await requests.claimRequest(1, recipient, {from: user});
+						});
+						it("'RequestClaimed' event is emitted", async function() {
+							expectEvent(receipt, "RequestClaimed", {requestId: "1", to: recipient, value});
+						});
+						it("'ETHWithdrawn' event is emitted by the faucet", async function() {
+							await expectEvent.inTransaction(receipt.tx, faucet, "ETHWithdrawn", {to: recipient, value});
+						});
+						it("recipient receives ETH, over the user limit", async function() {
+							expect(await tracker.delta()).to.be.bignumber.that.equals(value);
+						});
+						it("user allowance 'weiLeftInEpochForUser' is not affected", async function() {
+							expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals(web3.utils.toWei("10", "ether"));
+						});
+						it("request status is REQUEST_STATUS_CLAIMED", async function() {
+							expect(await requests.requestStatus(1)).to.be.bignumber.that.equals(await requests.REQUEST_STATUS_CLAIMED());
+						});
+						it("the request can't be claimed again", async function() {
+							await expectRevert(requests.claimRequest(1, recipient, {from: user}), "request is not approved");
+						});
+					});
+				});
+				describe("when the approved request expires", function() {
+					beforeEach(async function() {
+						await time.increaseTo(expires_at);
+					});
+					it("request status is REQUEST_STATUS_EXPIRED", async function() {
+						expect(await requests.requestStatus(1)).to.be.bignumber.that.equals(await requests.REQUEST_STATUS_EXPIRED());
+					});
+					it("the request can't be claimed", async function() {
+						await expectRevert(requests.claimRequest(1, recipient, {from: user}), "request is not approved");
+					});
+				});
+			});
+
+			describe("rejecting the request, 'rejectRequest'", function() {
+				beforeEach(async function() {
+					receipt = await requests.rejectRequest(1, {from: manager});
+				});
+				it("'RequestRejected' event is emitted", async function() {
+					expectEvent(receipt, "RequestRejected", {requestId: "1", manager});
+				});
+				it("request status is REQUEST_STATUS_REJECTED", async function() {
+					expect(await requests.requestStatus(1)).to.be.bignumber.that.equals(await requests.REQUEST_STATUS_REJECTED());
+				});
+				it("the request is removed from the pending requests", async function() {
+					expect(await requests.pendingRequestCount()).to.be.bignumber.that.equals("0");
+				});
+				it("the request can't be approved", async function() {
+					await expectRevert(requests.approveRequest(1, {from: manager}), "request is not pending");
+				});
+				it("the request can't be claimed", async function() {
+					await expectRevert(requests.claimRequest(1, recipient, {from: user}), "request is not approved");
+				});
+			});
+
+			describe("when the pending request expires", function() {
+				beforeEach(async function() {
+					await time.increaseTo(expires_at);
+				});
+				it("request status is REQUEST_STATUS_EXPIRED", async function() {
+					expect(await requests.requestStatus(1)).to.be.bignumber.that.equals(await requests.REQUEST_STATUS_EXPIRED());
+				});
+				it("the request can't be approved", async function() {
+					await expectRevert(requests.approveRequest(1, {from: manager}), "request is not pending");
+				});
+				it("the request remains in the pending requests", async function() {
+					expect(await requests.pendingRequestCount()).to.be.bignumber.that.equals("1");
+				});
+				it("the request can be rejected, which removes it from the pending requests", async function() {
+					await requests.rejectRequest(1, {from: manager});
+					expect(await requests.pendingRequestCount()).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+	});
+
+	describe("listing the pending requests, 'getPendingRequests'", function() {
+		beforeEach(async function() {
+			for(let i = 0; i < 4; i++) {
+				await requests.fileRequest(1, reason_hash, {from: user});
+			}
+			await requests.approveRequest(2, {from: manager});
+		});
+		const ids = async (offset, limit) => (await requests.getPendingRequests(offset, limit)).map(id => id.toString());
+		it("returns all the pending requests when the page covers the registry", async function() {
+			expect(await ids(0, 10)).to.have.members(["1", "3", "4"]);
+		});
+		it("returns the page requested", async function() {
+			expect(await ids(1, 1)).to.have.lengthOf(1);
+		});
+		it("returns an empty page when offset is out of bounds", async function() {
+			expect(await ids(3, 10)).to.be.empty;
+		});
+	});
+});
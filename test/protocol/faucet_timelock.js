@@ -0,0 +1,300 @@
+// Faucet Timelock Tests: timelocked sensitive parameter changes and upgrades
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_MANAGER,
+	ROLE_FAUCET_USER,
+	ROLE_UPGRADE_MANAGER,
+	FEATURE_TIMELOCK,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_impl_deploy,
+	faucet_deploy,
+	faucet_timelock_deploy,
+} = require("./include/deployment_routines");
+
+// run Faucet Timelock tests
+contract("Faucet Timelock: timelocked manager actions", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	// faucet manager queueing the operations, upgrade manager, and a faucet user
+	const manager = a1;
+	const upgrader = a2;
+	const user = a3;
+
+	// default timelock delay
+	const delay = 2 * 86400;
+
+	let faucet, timelock, set_limit_data;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		timelock = await faucet_timelock_deploy(a0, faucet);
+		await faucet.updateRole(manager, ROLE_FAUCET_MANAGER, {from: a0});
+		await faucet.updateRole(upgrader, or(ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER), {from: a0});
+		await faucet.addUsers([user], {from: a0});
+		await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_TIMELOCK), {from: a0});
+		set_limit_data = faucet.contract.methods.setEpochParams(86400, web3.utils.toWei("20", "ether")).encodeABI();
+	});
+
+	it("postConstruct fails if faucet address is not set", async function() {
+		const FaucetTimelockV1 = artifacts.require("./FaucetTimelockV1");
+		const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+		const instance = await FaucetTimelockV1.new({from: a0});
+		const init_data = instance.contract.methods.postConstruct(ZERO_ADDRESS).encodeABI();
+		await expectRevert(ERC1967Proxy.new(instance.address, init_data, {from: a0}), "faucet address not set");
+	});
+
+	describe("when deployed", function() {
+		it("faucet address 'faucet' is set", async function() {
+			expect(await timelock.faucet()).to.equal(faucet.address);
+		});
+		it("timelock delay 'delay' is 2 days", async function() {
+			expect(await timelock.delay()).to.be.bignumber.that.equals(delay + "");
+		});
+		it("operation count 'operationCount' is zero", async function() {
+			expect(await timelock.operationCount()).to.be.bignumber.that.equals("0");
+		});
+		it("there are no pending operations", async function() {
+			expect(await timelock.pendingOperationCount()).to.be.bignumber.that.equals("0");
+			expect(await timelock.getPendingOperations(0, 10)).to.be.empty;
+		});
+		it("non-existent operation status 'operationStatus' is zero", async function() {
+			expect(await timelock.operationStatus(1)).to.be.bignumber.that.equals("0");
+		});
+		it("faucet manager can't increase the ETH limit directly", async function() {
+			await expectRevert(faucet.setEpochParams(86400, web3.utils.toWei("20", "ether"), {from: manager}), "access denied");
+		});
+	});
+
+	describe("ACL", function() {
+		it("'queueOperation' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+			await expectRevert(timelock.queueOperation(set_limit_data, {from: user}), "access denied");
+		});
+		it("'queueOperation' reverts for the upgrade if executed not by ROLE_UPGRADE_MANAGER", async function() {
+			const data = faucet.contract.methods.upgradeTo(faucet.address).encodeABI();
+			await expectRevert(timelock.queueOperation(data, {from: manager}), "access denied");
+		});
+		it("'queueOperation' reverts for the upgrade and call if executed not by ROLE_UPGRADE_MANAGER", async function() {
+			const data = faucet.contract.methods.upgradeToAndCall(faucet.address, "0x").encodeABI();
+			await expectRevert(timelock.queueOperation(data, {from: manager}), "access denied");
+		});
+		it("'setDelay' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+			await expectRevert(timelock.setDelay(delay + 1, {from: user}), "access denied");
+		});
+		it("'setDelay' reverts for the decrease if executed not by ROLE_ACCESS_MANAGER", async function() {
+			await expectRevert(timelock.setDelay(delay - 1, {from: manager}), "access denied");
+		});
+		describe("when the operation is queued", function() {
+			beforeEach(async function() {
+				await timelock.queueOperation(set_limit_data, {from: manager});
+				await time.increase(delay);
+			});
+			it("'executeOperation' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+				await expectRevert(timelock.executeOperation(1, {from: user}), "access denied");
+			});
+			it("'cancelOperation' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+				await expectRevert(timelock.cancelOperation(1, {from: user}), "access denied");
+			});
+		});
+	});
+
+	describe("setting the timelock delay, 'setDelay'", function() {
+		it("faucet manager can increase the delay", async function() {
+			const receipt = await timelock.setDelay(delay + 1, {from: manager});
+			expectEvent(receipt, "DelayUpdated", {delay: delay + 1 + ""});
+			expect(await timelock.delay()).to.be.bignumber.that.equals(delay + 1 + "");
+		});
+		it("access manager can decrease the delay", async function() {
+			await timelock.setDelay(3600, {from: a0});
+			expect(await timelock.delay()).to.be.bignumber.that.equals("3600");
+		});
+	});
+
+	describe("queueing the operation, 'queueOperation'", function() {
+		it("fails if function selector is not set", async function() {
+			await expectRevert(timelock.queueOperation("0x123456", {from: manager}), "function selector not set");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt, eta;
+			beforeEach(async function() {
+				receipt = await timelock.queueOperation(set_limit_data, {from: manager});
+				eta = (await time.latest()) + delay;
+			});
+			it("'OperationQueued' event is emitted", async function() {
+				expectEvent(receipt, "OperationQueued", {
+					operationId: "1",
+					proposer: manager,
+					data: set_limit_data,
+					eta: eta + "",
+				});
+			});
+			it("operation count 'operationCount' increases", async function() {
+				expect(await timelock.operationCount()).to.be.bignumber.that.equals("1");
+			});
+			it("the operation is stored", async function() {
+				const operation = await timelock.operations(1);
+				expect(operation.proposer).to.equal(manager);
+				expect(operation.eta).to.be.bignumber.that.equals(eta + "");
+				expect(operation.data).to.equal(set_limit_data);
+			});
+			it("operation status is OPERATION_STATUS_PENDING", async function() {
+				expect(await timelock.operationStatus(1)).to.be.bignumber.that.equals(await timelock.OPERATION_STATUS_PENDING());
+			});
+			it("the operation is listed in the pending operations", async function() {
+				expect(await timelock.pendingOperationCount()).to.be.bignumber.that.equals("1");
+				expect((await timelock.getPendingOperations(0, 10)).map(id => id.toString())).to.deep.equal(["1"]);
+			});
+			it("the operation can't be executed before the delay passes", async function() {
+				await time.increase(delay - 10);
+				await expectRevert(timelock.executeOperation(1, {from: manager}), "operation is timelocked");
+			});
+			it("delay update doesn't affect the operation queued", async function() {
+				await timelock.setDelay(delay * 2, {from: manager});
+				await time.increase(delay);
+				await timelock.executeOperation(1, {from: manager});
+			});
+
+			describe("cancelling the operation, 'cancelOperation'", function() {
+				beforeEach(async function() {
+					receipt = await timelock.cancelOperation(1, {from: a0});
+				});
+				it("'OperationCancelled' event is emitted", async function() {
+					expectEvent(receipt, "OperationCancelled", {operationId: "1", manager: a0});
+				});
+				it("operation status is OPERATION_STATUS_CANCELLED", async function() {
+					expect(await timelock.operationStatus(1)).to.be.bignumber.that.equals(await timelock.OPERATION_STATUS_CANCELLED());
+				});
+				it("the operation is removed from the pending operations", async function() {
+					expect(await timelock.pendingOperationCount()).to.be.bignumber.that.equals("0");
+				});
+				it("the operation can't be executed", async function() {
+					await time.increase(delay);
+					await expectRevert(timelock.executeOperation(1, {from: manager}), "operation is not pending");
+				});
+				it("the operation can't be cancelled again", async function() {
+					await expectRevert(timelock.cancelOperation(1, {from: manager}), "operation is not pending");
+				});
+			});
+
+			describe("when the delay passes", function() {
+				beforeEach(async function() {
+					await time.increase(delay);
+				});
+				it("operation status is OPERATION_STATUS_READY", async function() {
+					expect(await timelock.operationStatus(1)).to.be.bignumber.that.equals(await timelock.OPERATION_STATUS_READY());
+				});
+				it("the operation remains in the pending operations", async function() {
+					expect(await timelock.pendingOperationCount()).to.be.bignumber.that.equals("1");
+				});
+				it("the ready operation can be cancelled", async function() {
+					await timelock.cancelOperation(1, {from: manager});
+					expect(await timelock.operationStatus(1)).to.be.bignumber.that.equals(await timelock.OPERATION_STATUS_CANCELLED());
+				});
+
+				describe("executing the operation, 'executeOperation'", function() {
+					beforeEach(async function() {
+						receipt = await timelock.executeOperation(1, {from: a0});
+					});
+					it("'OperationExecuted' event is emitted", async function() {
+						expectEvent(receipt, "OperationExecuted", {operationId: "1", executor: a0});
+					});
+					it("faucet 'EpochParamsUpdated' event is emitted", async function() {
+						await expectEvent.inTransaction(receipt.tx, faucet, "EpochParamsUpdated", {
+							epochLength: "86400",
+							weiLimitPerEpoch: web3.utils.toWei("20", "ether"),
+						});
+					});
+					it("the faucet param is updated", async function() {
+						expect(await faucet.weiLimitPerEpoch()).to.be.bignumber.that.equals(web3.utils.toWei("20", "ether"));
+					});
+					it("operation status is OPERATION_STATUS_EXECUTED", async function() {
+						expect(await timelock.operationStatus(1)).to.be.bignumber.that.equals(await timelock.OPERATION_STATUS_EXECUTED());
+					});
+					it("the operation is removed from the pending operations", async function() {
+						expect(await timelock.pendingOperationCount()).to.be.bignumber.that.equals("0");
+					});
+					it("the operation can't be executed again", async function() {
+						await expectRevert(timelock.executeOperation(1, {from: manager}), "operation is not pending");
+					});
+				});
+			});
+		});
+	});
+
+	describe("faucet function call failure", function() {
+		beforeEach(async function() {
+			await timelock.queueOperation(faucet.contract.methods.setEpochParams(0, 1).encodeABI(), {from: manager});
+			await time.increase(delay);
+		});
+		it("bubbles up the faucet revert reason", async function() {
+			await expectRevert(timelock.executeOperation(1, {from: manager}), "epoch length not set");
+		});
+		it("keeps the operation pending", async function() {
+			await expectRevert(timelock.executeOperation(1, {from: manager}), "epoch length not set");
+			expect(await timelock.operationStatus(1)).to.be.bignumber.that.equals(await timelock.OPERATION_STATUS_READY());
+		});
+	});
+
+	describe("timelocked upgrade", function() {
+		let impl;
+		beforeEach(async function() {
+			impl = await faucet_impl_deploy(a0);
+			await timelock.queueOperation(faucet.contract.methods.upgradeTo(impl.address).encodeABI(), {from: upgrader});
+		});
+		it("upgrade manager can't upgrade the faucet directly", async function() {
+			await expectRevert(faucet.upgradeTo(impl.address, {from: upgrader}), "access denied");
+		});
+		it("the upgrade can't be executed before the delay passes", async function() {
+			await time.increase(delay / 2);
+			await expectRevert(timelock.executeOperation(1, {from: manager}), "operation is timelocked");
+		});
+		it("the upgrade is executed after the delay passes", async function() {
+			await time.increase(delay);
+			await timelock.executeOperation(1, {from: manager});
+			expect(await faucet.getImplementation()).to.equal(impl.address);
+		});
+	});
+
+	describe("decreases are not timelocked", function() {
+		it("faucet manager can decrease the ETH limit directly", async function() {
+			await faucet.setEpochParams(86400, web3.utils.toWei("1", "ether"), {from: manager});
+			expect(await faucet.weiLimitPerEpoch()).to.be.bignumber.that.equals(web3.utils.toWei("1", "ether"));
+		});
+		it("decrease executed directly doesn't affect the increase queued", async function() {
+			await timelock.queueOperation(set_limit_data, {from: manager});
+			await faucet.setEpochParams(86400, web3.utils.toWei("1", "ether"), {from: manager});
+			await time.increase(delay);
+			await timelock.executeOperation(1, {from: manager});
+			expect(await faucet.weiLimitPerEpoch()).to.be.bignumber.that.equals(web3.utils.toWei("20", "ether"));
+		});
+	});
+});
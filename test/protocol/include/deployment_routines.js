@@ -3,6 +3,9 @@ const {
 	ROLE_ACCESS_MANAGER,
 	or,
 	ROLE_FAUCET_USER,
+	ROLE_FAUCET_MANAGER,
+	ROLE_UPGRADE_MANAGER,
+	ROLE_TIMELOCK,
 } = require("../../../scripts/include/features_roles");
 
 /**
@@ -34,7 +37,7 @@ async function faucet_deploy_restricted(a0) {
 	const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
 
 	// deploy the upgradeable ACL
-	const instance = await TheFaucetV1.new({from: a0});
+	const instance = await faucet_impl_deploy(a0);
 
 	// prepare the initialization call bytes
 	const init_data = instance.contract.methods.postConstruct().encodeABI();
@@ -46,6 +49,149 @@ async function faucet_deploy_restricted(a0) {
 	return await TheFaucetV1.at(proxy.address);
 }
 
+/**
+ * Deploys The Faucet implementation (not initialized, not behind the proxy),
+ * linked with the Faucet Library deployed as well
+ *
+ * @param a0 smart contract deployer
+ * @returns TheFaucetV1 instance (implementation)
+ */
+async function faucet_impl_deploy(a0) {
+	// smart contracts required
+	const FaucetLibV1 = artifacts.require("./FaucetLibV1");
+	const TheFaucetV1 = artifacts.require("./TheFaucetV1");
+
+	// deploy the library, and link the implementation with it
+	await TheFaucetV1.link(await FaucetLibV1.new({from: a0}));
+
+	// deploy the implementation and return
+	return await TheFaucetV1.new({from: a0});
+}
+
+/**
+ * Deploys Faucet Requests via ERC1967Proxy, and allows it to withdraw ETH from the faucet:
+ * adds it to the faucet users, and sets its ETH limit per epoch (total for all the requests claimed)
+ *
+ * @param a0 smart contract deployer, owner, super admin; must be a faucet manager
+ * @param faucet The Faucet instance to file the requests for, must have add/remove users functions enabled
+ * @param limit ETH limit per epoch for all the requests claimed, wei, optional
+ * @returns ERC1967Proxy –> FaucetRequestsV1 instance
+ */
+async function faucet_requests_deploy(a0, faucet, limit = web3.utils.toWei("100", "ether")) {
+	// smart contracts required
+	const FaucetRequestsV1 = artifacts.require("./FaucetRequestsV1");
+	const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+
+	// deploy the upgradeable implementation
+	const instance = await FaucetRequestsV1.new({from: a0});
+
+	// prepare the initialization call bytes
+	const init_data = instance.contract.methods.postConstruct(faucet.address).encodeABI();
+
+	// deploy proxy, and initialize the impl (inline)
+	const proxy = await ERC1967Proxy.new(instance.address, init_data, {from: a0});
+
+	// allow the requests contract to withdraw ETH from the faucet
+	await faucet.addUsers([proxy.address], {from: a0});
+	await faucet.setWeiLimitPerEpochForUser(proxy.address, limit, {from: a0});
+
+	// wrap the proxy into the impl ABI and return proxy instance
+	return await FaucetRequestsV1.at(proxy.address);
+}
+
+/**
+ * Deploys Faucet Allow-list via ERC1967Proxy, and allows it to withdraw ETH from the faucet:
+ * adds it to the faucet users, and sets its ETH limit per epoch (total for all the allow-listed addresses)
+ *
+ * @param a0 smart contract deployer, owner, super admin; must be a faucet manager
+ * @param faucet The Faucet instance to withdraw ETH from, must have add/remove users functions enabled
+ * @param limit ETH limit per epoch for all the allow-listed addresses, wei, optional
+ * @returns ERC1967Proxy –> FaucetAllowlistV1 instance
+ */
+async function faucet_allowlist_deploy(a0, faucet, limit = web3.utils.toWei("100", "ether")) {
+	// smart contracts required
+	const FaucetAllowlistV1 = artifacts.require("./FaucetAllowlistV1");
+	const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+
+	// deploy the upgradeable implementation
+	const instance = await FaucetAllowlistV1.new({from: a0});
+
+	// prepare the initialization call bytes
+	const init_data = instance.contract.methods.postConstruct(faucet.address).encodeABI();
+
+	// deploy proxy, and initialize the impl (inline)
+	const proxy = await ERC1967Proxy.new(instance.address, init_data, {from: a0});
+
+	// allow the allow-list contract to withdraw ETH from the faucet
+	await faucet.addUsers([proxy.address], {from: a0});
+	await faucet.setWeiLimitPerEpochForUser(proxy.address, limit, {from: a0});
+
+	// wrap the proxy into the impl ABI and return proxy instance
+	return await FaucetAllowlistV1.at(proxy.address);
+}
+
+/**
+ * Deploys Faucet Public Tier via ERC1967Proxy, and allows it to withdraw ETH from the faucet:
+ * adds it to the faucet users, and sets its ETH limit per epoch (total for all the public claims);
+ * doesn't enable the public mode (`FEATURE_PUBLIC`) on the faucet
+ *
+ * @param a0 smart contract deployer, owner, super admin; must be a faucet manager
+ * @param faucet The Faucet instance to withdraw ETH from, must have add/remove users functions enabled
+ * @param limit ETH limit per epoch for all the public claims, wei, optional
+ * @returns ERC1967Proxy –> FaucetPublicV1 instance
+ */
+async function faucet_public_deploy(a0, faucet, limit = web3.utils.toWei("1", "ether")) {
+	// smart contracts required
+	const FaucetPublicV1 = artifacts.require("./FaucetPublicV1");
+	const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+
+	// deploy the upgradeable implementation
+	const instance = await FaucetPublicV1.new({from: a0});
+
+	// prepare the initialization call bytes
+	const init_data = instance.contract.methods.postConstruct(faucet.address).encodeABI();
+
+	// deploy proxy, and initialize the impl (inline)
+	const proxy = await ERC1967Proxy.new(instance.address, init_data, {from: a0});
+
+	// allow the public tier contract to withdraw ETH from the faucet
+	await faucet.addUsers([proxy.address], {from: a0});
+	await faucet.setWeiLimitPerEpochForUser(proxy.address, limit, {from: a0});
+
+	// wrap the proxy into the impl ABI and return proxy instance
+	return await FaucetPublicV1.at(proxy.address);
+}
+
+/**
+ * Deploys Faucet Timelock via ERC1967Proxy, and allows it to execute the timelocked operations on the faucet:
+ * grants it `ROLE_TIMELOCK`, `ROLE_FAUCET_MANAGER`, and `ROLE_UPGRADE_MANAGER` permissions;
+ * doesn't enable the timelock (`FEATURE_TIMELOCK`) on the faucet
+ *
+ * @param a0 smart contract deployer, owner, super admin; must be an access manager on the faucet
+ * @param faucet The Faucet instance to execute the operations on
+ * @returns ERC1967Proxy –> FaucetTimelockV1 instance
+ */
+async function faucet_timelock_deploy(a0, faucet) {
+	// smart contracts required
+	const FaucetTimelockV1 = artifacts.require("./FaucetTimelockV1");
+	const ERC1967Proxy = artifacts.require("./ERC1967Proxy");
+
+	// deploy the upgradeable implementation
+	const instance = await FaucetTimelockV1.new({from: a0});
+
+	// prepare the initialization call bytes
+	const init_data = instance.contract.methods.postConstruct(faucet.address).encodeABI();
+
+	// deploy proxy, and initialize the impl (inline)
+	const proxy = await ERC1967Proxy.new(instance.address, init_data, {from: a0});
+
+	// allow the timelock to execute the operations on the faucet
+	await faucet.updateRole(proxy.address, or(ROLE_TIMELOCK, ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER), {from: a0});
+
+	// wrap the proxy into the impl ABI and return proxy instance
+	return await FaucetTimelockV1.at(proxy.address);
+}
+
 /**
  * Deploys Mintable No-op Mock
  * @param a0 smart contract deployer
@@ -59,9 +205,61 @@ async function mintable_noop_deploy(a0) {
 	return await MintableNoopMock.new({from: a0});
 }
 
+/**
+ * Deploys ERC20 Mock
+ * @param a0 smart contract deployer
+ * @param name token name, optional
+ * @param symbol token symbol, optional
+ * @return ERC20Mock
+ */
+async function erc20_deploy(a0, name = "Test Token", symbol = "TST") {
+	// smart contracts required
+	const ERC20Mock = artifacts.require("./ERC20Mock");
+
+	// deploy and return
+	return await ERC20Mock.new(name, symbol, {from: a0});
+}
+
+/**
+ * Deploys ERC721 Mock
+ * @param a0 smart contract deployer
+ * @param name token name, optional
+ * @param symbol token symbol, optional
+ * @return ERC721Mock
+ */
+async function erc721_deploy(a0, name = "Test NFT", symbol = "TNFT") {
+	// smart contracts required
+	const ERC721Mock = artifacts.require("./ERC721Mock");
+
+	// deploy and return
+	return await ERC721Mock.new(name, symbol, {from: a0});
+}
+
+/**
+ * Deploys ERC1155 Mock
+ * @param a0 smart contract deployer
+ * @param uri token URI, optional
+ * @return ERC1155Mock
+ */
+async function erc1155_deploy(a0, uri = "") {
+	// smart contracts required
+	const ERC1155Mock = artifacts.require("./ERC1155Mock");
+
+	// deploy and return
+	return await ERC1155Mock.new(uri, {from: a0});
+}
+
 // export public deployment API
 module.exports = {
+	faucet_impl_deploy,
 	faucet_deploy_restricted,
 	faucet_deploy,
+	faucet_requests_deploy,
+	faucet_timelock_deploy,
+	faucet_allowlist_deploy,
+	faucet_public_deploy,
 	mintable_noop_deploy,
+	erc20_deploy,
+	erc721_deploy,
+	erc1155_deploy,
 }
@@ -78,10 +78,10 @@ contract("The Faucet tests", function(accounts) {
 			expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals(new BN(10).pow(new BN(19)));
 		});
 		it("addUsers revers", async function() {
-			await expectRevert(faucet.addUsers([a1, a2], {from: a0}), "access denied");
+			await expectRevert(faucet.addUsers([a1, a2], {from: a0}), "AccessDenied()");
 		});
 		it("removeUsers revers", async function() {
-			await expectRevert(faucet.removeUsers([a1, a2], {from: a0}), "access denied");
+			await expectRevert(faucet.removeUsers([a1, a2], {from: a0}), "AccessDenied()");
 		});
 		describe("user withdrawal stats are initially empty", function() {
 			let withdrawalStats;
@@ -107,6 +107,7 @@ contract("The Faucet tests", function(accounts) {
 				const setWeiLimitPerEpochForUser = async () => faucet.setWeiLimitPerEpochForUser(user, 1, {from: operator});
 				const addUsers = async () => faucet.addUsers([user], {from: operator});
 				const removeUsers = async () => faucet.removeUsers([user], {from: operator});
+				const setUsers = async () => faucet.setUsers([user], [true], {from: operator});
 				describe("when executed not by ROLE_FAUCET_MANAGER", function() {
 					beforeEach(async function() {
 						await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
@@ -123,6 +124,9 @@ contract("The Faucet tests", function(accounts) {
 					it("'removeUsers' reverts", async function() {
 						await expectRevert(removeUsers(), "access denied");
 					});
+					it("'setUsers' reverts", async function() {
+						await expectRevert(setUsers(), "access denied");
+					});
 				});
 				describe("when executed by ROLE_FAUCET_MANAGER", function() {
 					beforeEach(async function() {
@@ -140,6 +144,9 @@ contract("The Faucet tests", function(accounts) {
 					it("'removeUsers' doesn't revert", async function() {
 						await removeUsers();
 					});
+					it("'setUsers' doesn't revert", async function() {
+						await setUsers();
+					});
 				});
 
 				describe("when there is one wei on the faucet balance", function() {
@@ -169,6 +176,7 @@ contract("The Faucet tests", function(accounts) {
 					let mintable_addr;
 					beforeEach(async function() {
 						({address: mintable_addr} = await mintable_noop_deploy(a0));
+						await faucet.setMintTarget(mintable_addr, 1, {from: a0});
 					});
 
 					const mint = async () => faucet.mint(mintable_addr, user, 1, {from: operator});
@@ -286,6 +294,57 @@ contract("The Faucet tests", function(accounts) {
 						it("the addresses removed doesn't obtain any other roles", async function() {
 							expect(await faucet.getRole(a1)).to.be.bignumber.that.equals("0");
 						});
+						it("removing the same addresses again keeps them removed (double-remove)", async function() {
+							await faucet.removeUsers([a1], {from: a0});
+							expect(await faucet.isOperatorInRole(a1, ROLE_FAUCET_USER)).to.be.false;
+							expect(await faucet.getRole(a1)).to.be.bignumber.that.equals("0");
+						});
+					});
+					describe("succeeds for the addresses which are not faucet users (remove-of-non-member)", function() {
+						beforeEach(async function() {
+							await faucet.updateRole(a2, ROLE_FAUCET_MANAGER, {from: a0});
+							await faucet.removeUsers([a1, a2], {from: a0});
+						});
+						it("the addresses removed don't become faucet users ROLE_FAUCET_USER", async function() {
+							expect(await faucet.isOperatorInRole(a1, ROLE_FAUCET_USER)).to.be.false;
+							expect(await faucet.isOperatorInRole(a2, ROLE_FAUCET_USER)).to.be.false;
+						});
+						it("the rest of the roles remain intact", async function() {
+							expect(await faucet.getRole(a1)).to.be.bignumber.that.equals("0");
+							expect(await faucet.getRole(a2)).to.be.bignumber.that.equals(ROLE_FAUCET_MANAGER + "");
+						});
+					});
+				});
+				describe("setting faucet users membership, 'setUsers'", function() {
+					it("fails if users array 'users' is empty", async function() {
+						await expectRevert(faucet.setUsers([], [], {from: a0}), "empty users array");
+					});
+					it("fails if arrays 'users' and 'memberships' lengths mismatch", async function() {
+						await expectRevert(faucet.setUsers([a1, a2], [true], {from: a0}), "array lengths mismatch");
+					});
+					describe("succeeds otherwise", function() {
+						beforeEach(async function() {
+							await faucet.updateRole(a2, or(ROLE_FAUCET_USER, ROLE_FAUCET_MANAGER), {from: a0});
+							await faucet.setUsers([a1, a2, a3], [true, false, false], {from: a0});
+						});
+						it("the addresses with membership set to true become faucet users ROLE_FAUCET_USER", async function() {
+							expect(await faucet.getRole(a1)).to.be.bignumber.that.equals(ROLE_FAUCET_USER + "");
+						});
+						it("the addresses with membership set to false stop being faucet users ROLE_FAUCET_USER", async function() {
+							expect(await faucet.isOperatorInRole(a2, ROLE_FAUCET_USER)).to.be.false;
+						});
+						it("the rest of the roles remain intact", async function() {
+							expect(await faucet.getRole(a2)).to.be.bignumber.that.equals(ROLE_FAUCET_MANAGER + "");
+						});
+						it("the non-members with membership set to false don't become faucet users ROLE_FAUCET_USER", async function() {
+							expect(await faucet.getRole(a3)).to.be.bignumber.that.equals("0");
+						});
+						it("setting the same memberships again doesn't change the roles", async function() {
+							await faucet.setUsers([a1, a2, a3], [true, false, false], {from: a0});
+							expect(await faucet.getRole(a1)).to.be.bignumber.that.equals(ROLE_FAUCET_USER + "");
+							expect(await faucet.getRole(a2)).to.be.bignumber.that.equals(ROLE_FAUCET_MANAGER + "");
+							expect(await faucet.getRole(a3)).to.be.bignumber.that.equals("0");
+						});
 					});
 				});
 			});
@@ -294,6 +353,7 @@ contract("The Faucet tests", function(accounts) {
 					let mintable;
 					beforeEach(async function() {
 						mintable = await mintable_noop_deploy(a0);
+						await faucet.setMintTarget(mintable.address, 1, {from: a0});
 					});
 
 					it("fails if target contract is not set", async function() {
@@ -0,0 +1,321 @@
+// The Faucet Tests: faucet-wide budgets per epoch and emergency pause
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	mine,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	MAX_UINT256,
+} = constants;
+
+// ACL features and roles
+const {
+	or,
+	not,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_MANAGER,
+	ROLE_FAUCET_USER,
+	FEATURE_PAUSED,
+} = require("../../scripts/include/features_roles");
+
+// EIP-712 claims helpers
+const {
+	sign_claim,
+} = require("../../scripts/include/faucet_claims");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	mintable_noop_deploy,
+	erc20_deploy,
+	erc721_deploy,
+} = require("./include/deployment_routines");
+
+// maximum possible uint192 value, returned by the budget views when the budget is disabled
+const MAX_UINT192 = MAX_UINT256.shrn(64);
+
+// run The Faucet budgets and pause tests
+contract("The Faucet: faucet-wide budgets and emergency pause", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet, mintable;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		mintable = await mintable_noop_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("ETH budget per epoch 'weiBudgetPerEpoch' is not set initially", async function() {
+			expect(await faucet.weiBudgetPerEpoch()).to.be.bignumber.that.equals("0");
+		});
+		it("mint budget per epoch 'mintBudgetPerEpoch' is not set initially", async function() {
+			expect(await faucet.mintBudgetPerEpoch()).to.be.bignumber.that.equals("0");
+		});
+		it("ETH budget left 'weiBudgetLeftInEpoch' is unlimited", async function() {
+			expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals(MAX_UINT192);
+		});
+		it("mint budget left 'mintBudgetLeftInEpoch' is unlimited", async function() {
+			expect(await faucet.mintBudgetLeftInEpoch()).to.be.bignumber.that.equals(MAX_UINT192);
+		});
+		it("faucet is not paused 'isPaused'", async function() {
+			expect(await faucet.isPaused()).to.be.false;
+		});
+		it("pause feature 'FEATURE_PAUSED' is correct", async function() {
+			expect(await faucet.FEATURE_PAUSED()).to.be.bignumber.that.equals(FEATURE_PAUSED + "");
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+
+		const setBudgetsPerEpoch = async () => faucet.setBudgetsPerEpoch(1, 1, {from: operator});
+		describe("when executed not by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+			});
+			it("'setBudgetsPerEpoch' reverts", async function() {
+				await expectRevert(setBudgetsPerEpoch(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("'setBudgetsPerEpoch' doesn't revert", async function() {
+				await setBudgetsPerEpoch();
+			});
+		});
+
+		const pause = async () => faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED), {from: operator});
+		describe("when executed not by ROLE_ACCESS_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("pausing the faucet reverts", async function() {
+				await expectRevert(pause(), "AccessDenied()");
+			});
+		});
+		describe("when executed by ROLE_ACCESS_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_ACCESS_MANAGER, {from: a0});
+			});
+			it("pausing the faucet doesn't revert", async function() {
+				await pause();
+			});
+		});
+	});
+
+	describe("faucet manager ROLE_FAUCET_MANAGER flows", function() {
+		describe("updating the budgets, 'setBudgetsPerEpoch'", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await faucet.setBudgetsPerEpoch(100, 10, {from: a0});
+			});
+			it("'BudgetsPerEpochUpdated' event is emitted", async function() {
+				expectEvent(receipt, "BudgetsPerEpochUpdated", {
+					weiBudgetPerEpoch: "100",
+					mintBudgetPerEpoch: "10",
+				});
+			});
+			it("ETH budget per epoch 'weiBudgetPerEpoch' is updated correctly", async function() {
+				expect(await faucet.weiBudgetPerEpoch()).to.be.bignumber.that.equals("100");
+			});
+			it("mint budget per epoch 'mintBudgetPerEpoch' is updated correctly", async function() {
+				expect(await faucet.mintBudgetPerEpoch()).to.be.bignumber.that.equals("10");
+			});
+			it("ETH budget left 'weiBudgetLeftInEpoch' is updated correctly", async function() {
+				expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals("100");
+			});
+			it("mint budget left 'mintBudgetLeftInEpoch' is updated correctly", async function() {
+				expect(await faucet.mintBudgetLeftInEpoch()).to.be.bignumber.that.equals("10");
+			});
+			it("budgets can be disabled back", async function() {
+				await faucet.setBudgetsPerEpoch(0, 0, {from: a0});
+				expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals(MAX_UINT192);
+				expect(await faucet.mintBudgetLeftInEpoch()).to.be.bignumber.that.equals(MAX_UINT192);
+			});
+		});
+	});
+
+	describe("withdrawing ETH when the ETH budget is set (100 wei per epoch)", function() {
+		const to = a3;
+		beforeEach(async function() {
+			await faucet.addUsers([a1, a2], {from: a0});
+			await faucet.setBudgetsPerEpoch(100, 0, {from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value: 1_000});
+		});
+		it("fails if the user requests more than the budget", async function() {
+			await expectRevert(faucet.withdrawEth(to, 101, {from: a1}), "budget exceeded");
+		});
+		describe("succeeds otherwise", function() {
+			beforeEach(async function() {
+				await faucet.withdrawEth(to, 60, {from: a1});
+			});
+			it("ETH budget stat 'weiBudgetStat' is recorded", async function() {
+				const stat = await faucet.weiBudgetStat();
+				expect(stat.weiWithdrawn).to.be.bignumber.that.equals("60");
+			});
+			it("ETH budget left 'weiBudgetLeftInEpoch' decreases", async function() {
+				expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals("40");
+			});
+			it("another user withdrawing more than the rest of the budget fails", async function() {
+				await expectRevert(faucet.withdrawEth(to, 41, {from: a2}), "budget exceeded");
+			});
+			it("another user withdrawing the rest of the budget succeeds", async function() {
+				await faucet.withdrawEth(to, 40, {from: a2});
+				expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals("0");
+			});
+			it("ETH budget left 'weiBudgetLeftInEpoch' is zero when the budget is decreased below the amount used", async function() {
+				await faucet.setBudgetsPerEpoch(50, 0, {from: a0});
+				expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals("0");
+			});
+			describe("after the epoch switch", function() {
+				beforeEach(async function() {
+					// set the epoch length to the minimum possible value, so that new epoch begins every block
+					await faucet.setEpochParams(1, await faucet.weiLimitPerEpoch(), {from: a0});
+					await mine(1);
+				});
+				it("ETH budget left 'weiBudgetLeftInEpoch' resets", async function() {
+					expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals("100");
+				});
+				it("it is possible to withdraw the full budget again", async function() {
+					await faucet.withdrawEth(to, 100, {from: a2});
+				});
+			});
+		});
+		it("signature-based claims are limited by the budget as well", async function() {
+			const {v, r, s, ...claim} = await sign_claim(web3, {faucet_address: faucet.address, signer: a1, recipient: to, value: 101});
+			await expectRevert(
+				faucet.claimEth(claim.recipient, claim.value, claim.nonce, claim.deadline, v, r, s, {from: a2}),
+				"budget exceeded"
+			);
+		});
+	});
+
+	describe("minting when the mint budget is set (10 tokens per epoch)", function() {
+		const to = a3;
+		beforeEach(async function() {
+			await faucet.addUsers([a1, a2], {from: a0});
+			await faucet.setMintTarget(mintable.address, 100, {from: a0});
+			await faucet.setBudgetsPerEpoch(0, 10, {from: a0});
+		});
+		it("fails if the user requests more than the budget", async function() {
+			await expectRevert(faucet.mint(mintable.address, to, 11, {from: a1}), "mint budget exceeded");
+		});
+		describe("succeeds otherwise", function() {
+			beforeEach(async function() {
+				await faucet.mint(mintable.address, to, 6, {from: a1});
+			});
+			it("mint budget left 'mintBudgetLeftInEpoch' decreases", async function() {
+				expect(await faucet.mintBudgetLeftInEpoch()).to.be.bignumber.that.equals("4");
+			});
+			it("another user minting more than the rest of the budget fails", async function() {
+				await expectRevert(faucet.mint(mintable.address, to, 5, {from: a2}), "mint budget exceeded");
+			});
+			it("another user minting the rest of the budget succeeds", async function() {
+				await faucet.mint(mintable.address, to, 4, {from: a2});
+			});
+			it("ETH budget left 'weiBudgetLeftInEpoch' doesn't change", async function() {
+				expect(await faucet.weiBudgetLeftInEpoch()).to.be.bignumber.that.equals(MAX_UINT192);
+			});
+			describe("after the epoch switch", function() {
+				beforeEach(async function() {
+					// set the epoch length to the minimum possible value, so that new epoch begins every block
+					await faucet.setEpochParams(1, await faucet.weiLimitPerEpoch(), {from: a0});
+					await mine(1);
+				});
+				it("mint budget left 'mintBudgetLeftInEpoch' resets", async function() {
+					expect(await faucet.mintBudgetLeftInEpoch()).to.be.bignumber.that.equals("10");
+				});
+			});
+		});
+	});
+
+	describe("when the faucet is paused", function() {
+		const user = a1;
+		const to = a3;
+		let token, nft, receipt;
+		beforeEach(async function() {
+			token = await erc20_deploy(a0);
+			nft = await erc721_deploy(a0);
+			await faucet.addUsers([user], {from: a0});
+			await faucet.setMintTarget(mintable.address, 100, {from: a0});
+			await faucet.setTokenLimitPerEpoch(token.address, 100, {from: a0});
+			await faucet.setNftLimitPerEpoch(nft.address, 10, {from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value: 1_000});
+			await token.mint(faucet.address, 100);
+			await nft.mint(faucet.address, 1);
+
+			receipt = await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED), {from: a0});
+		});
+		it("'RoleUpdated' event is emitted", async function() {
+			expectEvent(receipt, "RoleUpdated", {
+				operator: faucet.address,
+				requested: or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED).toString(10),
+			});
+		});
+		it("faucet is paused 'isPaused'", async function() {
+			expect(await faucet.isPaused()).to.be.true;
+		});
+		it("'withdrawEth' reverts", async function() {
+			await expectRevert(faucet.withdrawEth(to, 1, {from: user}), "faucet is paused");
+		});
+		it("'claimEth' reverts", async function() {
+			const {v, r, s, ...claim} = await sign_claim(web3, {faucet_address: faucet.address, signer: user, recipient: to, value: 1});
+			await expectRevert(
+				faucet.claimEth(claim.recipient, claim.value, claim.nonce, claim.deadline, v, r, s, {from: a2}),
+				"faucet is paused"
+			);
+		});
+		it("'mint' reverts", async function() {
+			await expectRevert(faucet.mint(mintable.address, to, 1, {from: user}), "faucet is paused");
+		});
+		it("'withdrawToken' reverts", async function() {
+			await expectRevert(faucet.withdrawToken(token.address, to, 1, {from: user}), "faucet is paused");
+		});
+		it("'withdrawErc721' reverts", async function() {
+			await expectRevert(faucet.withdrawErc721(nft.address, to, 1, false, {from: user}), "faucet is paused");
+		});
+		it("faucet manager functions still work", async function() {
+			await faucet.addUsers([a2], {from: a0});
+			await faucet.setBudgetsPerEpoch(1, 1, {from: a0});
+		});
+		describe("after the faucet is unpaused", function() {
+			beforeEach(async function() {
+				await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER), {from: a0});
+			});
+			it("faucet is not paused 'isPaused'", async function() {
+				expect(await faucet.isPaused()).to.be.false;
+			});
+			it("'withdrawEth' succeeds", async function() {
+				await faucet.withdrawEth(to, 1, {from: user});
+			});
+			it("'mint' succeeds", async function() {
+				await faucet.mint(mintable.address, to, 1, {from: user});
+			});
+			it("'withdrawToken' succeeds", async function() {
+				await faucet.withdrawToken(token.address, to, 1, {from: user});
+			});
+			it("'withdrawErc721' succeeds", async function() {
+				await faucet.withdrawErc721(nft.address, to, 1, false, {from: user});
+			});
+		});
+	});
+});
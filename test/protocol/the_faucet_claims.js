@@ -0,0 +1,143 @@
+// The Faucet Tests: EIP-712 signature-based claims
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	balance,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// EIP-712 claims helpers
+const {
+	DOMAIN_NAME,
+	sign_claim,
+} = require("../../scripts/include/faucet_claims");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet EIP-712 claims tests
+contract("The Faucet: EIP-712 claims", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("domain typehash 'DOMAIN_TYPEHASH' is correct", async function() {
+			expect(await faucet.DOMAIN_TYPEHASH()).to.equal(
+				web3.utils.keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)")
+			);
+		});
+		it("claim typehash 'CLAIM_TYPEHASH' is correct", async function() {
+			expect(await faucet.CLAIM_TYPEHASH()).to.equal(
+				web3.utils.keccak256("Claim(address recipient,uint256 value,uint256 nonce,uint256 deadline)")
+			);
+		});
+		it("domain separator 'DOMAIN_SEPARATOR' is correct", async function() {
+			expect(await faucet.DOMAIN_SEPARATOR()).to.equal(web3.utils.keccak256(web3.eth.abi.encodeParameters(
+				["bytes32", "bytes32", "uint256", "address"],
+				[await faucet.DOMAIN_TYPEHASH(), web3.utils.keccak256(DOMAIN_NAME), await web3.eth.getChainId(), faucet.address]
+			)));
+		});
+		it("claim nonce 'claimNonces' is zero initially", async function() {
+			expect(await faucet.claimNonces(a1)).to.be.bignumber.that.equals("0");
+		});
+	});
+
+	describe("claiming ETH with the claim signed by the faucet user, and submitted by the relayer", function() {
+		const signer = a1;
+		const relayer = a2;
+		// an empty wallet to fund
+		const recipient = web3.eth.accounts.create().address;
+
+		let claim;
+		beforeEach(async function() {
+			await faucet.addUsers([signer], {from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value: 100});
+			claim = await sign_claim(web3, {faucet_address: faucet.address, signer, recipient, value: 10});
+		});
+		function claimEth({to = claim.recipient, value = claim.value, nonce = claim.nonce, deadline = claim.deadline} = {}) {
+			return faucet.claimEth(to, value, nonce, deadline, claim.v, claim.r, claim.s, {from: relayer});
+		}
+
+		it("fails if the claim value is tampered", async function() {
+			await expectRevert(claimEth({value: 11}), "access denied");
+		});
+		it("fails if the claim recipient is tampered", async function() {
+			await expectRevert(claimEth({to: a3}), "access denied");
+		});
+		it("fails if the signer is not a faucet user", async function() {
+			await faucet.removeUsers([signer], {from: a0});
+			await expectRevert(claimEth(), "access denied");
+		});
+		it("fails if the claim is expired", async function() {
+			await time.increaseTo(parseInt(claim.deadline) + 1);
+			await expectRevert(claimEth(), "signature expired");
+		});
+		it("fails if the nonce is not the current signer nonce", async function() {
+			claim = await sign_claim(web3, {faucet_address: faucet.address, signer, recipient, value: 10, nonce: 1});
+			await expectRevert(claimEth(), "invalid nonce");
+		});
+		it("fails if the claim exceeds the signer allowance", async function() {
+			await faucet.setWeiLimitPerEpochForUser(signer, 9, {from: a0});
+			await expectRevert(claimEth(), "allowance exceeded");
+		});
+		it("fails if the claim is signed for another faucet", async function() {
+			const another = await faucet_deploy(a0);
+			claim = await sign_claim(web3, {faucet_address: another.address, signer, recipient, value: 10});
+			await expectRevert(claimEth(), "access denied");
+		});
+		describe("succeeds otherwise", function() {
+			let tracker, receipt;
+			beforeEach(async function() {
+				tracker = await balance.tracker(recipient);
+				receipt = await claimEth();
+			});
+			it("'ETHClaimed' event is emitted", async function() {
+				expectEvent(receipt, "ETHClaimed", {signer, to: recipient, value: "10", nonce: "0"});
+			});
+			it("'ETHWithdrawn' event is emitted", async function() {
+				expectEvent(receipt, "ETHWithdrawn", {to: recipient, value: "10"});
+			});
+			it("recipient receives ETH", async function() {
+				expect(await tracker.delta()).to.be.bignumber.that.equals("10");
+			});
+			it("signer nonce 'claimNonces' increases", async function() {
+				expect(await faucet.claimNonces(signer)).to.be.bignumber.that.equals("1");
+			});
+			it("signer throttle applies: 'weiWithdrawnInCurrentEpoch' increases", async function() {
+				expect(await faucet.weiWithdrawnInCurrentEpoch(signer)).to.be.bignumber.that.equals("10");
+			});
+			it("relayer throttle doesn't apply: 'weiWithdrawnInCurrentEpoch' doesn't change", async function() {
+				expect(await faucet.weiWithdrawnInCurrentEpoch(relayer)).to.be.bignumber.that.equals("0");
+			});
+			it("the claim cannot be replayed", async function() {
+				await expectRevert(claimEth(), "invalid nonce");
+			});
+			it("the next claim with the next nonce succeeds", async function() {
+				claim = await sign_claim(web3, {faucet_address: faucet.address, signer, recipient, value: 10});
+				expect(claim.nonce).to.equal("1");
+				await claimEth();
+			});
+		});
+	});
+});
@@ -0,0 +1,262 @@
+// The Faucet Tests: ERC20 tokens dispensing
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	mine,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	not,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	erc20_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet ERC20 tokens dispensing tests
+contract("The Faucet: ERC20 tokens dispensing", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet, token;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		token = await erc20_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("token limit per epoch 'tokenLimitPerEpoch' is not set initially", async function() {
+			expect(await faucet.tokenLimitPerEpoch(token.address)).to.be.bignumber.that.equals("0");
+		});
+		it("token limit per epoch for a user 'tokenLimitPerEpochForUser' is initially zero", async function() {
+			expect(await faucet.tokenLimitPerEpochForUser(token.address, a1)).to.be.bignumber.that.equals("0");
+		});
+		it("token left in epoch for a user 'tokenLeftInEpochForUser' is initially zero", async function() {
+			expect(await faucet.tokenLeftInEpochForUser(token.address, a1)).to.be.bignumber.that.equals("0");
+		});
+		it("'withdrawToken' fails as token is not allowed", async function() {
+			await faucet.addUsers([a1], {from: a0});
+			await expectRevert(faucet.withdrawToken(token.address, a2, 1, {from: a1}), "token not allowed");
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+
+		const setTokenLimitPerEpoch = async () => faucet.setTokenLimitPerEpoch(token.address, 1, {from: operator});
+		const setTokenLimitPerEpochForUser = async () => faucet.setTokenLimitPerEpochForUser(token.address, a2, 1, {from: operator});
+		const withdrawToken = async () => faucet.withdrawToken(token.address, a2, 1, {from: operator});
+		describe("when executed not by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+			});
+			it("'setTokenLimitPerEpoch' reverts", async function() {
+				await expectRevert(setTokenLimitPerEpoch(), "access denied");
+			});
+			it("'setTokenLimitPerEpochForUser' reverts", async function() {
+				await expectRevert(setTokenLimitPerEpochForUser(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("'setTokenLimitPerEpoch' doesn't revert", async function() {
+				await setTokenLimitPerEpoch();
+			});
+			it("'setTokenLimitPerEpochForUser' doesn't revert", async function() {
+				await setTokenLimitPerEpochForUser();
+			});
+		});
+		describe("when executed not by ROLE_FAUCET_USER", function() {
+			beforeEach(async function() {
+				await faucet.setTokenLimitPerEpoch(token.address, 1, {from: a0});
+				await token.mint(faucet.address, 1);
+			});
+			it("'withdrawToken' reverts", async function() {
+				await expectRevert(withdrawToken(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_USER", function() {
+			beforeEach(async function() {
+				await faucet.setTokenLimitPerEpoch(token.address, 1, {from: a0});
+				await token.mint(faucet.address, 1);
+				await faucet.addUsers([operator], {from: a0});
+			});
+			it("'withdrawToken' doesn't revert", async function() {
+				await withdrawToken();
+			});
+		});
+	});
+
+	describe("faucet manager ROLE_FAUCET_MANAGER flows", function() {
+		describe("updating the token limit, 'setTokenLimitPerEpoch'", function() {
+			it("fails if token address is not set (zero)", async function() {
+				await expectRevert(faucet.setTokenLimitPerEpoch(ZERO_ADDRESS, 1, {from: a0}), "token address not set");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await faucet.setTokenLimitPerEpoch(token.address, 100, {from: a0});
+				});
+				it("'TokenLimitPerEpochUpdated' event is emitted", async function() {
+					expectEvent(receipt, "TokenLimitPerEpochUpdated", {
+						token: token.address,
+						limitPerEpoch: "100",
+					});
+				});
+				it("token limit per epoch 'tokenLimitPerEpoch' is updated correctly", async function() {
+					expect(await faucet.tokenLimitPerEpoch(token.address)).to.be.bignumber.that.equals("100");
+				});
+				it("token limit per epoch for a user 'tokenLimitPerEpochForUser' is updated correctly", async function() {
+					expect(await faucet.tokenLimitPerEpochForUser(token.address, a1)).to.be.bignumber.that.equals("100");
+				});
+			});
+		});
+		describe("updating the token limit for a particular user, 'setTokenLimitPerEpochForUser'", function() {
+			it("fails if token address is not set (zero)", async function() {
+				await expectRevert(
+					faucet.setTokenLimitPerEpochForUser(ZERO_ADDRESS, a1, 1, {from: a0}),
+					"token address not set"
+				);
+			});
+			it("fails if user address is not set (zero)", async function() {
+				await expectRevert(
+					faucet.setTokenLimitPerEpochForUser(token.address, ZERO_ADDRESS, 1, {from: a0}),
+					"user address not set"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					await faucet.setTokenLimitPerEpoch(token.address, 100, {from: a0});
+					receipt = await faucet.setTokenLimitPerEpochForUser(token.address, a1, 500, {from: a0});
+				});
+				it("'TokenLimitUpdated' event is emitted", async function() {
+					expectEvent(receipt, "TokenLimitUpdated", {
+						token: token.address,
+						userAddress: a1,
+						limitPerEpoch: "500",
+					});
+				});
+				it("token limit override 'tokenLimitPerEpochOverrides' is updated correctly", async function() {
+					expect(await faucet.tokenLimitPerEpochOverrides(token.address, a1)).to.be.bignumber.that.equals("500");
+				});
+				it("token limit per epoch for a user 'tokenLimitPerEpochForUser' is overridden", async function() {
+					expect(await faucet.tokenLimitPerEpochForUser(token.address, a1)).to.be.bignumber.that.equals("500");
+				});
+				it("token limit per epoch for other users 'tokenLimitPerEpochForUser' is not overridden", async function() {
+					expect(await faucet.tokenLimitPerEpochForUser(token.address, a2)).to.be.bignumber.that.equals("100");
+				});
+				it("override is ignored when the token is disabled", async function() {
+					await faucet.setTokenLimitPerEpoch(token.address, 0, {from: a0});
+					expect(await faucet.tokenLimitPerEpochForUser(token.address, a1)).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+	});
+
+	describe("withdrawing tokens when the token is allowed (100 tokens per epoch)", function() {
+		const user = a1;
+		const to = a3;
+		let another;
+		beforeEach(async function() {
+			another = await erc20_deploy(a0, "Another Token", "ATK");
+			await faucet.addUsers([user], {from: a0});
+			await faucet.setTokenLimitPerEpoch(token.address, 100, {from: a0});
+			await faucet.setTokenLimitPerEpoch(another.address, 10, {from: a0});
+			await token.mint(faucet.address, 150);
+			await another.mint(faucet.address, 10);
+		});
+		it("fails if recipient is not set", async function() {
+			await expectRevert(faucet.withdrawToken(token.address, ZERO_ADDRESS, 1, {from: user}), "recipient not set");
+		});
+		it("fails if value is not set", async function() {
+			await expectRevert(faucet.withdrawToken(token.address, to, 0, {from: user}), "value not set");
+		});
+		it("fails if the user requests too much (more than 100 tokens)", async function() {
+			await expectRevert(faucet.withdrawToken(token.address, to, 101, {from: user}), "token allowance exceeded");
+		});
+		it("fails if the faucet doesn't have enough tokens", async function() {
+			await faucet.setTokenLimitPerEpochForUser(token.address, user, 200, {from: a0});
+			await expectRevert(faucet.withdrawToken(token.address, to, 151, {from: user}), "token balance exceeded");
+		});
+		it("fails if the token transfer returns false", async function() {
+			await token.setTransferReturnsFalse(true);
+			await expectRevert(faucet.withdrawToken(token.address, to, 1, {from: user}), "SafeERC20: ERC20 operation did not succeed");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await faucet.withdrawToken(token.address, to, 60, {from: user});
+			});
+			it("'TokenWithdrawn' event is emitted", async function() {
+				expectEvent(receipt, "TokenWithdrawn", {token: token.address, to, value: "60"});
+			});
+			it("recipient receives the tokens", async function() {
+				expect(await token.balanceOf(to)).to.be.bignumber.that.equals("60");
+			});
+			it("faucet token balance decreases", async function() {
+				expect(await token.balanceOf(faucet.address)).to.be.bignumber.that.equals("90");
+			});
+			it("user token withdrawal stats are recorded", async function() {
+				const stat = await faucet.tokenWithdrawalStats(token.address, user);
+				expect(stat.weiWithdrawn).to.be.bignumber.that.equals("60");
+			});
+			it("token withdrawn in epoch for a user 'tokenWithdrawnInCurrentEpoch' increases", async function() {
+				expect(await faucet.tokenWithdrawnInCurrentEpoch(token.address, user)).to.be.bignumber.that.equals("60");
+			});
+			it("token left in epoch for a user 'tokenLeftInEpochForUser' decreases", async function() {
+				expect(await faucet.tokenLeftInEpochForUser(token.address, user)).to.be.bignumber.that.equals("40");
+			});
+			it("token left in epoch for a user on another token 'tokenLeftInEpochForUser' doesn't change", async function() {
+				expect(await faucet.tokenLeftInEpochForUser(another.address, user)).to.be.bignumber.that.equals("10");
+			});
+			it("ETH left in epoch for a user 'weiLeftInEpochForUser' doesn't change", async function() {
+				expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals(await faucet.weiLimitPerEpoch());
+			});
+			it("withdrawing more than the rest of allowance fails", async function() {
+				await expectRevert(faucet.withdrawToken(token.address, to, 41, {from: user}), "token allowance exceeded");
+			});
+			it("withdrawing the rest of allowance succeeds", async function() {
+				await faucet.withdrawToken(token.address, to, 40, {from: user});
+			});
+			describe("after the epoch switch", function() {
+				beforeEach(async function() {
+					// set the epoch length to the minimum possible value, so that new epoch begins every block
+					await faucet.setEpochParams(1, 1, {from: a0});
+					await mine(1);
+				});
+				it("token left in epoch for a user 'tokenLeftInEpochForUser' resets", async function() {
+					expect(await faucet.tokenLeftInEpochForUser(token.address, user)).to.be.bignumber.that.equals("100");
+				});
+				it("it is possible to withdraw the full allowance again (limited by the faucet balance)", async function() {
+					await faucet.withdrawToken(token.address, to, 90, {from: user});
+				});
+			});
+		});
+	});
+});
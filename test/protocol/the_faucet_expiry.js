@@ -0,0 +1,263 @@
+// The Faucet Tests: expiring user access and ETH limit overrides
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	not,
+	ROLE_FAUCET_USER,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// EIP-712 claims helpers
+const {
+	sign_claim,
+} = require("../../scripts/include/faucet_claims");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	mintable_noop_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet expiring access and overrides tests
+contract("The Faucet: expiring access and overrides", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	const ttl = 86_400;
+
+	let faucet, expires_at;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		await web3.eth.sendTransaction({from: a0, to: faucet.address, value: web3.utils.toWei("10", "ether")});
+		expires_at = (await time.latest()) + ttl;
+	});
+
+	describe("when faucet is deployed", function() {
+		it("user access doesn't expire 'userAccessExpiries'", async function() {
+			expect(await faucet.userAccessExpiries(a0)).to.be.bignumber.that.equals("0");
+		});
+		it("ETH limit override doesn't expire 'weiLimitOverrideExpiries'", async function() {
+			expect(await faucet.weiLimitOverrideExpiries(a1)).to.be.bignumber.that.equals("0");
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+		beforeEach(async function() {
+			await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+		});
+		it("'addUsersWithExpiry' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+			await expectRevert(faucet.addUsersWithExpiry([a2], expires_at, {from: operator}), "access denied");
+		});
+		it("'setWeiLimitPerEpochForUserWithExpiry' reverts if executed not by ROLE_FAUCET_MANAGER", async function() {
+			await expectRevert(
+				faucet.setWeiLimitPerEpochForUserWithExpiry(a2, 1, expires_at, {from: operator}),
+				"access denied"
+			);
+		});
+	});
+
+	it("'addUsersWithExpiry' reverts if users array is empty", async function() {
+		await expectRevert(faucet.addUsersWithExpiry([], expires_at, {from: a0}), "empty users array");
+	});
+	it("'setWeiLimitPerEpochForUserWithExpiry' reverts if user address is not set", async function() {
+		await expectRevert(
+			faucet.setWeiLimitPerEpochForUserWithExpiry(ZERO_ADDRESS, 1, expires_at, {from: a0}),
+			"user address not set"
+		);
+	});
+
+	describe("when the users are added with the expiration time via 'addUsersWithExpiry'", function() {
+		let receipt, mintable;
+		beforeEach(async function() {
+			receipt = await faucet.addUsersWithExpiry([a1, a2], expires_at, {from: a0});
+			mintable = await mintable_noop_deploy(a0);
+			await faucet.setMintTarget(mintable.address, 100, {from: a0});
+		});
+		it("users get ROLE_FAUCET_USER", async function() {
+			expect(await faucet.isOperatorInRole(a1, ROLE_FAUCET_USER)).to.be.true;
+			expect(await faucet.isOperatorInRole(a2, ROLE_FAUCET_USER)).to.be.true;
+		});
+		it("users are added into the registry", async function() {
+			expect(await faucet.getUsers(0, 10)).to.have.members([a0, a1, a2]);
+		});
+		it("access expiration time is set 'userAccessExpiries'", async function() {
+			expect(await faucet.userAccessExpiries(a1)).to.be.bignumber.that.equals(expires_at + "");
+		});
+		it("'UserAccessExpiryUpdated' event is emitted", async function() {
+			expectEvent(receipt, "UserAccessExpiryUpdated", {userAddress: a1, expiresAt: expires_at + ""});
+			expectEvent(receipt, "UserAccessExpiryUpdated", {userAddress: a2, expiresAt: expires_at + ""});
+		});
+		it("users are active before the expiration 'isActiveUser'", async function() {
+			expect(await faucet.isActiveUser(a1)).to.be.true;
+			expect(await faucet.isActiveOperatorInRole(a1, ROLE_FAUCET_USER)).to.be.true;
+		});
+		it("'withdrawEth' succeeds before the expiration", async function() {
+			await faucet.withdrawEth(a3, 1, {from: a1});
+		});
+		it("'mint' succeeds before the expiration", async function() {
+			await faucet.mint(mintable.address, a3, 1, {from: a1});
+		});
+
+		describe("when the access expires", function() {
+			beforeEach(async function() {
+				await time.increaseTo(expires_at);
+			});
+			it("users still have ROLE_FAUCET_USER until removed", async function() {
+				expect(await faucet.isOperatorInRole(a1, ROLE_FAUCET_USER)).to.be.true;
+			});
+			it("users are not active 'isActiveUser'", async function() {
+				expect(await faucet.isActiveUser(a1)).to.be.false;
+				expect(await faucet.isActiveOperatorInRole(a1, ROLE_FAUCET_USER)).to.be.false;
+			});
+			it("roles not including ROLE_FAUCET_USER are not affected 'isActiveOperatorInRole'", async function() {
+				await faucet.updateRole(a1, ROLE_FAUCET_USER | ROLE_FAUCET_MANAGER, {from: a0});
+				expect(await faucet.isActiveOperatorInRole(a1, ROLE_FAUCET_MANAGER)).to.be.true;
+				expect(await faucet.isActiveOperatorInRole(a1, ROLE_FAUCET_USER | ROLE_FAUCET_MANAGER)).to.be.false;
+			});
+			it("'withdrawEth' reverts", async function() {
+				await expectRevert(faucet.withdrawEth(a3, 1, {from: a1}), "access denied");
+			});
+			it("'mint' reverts", async function() {
+				await expectRevert(faucet.mint(mintable.address, a3, 1, {from: a1}), "access denied");
+			});
+			it("'claimEth' reverts for the claim signed by the expired user", async function() {
+				const claim = await sign_claim(web3, {faucet_address: faucet.address, signer: a1, recipient: a3, value: 1});
+				await expectRevert(
+					faucet.claimEth(claim.recipient, claim.value, claim.nonce, claim.deadline, claim.v, claim.r, claim.s, {from: a3}),
+					"access denied"
+				);
+			});
+			it("'addUsers' grants the access which doesn't expire", async function() {
+				await faucet.addUsers([a1], {from: a0});
+				expect(await faucet.userAccessExpiries(a1)).to.be.bignumber.that.equals("0");
+				await faucet.withdrawEth(a3, 1, {from: a1});
+			});
+			it("'addUsersWithExpiry' extends the access", async function() {
+				await faucet.addUsersWithExpiry([a1], expires_at + ttl, {from: a0});
+				await faucet.withdrawEth(a3, 1, {from: a1});
+			});
+			describe("when the expired users are removed via 'removeUsers'", function() {
+				beforeEach(async function() {
+					receipt = await faucet.removeUsers([a1], {from: a0});
+				});
+				it("access expiration time is reset", async function() {
+					expect(await faucet.userAccessExpiries(a1)).to.be.bignumber.that.equals("0");
+				});
+				it("'UserAccessExpiryUpdated' event is emitted", async function() {
+					expectEvent(receipt, "UserAccessExpiryUpdated", {userAddress: a1, expiresAt: "0"});
+				});
+				it("user is removed from the registry", async function() {
+					expect(await faucet.getUsers(0, 10)).to.have.members([a0, a2]);
+				});
+			});
+		});
+	});
+
+	it("'addUsers' doesn't emit 'UserAccessExpiryUpdated' when expiration time doesn't change", async function() {
+		const receipt = await faucet.addUsers([a1], {from: a0});
+		expectEvent.notEmitted(receipt, "UserAccessExpiryUpdated");
+	});
+
+	describe("when ETH limit override is set with the expiration time via 'setWeiLimitPerEpochForUserWithExpiry'", function() {
+		const limit = web3.utils.toWei("3", "ether");
+		let receipt;
+		beforeEach(async function() {
+			await faucet.addUsers([a1], {from: a0});
+			receipt = await faucet.setWeiLimitPerEpochForUserWithExpiry(a1, limit, expires_at, {from: a0});
+		});
+		it("override is set 'weiLimitPerEpochOverrides'", async function() {
+			expect(await faucet.weiLimitPerEpochOverrides(a1)).to.be.bignumber.that.equals(limit);
+		});
+		it("override expiration time is set 'weiLimitOverrideExpiries'", async function() {
+			expect(await faucet.weiLimitOverrideExpiries(a1)).to.be.bignumber.that.equals(expires_at + "");
+		});
+		it("'WeiLimitUpdated' event is emitted", async function() {
+			expectEvent(receipt, "WeiLimitUpdated", {userAddress: a1, weiLimitPerEpoch: limit});
+		});
+		it("'WeiLimitExpiryUpdated' event is emitted", async function() {
+			expectEvent(receipt, "WeiLimitExpiryUpdated", {userAddress: a1, expiresAt: expires_at + ""});
+		});
+		it("override is in effect before the expiration 'weiLimitPerEpochForUser'", async function() {
+			expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals(limit);
+		});
+		it("'withdrawEth' above the global limit succeeds before the expiration", async function() {
+			await faucet.setEpochParams(86_400, 1, {from: a0});
+			await faucet.withdrawEth(a3, 2, {from: a1});
+		});
+
+		describe("when the override expires", function() {
+			beforeEach(async function() {
+				await faucet.setEpochParams(86_400, 1, {from: a0});
+				await time.increaseTo(expires_at);
+			});
+			it("override value is kept until reset 'weiLimitPerEpochOverrides'", async function() {
+				expect(await faucet.weiLimitPerEpochOverrides(a1)).to.be.bignumber.that.equals(limit);
+			});
+			it("global limit is in effect 'weiLimitPerEpochForUser'", async function() {
+				expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals("1");
+			});
+			it("tier limit is in effect if the user belongs to the tier 'weiLimitPerEpochForUser'", async function() {
+				await faucet.setTier(1, "QA", 0, 5, {from: a0});
+				await faucet.setTierForUsers(1, [a1], {from: a0});
+				expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals("5");
+			});
+			it("'withdrawEth' above the global limit reverts", async function() {
+				await expectRevert(faucet.withdrawEth(a3, 2, {from: a1}), "allowance exceeded");
+			});
+			it("'setWeiLimitPerEpochForUser' sets the override which doesn't expire", async function() {
+				const receipt = await faucet.setWeiLimitPerEpochForUser(a1, limit, {from: a0});
+				expectEvent(receipt, "WeiLimitExpiryUpdated", {userAddress: a1, expiresAt: "0"});
+				expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals(limit);
+			});
+		});
+
+		describe("when the override expires after the withdrawal above the global limit (same epoch)", function() {
+			beforeEach(async function() {
+				// long epoch: the withdrawal and the expiration happen within the same epoch
+				await faucet.setEpochParams(315_360_000, 1, {from: a0});
+				await faucet.withdrawEth(a3, 2, {from: a1});
+				await time.increaseTo(expires_at);
+			});
+			it("ETH withdrawn exceeds the limit 'weiWithdrawnInCurrentEpoch'", async function() {
+				expect(await faucet.weiWithdrawnInCurrentEpoch(a1)).to.be.bignumber.that.equals("2");
+				expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals("1");
+			});
+			it("nothing is left in the epoch 'weiLeftInEpochForUser'", async function() {
+				expect(await faucet.weiLeftInEpochForUser(a1)).to.be.bignumber.that.equals("0");
+			});
+			it("'withdrawEth' reverts with 'allowance exceeded'", async function() {
+				await expectRevert(faucet.withdrawEth(a3, 1, {from: a1}), "allowance exceeded");
+			});
+		});
+	});
+
+	it("'setWeiLimitPerEpochForUser' doesn't emit 'WeiLimitExpiryUpdated' when expiration time doesn't change", async function() {
+		const receipt = await faucet.setWeiLimitPerEpochForUser(a1, 1, {from: a0});
+		expectEvent.notEmitted(receipt, "WeiLimitExpiryUpdated");
+	});
+});
@@ -0,0 +1,238 @@
+// The Faucet Tests: mint targets registry and mint throttling
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	mine,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	not,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	mintable_noop_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet mint targets registry tests
+contract("The Faucet: mint targets registry", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet, mintable;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		mintable = await mintable_noop_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("target contract is not allowed initially 'isMintTargetAllowed'", async function() {
+			expect(await faucet.isMintTargetAllowed(mintable.address)).to.be.false;
+		});
+		it("mint limit per epoch 'mintLimitPerEpoch' is not set initially", async function() {
+			expect(await faucet.mintLimitPerEpoch(mintable.address)).to.be.bignumber.that.equals("0");
+		});
+		it("mint limit per epoch for a user 'mintLimitPerEpochForUser' is initially zero", async function() {
+			expect(await faucet.mintLimitPerEpochForUser(mintable.address, a1)).to.be.bignumber.that.equals("0");
+		});
+		it("mint left in epoch for a user 'mintLeftInEpochForUser' is initially zero", async function() {
+			expect(await faucet.mintLeftInEpochForUser(mintable.address, a1)).to.be.bignumber.that.equals("0");
+		});
+		it("'mint' fails as target contract is not allowed", async function() {
+			await faucet.addUsers([a1], {from: a0});
+			await expectRevert(faucet.mint(mintable.address, a2, 1, {from: a1}), "target contract not allowed");
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+
+		const setMintTarget = async () => faucet.setMintTarget(mintable.address, 1, {from: operator});
+		const setMintLimitPerEpochForUser = async () => faucet.setMintLimitPerEpochForUser(mintable.address, a2, 1, {from: operator});
+		describe("when executed not by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+			});
+			it("'setMintTarget' reverts", async function() {
+				await expectRevert(setMintTarget(), "access denied");
+			});
+			it("'setMintLimitPerEpochForUser' reverts", async function() {
+				await expectRevert(setMintLimitPerEpochForUser(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("'setMintTarget' doesn't revert", async function() {
+				await setMintTarget();
+			});
+			it("'setMintLimitPerEpochForUser' doesn't revert", async function() {
+				await setMintLimitPerEpochForUser();
+			});
+		});
+	});
+
+	describe("faucet manager ROLE_FAUCET_MANAGER flows", function() {
+		describe("adding the target contract, 'setMintTarget'", function() {
+			it("fails if target contract is not set (zero)", async function() {
+				await expectRevert(faucet.setMintTarget(ZERO_ADDRESS, 1, {from: a0}), "target contract not set");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await faucet.setMintTarget(mintable.address, 100, {from: a0});
+				});
+				it("'MintTargetUpdated' event is emitted", async function() {
+					expectEvent(receipt, "MintTargetUpdated", {
+						target: mintable.address,
+						limitPerEpoch: "100",
+					});
+				});
+				it("target contract becomes allowed 'isMintTargetAllowed'", async function() {
+					expect(await faucet.isMintTargetAllowed(mintable.address)).to.be.true;
+				});
+				it("mint limit per epoch for a user 'mintLimitPerEpochForUser' is updated correctly", async function() {
+					expect(await faucet.mintLimitPerEpochForUser(mintable.address, a1)).to.be.bignumber.that.equals("100");
+				});
+				describe("removing the target contract, 'setMintTarget' with zero limit", function() {
+					beforeEach(async function() {
+						receipt = await faucet.setMintTarget(mintable.address, 0, {from: a0});
+					});
+					it("'MintTargetUpdated' event is emitted", async function() {
+						expectEvent(receipt, "MintTargetUpdated", {
+							target: mintable.address,
+							limitPerEpoch: "0",
+						});
+					});
+					it("target contract is not allowed anymore 'isMintTargetAllowed'", async function() {
+						expect(await faucet.isMintTargetAllowed(mintable.address)).to.be.false;
+					});
+				});
+			});
+		});
+		describe("updating the mint limit for a particular user, 'setMintLimitPerEpochForUser'", function() {
+			it("fails if target contract is not set (zero)", async function() {
+				await expectRevert(
+					faucet.setMintLimitPerEpochForUser(ZERO_ADDRESS, a1, 1, {from: a0}),
+					"target contract not set"
+				);
+			});
+			it("fails if user address is not set (zero)", async function() {
+				await expectRevert(
+					faucet.setMintLimitPerEpochForUser(mintable.address, ZERO_ADDRESS, 1, {from: a0}),
+					"user address not set"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					await faucet.setMintTarget(mintable.address, 100, {from: a0});
+					receipt = await faucet.setMintLimitPerEpochForUser(mintable.address, a1, 500, {from: a0});
+				});
+				it("'MintLimitUpdated' event is emitted", async function() {
+					expectEvent(receipt, "MintLimitUpdated", {
+						target: mintable.address,
+						userAddress: a1,
+						limitPerEpoch: "500",
+					});
+				});
+				it("mint limit override 'mintLimitPerEpochOverrides' is updated correctly", async function() {
+					expect(await faucet.mintLimitPerEpochOverrides(mintable.address, a1)).to.be.bignumber.that.equals("500");
+				});
+				it("mint limit per epoch for a user 'mintLimitPerEpochForUser' is overridden", async function() {
+					expect(await faucet.mintLimitPerEpochForUser(mintable.address, a1)).to.be.bignumber.that.equals("500");
+				});
+				it("mint limit per epoch for other users 'mintLimitPerEpochForUser' is not overridden", async function() {
+					expect(await faucet.mintLimitPerEpochForUser(mintable.address, a2)).to.be.bignumber.that.equals("100");
+				});
+				it("override is ignored when the target contract is removed", async function() {
+					await faucet.setMintTarget(mintable.address, 0, {from: a0});
+					expect(await faucet.mintLimitPerEpochForUser(mintable.address, a1)).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+	});
+
+	describe("minting when the target contract is allowed (100 tokens per epoch)", function() {
+		const user = a1;
+		const to = a3;
+		let another;
+		beforeEach(async function() {
+			another = await mintable_noop_deploy(a0);
+			await faucet.addUsers([user], {from: a0});
+			await faucet.setMintTarget(mintable.address, 100, {from: a0});
+			await faucet.setMintTarget(another.address, 10, {from: a0});
+		});
+		it("fails if the user requests too much (more than 100 tokens)", async function() {
+			await expectRevert(faucet.mint(mintable.address, to, 101, {from: user}), "mint allowance exceeded");
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await faucet.mint(mintable.address, to, 60, {from: user});
+			});
+			it("'MintProxied' event is emitted", async function() {
+				expectEvent(receipt, "MintProxied", {target: mintable.address, to, value: "60"});
+			});
+			it("user mint stats are recorded", async function() {
+				const stat = await faucet.mintStats(mintable.address, user);
+				expect(stat.weiWithdrawn).to.be.bignumber.that.equals("60");
+			});
+			it("minted in epoch for a user 'mintedInCurrentEpoch' increases", async function() {
+				expect(await faucet.mintedInCurrentEpoch(mintable.address, user)).to.be.bignumber.that.equals("60");
+			});
+			it("mint left in epoch for a user 'mintLeftInEpochForUser' decreases", async function() {
+				expect(await faucet.mintLeftInEpochForUser(mintable.address, user)).to.be.bignumber.that.equals("40");
+			});
+			it("mint left in epoch for a user on another target 'mintLeftInEpochForUser' doesn't change", async function() {
+				expect(await faucet.mintLeftInEpochForUser(another.address, user)).to.be.bignumber.that.equals("10");
+			});
+			it("minting more than the rest of allowance fails", async function() {
+				await expectRevert(faucet.mint(mintable.address, to, 41, {from: user}), "mint allowance exceeded");
+			});
+			it("minting the rest of allowance succeeds", async function() {
+				await faucet.mint(mintable.address, to, 40, {from: user});
+			});
+			it("mint left in epoch for a user 'mintLeftInEpochForUser' is zero when the limit is decreased", async function() {
+				await faucet.setMintTarget(mintable.address, 50, {from: a0});
+				expect(await faucet.mintLeftInEpochForUser(mintable.address, user)).to.be.bignumber.that.equals("0");
+			});
+			describe("after the epoch switch", function() {
+				beforeEach(async function() {
+					// set the epoch length to the minimum possible value, so that new epoch begins every block
+					await faucet.setEpochParams(1, 1, {from: a0});
+					await mine(1);
+				});
+				it("mint left in epoch for a user 'mintLeftInEpochForUser' resets", async function() {
+					expect(await faucet.mintLeftInEpochForUser(mintable.address, user)).to.be.bignumber.that.equals("100");
+				});
+				it("it is possible to mint the full allowance again", async function() {
+					await faucet.mint(mintable.address, to, 100, {from: user});
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,326 @@
+// The Faucet Tests: ERC721 / ERC1155 test assets dispensing
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	mine,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	not,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	erc721_deploy,
+	erc1155_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet NFT dispensing tests
+contract("The Faucet: ERC721 / ERC1155 dispensing", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet, erc721, erc1155;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		erc721 = await erc721_deploy(a0);
+		erc1155 = await erc1155_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("collection limit per epoch 'nftLimitPerEpoch' is not set initially", async function() {
+			expect(await faucet.nftLimitPerEpoch(erc721.address)).to.be.bignumber.that.equals("0");
+		});
+		it("NFT left in epoch for a user 'nftLeftInEpochForUser' is initially zero", async function() {
+			expect(await faucet.nftLeftInEpochForUser(erc721.address, a1)).to.be.bignumber.that.equals("0");
+		});
+		it("ERC165 interface is supported", async function() {
+			expect(await faucet.supportsInterface("0x01ffc9a7")).to.be.true;
+		});
+		it("ERC721 receiver interface is supported", async function() {
+			expect(await faucet.supportsInterface("0x150b7a02")).to.be.true;
+		});
+		it("ERC1155 receiver interface is supported", async function() {
+			expect(await faucet.supportsInterface("0x4e2312e0")).to.be.true;
+		});
+		it("'withdrawErc721' fails as collection is not allowed", async function() {
+			await faucet.addUsers([a1], {from: a0});
+			await expectRevert(faucet.withdrawErc721(erc721.address, a2, 1, true, {from: a1}), "collection not allowed");
+		});
+		it("'withdrawErc1155' fails as collection is not allowed", async function() {
+			await faucet.addUsers([a1], {from: a0});
+			await expectRevert(faucet.withdrawErc1155(erc1155.address, a2, 1, 1, true, {from: a1}), "collection not allowed");
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+
+		const setNftLimitPerEpoch = async () => faucet.setNftLimitPerEpoch(erc721.address, 1, {from: operator});
+		const setNftLimitPerEpochForUser = async () => faucet.setNftLimitPerEpochForUser(erc721.address, a2, 1, {from: operator});
+		const withdrawErc721 = async () => faucet.withdrawErc721(erc721.address, a2, 1, true, {from: operator});
+		const withdrawErc1155 = async () => faucet.withdrawErc1155(erc1155.address, a2, 1, 1, true, {from: operator});
+		describe("when executed not by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+			});
+			it("'setNftLimitPerEpoch' reverts", async function() {
+				await expectRevert(setNftLimitPerEpoch(), "access denied");
+			});
+			it("'setNftLimitPerEpochForUser' reverts", async function() {
+				await expectRevert(setNftLimitPerEpochForUser(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("'setNftLimitPerEpoch' doesn't revert", async function() {
+				await setNftLimitPerEpoch();
+			});
+			it("'setNftLimitPerEpochForUser' doesn't revert", async function() {
+				await setNftLimitPerEpochForUser();
+			});
+		});
+		describe("when executed not by ROLE_FAUCET_USER", function() {
+			beforeEach(async function() {
+				await faucet.setNftLimitPerEpoch(erc721.address, 1, {from: a0});
+				await faucet.setNftLimitPerEpoch(erc1155.address, 1, {from: a0});
+			});
+			it("'withdrawErc721' reverts", async function() {
+				await expectRevert(withdrawErc721(), "access denied");
+			});
+			it("'withdrawErc1155' reverts", async function() {
+				await expectRevert(withdrawErc1155(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_USER", function() {
+			beforeEach(async function() {
+				await faucet.setNftLimitPerEpoch(erc721.address, 1, {from: a0});
+				await faucet.setNftLimitPerEpoch(erc1155.address, 1, {from: a0});
+				await faucet.addUsers([operator], {from: a0});
+			});
+			it("'withdrawErc721' doesn't revert", async function() {
+				await withdrawErc721();
+			});
+			it("'withdrawErc1155' doesn't revert", async function() {
+				await withdrawErc1155();
+			});
+		});
+	});
+
+	describe("faucet manager ROLE_FAUCET_MANAGER flows", function() {
+		describe("updating the collection limit, 'setNftLimitPerEpoch'", function() {
+			it("fails if collection address is not set (zero)", async function() {
+				await expectRevert(faucet.setNftLimitPerEpoch(ZERO_ADDRESS, 1, {from: a0}), "collection address not set");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await faucet.setNftLimitPerEpoch(erc721.address, 3, {from: a0});
+				});
+				it("'NftLimitPerEpochUpdated' event is emitted", async function() {
+					expectEvent(receipt, "NftLimitPerEpochUpdated", {collection: erc721.address, limitPerEpoch: "3"});
+				});
+				it("collection limit per epoch 'nftLimitPerEpoch' is updated correctly", async function() {
+					expect(await faucet.nftLimitPerEpoch(erc721.address)).to.be.bignumber.that.equals("3");
+				});
+				it("NFT limit per epoch for a user 'nftLimitPerEpochForUser' is updated correctly", async function() {
+					expect(await faucet.nftLimitPerEpochForUser(erc721.address, a1)).to.be.bignumber.that.equals("3");
+				});
+			});
+		});
+		describe("updating the collection limit for a particular user, 'setNftLimitPerEpochForUser'", function() {
+			it("fails if collection address is not set (zero)", async function() {
+				await expectRevert(
+					faucet.setNftLimitPerEpochForUser(ZERO_ADDRESS, a1, 1, {from: a0}),
+					"collection address not set"
+				);
+			});
+			it("fails if user address is not set (zero)", async function() {
+				await expectRevert(
+					faucet.setNftLimitPerEpochForUser(erc721.address, ZERO_ADDRESS, 1, {from: a0}),
+					"user address not set"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					await faucet.setNftLimitPerEpoch(erc721.address, 3, {from: a0});
+					receipt = await faucet.setNftLimitPerEpochForUser(erc721.address, a1, 5, {from: a0});
+				});
+				it("'NftLimitUpdated' event is emitted", async function() {
+					expectEvent(receipt, "NftLimitUpdated", {collection: erc721.address, userAddress: a1, limitPerEpoch: "5"});
+				});
+				it("NFT limit per epoch for a user 'nftLimitPerEpochForUser' is overridden", async function() {
+					expect(await faucet.nftLimitPerEpochForUser(erc721.address, a1)).to.be.bignumber.that.equals("5");
+				});
+				it("NFT limit per epoch for other users 'nftLimitPerEpochForUser' is not overridden", async function() {
+					expect(await faucet.nftLimitPerEpochForUser(erc721.address, a2)).to.be.bignumber.that.equals("3");
+				});
+				it("override is ignored when the collection is removed", async function() {
+					await faucet.setNftLimitPerEpoch(erc721.address, 0, {from: a0});
+					expect(await faucet.nftLimitPerEpochForUser(erc721.address, a1)).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+	});
+
+	describe("dispensing ERC721 tokens (2 tokens per epoch)", function() {
+		const user = a1;
+		const to = a3;
+		beforeEach(async function() {
+			await faucet.addUsers([user], {from: a0});
+			await faucet.setNftLimitPerEpoch(erc721.address, 2, {from: a0});
+			// put the tokens 101 and 102 into the faucet inventory
+			await erc721.mint(a0, 101);
+			await erc721.safeTransferFrom(a0, faucet.address, 101, {from: a0});
+			await erc721.mint(faucet.address, 102);
+		});
+		it("faucet accepts the tokens into the inventory via the safe transfer", async function() {
+			expect(await erc721.ownerOf(101)).to.equal(faucet.address);
+		});
+		it("fails if recipient is not set", async function() {
+			await expectRevert(faucet.withdrawErc721(erc721.address, ZERO_ADDRESS, 1, true, {from: user}), "recipient not set");
+		});
+		it("fails to transfer the token not in the faucet inventory", async function() {
+			await erc721.mint(a2, 103);
+			await expectRevert(faucet.withdrawErc721(erc721.address, to, 103, false, {from: user}), "ERC721: caller is not token owner or approved");
+		});
+		it("fails to mint the token which already exists", async function() {
+			await expectRevert(faucet.withdrawErc721(erc721.address, to, 101, true, {from: user}), "low-level function call failed");
+		});
+		describe("minting the token succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await faucet.withdrawErc721(erc721.address, to, 1, true, {from: user});
+			});
+			it("'NftWithdrawn' event is emitted", async function() {
+				expectEvent(receipt, "NftWithdrawn", {collection: erc721.address, to, id: "1", amount: "1", minted: true});
+			});
+			it("recipient receives the token", async function() {
+				expect(await erc721.ownerOf(1)).to.equal(to);
+			});
+			it("NFT withdrawn in epoch for a user 'nftWithdrawnInCurrentEpoch' increases", async function() {
+				expect(await faucet.nftWithdrawnInCurrentEpoch(erc721.address, user)).to.be.bignumber.that.equals("1");
+			});
+			it("NFT left in epoch for a user 'nftLeftInEpochForUser' decreases", async function() {
+				expect(await faucet.nftLeftInEpochForUser(erc721.address, user)).to.be.bignumber.that.equals("1");
+			});
+			describe("transferring the token from the inventory succeeds", function() {
+				beforeEach(async function() {
+					receipt = await faucet.withdrawErc721(erc721.address, to, 101, false, {from: user});
+				});
+				it("'NftWithdrawn' event is emitted", async function() {
+					expectEvent(receipt, "NftWithdrawn", {collection: erc721.address, to, id: "101", amount: "1", minted: false});
+				});
+				it("recipient receives the token", async function() {
+					expect(await erc721.ownerOf(101)).to.equal(to);
+				});
+				it("NFT left in epoch for a user 'nftLeftInEpochForUser' is zero", async function() {
+					expect(await faucet.nftLeftInEpochForUser(erc721.address, user)).to.be.bignumber.that.equals("0");
+				});
+				it("third token exceeds the limit", async function() {
+					await expectRevert(faucet.withdrawErc721(erc721.address, to, 102, false, {from: user}), "NFT allowance exceeded");
+				});
+				describe("after the epoch switch", function() {
+					beforeEach(async function() {
+						// set the epoch length to the minimum possible value, so that new epoch begins every block
+						await faucet.setEpochParams(1, 1, {from: a0});
+						await mine(1);
+					});
+					it("NFT left in epoch for a user 'nftLeftInEpochForUser' resets", async function() {
+						expect(await faucet.nftLeftInEpochForUser(erc721.address, user)).to.be.bignumber.that.equals("2");
+					});
+					it("it is possible to get the token again", async function() {
+						await faucet.withdrawErc721(erc721.address, to, 102, false, {from: user});
+					});
+				});
+			});
+		});
+	});
+
+	describe("dispensing ERC1155 tokens (10 tokens per epoch)", function() {
+		const user = a1;
+		const to = a3;
+		beforeEach(async function() {
+			await faucet.addUsers([user], {from: a0});
+			await faucet.setNftLimitPerEpoch(erc1155.address, 10, {from: a0});
+			// put 20 tokens of type 7 into the faucet inventory
+			await erc1155.mint(faucet.address, 7, 20, "0x");
+		});
+		it("faucet accepts the tokens into the inventory via the safe transfer", async function() {
+			expect(await erc1155.balanceOf(faucet.address, 7)).to.be.bignumber.that.equals("20");
+		});
+		it("faucet accepts the tokens into the inventory via the safe batch transfer", async function() {
+			await erc1155.mint(a0, 8, 2, "0x");
+			await erc1155.mint(a0, 9, 3, "0x");
+			await erc1155.safeBatchTransferFrom(a0, faucet.address, [8, 9], [2, 3], "0x", {from: a0});
+			expect(await erc1155.balanceOf(faucet.address, 9)).to.be.bignumber.that.equals("3");
+		});
+		it("fails if amount is not set", async function() {
+			await expectRevert(faucet.withdrawErc1155(erc1155.address, to, 7, 0, false, {from: user}), "value not set");
+		});
+		it("fails if the user requests too much (more than 10 tokens)", async function() {
+			await expectRevert(faucet.withdrawErc1155(erc1155.address, to, 7, 11, false, {from: user}), "NFT allowance exceeded");
+		});
+		it("fails to transfer more tokens than the faucet has", async function() {
+			await faucet.setNftLimitPerEpochForUser(erc1155.address, user, 30, {from: a0});
+			await expectRevert(faucet.withdrawErc1155(erc1155.address, to, 7, 21, false, {from: user}), "ERC1155: insufficient balance for transfer");
+		});
+		describe("minting the tokens succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await faucet.withdrawErc1155(erc1155.address, to, 3, 4, true, {from: user});
+			});
+			it("'NftWithdrawn' event is emitted", async function() {
+				expectEvent(receipt, "NftWithdrawn", {collection: erc1155.address, to, id: "3", amount: "4", minted: true});
+			});
+			it("recipient receives the tokens", async function() {
+				expect(await erc1155.balanceOf(to, 3)).to.be.bignumber.that.equals("4");
+			});
+			it("NFT left in epoch for a user 'nftLeftInEpochForUser' decreases", async function() {
+				expect(await faucet.nftLeftInEpochForUser(erc1155.address, user)).to.be.bignumber.that.equals("6");
+			});
+			describe("transferring the tokens from the inventory succeeds", function() {
+				beforeEach(async function() {
+					receipt = await faucet.withdrawErc1155(erc1155.address, to, 7, 6, false, {from: user});
+				});
+				it("'NftWithdrawn' event is emitted", async function() {
+					expectEvent(receipt, "NftWithdrawn", {collection: erc1155.address, to, id: "7", amount: "6", minted: false});
+				});
+				it("recipient receives the tokens", async function() {
+					expect(await erc1155.balanceOf(to, 7)).to.be.bignumber.that.equals("6");
+				});
+				it("faucet inventory decreases", async function() {
+					expect(await erc1155.balanceOf(faucet.address, 7)).to.be.bignumber.that.equals("14");
+				});
+				it("more tokens exceed the limit", async function() {
+					await expectRevert(faucet.withdrawErc1155(erc1155.address, to, 7, 1, false, {from: user}), "NFT allowance exceeded");
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,237 @@
+// The Faucet Tests: recipient-side throttling
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	mine,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	not,
+	ROLE_FAUCET_USER,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+} = require("./include/deployment_routines");
+
+// max uint192 value, returned when the recipient-side throttling is disabled
+const MAX_UINT192 = new BN(2).pow(new BN(192)).subn(1);
+
+// run The Faucet recipient-side throttling tests
+contract("The Faucet: recipient-side throttling", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3, a4] = accounts;
+
+	let faucet;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		const recipient = a3;
+		it("recipient wei limit per epoch 'recipientWeiLimitPerEpoch' is not set initially", async function() {
+			expect(await faucet.recipientWeiLimitPerEpoch()).to.be.bignumber.that.equals("0");
+		});
+		it("recipient wei limit override 'recipientWeiLimitPerEpochOverrides' is not set initially", async function() {
+			expect(await faucet.recipientWeiLimitPerEpochOverrides(recipient)).to.be.bignumber.that.equals("0");
+		});
+		it("wei limit per epoch for a recipient 'weiLimitPerEpochForRecipient' is initially zero (disabled)", async function() {
+			expect(await faucet.weiLimitPerEpochForRecipient(recipient)).to.be.bignumber.that.equals("0");
+		});
+		it("wei received in epoch for a recipient 'weiReceivedInCurrentEpoch' is initially zero", async function() {
+			expect(await faucet.weiReceivedInCurrentEpoch(recipient)).to.be.bignumber.that.equals("0");
+		});
+		it("wei left in epoch for a recipient 'weiLeftInEpochForRecipient' is initially unlimited", async function() {
+			expect(await faucet.weiLeftInEpochForRecipient(recipient)).to.be.bignumber.that.equals(MAX_UINT192);
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+		const recipient = a3;
+
+		const setRecipientWeiLimitPerEpoch = async () => faucet.setRecipientWeiLimitPerEpoch(1, {from: operator});
+		const setWeiLimitPerEpochForRecipient = async () => faucet.setWeiLimitPerEpochForRecipient(recipient, 1, {from: operator});
+		describe("when executed not by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+			});
+			it("'setRecipientWeiLimitPerEpoch' reverts", async function() {
+				await expectRevert(setRecipientWeiLimitPerEpoch(), "access denied");
+			});
+			it("'setWeiLimitPerEpochForRecipient' reverts", async function() {
+				await expectRevert(setWeiLimitPerEpochForRecipient(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("'setRecipientWeiLimitPerEpoch' doesn't revert", async function() {
+				await setRecipientWeiLimitPerEpoch();
+			});
+			it("'setWeiLimitPerEpochForRecipient' doesn't revert", async function() {
+				await setWeiLimitPerEpochForRecipient();
+			});
+		});
+	});
+
+	describe("faucet manager ROLE_FAUCET_MANAGER flows", function() {
+		describe("updating the global recipient limit, 'setRecipientWeiLimitPerEpoch'", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await faucet.setRecipientWeiLimitPerEpoch(2, {from: a0});
+			});
+			it("'RecipientWeiLimitPerEpochUpdated' event is emitted", async function() {
+				expectEvent(receipt, "RecipientWeiLimitPerEpochUpdated", {weiLimitPerEpoch: "2"});
+			});
+			it("recipient wei limit per epoch 'recipientWeiLimitPerEpoch' is updated correctly", async function() {
+				expect(await faucet.recipientWeiLimitPerEpoch()).to.be.bignumber.that.equals("2");
+			});
+			it("wei limit per epoch for a recipient 'weiLimitPerEpochForRecipient' is updated correctly", async function() {
+				expect(await faucet.weiLimitPerEpochForRecipient(a3)).to.be.bignumber.that.equals("2");
+			});
+		});
+		describe("updating the wei limit for a particular recipient, 'setWeiLimitPerEpochForRecipient'", function() {
+			it("fails if recipient address '_recipientAddress' is not set (zero)", async function() {
+				await expectRevert(
+					faucet.setWeiLimitPerEpochForRecipient(ZERO_ADDRESS, 1, {from: a0}),
+					"recipient address not set"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					await faucet.setRecipientWeiLimitPerEpoch(2, {from: a0});
+					receipt = await faucet.setWeiLimitPerEpochForRecipient(a3, 1, {from: a0});
+				});
+				it("'RecipientWeiLimitUpdated' event is emitted", async function() {
+					expectEvent(receipt, "RecipientWeiLimitUpdated", {
+						recipientAddress: a3,
+						weiLimitPerEpoch: "1",
+					});
+				});
+				it("recipient wei limit override 'recipientWeiLimitPerEpochOverrides' is updated correctly", async function() {
+					expect(await faucet.recipientWeiLimitPerEpochOverrides(a3)).to.be.bignumber.that.equals("1");
+				});
+				it("wei limit per epoch for a recipient 'weiLimitPerEpochForRecipient' is overridden", async function() {
+					expect(await faucet.weiLimitPerEpochForRecipient(a3)).to.be.bignumber.that.equals("1");
+				});
+				it("wei limit per epoch for other recipients 'weiLimitPerEpochForRecipient' is not overridden", async function() {
+					expect(await faucet.weiLimitPerEpochForRecipient(a4)).to.be.bignumber.that.equals("2");
+				});
+			});
+		});
+	});
+
+	describe("getting ETH when two users send ETH to the same recipient", function() {
+		const user1 = a1;
+		const user2 = a2;
+		const recipient = a3;
+		beforeEach(async function() {
+			await faucet.addUsers([user1, user2], {from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value: 100});
+		});
+		describe("when recipient-side throttling is disabled", function() {
+			beforeEach(async function() {
+				await faucet.withdrawEth(recipient, 10, {from: user1});
+				await faucet.withdrawEth(recipient, 10, {from: user2});
+			});
+			it("recipient stats are not recorded", async function() {
+				const stat = await faucet.recipientWithdrawalStats(recipient);
+				expect(stat.weiWithdrawn).to.be.bignumber.that.equals("0");
+			});
+			it("wei left in epoch for a recipient 'weiLeftInEpochForRecipient' remains unlimited", async function() {
+				expect(await faucet.weiLeftInEpochForRecipient(recipient)).to.be.bignumber.that.equals(MAX_UINT192);
+			});
+		});
+		describe("when recipient-side throttling is enabled (15 wei per recipient)", function() {
+			let receipt;
+			beforeEach(async function() {
+				await faucet.setRecipientWeiLimitPerEpoch(15, {from: a0});
+				receipt = await faucet.withdrawEth(recipient, 10, {from: user1});
+			});
+			it("'ETHWithdrawn' event is emitted", async function() {
+				expectEvent(receipt, "ETHWithdrawn", {to: recipient, value: "10"});
+			});
+			it("recipient stats are recorded", async function() {
+				const stat = await faucet.recipientWithdrawalStats(recipient);
+				expect(stat.weiWithdrawn).to.be.bignumber.that.equals("10");
+			});
+			it("wei received in epoch for a recipient 'weiReceivedInCurrentEpoch' increases", async function() {
+				expect(await faucet.weiReceivedInCurrentEpoch(recipient)).to.be.bignumber.that.equals("10");
+			});
+			it("wei left in epoch for a recipient 'weiLeftInEpochForRecipient' decreases", async function() {
+				expect(await faucet.weiLeftInEpochForRecipient(recipient)).to.be.bignumber.that.equals("5");
+			});
+			it("second user cannot send more than recipient allowance", async function() {
+				await expectRevert(faucet.withdrawEth(recipient, 6, {from: user2}), "recipient allowance exceeded");
+			});
+			it("second user can send the rest of the recipient allowance", async function() {
+				await faucet.withdrawEth(recipient, 5, {from: user2});
+				expect(await faucet.weiLeftInEpochForRecipient(recipient)).to.be.bignumber.that.equals("0");
+			});
+			it("second user can send ETH to another recipient", async function() {
+				await faucet.withdrawEth(a4, 15, {from: user2});
+			});
+			describe("when the recipient has an override (20 wei)", function() {
+				beforeEach(async function() {
+					await faucet.setWeiLimitPerEpochForRecipient(recipient, 20, {from: a0});
+				});
+				it("second user can send up to the override", async function() {
+					await faucet.withdrawEth(recipient, 10, {from: user2});
+				});
+				it("second user cannot send more than the override", async function() {
+					await expectRevert(faucet.withdrawEth(recipient, 11, {from: user2}), "recipient allowance exceeded");
+				});
+			});
+			describe("when the recipient limit is lowered below the amount received (5 wei)", function() {
+				beforeEach(async function() {
+					await faucet.setRecipientWeiLimitPerEpoch(5, {from: a0});
+				});
+				it("wei left in epoch for a recipient 'weiLeftInEpochForRecipient' is zero", async function() {
+					expect(await faucet.weiLeftInEpochForRecipient(recipient)).to.be.bignumber.that.equals("0");
+				});
+				it("second user cannot send ETH to the recipient", async function() {
+					await expectRevert(faucet.withdrawEth(recipient, 1, {from: user2}), "recipient allowance exceeded");
+				});
+			});
+			describe("after the epoch switch", function() {
+				beforeEach(async function() {
+					// set the epoch length to the minimum possible value, so that new epoch begins every block
+					await faucet.setEpochParams(1, 100, {from: a0});
+					await mine(1);
+				});
+				it("wei left in epoch for a recipient 'weiLeftInEpochForRecipient' resets", async function() {
+					expect(await faucet.weiLeftInEpochForRecipient(recipient)).to.be.bignumber.that.equals("15");
+				});
+				it("it is possible to send the full recipient allowance again", async function() {
+					await faucet.withdrawEth(recipient, 15, {from: user2});
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,213 @@
+// The Faucet Tests: users and managers registry
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	or,
+	ROLE_FAUCET_USER,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_impl_deploy,
+	faucet_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet users and managers registry tests
+contract("The Faucet: users and managers registry", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3, a4] = accounts;
+
+	let faucet;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("deployer is the only user in the registry", async function() {
+			expect(await faucet.userCount()).to.be.bignumber.that.equals("1");
+			expect(await faucet.userAt(0)).to.equal(a0);
+		});
+		it("deployer is the only manager in the registry", async function() {
+			expect(await faucet.managerCount()).to.be.bignumber.that.equals("1");
+			expect(await faucet.managerAt(0)).to.equal(a0);
+		});
+		it("faucet itself (features) is not in the registry", async function() {
+			expect(await faucet.isOperatorInRole(faucet.address, ROLE_FAUCET_USER)).to.be.true;
+			expect(await faucet.getUsers(0, 10)).to.not.include(faucet.address);
+		});
+		it("'userAt' reverts when out of bounds", async function() {
+			await expectRevert.unspecified(faucet.userAt(1));
+		});
+		it("'managerAt' reverts when out of bounds", async function() {
+			await expectRevert.unspecified(faucet.managerAt(1));
+		});
+	});
+
+	describe("when the users are added via 'addUsers'", function() {
+		beforeEach(async function() {
+			await faucet.addUsers([a1, a2, a3], {from: a0});
+		});
+		it("user count 'userCount' increases", async function() {
+			expect(await faucet.userCount()).to.be.bignumber.that.equals("4");
+		});
+		it("users are enumerable via 'userAt'", async function() {
+			const users = [];
+			for(let i = 0; i < 4; i++) {
+				users.push(await faucet.userAt(i));
+			}
+			expect(users).to.have.members([a0, a1, a2, a3]);
+		});
+		it("manager count 'managerCount' doesn't change", async function() {
+			expect(await faucet.managerCount()).to.be.bignumber.that.equals("1");
+		});
+		it("adding the same users again doesn't duplicate them", async function() {
+			await faucet.addUsers([a1, a2], {from: a0});
+			expect(await faucet.userCount()).to.be.bignumber.that.equals("4");
+		});
+
+		describe("'getUsers' pagination", function() {
+			it("returns all the users when the page covers the registry", async function() {
+				expect(await faucet.getUsers(0, 4)).to.deep.equal([a0, a1, a2, a3]);
+			});
+			it("returns the page requested", async function() {
+				expect(await faucet.getUsers(1, 2)).to.deep.equal([a1, a2]);
+			});
+			it("clamps the page to the registry size", async function() {
+				expect(await faucet.getUsers(2, 100)).to.deep.equal([a2, a3]);
+			});
+			it("returns an empty page when offset is out of bounds", async function() {
+				expect(await faucet.getUsers(4, 10)).to.be.empty;
+			});
+			it("returns an empty page when limit is zero", async function() {
+				expect(await faucet.getUsers(0, 0)).to.be.empty;
+			});
+		});
+
+		describe("when the users are removed via 'removeUsers'", function() {
+			beforeEach(async function() {
+				await faucet.removeUsers([a2], {from: a0});
+			});
+			it("user count 'userCount' decreases", async function() {
+				expect(await faucet.userCount()).to.be.bignumber.that.equals("3");
+			});
+			it("removed user is not in the registry", async function() {
+				expect(await faucet.getUsers(0, 10)).to.have.members([a0, a1, a3]);
+			});
+		});
+	});
+
+	describe("when the roles are updated via 'updateRole' directly", function() {
+		beforeEach(async function() {
+			await faucet.addUsers([a1, a2], {from: a0});
+			await faucet.updateRole(a2, 0, {from: a0});
+			await faucet.updateRole(a3, or(ROLE_FAUCET_USER, ROLE_FAUCET_MANAGER), {from: a0});
+			await faucet.updateRole(a4, ROLE_FAUCET_MANAGER, {from: a0});
+		});
+		it("the roles granted are not in the registry until synchronized", async function() {
+			expect(await faucet.getUsers(0, 10)).to.not.include(a3);
+			expect(await faucet.getManagers(0, 10)).to.not.include.members([a3, a4]);
+		});
+		it("the registry size is not updated until synchronized", async function() {
+			expect(await faucet.userCount()).to.be.bignumber.that.equals("3");
+			expect(await faucet.managerCount()).to.be.bignumber.that.equals("1");
+		});
+		it("'getUsers' drops the user which role was revoked", async function() {
+			expect(await faucet.getUsers(0, 10)).to.deep.equal([a0, a1]);
+		});
+		it("'getUsers' page is shorter than the limit when it contains the revoked users", async function() {
+			expect(await faucet.getUsers(1, 2)).to.deep.equal([a1]);
+			expect(await faucet.getUsers(2, 1)).to.be.empty;
+		});
+		it("'userAt' returns zero address for the user which role was revoked", async function() {
+			expect(await faucet.userAt(1)).to.equal(a1);
+			expect(await faucet.userAt(2)).to.equal(ZERO_ADDRESS);
+		});
+		it("'getManagers' drops the manager which role was revoked", async function() {
+			await faucet.updateRole(a0, ROLE_FAUCET_USER, {from: a0});
+			expect(await faucet.getManagers(0, 10)).to.be.empty;
+		});
+		it("'managerAt' returns zero address for the manager which role was revoked", async function() {
+			await faucet.updateRole(a0, ROLE_FAUCET_USER, {from: a0});
+			expect(await faucet.managerAt(0)).to.equal(ZERO_ADDRESS);
+		});
+		describe("'syncRoles' synchronizes the registry", function() {
+			beforeEach(async function() {
+				// can be executed by anyone
+				await faucet.syncRoles([a2, a3, a4], {from: a1});
+			});
+			it("users registry is synchronized", async function() {
+				expect(await faucet.getUsers(0, 10)).to.have.members([a0, a1, a3]);
+			});
+			it("managers registry is synchronized", async function() {
+				expect(await faucet.getManagers(0, 10)).to.have.members([a0, a3, a4]);
+			});
+			it("'managerAt' enumerates the managers", async function() {
+				expect(await faucet.managerCount()).to.be.bignumber.that.equals("3");
+				expect([await faucet.managerAt(0), await faucet.managerAt(1), await faucet.managerAt(2)])
+					.to.have.members([a0, a3, a4]);
+			});
+			it("'getManagers' paginates the managers", async function() {
+				expect(await faucet.getManagers(1, 1)).to.have.lengthOf(1);
+				expect(await faucet.getManagers(3, 1)).to.be.empty;
+			});
+			it("synchronizing again doesn't change the registry", async function() {
+				await faucet.syncRoles([a0, a1, a2, a3, a4], {from: a1});
+				expect(await faucet.userCount()).to.be.bignumber.that.equals("3");
+				expect(await faucet.managerCount()).to.be.bignumber.that.equals("3");
+			});
+		});
+		it("'syncRoles' ignores the faucet itself", async function() {
+			await faucet.syncRoles([faucet.address], {from: a1});
+			expect(await faucet.getUsers(0, 10)).to.not.include(faucet.address);
+		});
+		it("'syncRoles' ignores the zero address", async function() {
+			await faucet.syncRoles([ZERO_ADDRESS], {from: a1});
+			expect(await faucet.getUsers(0, 10)).to.not.include(ZERO_ADDRESS);
+		});
+	});
+
+	describe("when the faucet is upgraded", function() {
+		let impl;
+		beforeEach(async function() {
+			await faucet.setEpochParams(3600, 12345, {from: a0});
+			await faucet.setTier(1, "QA", 0, 1, {from: a0});
+			await faucet.addUsers([a1, a2], {from: a0});
+			await faucet.setTierForUsers(1, [a1], {from: a0});
+
+			impl = await faucet_impl_deploy(a0);
+			await faucet.upgradeTo(impl.address, {from: a0});
+		});
+		it("the implementation is updated", async function() {
+			expect(await faucet.getImplementation()).to.equal(impl.address);
+		});
+		it("epoch params are preserved", async function() {
+			expect(await faucet.epochLength()).to.be.bignumber.that.equals("3600");
+			expect(await faucet.weiLimitPerEpoch()).to.be.bignumber.that.equals("12345");
+		});
+		it("tiers are preserved", async function() {
+			expect(await faucet.userTiers(a1)).to.be.bignumber.that.equals("1");
+			expect(await faucet.getTierMembers(1)).to.deep.equal([a1]);
+		});
+		it("the registry is preserved", async function() {
+			expect(await faucet.getUsers(0, 10)).to.deep.equal([a0, a1, a2]);
+		});
+	});
+});
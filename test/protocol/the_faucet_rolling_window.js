@@ -0,0 +1,256 @@
+// The Faucet Tests: rolling window throttling mode
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	not,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	mintable_noop_deploy,
+} = require("./include/deployment_routines");
+
+// throttling modes
+const THROTTLING_MODE_FIXED_EPOCH = 0;
+const THROTTLING_MODE_ROLLING_WINDOW = 1;
+
+// run The Faucet rolling window throttling mode tests
+contract("The Faucet: rolling window throttling mode", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("throttling mode 'throttlingMode' is fixed epoch initially", async function() {
+			expect(await faucet.throttlingMode()).to.be.bignumber.that.equals(THROTTLING_MODE_FIXED_EPOCH + "");
+		});
+		it("fixed epoch throttling mode constant is correct", async function() {
+			expect(await faucet.THROTTLING_MODE_FIXED_EPOCH()).to.be.bignumber.that.equals(THROTTLING_MODE_FIXED_EPOCH + "");
+		});
+		it("rolling window throttling mode constant is correct", async function() {
+			expect(await faucet.THROTTLING_MODE_ROLLING_WINDOW()).to.be.bignumber.that.equals(THROTTLING_MODE_ROLLING_WINDOW + "");
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+
+		const setThrottlingMode = async () => faucet.setThrottlingMode(THROTTLING_MODE_ROLLING_WINDOW, {from: operator});
+		describe("when executed not by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+			});
+			it("'setThrottlingMode' reverts", async function() {
+				await expectRevert(setThrottlingMode(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("'setThrottlingMode' doesn't revert", async function() {
+				await setThrottlingMode();
+			});
+		});
+	});
+
+	describe("faucet manager ROLE_FAUCET_MANAGER flows", function() {
+		describe("updating the throttling mode, 'setThrottlingMode'", function() {
+			it("fails if the mode is not supported", async function() {
+				await expectRevert(faucet.setThrottlingMode(2, {from: a0}), "invalid throttling mode");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await faucet.setThrottlingMode(THROTTLING_MODE_ROLLING_WINDOW, {from: a0});
+				});
+				it("'ThrottlingModeUpdated' event is emitted", async function() {
+					expectEvent(receipt, "ThrottlingModeUpdated", {mode: THROTTLING_MODE_ROLLING_WINDOW + ""});
+				});
+				it("throttling mode 'throttlingMode' is updated correctly", async function() {
+					expect(await faucet.throttlingMode()).to.be.bignumber.that.equals(THROTTLING_MODE_ROLLING_WINDOW + "");
+				});
+			});
+		});
+	});
+
+	// epoch length is 1 day, the limit is 1 wei per second, so that the expected
+	// values in the rolling window mode are equal to the number of seconds passed
+	const EPOCH_LENGTH = 86_400;
+	const LIMIT = 86_400;
+
+	describe("withdrawing the full limit just before the epoch boundary", function() {
+		const user = a1;
+		const to = a3;
+		let boundary;
+		async function withdraw_before_boundary() {
+			// the next epoch boundary, leaving enough time to withdraw before it
+			const now = await time.latest() + 60;
+			boundary = now - now % EPOCH_LENGTH + EPOCH_LENGTH;
+
+			// withdraw the full limit 10 seconds before the boundary
+			await time.setNextBlockTimestamp(boundary - 10);
+			await faucet.withdrawEth(to, LIMIT, {from: user});
+		}
+		beforeEach(async function() {
+			await faucet.setEpochParams(EPOCH_LENGTH, LIMIT, {from: a0});
+			await faucet.addUsers([user], {from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value: LIMIT * 10});
+		});
+
+		describe("in the fixed epoch mode", function() {
+			beforeEach(async function() {
+				await withdraw_before_boundary();
+			});
+			it("wei left in epoch for a user 'weiLeftInEpochForUser' is zero before the boundary", async function() {
+				expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals("0");
+			});
+			describe("just after the epoch boundary", function() {
+				beforeEach(async function() {
+					await time.increaseTo(boundary + 10);
+				});
+				it("wei left in epoch for a user 'weiLeftInEpochForUser' resets to the full limit", async function() {
+					expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals(LIMIT + "");
+				});
+				it("it is possible to withdraw the full limit again (limit is doubled within 20 seconds)", async function() {
+					await faucet.withdrawEth(to, LIMIT, {from: user});
+				});
+			});
+		});
+
+		describe("in the rolling window mode", function() {
+			beforeEach(async function() {
+				await faucet.setThrottlingMode(THROTTLING_MODE_ROLLING_WINDOW, {from: a0});
+				await withdraw_before_boundary();
+			});
+			it("wei left in epoch for a user 'weiLeftInEpochForUser' is zero before the boundary", async function() {
+				expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals("0");
+			});
+			describe("just after the epoch boundary", function() {
+				beforeEach(async function() {
+					await time.increaseTo(boundary + 10);
+				});
+				it("wei left in epoch for a user 'weiLeftInEpochForUser' is restored only partially", async function() {
+					expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals("20");
+				});
+				it("wei withdrawn in epoch for a user 'weiWithdrawnInCurrentEpoch' is not reset", async function() {
+					expect(await faucet.weiWithdrawnInCurrentEpoch(user)).to.be.bignumber.that.equals(LIMIT - 20 + "");
+				});
+				it("it is not possible to withdraw the full limit again", async function() {
+					await expectRevert(faucet.withdrawEth(to, LIMIT, {from: user}), "allowance exceeded");
+				});
+			});
+			describe("half an epoch after the withdrawal", function() {
+				beforeEach(async function() {
+					await time.increaseTo(boundary - 10 + EPOCH_LENGTH / 2);
+				});
+				it("wei left in epoch for a user 'weiLeftInEpochForUser' is half of the limit", async function() {
+					expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals(LIMIT / 2 + "");
+				});
+				describe("after withdrawing the half of the limit", function() {
+					beforeEach(async function() {
+						await time.setNextBlockTimestamp(boundary - 10 + EPOCH_LENGTH / 2 + 1);
+						await faucet.withdrawEth(to, LIMIT / 2, {from: user});
+					});
+					it("wei left in epoch for a user 'weiLeftInEpochForUser' is what was restored since the last withdrawal", async function() {
+						expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals("1");
+					});
+					it("user stats record the amount not yet restored", async function() {
+						const stat = await faucet.withdrawalStats(user);
+						expect(stat.weiWithdrawn).to.be.bignumber.that.equals(LIMIT - 1 + "");
+					});
+				});
+			});
+			describe("full epoch after the withdrawal", function() {
+				beforeEach(async function() {
+					await time.increaseTo(boundary - 10 + EPOCH_LENGTH);
+				});
+				it("wei left in epoch for a user 'weiLeftInEpochForUser' is fully restored", async function() {
+					expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals(LIMIT + "");
+				});
+				it("it is possible to withdraw the full limit again", async function() {
+					await faucet.withdrawEth(to, LIMIT, {from: user});
+				});
+			});
+			describe("after switching back to the fixed epoch mode", function() {
+				beforeEach(async function() {
+					await faucet.setThrottlingMode(THROTTLING_MODE_FIXED_EPOCH, {from: a0});
+					await time.increaseTo(boundary + 10);
+				});
+				it("wei left in epoch for a user 'weiLeftInEpochForUser' resets at the epoch boundary", async function() {
+					expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals(LIMIT + "");
+				});
+			});
+		});
+	});
+
+	describe("rolling window mode applies to the recipient-side throttling", function() {
+		const user1 = a1;
+		const user2 = a2;
+		const recipient = a3;
+		let ts;
+		beforeEach(async function() {
+			await faucet.setEpochParams(EPOCH_LENGTH, LIMIT, {from: a0});
+			await faucet.setRecipientWeiLimitPerEpoch(LIMIT, {from: a0});
+			await faucet.setThrottlingMode(THROTTLING_MODE_ROLLING_WINDOW, {from: a0});
+			await faucet.addUsers([user1, user2], {from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value: LIMIT * 10});
+			await faucet.withdrawEth(recipient, LIMIT, {from: user1});
+			ts = await time.latest();
+			await time.increaseTo(ts + 3_600);
+		});
+		it("wei left in epoch for a recipient 'weiLeftInEpochForRecipient' is restored partially", async function() {
+			expect(await faucet.weiLeftInEpochForRecipient(recipient)).to.be.bignumber.that.equals("3600");
+		});
+		it("another user cannot send more than restored", async function() {
+			await expectRevert(faucet.withdrawEth(recipient, 3_602, {from: user2}), "recipient allowance exceeded");
+		});
+	});
+
+	describe("rolling window mode applies to the mint throttling", function() {
+		const user = a1;
+		const to = a3;
+		let mintable, ts;
+		beforeEach(async function() {
+			mintable = await mintable_noop_deploy(a0);
+			await faucet.setEpochParams(EPOCH_LENGTH, LIMIT, {from: a0});
+			await faucet.setMintTarget(mintable.address, LIMIT, {from: a0});
+			await faucet.setThrottlingMode(THROTTLING_MODE_ROLLING_WINDOW, {from: a0});
+			await faucet.addUsers([user], {from: a0});
+			await faucet.mint(mintable.address, to, LIMIT, {from: user});
+			ts = await time.latest();
+			await time.increaseTo(ts + 3_600);
+		});
+		it("mint left in epoch for a user 'mintLeftInEpochForUser' is restored partially", async function() {
+			expect(await faucet.mintLeftInEpochForUser(mintable.address, user)).to.be.bignumber.that.equals("3600");
+		});
+		it("user cannot mint more than restored", async function() {
+			await expectRevert(faucet.mint(mintable.address, to, 3_602, {from: user}), "mint allowance exceeded");
+		});
+	});
+});
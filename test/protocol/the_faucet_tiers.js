@@ -0,0 +1,321 @@
+// The Faucet Tests: tier-based limits
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	mine,
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// ACL features and roles
+const {
+	not,
+	ROLE_FAUCET_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet tier-based limits tests
+contract("The Faucet: tier-based limits", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3, a4] = accounts;
+
+	let faucet;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+	});
+
+	describe("when faucet is deployed", function() {
+		it("tier count 'tierCount' is zero", async function() {
+			expect(await faucet.tierCount()).to.be.bignumber.that.equals("0");
+		});
+		it("tiers list 'getTiers' is empty", async function() {
+			expect(await faucet.getTiers()).to.be.empty;
+		});
+		it("user doesn't belong to any tier 'userTiers'", async function() {
+			expect(await faucet.userTiers(a1)).to.be.bignumber.that.equals("0");
+		});
+		it("epoch length for a user 'epochLengthForUser' is the global one", async function() {
+			expect(await faucet.epochLengthForUser(a1)).to.be.bignumber.that.equals(await faucet.epochLength());
+		});
+	});
+
+	describe("ACL", function() {
+		const operator = a1;
+
+		const setTier = async () => faucet.setTier(1, "QA", 0, 1, {from: operator});
+		const setTierForUsers = async () => faucet.setTierForUsers(0, [a2], {from: operator});
+		describe("when executed not by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, not(ROLE_FAUCET_MANAGER), {from: a0});
+			});
+			it("'setTier' reverts", async function() {
+				await expectRevert(setTier(), "access denied");
+			});
+			it("'setTierForUsers' reverts", async function() {
+				await expectRevert(setTierForUsers(), "access denied");
+			});
+		});
+		describe("when executed by ROLE_FAUCET_MANAGER", function() {
+			beforeEach(async function() {
+				await faucet.updateRole(operator, ROLE_FAUCET_MANAGER, {from: a0});
+			});
+			it("'setTier' doesn't revert", async function() {
+				await setTier();
+			});
+			it("'setTierForUsers' doesn't revert", async function() {
+				await setTierForUsers();
+			});
+		});
+	});
+
+	describe("faucet manager ROLE_FAUCET_MANAGER flows", function() {
+		describe("creating the tier, 'setTier'", function() {
+			it("fails if tier ID is zero", async function() {
+				await expectRevert(faucet.setTier(0, "QA", 0, 1, {from: a0}), "invalid tier");
+			});
+			it("fails if tier ID is not the next one", async function() {
+				await expectRevert(faucet.setTier(2, "QA", 0, 1, {from: a0}), "invalid tier");
+			});
+			it("fails if tier name is not set", async function() {
+				await expectRevert(faucet.setTier(1, "", 0, 1, {from: a0}), "tier name not set");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await faucet.setTier(1, "QA", 3600, 500, {from: a0});
+				});
+				it("'TierUpdated' event is emitted", async function() {
+					expectEvent(receipt, "TierUpdated", {
+						tierId: "1",
+						name: "QA",
+						epochLength: "3600",
+						weiLimitPerEpoch: "500",
+					});
+				});
+				it("tier count 'tierCount' increases", async function() {
+					expect(await faucet.tierCount()).to.be.bignumber.that.equals("1");
+				});
+				it("tier 'tiers' is recorded correctly", async function() {
+					const tier = await faucet.tiers(1);
+					expect(tier.name).to.equal("QA");
+					expect(tier.epochLength).to.be.bignumber.that.equals("3600");
+					expect(tier.weiLimitPerEpoch).to.be.bignumber.that.equals("500");
+				});
+				it("tiers list 'getTiers' contains the tier", async function() {
+					const tiers = await faucet.getTiers();
+					expect(tiers.length).to.equal(1);
+					expect(tiers[0].name).to.equal("QA");
+				});
+				it("next tier can be created", async function() {
+					await faucet.setTier(2, "CI bots", 0, 0, {from: a0});
+					expect((await faucet.getTiers()).map(tier => tier.name)).to.deep.equal(["QA", "CI bots"]);
+				});
+				describe("updating the tier", function() {
+					beforeEach(async function() {
+						receipt = await faucet.setTier(1, "Backend", 0, 700, {from: a0});
+					});
+					it("'TierUpdated' event is emitted", async function() {
+						expectEvent(receipt, "TierUpdated", {tierId: "1", name: "Backend", epochLength: "0", weiLimitPerEpoch: "700"});
+					});
+					it("tier count 'tierCount' doesn't change", async function() {
+						expect(await faucet.tierCount()).to.be.bignumber.that.equals("1");
+					});
+					it("tier 'tiers' is updated correctly", async function() {
+						const tier = await faucet.tiers(1);
+						expect(tier.name).to.equal("Backend");
+						expect(tier.epochLength).to.be.bignumber.that.equals("0");
+						expect(tier.weiLimitPerEpoch).to.be.bignumber.that.equals("700");
+					});
+				});
+			});
+		});
+		describe("assigning the users to the tier, 'setTierForUsers'", function() {
+			beforeEach(async function() {
+				await faucet.setTier(1, "QA", 0, 500, {from: a0});
+				await faucet.setTier(2, "CI bots", 0, 700, {from: a0});
+			});
+			it("fails if the tier doesn't exist", async function() {
+				await expectRevert(faucet.setTierForUsers(3, [a1], {from: a0}), "invalid tier");
+			});
+			it("fails if user address is not set (zero)", async function() {
+				await expectRevert(faucet.setTierForUsers(1, [ZERO_ADDRESS], {from: a0}), "user address not set");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await faucet.setTierForUsers(1, [a1, a2, a3], {from: a0});
+				});
+				it("'UserTierUpdated' events are emitted", async function() {
+					for(const userAddress of [a1, a2, a3]) {
+						expectEvent(receipt, "UserTierUpdated", {userAddress, tierId: "1"});
+					}
+				});
+				it("user tier 'userTiers' is updated", async function() {
+					expect(await faucet.userTiers(a1)).to.be.bignumber.that.equals("1");
+				});
+				it("tier members 'getTierMembers' contain the users", async function() {
+					expect(await faucet.getTierMembers(1)).to.deep.equal([a1, a2, a3]);
+				});
+				describe("moving the user to another tier", function() {
+					beforeEach(async function() {
+						await faucet.setTierForUsers(2, [a1], {from: a0});
+					});
+					it("user tier 'userTiers' is updated", async function() {
+						expect(await faucet.userTiers(a1)).to.be.bignumber.that.equals("2");
+					});
+					it("user is removed from the previous tier members 'getTierMembers'", async function() {
+						expect(await faucet.getTierMembers(1)).to.deep.equal([a3, a2]);
+					});
+					it("user is added to the new tier members 'getTierMembers'", async function() {
+						expect(await faucet.getTierMembers(2)).to.deep.equal([a1]);
+					});
+				});
+				describe("assigning the user to the same tier again", function() {
+					beforeEach(async function() {
+						await faucet.setTierForUsers(1, [a3], {from: a0});
+					});
+					it("tier members 'getTierMembers' don't contain duplicates", async function() {
+						expect(await faucet.getTierMembers(1)).to.have.members([a1, a2, a3]);
+						expect((await faucet.getTierMembers(1)).length).to.equal(3);
+					});
+				});
+				describe("removing the users from the tier (tier ID zero)", function() {
+					beforeEach(async function() {
+						receipt = await faucet.setTierForUsers(0, [a2, a4], {from: a0});
+					});
+					it("'UserTierUpdated' event is emitted", async function() {
+						expectEvent(receipt, "UserTierUpdated", {userAddress: a2, tierId: "0"});
+					});
+					it("user tier 'userTiers' is reset", async function() {
+						expect(await faucet.userTiers(a2)).to.be.bignumber.that.equals("0");
+					});
+					it("user is removed from the tier members 'getTierMembers'", async function() {
+						expect(await faucet.getTierMembers(1)).to.deep.equal([a1, a3]);
+					});
+				});
+			});
+		});
+	});
+
+	describe("effective limits resolution: override > tier > global", function() {
+		beforeEach(async function() {
+			await faucet.setEpochParams(86400, 100, {from: a0});
+			await faucet.setTier(1, "QA", 3600, 500, {from: a0});
+			await faucet.setTier(2, "CI bots", 0, 0, {from: a0});
+			await faucet.setTierForUsers(1, [a1, a2], {from: a0});
+			await faucet.setTierForUsers(2, [a3], {from: a0});
+			await faucet.setWeiLimitPerEpochForUser(a2, 1_000, {from: a0});
+		});
+		it("user not in a tier gets the global limit", async function() {
+			expect(await faucet.weiLimitPerEpochForUser(a4)).to.be.bignumber.that.equals("100");
+		});
+		it("tier member gets the tier limit", async function() {
+			expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals("500");
+		});
+		it("tier member having an override gets the override", async function() {
+			expect(await faucet.weiLimitPerEpochForUser(a2)).to.be.bignumber.that.equals("1000");
+		});
+		it("member of the tier having no limit set gets the global limit", async function() {
+			expect(await faucet.weiLimitPerEpochForUser(a3)).to.be.bignumber.that.equals("100");
+		});
+		it("tier member gets the tier epoch length", async function() {
+			expect(await faucet.epochLengthForUser(a1)).to.be.bignumber.that.equals("3600");
+		});
+		it("member of the tier having no epoch length set gets the global epoch length", async function() {
+			expect(await faucet.epochLengthForUser(a3)).to.be.bignumber.that.equals("86400");
+		});
+		it("user removed from the tier gets the global limit back", async function() {
+			await faucet.setTierForUsers(0, [a1], {from: a0});
+			expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals("100");
+			expect(await faucet.epochLengthForUser(a1)).to.be.bignumber.that.equals("86400");
+		});
+		it("tier limit update applies to all the tier members", async function() {
+			await faucet.setTier(1, "QA", 3600, 600, {from: a0});
+			expect(await faucet.weiLimitPerEpochForUser(a1)).to.be.bignumber.that.equals("600");
+		});
+	});
+
+	describe("withdrawing ETH as a tier member (500 wei per 1 hour)", function() {
+		const user = a1;
+		const to = a4;
+		beforeEach(async function() {
+			await faucet.addUsers([user, a2], {from: a0});
+			await faucet.setEpochParams(86400, 100, {from: a0});
+			await faucet.setTier(1, "QA", 3600, 500, {from: a0});
+			await faucet.setTierForUsers(1, [user], {from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value: 1_000});
+			// move to the beginning of the day to make sure both hour and day epochs don't switch
+			await time.increaseTo(Math.ceil((await time.latest() + 60) / 86400) * 86400);
+		});
+		it("fails if the user requests more than the tier limit", async function() {
+			await expectRevert(faucet.withdrawEth(to, 501, {from: user}), "allowance exceeded");
+		});
+		it("user not in a tier is limited by the global limit", async function() {
+			await expectRevert(faucet.withdrawEth(to, 101, {from: a2}), "allowance exceeded");
+		});
+		describe("succeeds otherwise", function() {
+			beforeEach(async function() {
+				await faucet.withdrawEth(to, 500, {from: user});
+			});
+			it("ETH left in epoch for a user 'weiLeftInEpochForUser' is zero", async function() {
+				expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals("0");
+			});
+			describe("after the tier epoch switch (1 hour)", function() {
+				beforeEach(async function() {
+					await time.increase(3600);
+				});
+				it("ETH left in epoch for a user 'weiLeftInEpochForUser' resets", async function() {
+					expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals("500");
+				});
+				it("it is possible to withdraw the full tier limit again", async function() {
+					await faucet.withdrawEth(to, 500, {from: user});
+				});
+			});
+			describe("after the tier limit is lowered below the amount withdrawn (same epoch)", function() {
+				beforeEach(async function() {
+					await faucet.setTier(1, "QA", 3600, 200, {from: a0});
+				});
+				it("nothing is left in the epoch 'weiLeftInEpochForUser'", async function() {
+					expect(await faucet.weiLeftInEpochForUser(user)).to.be.bignumber.that.equals("0");
+				});
+				it("'withdrawEth' reverts with 'allowance exceeded'", async function() {
+					await expectRevert(faucet.withdrawEth(to, 1, {from: user}), "allowance exceeded");
+				});
+			});
+			describe("in the rolling window mode", function() {
+				beforeEach(async function() {
+					await faucet.setThrottlingMode(1, {from: a0});
+				});
+				it("tier limit is restored at the rate of the tier limit per tier epoch length", async function() {
+					await time.increase(1800);
+					await mine(1);
+					const left = await faucet.weiLeftInEpochForUser(user);
+					expect(left).to.be.bignumber.that.is.at.least("249");
+					expect(left).to.be.bignumber.that.is.at.most("251");
+				});
+			});
+		});
+	});
+});
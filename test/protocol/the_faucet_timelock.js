@@ -0,0 +1,316 @@
+// The Faucet Tests: timelock feature restricting the sensitive parameter changes and upgrades
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_MANAGER,
+	ROLE_FAUCET_USER,
+	ROLE_UPGRADE_MANAGER,
+	ROLE_TIMELOCK,
+	FEATURE_PAUSED,
+	FEATURE_TIMELOCK,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	faucet_impl_deploy,
+	faucet_deploy,
+} = require("./include/deployment_routines");
+
+// run The Faucet timelock feature tests
+contract("The Faucet: timelock feature", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2] = accounts;
+
+	// faucet manager (and upgrade manager) not having the timelock permission, and the timelock itself
+	const manager = a1;
+	const timelock = a2;
+
+	let faucet;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		await faucet.updateRole(manager, or(ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER), {from: a0});
+		await faucet.updateRole(timelock, or(ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER, ROLE_TIMELOCK), {from: a0});
+		await faucet.setBudgetsPerEpoch(1000, 100, {from: a0});
+	});
+
+	it("timelock feature 'FEATURE_TIMELOCK' is correct", async function() {
+		expect(await faucet.FEATURE_TIMELOCK()).to.be.bignumber.that.equals(FEATURE_TIMELOCK + "");
+	});
+	it("timelock role 'ROLE_TIMELOCK' is correct", async function() {
+		expect(await faucet.ROLE_TIMELOCK()).to.be.bignumber.that.equals(ROLE_TIMELOCK + "");
+	});
+	it("timelock is disabled initially", async function() {
+		expect(await faucet.isFeatureEnabled(FEATURE_TIMELOCK)).to.be.false;
+	});
+
+	describe("when the timelock is disabled", function() {
+		it("faucet manager can increase the ETH limit", async function() {
+			await faucet.setEpochParams(86400, web3.utils.toWei("20", "ether"), {from: manager});
+			expect(await faucet.weiLimitPerEpoch()).to.be.bignumber.that.equals(web3.utils.toWei("20", "ether"));
+		});
+		it("faucet manager can change the epoch length", async function() {
+			await faucet.setEpochParams(3600, web3.utils.toWei("10", "ether"), {from: manager});
+			expect(await faucet.epochLength()).to.be.bignumber.that.equals("3600");
+		});
+		it("faucet manager can increase the budgets", async function() {
+			await faucet.setBudgetsPerEpoch(2000, 200, {from: manager});
+			expect(await faucet.weiBudgetPerEpoch()).to.be.bignumber.that.equals("2000");
+			expect(await faucet.mintBudgetPerEpoch()).to.be.bignumber.that.equals("200");
+		});
+		it("upgrade manager can upgrade the faucet", async function() {
+			const impl = await faucet_impl_deploy(a0);
+			await faucet.upgradeTo(impl.address, {from: manager});
+			expect(await faucet.getImplementation()).to.equal(impl.address);
+		});
+	});
+
+	describe("when the timelock is enabled", function() {
+		beforeEach(async function() {
+			await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_TIMELOCK), {from: a0});
+		});
+
+		describe("setting the epoch params, 'setEpochParams'", function() {
+			it("ETH limit increase fails if executed not by the timelock", async function() {
+				await expectRevert(
+					faucet.setEpochParams(86400, web3.utils.toWei("20", "ether"), {from: manager}),
+					"access denied"
+				);
+			});
+			it("epoch length change fails if executed not by the timelock", async function() {
+				await expectRevert(
+					faucet.setEpochParams(3600, web3.utils.toWei("10", "ether"), {from: manager}),
+					"access denied"
+				);
+			});
+			it("epoch length change fails even if the ETH limit is decreased", async function() {
+				await expectRevert(
+					faucet.setEpochParams(3600, web3.utils.toWei("1", "ether"), {from: manager}),
+					"access denied"
+				);
+			});
+			it("ETH limit decrease is immediate", async function() {
+				const receipt = await faucet.setEpochParams(86400, web3.utils.toWei("1", "ether"), {from: manager});
+				expectEvent(receipt, "EpochParamsUpdated", {epochLength: "86400", weiLimitPerEpoch: web3.utils.toWei("1", "ether")});
+			});
+			it("same params can be set", async function() {
+				await faucet.setEpochParams(86400, web3.utils.toWei("10", "ether"), {from: manager});
+				expect(await faucet.weiLimitPerEpoch()).to.be.bignumber.that.equals(web3.utils.toWei("10", "ether"));
+			});
+			it("ETH limit increase and epoch length change succeed if executed by the timelock", async function() {
+				await faucet.setEpochParams(3600, web3.utils.toWei("20", "ether"), {from: timelock});
+				expect(await faucet.epochLength()).to.be.bignumber.that.equals("3600");
+				expect(await faucet.weiLimitPerEpoch()).to.be.bignumber.that.equals(web3.utils.toWei("20", "ether"));
+			});
+		});
+
+		describe("setting the budgets, 'setBudgetsPerEpoch'", function() {
+			it("ETH budget increase fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.setBudgetsPerEpoch(1001, 100, {from: manager}), "access denied");
+			});
+			it("mint budget increase fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.setBudgetsPerEpoch(1000, 101, {from: manager}), "access denied");
+			});
+			it("disabling the ETH budget fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.setBudgetsPerEpoch(0, 100, {from: manager}), "access denied");
+			});
+			it("disabling the mint budget fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.setBudgetsPerEpoch(1000, 0, {from: manager}), "access denied");
+			});
+			it("budgets decrease is immediate", async function() {
+				const receipt = await faucet.setBudgetsPerEpoch(999, 99, {from: manager});
+				expectEvent(receipt, "BudgetsPerEpochUpdated", {weiBudgetPerEpoch: "999", mintBudgetPerEpoch: "99"});
+			});
+			it("budgets increase succeeds if executed by the timelock", async function() {
+				await faucet.setBudgetsPerEpoch(0, 200, {from: timelock});
+				expect(await faucet.weiBudgetPerEpoch()).to.be.bignumber.that.equals("0");
+				expect(await faucet.mintBudgetPerEpoch()).to.be.bignumber.that.equals("200");
+			});
+			describe("when the budgets are disabled", function() {
+				beforeEach(async function() {
+					await faucet.setBudgetsPerEpoch(0, 0, {from: timelock});
+				});
+				it("enabling the budgets is immediate", async function() {
+					await faucet.setBudgetsPerEpoch(1, 1, {from: manager});
+					expect(await faucet.weiBudgetPerEpoch()).to.be.bignumber.that.equals("1");
+					expect(await faucet.mintBudgetPerEpoch()).to.be.bignumber.that.equals("1");
+				});
+			});
+		});
+
+		describe("upgrading the faucet, 'upgradeTo'", function() {
+			let impl;
+			beforeEach(async function() {
+				impl = await faucet_impl_deploy(a0);
+			});
+			it("fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.upgradeTo(impl.address, {from: manager}), "access denied");
+			});
+			it("fails if executed by the timelock not having ROLE_UPGRADE_MANAGER", async function() {
+				await faucet.updateRole(timelock, or(ROLE_FAUCET_MANAGER, ROLE_TIMELOCK), {from: a0});
+				await expectRevert(faucet.upgradeTo(impl.address, {from: timelock}), "AccessDenied()");
+			});
+			it("succeeds if executed by the timelock", async function() {
+				await faucet.upgradeTo(impl.address, {from: timelock});
+				expect(await faucet.getImplementation()).to.equal(impl.address);
+			});
+		});
+
+		it("pausing the faucet is immediate", async function() {
+			await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_TIMELOCK, FEATURE_PAUSED), {from: a0});
+			expect(await faucet.isPaused()).to.be.true;
+		});
+
+		describe("setting the user ETH limit, 'setWeiLimitPerEpochForUser'", function() {
+			it("user limit increase fails if executed not by the timelock", async function() {
+				await expectRevert(
+					faucet.setWeiLimitPerEpochForUser(a0, web3.utils.toWei("100", "ether"), {from: manager}),
+					"access denied"
+				);
+			});
+			it("temporary user limit increase fails if executed not by the timelock", async function() {
+				const expiresAt = (await time.latest()) + 3600;
+				await expectRevert(
+					faucet.setWeiLimitPerEpochForUserWithExpiry(a0, web3.utils.toWei("100", "ether"), expiresAt, {from: manager}),
+					"access denied"
+				);
+			});
+			it("user limit decrease is immediate", async function() {
+				await faucet.setWeiLimitPerEpochForUser(a0, web3.utils.toWei("1", "ether"), {from: manager});
+				expect(await faucet.weiLimitPerEpochForUser(a0)).to.be.bignumber.that.equals(web3.utils.toWei("1", "ether"));
+			});
+			it("user limit increase succeeds if executed by the timelock", async function() {
+				await faucet.setWeiLimitPerEpochForUser(a0, web3.utils.toWei("100", "ether"), {from: timelock});
+				expect(await faucet.weiLimitPerEpochForUser(a0)).to.be.bignumber.that.equals(web3.utils.toWei("100", "ether"));
+			});
+			describe("when the user limit is decreased", function() {
+				beforeEach(async function() {
+					await faucet.setWeiLimitPerEpochForUser(a0, web3.utils.toWei("1", "ether"), {from: manager});
+				});
+				it("removing the override fails if executed not by the timelock", async function() {
+					await expectRevert(faucet.setWeiLimitPerEpochForUser(a0, 0, {from: manager}), "access denied");
+				});
+			});
+		});
+
+		describe("setting the tier, 'setTier'", function() {
+			beforeEach(async function() {
+				await faucet.setTier(1, "Gold", 0, web3.utils.toWei("1", "ether"), {from: manager});
+			});
+			it("new tier creation is immediate", async function() {
+				await faucet.setTier(2, "Platinum", 3600, web3.utils.toWei("100", "ether"), {from: manager});
+				expect(await faucet.tierCount()).to.be.bignumber.that.equals("2");
+			});
+			it("tier limit increase fails if executed not by the timelock", async function() {
+				await expectRevert(
+					faucet.setTier(1, "Gold", 0, web3.utils.toWei("100", "ether"), {from: manager}),
+					"access denied"
+				);
+			});
+			it("resetting the tier limit to the higher global one fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.setTier(1, "Gold", 0, 0, {from: manager}), "access denied");
+			});
+			it("tier epoch length change fails if executed not by the timelock", async function() {
+				await expectRevert(
+					faucet.setTier(1, "Gold", 3600, web3.utils.toWei("1", "ether"), {from: manager}),
+					"access denied"
+				);
+			});
+			it("tier limit decrease and renaming are immediate", async function() {
+				const receipt = await faucet.setTier(1, "Silver", 0, web3.utils.toWei("0.5", "ether"), {from: manager});
+				expectEvent(receipt, "TierUpdated", {tierId: "1", name: "Silver", epochLength: "0", weiLimitPerEpoch: web3.utils.toWei("0.5", "ether")});
+			});
+			it("tier limit increase succeeds if executed by the timelock", async function() {
+				await faucet.setTier(1, "Gold", 3600, web3.utils.toWei("100", "ether"), {from: timelock});
+				const tier = await faucet.tiers(1);
+				expect(tier.weiLimitPerEpoch).to.be.bignumber.that.equals(web3.utils.toWei("100", "ether"));
+			});
+		});
+
+		describe("assigning the users to the tier, 'setTierForUsers'", function() {
+			beforeEach(async function() {
+				await faucet.setTier(1, "Bronze", 0, web3.utils.toWei("1", "ether"), {from: manager});
+				await faucet.setTier(2, "Platinum", 0, web3.utils.toWei("100", "ether"), {from: manager});
+				await faucet.setTier(3, "Hourly", 3600, web3.utils.toWei("1", "ether"), {from: manager});
+			});
+			it("moving the user to the tier with a lower limit is immediate", async function() {
+				await faucet.setTierForUsers(1, [a0], {from: manager});
+				expect(await faucet.weiLimitPerEpochForUser(a0)).to.be.bignumber.that.equals(web3.utils.toWei("1", "ether"));
+			});
+			it("moving the user to the tier with a higher limit fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.setTierForUsers(2, [a0], {from: manager}), "access denied");
+			});
+			it("moving the user to the tier with a different epoch length fails if executed not by the timelock", async function() {
+				await expectRevert(faucet.setTierForUsers(3, [a0], {from: manager}), "access denied");
+			});
+			it("moving the user to the tier with a higher limit succeeds if executed by the timelock", async function() {
+				await faucet.setTierForUsers(2, [a0], {from: timelock});
+				expect(await faucet.weiLimitPerEpochForUser(a0)).to.be.bignumber.that.equals(web3.utils.toWei("100", "ether"));
+			});
+			describe("when the user belongs to the tier with a lower limit", function() {
+				beforeEach(async function() {
+					await faucet.setTierForUsers(1, [a0], {from: manager});
+				});
+				it("removing the user from the tier fails if executed not by the timelock", async function() {
+					await expectRevert(faucet.setTierForUsers(0, [a0], {from: manager}), "access denied");
+				});
+			});
+		});
+
+		describe("setting the recipient ETH limit, 'setRecipientWeiLimitPerEpoch'", function() {
+			it("enabling the recipient throttling is immediate", async function() {
+				await faucet.setRecipientWeiLimitPerEpoch(web3.utils.toWei("100", "ether"), {from: manager});
+				expect(await faucet.recipientWeiLimitPerEpoch()).to.be.bignumber.that.equals(web3.utils.toWei("100", "ether"));
+			});
+			describe("when the recipient throttling is enabled", function() {
+				beforeEach(async function() {
+					await faucet.setRecipientWeiLimitPerEpoch(web3.utils.toWei("100", "ether"), {from: manager});
+				});
+				it("recipient limit increase fails if executed not by the timelock", async function() {
+					await expectRevert(
+						faucet.setRecipientWeiLimitPerEpoch(web3.utils.toWei("200", "ether"), {from: manager}),
+						"access denied"
+					);
+				});
+				it("disabling the recipient throttling fails if executed not by the timelock", async function() {
+					await expectRevert(faucet.setRecipientWeiLimitPerEpoch(0, {from: manager}), "access denied");
+				});
+				it("recipient override increase fails if executed not by the timelock", async function() {
+					await expectRevert(
+						faucet.setWeiLimitPerEpochForRecipient(a0, web3.utils.toWei("200", "ether"), {from: manager}),
+						"access denied"
+					);
+				});
+				it("recipient limit decrease is immediate", async function() {
+					await faucet.setRecipientWeiLimitPerEpoch(web3.utils.toWei("50", "ether"), {from: manager});
+					await faucet.setWeiLimitPerEpochForRecipient(a0, web3.utils.toWei("10", "ether"), {from: manager});
+					expect(await faucet.weiLimitPerEpochForRecipient(a0)).to.be.bignumber.that.equals(web3.utils.toWei("10", "ether"));
+				});
+				it("recipient limit increase succeeds if executed by the timelock", async function() {
+					await faucet.setRecipientWeiLimitPerEpoch(0, {from: timelock});
+					expect(await faucet.recipientWeiLimitPerEpoch()).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,122 @@
+// Merkle Allow-list Helpers Tests
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// allow-list tree helpers in use
+const {
+	leaf_hash,
+	build_tree,
+	get_proof,
+	verify_proof,
+	export_proofs,
+} = require("../../scripts/include/faucet_allowlist");
+
+// roster parser in use
+const {
+	parse_roster,
+} = require("../../scripts/include/roster_utils");
+
+// run allow-list helpers tests
+contract("Merkle allow-list helpers", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3, a4, a5] = accounts;
+
+	const roster = [
+		{address: a1},
+		{address: a2, limit: web3.utils.toBN(web3.utils.toWei("2", "ether"))},
+		{address: a3},
+		{address: a4, limit: 1},
+		{address: a5},
+	];
+
+	describe("leaf hash 'leaf_hash'", function() {
+		it("is the double hashed ABI encoded (address, uint192) pair", async function() {
+			const encoded = web3.eth.abi.encodeParameters(["address", "uint192"], [a1, "7"]);
+			expect(leaf_hash(a1, 7)).to.equal(web3.utils.keccak256(web3.utils.keccak256(encoded)));
+		});
+		it("doesn't depend on the address case", async function() {
+			expect(leaf_hash(a1.toLowerCase(), 0)).to.equal(leaf_hash(a1, 0));
+		});
+		it("depends on the limit", async function() {
+			expect(leaf_hash(a1, 1)).to.not.equal(leaf_hash(a1, 0));
+		});
+	});
+
+	describe("building the tree 'build_tree'", function() {
+		it("fails for the empty roster", async function() {
+			expect(() => build_tree([])).to.throw("allow-list is empty");
+		});
+		it("fails for the duplicate address", async function() {
+			expect(() => build_tree([{address: a1}, {address: a1.toLowerCase()}])).to.throw(`duplicate address ${a1}`);
+		});
+		it("single leaf tree root is the leaf itself", async function() {
+			expect(build_tree([{address: a1}]).root).to.equal(leaf_hash(a1, 0));
+		});
+		it("root doesn't depend on the roster order", async function() {
+			expect(build_tree([...roster].reverse()).root).to.equal(build_tree(roster).root);
+		});
+		it("root depends on the limits", async function() {
+			expect(build_tree([...roster, {address: A0, limit: 1}]).root).to.not.equal(build_tree([...roster, {address: A0}]).root);
+		});
+		it("roster limits are kept as wei strings", async function() {
+			const {entries} = build_tree(roster);
+			expect(entries[a2].limit).to.equal(web3.utils.toWei("2", "ether"));
+			expect(entries[a1].limit).to.equal("0");
+		});
+		it("parsed roster file can be used", async function() {
+			const parsed = parse_roster(`address,limit\n${a1}\n${a2},2 ether\n`);
+			expect(build_tree(parsed).entries[a2].limit).to.equal(web3.utils.toWei("2", "ether"));
+		});
+	});
+
+	describe("building and verifying the proofs 'get_proof', 'verify_proof'", function() {
+		let tree;
+		beforeEach(async function() {
+			tree = build_tree(roster);
+		});
+		it("proofs are valid for all the addresses (odd number of leaves)", async function() {
+			for(const {address, limit} of Object.values(tree.entries)) {
+				expect(verify_proof(tree.root, address, limit, get_proof(tree, address)), address).to.be.true;
+			}
+		});
+		it("proofs are valid for all the addresses (even number of leaves)", async function() {
+			tree = build_tree(roster.slice(1));
+			for(const {address, limit} of Object.values(tree.entries)) {
+				expect(verify_proof(tree.root, address, limit, get_proof(tree, address)), address).to.be.true;
+			}
+		});
+		it("single leaf tree proof is empty", async function() {
+			expect(get_proof(build_tree([{address: a1}]), a1)).to.be.empty;
+		});
+		it("proof is invalid with the wrong limit", async function() {
+			expect(verify_proof(tree.root, a2, 0, get_proof(tree, a2))).to.be.false;
+		});
+		it("proof is invalid for another address", async function() {
+			expect(verify_proof(tree.root, A0, 0, get_proof(tree, a1))).to.be.false;
+		});
+		it("proof is invalid for another root", async function() {
+			const other = build_tree(roster.slice(1));
+			expect(verify_proof(other.root, a2, tree.entries[a2].limit, get_proof(tree, a2))).to.be.false;
+		});
+		it("building the proof fails for the address not in the allow-list", async function() {
+			expect(() => get_proof(tree, A0)).to.throw(`${A0} is not in the allow-list`);
+		});
+	});
+
+	describe("exporting the proofs 'export_proofs'", function() {
+		it("contains the root and the claims for all the addresses", async function() {
+			const tree = build_tree(roster);
+			const {root, claims} = export_proofs(tree);
+			expect(root).to.equal(tree.root);
+			expect(claims).to.have.all.keys(a1, a2, a3, a4, a5);
+			expect(claims[a4]).to.deep.equal({limit: "1", proof: get_proof(tree, a4)});
+		});
+	});
+});
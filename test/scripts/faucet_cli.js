@@ -0,0 +1,387 @@
+// The Faucet CLI (bin/faucet) Tests
+
+// Hardhat network helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	balance,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_USER,
+	FEATURE_PAUSED,
+} = require("../../scripts/include/features_roles");
+
+// CLI in use
+const {
+	run,
+	get_private_key,
+	EXIT_CODES,
+} = require("../../bin/faucet");
+
+// hardhat accounts keys derivation
+const {Wallet} = require("ethers");
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+const hardhat_key = (index) => Wallet.fromMnemonic(HARDHAT_MNEMONIC, `m/44'/60'/0'/0/${index}`).privateKey;
+
+// run CLI tests
+contract("The Faucet CLI", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	// executes the CLI command, capturing the output and the exit code
+	async function cli(...argv) {
+		let out = "", err = "";
+		// own web3 instance, so that the CLI wallet doesn't affect the global one
+		const code = await run(argv, {
+			web3: new (require("web3"))(web3.currentProvider),
+			stdout: {write: s => out += s},
+			stderr: {write: s => err += s},
+		});
+		return {code, out, err};
+	}
+
+	describe("keys 'get_private_key'", function() {
+		it("chain specific private key is used", async function() {
+			expect(get_private_key("5", {P_KEY5: "0x01", P_KEY: "0x02"})).to.equal("0x01");
+		});
+		it("0x is appended to the private key", async function() {
+			expect(get_private_key("5", {P_KEY5: "01"})).to.equal("0x01");
+		});
+		it("chain specific mnemonic derives the first account", async function() {
+			expect(get_private_key("5", {MNEMONIC5: HARDHAT_MNEMONIC})).to.equal(hardhat_key(0));
+		});
+		it("private key takes precedence over the mnemonic", async function() {
+			expect(get_private_key("5", {P_KEY5: "0x01", MNEMONIC5: HARDHAT_MNEMONIC})).to.equal("0x01");
+		});
+		it("doesn't fall back to P_KEY", async function() {
+			expect(get_private_key("5", {P_KEY11155111: "0x01", P_KEY: "0x02"})).to.be.undefined;
+		});
+		it("doesn't fall back to MNEMONIC", async function() {
+			expect(get_private_key("5", {MNEMONIC: HARDHAT_MNEMONIC})).to.be.undefined;
+		});
+		it("returns undefined if neither key nor mnemonic is set", async function() {
+			expect(get_private_key("5", {P_KEY11155111: "0x01"})).to.be.undefined;
+		});
+		describe("for the custom JSON-RPC endpoint", function() {
+			it("chain specific private key is used", async function() {
+				expect(get_private_key("5", {P_KEY5: "0x01", P_KEY: "0x02"}, true)).to.equal("0x01");
+			});
+			it("falls back to P_KEY", async function() {
+				expect(get_private_key("5", {P_KEY11155111: "0x01", P_KEY: "0x02"}, true)).to.equal("0x02");
+			});
+			it("falls back to MNEMONIC", async function() {
+				expect(get_private_key("5", {MNEMONIC: HARDHAT_MNEMONIC}, true)).to.equal(hardhat_key(0));
+			});
+			it("P_KEY is used if the chain ID is unknown", async function() {
+				expect(get_private_key(undefined, {P_KEY: "0x02"}, true)).to.equal("0x02");
+			});
+		});
+	});
+
+	describe("command line", function() {
+		it("--help prints the usage", async function() {
+			const {code, out} = await cli("--help");
+			expect(code).to.equal(EXIT_CODES.OK);
+			expect(out).to.contain("usage: faucet <command>").and.contain("set-limit <addr> <amount>");
+		});
+		it("fails if the command is not set", async function() {
+			const {code, err} = await cli("--network", "sepolia");
+			expect(code).to.equal(EXIT_CODES.USAGE);
+			expect(err).to.contain("command is not set");
+		});
+		it("fails for the unknown command", async function() {
+			const {code, err} = await cli("drain", "--network", "sepolia");
+			expect(code).to.equal(EXIT_CODES.USAGE);
+			expect(err).to.contain("unknown command drain");
+		});
+		it("fails for the unknown option", async function() {
+			const {code, err} = await cli("balance", "--network", "sepolia", "--verbose");
+			expect(code).to.equal(EXIT_CODES.USAGE);
+			expect(err).to.contain("unknown option --verbose");
+		});
+		it("fails if the option value is missing", async function() {
+			const {code, err} = await cli("balance", "--network");
+			expect(code).to.equal(EXIT_CODES.USAGE);
+			expect(err).to.contain("option --network requires a value");
+		});
+		it("fails if the arguments are missing", async function() {
+			const {code, err} = await cli("withdraw", a1, "--network", "sepolia");
+			expect(code).to.equal(EXIT_CODES.USAGE);
+			expect(err).to.contain("usage: faucet withdraw <to> <amount>");
+		});
+		it("fails if the variadic arguments are missing", async function() {
+			const {code} = await cli("add", "--network", "sepolia");
+			expect(code).to.equal(EXIT_CODES.USAGE);
+		});
+		it("fails if the network is not set", async function() {
+			const network = process.env.FAUCET_NETWORK;
+			delete process.env.FAUCET_NETWORK;
+			try {
+				const {code, err} = await cli("balance");
+				expect(code).to.equal(EXIT_CODES.USAGE);
+				expect(err).to.contain("network is not set");
+			}
+			finally {
+				if(network !== undefined) {
+					process.env.FAUCET_NETWORK = network;
+				}
+			}
+		});
+		it("fails if the faucet is not deployed to the network", async function() {
+			const {code, err} = await cli("balance", "--network=unknown_network", "--json");
+			expect(code).to.equal(EXIT_CODES.ERROR);
+			expect(JSON.parse(err).error).to.contain("faucet is not deployed on unknown_network");
+		});
+		it("fails if the node is connected to another chain", async function() {
+			const {code, err} = await cli("balance", "--network", "sepolia");
+			expect(code).to.equal(EXIT_CODES.ERROR);
+			expect(err).to.contain(`connected to the chain ${await web3.eth.getChainId()}, sepolia chain ID is 11155111`);
+		});
+	});
+
+	describe("when the faucet is deployed", function() {
+		const fs = require("fs");
+		const path = require("path");
+
+		let chain_id, tmp, faucet, proxy;
+		before(async function() {
+			chain_id = await web3.eth.getChainId() + "";
+			tmp = path.join(require("os").tmpdir(), `faucet_cli_${Date.now()}`);
+		});
+		after(async function() {
+			fs.rmSync(tmp, {recursive: true, force: true});
+		});
+		beforeEach(async function() {
+			await deployments.fixture(["TheFaucet_Proxy"]);
+			const {abi} = await deployments.get("TheFaucetV1");
+			proxy = await deployments.get("TheFaucet_Proxy");
+			const {address} = proxy;
+			faucet = new web3.eth.Contract(abi, address);
+			await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).send({from: a0});
+			await web3.eth.sendTransaction({from: a0, to: address, value: web3.utils.toWei("10", "ether")});
+
+			// the faucet deployed to the hardhat network is resolved as "localhost"
+			fs.mkdirSync(path.join(tmp, "localhost"), {recursive: true});
+			fs.writeFileSync(path.join(tmp, "localhost", ".chainId"), chain_id);
+			fs.writeFileSync(path.join(tmp, "localhost", "TheFaucet_Proxy.json"), JSON.stringify({address}));
+			fs.writeFileSync(path.join(tmp, "localhost", "TheFaucetV1.json"), JSON.stringify({abi}));
+		});
+
+		// executes the faucet command on the hardhat network, sending the transactions from the account specified
+		async function faucet_cli(account, ...argv) {
+			const p_key = process.env["P_KEY" + chain_id];
+			process.env["P_KEY" + chain_id] = hardhat_key(accounts.indexOf(account));
+			try {
+				return await cli(...argv, "--network", "localhost", "--deployments", tmp);
+			}
+			finally {
+				if(p_key === undefined) {
+					delete process.env["P_KEY" + chain_id];
+				}
+				else {
+					process.env["P_KEY" + chain_id] = p_key;
+				}
+			}
+		}
+
+		it("'balance' prints the faucet ETH balance", async function() {
+			const {code, out} = await faucet_cli(A0, "balance");
+			expect(code).to.equal(EXIT_CODES.OK);
+			expect(out).to.equal(`faucet ${faucet.options.address} on localhost holds 10 ETH\n`);
+		});
+		it("'balance --json' prints the faucet ETH balance in wei", async function() {
+			const {code, out} = await faucet_cli(A0, "balance", "--json");
+			expect(code).to.equal(EXIT_CODES.OK);
+			expect(JSON.parse(out)).to.deep.equal({
+				network: "localhost",
+				faucet: faucet.options.address,
+				balance: web3.utils.toWei("10", "ether"),
+			});
+		});
+		it("'allowance' prints the address is not a faucet user", async function() {
+			const {code, out} = await faucet_cli(A0, "allowance", a1.toLowerCase());
+			expect(code).to.equal(EXIT_CODES.OK);
+			expect(out).to.contain(`${a1} is not a faucet user on localhost`);
+		});
+		it("'allowance' fails for the malformed address", async function() {
+			const {code} = await faucet_cli(A0, "allowance", "0x1234");
+			expect(code).to.equal(EXIT_CODES.INVALID_ARGUMENT);
+		});
+		it("'add' fails if executed not by the faucet manager", async function() {
+			const {code, err} = await faucet_cli(a3, "add", a1, "--json");
+			expect(code).to.equal(EXIT_CODES.ACCESS_DENIED);
+			expect(JSON.parse(err)).to.deep.include({reason: "access denied", code: EXIT_CODES.ACCESS_DENIED});
+		});
+		it("send command fails if neither key nor mnemonic is set", async function() {
+			const env = {...process.env};
+			delete process.env["P_KEY" + chain_id];
+			delete process.env["MNEMONIC" + chain_id];
+			delete process.env.P_KEY;
+			delete process.env.MNEMONIC;
+			try {
+				const {code, err} = await cli("add", a1, "--network", "localhost", "--deployments", tmp);
+				expect(code).to.equal(EXIT_CODES.ERROR);
+				expect(err).to.contain(`neither P_KEY${chain_id} nor MNEMONIC${chain_id} is set`);
+			}
+			finally {
+				Object.assign(process.env, env);
+			}
+		});
+		describe("when only the custom network key P_KEY is set", function() {
+			let env;
+			beforeEach(async function() {
+				env = {...process.env};
+				delete process.env["P_KEY" + chain_id];
+				delete process.env["MNEMONIC" + chain_id];
+				delete process.env.MNEMONIC;
+				process.env.P_KEY = hardhat_key(accounts.indexOf(a0));
+			});
+			afterEach(async function() {
+				delete process.env.P_KEY;
+				Object.assign(process.env, env);
+			});
+			it("send command fails for the known network", async function() {
+				const {code, err} = await cli("add", a1, "--network", "localhost", "--deployments", tmp);
+				expect(code).to.equal(EXIT_CODES.ERROR);
+				expect(err).to.contain(`neither P_KEY${chain_id} nor MNEMONIC${chain_id} is set`);
+			});
+			it("send command succeeds for the custom endpoint (--rpc-url)", async function() {
+				const {code} = await cli("add", a1, "--network", "localhost", "--deployments", tmp, "--rpc-url", "http://127.0.0.1:8545");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.true;
+			});
+		});
+		describe("when the users are added, 'add'", function() {
+			let result;
+			beforeEach(async function() {
+				result = await faucet_cli(a0, "add", a1, a2);
+			});
+			it("command succeeds", async function() {
+				expect(result.code).to.equal(EXIT_CODES.OK);
+			});
+			it("transaction and the faucet events are printed", async function() {
+				expect(result.out).to.match(/^tx 0x[0-9a-f]{64} mined in block \d+\n/);
+				expect(result.out).to.contain("\tRoleUpdated(");
+			});
+			it("the users are added", async function() {
+				expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.true;
+				expect(await faucet.methods.isOperatorInRole(a2, ROLE_FAUCET_USER).call()).to.be.true;
+			});
+			it("'users' lists the users", async function() {
+				const {code, out} = await faucet_cli(A0, "users", "--json");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(JSON.parse(out).users).to.include.members([a1, a2]);
+			});
+			it("'allowance --json' prints the user allowance", async function() {
+				const limit = await faucet.methods.weiLimitPerEpoch().call();
+				const {code, out} = await faucet_cli(A0, "allowance", a1, "--json");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(JSON.parse(out)).to.deep.include({address: a1, user: true, allowance: limit, limit});
+			});
+			it("'withdraw' sends ETH", async function() {
+				const tracker = await balance.tracker(a3);
+				const {code} = await faucet_cli(a1, "withdraw", a3, "0.5 ether");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(await tracker.delta()).to.be.bignumber.that.equals(web3.utils.toWei("0.5", "ether"));
+			});
+			it("'withdraw' fails if executed not by the faucet user", async function() {
+				const {code} = await faucet_cli(a3, "withdraw", a3, "0.5 ether");
+				expect(code).to.equal(EXIT_CODES.ACCESS_DENIED);
+			});
+			it("'withdraw' fails if the allowance is exceeded", async function() {
+				const limit = web3.utils.toBN(await faucet.methods.weiLimitPerEpoch().call());
+				const {code, err} = await faucet_cli(a1, "withdraw", a3, limit.addn(1).toString());
+				expect(code).to.equal(EXIT_CODES.ALLOWANCE_EXCEEDED);
+				expect(err).to.equal("error: faucet reverted: allowance exceeded\n");
+			});
+			it("'withdraw' fails for the malformed amount", async function() {
+				const {code} = await faucet_cli(a1, "withdraw", a3, "half an ether");
+				expect(code).to.equal(EXIT_CODES.INVALID_ARGUMENT);
+			});
+			it("'withdraw' fails if the faucet is paused", async function() {
+				await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED)).send({from: a0});
+				const {code} = await faucet_cli(a1, "withdraw", a3, "0.5 ether");
+				expect(code).to.equal(EXIT_CODES.FAUCET_PAUSED);
+			});
+			it("'mint' fails if the token is not allowed", async function() {
+				const {code} = await faucet_cli(a1, "mint", a3, a3, "1 ether");
+				expect(code).to.equal(EXIT_CODES.NOT_ALLOWED);
+			});
+			it("'set-limit' sets the user limit", async function() {
+				const {code} = await faucet_cli(a0, "set-limit", a1, "2 ether");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(await faucet.methods.weiLimitPerEpochForUser(a1).call()).to.equal(web3.utils.toWei("2", "ether"));
+			});
+			it("'set-limit' fails if executed not by the faucet manager", async function() {
+				const {code} = await faucet_cli(a1, "set-limit", a1, "2 ether");
+				expect(code).to.equal(EXIT_CODES.ACCESS_DENIED);
+			});
+			it("'remove' removes the users", async function() {
+				const {code} = await faucet_cli(a0, "remove", a1);
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.false;
+			});
+		});
+		describe("when the user access expires", function() {
+			beforeEach(async function() {
+				await faucet.methods.addUsersWithExpiry([a1], (await time.latest()) + 3600).send({from: a0});
+				await time.increase(3600);
+			});
+			it("'allowance' prints the address is not a faucet user", async function() {
+				const {code, out} = await faucet_cli(A0, "allowance", a1, "--json");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(JSON.parse(out)).to.deep.include({address: a1, user: false});
+			});
+		});
+		describe("with the bundled ABI (deployments/sepolia), having no users registry and access expiration", function() {
+			beforeEach(async function() {
+				fs.copyFileSync(
+					path.join(__dirname, "../../deployments/sepolia/TheFaucetV1.json"),
+					path.join(tmp, "localhost", "TheFaucetV1.json"),
+				);
+				fs.writeFileSync(
+					path.join(tmp, "localhost", "TheFaucet_Proxy.json"),
+					JSON.stringify({address: proxy.address, receipt: {blockNumber: proxy.receipt.blockNumber}}),
+				);
+				expect((await faucet_cli(a0, "add", a1, a2)).code).to.equal(EXIT_CODES.OK);
+				expect((await faucet_cli(a0, "remove", a2)).code).to.equal(EXIT_CODES.OK);
+			});
+			it("'users' lists the users from the faucet events", async function() {
+				const {code, out} = await faucet_cli(A0, "users", "--json");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(JSON.parse(out).users).to.have.members([a0, a1]);
+			});
+			it("'users' prints the users", async function() {
+				const {code, out} = await faucet_cli(A0, "users");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(out).to.equal(`2 faucet user(s) on localhost\n\t${a0}\n\t${a1}\n`);
+			});
+			it("'allowance' prints the user allowance", async function() {
+				const limit = await faucet.methods.weiLimitPerEpoch().call();
+				const {code, out} = await faucet_cli(A0, "allowance", a1, "--json");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(JSON.parse(out)).to.deep.include({address: a1, user: true, allowance: limit, limit});
+			});
+			it("'allowance' prints the removed user is not a faucet user", async function() {
+				const {code, out} = await faucet_cli(A0, "allowance", a2, "--json");
+				expect(code).to.equal(EXIT_CODES.OK);
+				expect(JSON.parse(out)).to.deep.include({address: a2, user: false});
+			});
+		});
+	});
+});
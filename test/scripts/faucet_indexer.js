@@ -0,0 +1,162 @@
+// Faucet Indexer Tests
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	ether,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	ROLE_FAUCET_USER,
+} = require("../../scripts/include/features_roles");
+
+// EIP-712 claims helpers
+const {
+	sign_claim,
+} = require("../../scripts/include/faucet_claims");
+
+// indexer in use
+const {
+	JsonStore,
+	FaucetIndexer,
+} = require("../../scripts/include/faucet_indexer");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+	mintable_noop_deploy,
+} = require("../protocol/include/deployment_routines");
+
+// run faucet indexer tests
+contract("Faucet indexer", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet, mintable, indexer;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		mintable = await mintable_noop_deploy(a0);
+		await web3.eth.sendTransaction({from: a0, to: faucet.address, value: ether("10")});
+		await faucet.addUsers([a1, a2], {from: a0});
+		await faucet.setWeiLimitPerEpochForUser(a2, ether("3"), {from: a0});
+		await faucet.setMintTarget(mintable.address, 1_000, {from: a0});
+
+		// start the new epoch to keep all the withdrawals below in the same epoch
+		const now = await time.latest();
+		await time.increaseTo(now - now % 86_400 + 86_400);
+
+		await faucet.withdrawEth(a3, ether("1"), {from: a1});
+		await faucet.withdrawEth(a3, ether("2"), {from: a1});
+		await faucet.withdrawEth(a1, ether("3"), {from: a2});
+		await faucet.mint(mintable.address, a3, 100, {from: a1});
+		await faucet.mint(mintable.address, a3, 50, {from: a2});
+
+		indexer = new FaucetIndexer({web3, faucet: new web3.eth.Contract(faucet.abi, faucet.address)});
+	});
+
+	describe("after the initial sync (backfill)", function() {
+		let added;
+		beforeEach(async function() {
+			added = await indexer.sync();
+		});
+		it("all the events of interest are indexed", async function() {
+			// deployment: 2 role updates (owner, features), 1 epoch params update;
+			// setup: 1 features update, 2 role updates, 1 limit update; 3 withdrawals, 2 mints
+			expect(added).to.equal(12);
+		});
+		it("last block indexed is the latest block", async function() {
+			expect(indexer.lastBlock).to.equal(await web3.eth.getBlockNumber());
+		});
+		it("per user totals per epoch are calculated, biggest first", async function() {
+			const totals = indexer.userTotals();
+			expect(totals.map(t => [t.user, t.wei, t.withdrawals])).to.deep.equal([
+				[a1, ether("3").toString(10), 2],
+				[a2, ether("3").toString(10), 1],
+			]);
+		});
+		it("per user totals can be filtered by user", async function() {
+			const totals = indexer.userTotals({user: a2});
+			expect(totals.map(t => t.user)).to.deep.equal([a2]);
+		});
+		it("totals are split by epoch when the epoch length is shorter", async function() {
+			const totals = indexer.userTotals({user: a1, epochLength: 1});
+			expect(totals.length).to.equal(2);
+		});
+		it("per target mint totals are calculated", async function() {
+			expect(indexer.mintTotals()).to.deep.equal([{target: mintable.address, value: "150", mints: 2}]);
+		});
+		it("per target mint totals can be filtered by user", async function() {
+			expect(indexer.mintTotals({user: a2})).to.deep.equal([{target: mintable.address, value: "50", mints: 1}]);
+		});
+		it("role change timeline is recorded", async function() {
+			const timeline = indexer.roleTimeline({operator: a1});
+			expect(timeline.length).to.equal(1);
+			expect(timeline[0].assigned).to.equal(ROLE_FAUCET_USER + "");
+		});
+		it("limit change timeline is recorded", async function() {
+			const timeline = indexer.limitTimeline();
+			expect(timeline.map(e => [e.userAddress, e.weiLimitPerEpoch])).to.deep.equal([[a2, ether("3").toString(10)]]);
+		});
+		describe("after more withdrawals and another sync (follow)", function() {
+			beforeEach(async function() {
+				await faucet.withdrawEth(a3, ether("1"), {from: a1});
+				added = await indexer.sync();
+			});
+			it("only new events are indexed", async function() {
+				expect(added).to.equal(1);
+			});
+			it("per user totals are updated", async function() {
+				expect(indexer.userTotals({user: a1})[0].wei).to.equal(ether("4").toString(10));
+			});
+		});
+		describe("after a claim submitted by the relayer and another sync", function() {
+			beforeEach(async function() {
+				const claim = await sign_claim(web3, {faucet_address: faucet.address, signer: a1, recipient: a3, value: ether("1")});
+				await faucet.claimEth(claim.recipient, claim.value, claim.nonce, claim.deadline, claim.v, claim.r, claim.s, {from: a2});
+				added = await indexer.sync();
+			});
+			it("both claim and withdrawal events are indexed", async function() {
+				expect(added).to.equal(2);
+			});
+			it("withdrawal is accounted to the claim signer", async function() {
+				expect(indexer.userTotals({user: a1})[0].wei).to.equal(ether("4").toString(10));
+			});
+			it("withdrawal is not accounted to the relayer", async function() {
+				expect(indexer.userTotals({user: a2})[0].wei).to.equal(ether("3").toString(10));
+			});
+		});
+	});
+	describe("when the state is persisted in a JSON store", function() {
+		let path;
+		beforeEach(async function() {
+			path = require("path").join(require("os").tmpdir(), `faucet_index_${Date.now()}.json`);
+			indexer.store = new JsonStore(path);
+			indexer.store.data.address = faucet.address.toLowerCase();
+			await indexer.sync();
+		});
+		it("the state is restored from the store", async function() {
+			const restored = new FaucetIndexer({web3, faucet: new web3.eth.Contract(faucet.abi, faucet.address), store: new JsonStore(path)});
+			expect(restored.lastBlock).to.equal(indexer.lastBlock);
+			expect(restored.userTotals()).to.deep.equal(indexer.userTotals());
+		});
+		it("the store cannot be used for another faucet", async function() {
+			const another = await faucet_deploy(a0);
+			expect(
+				() => new FaucetIndexer({web3, faucet: new web3.eth.Contract(another.abi, another.address), store: new JsonStore(path)})
+			).to.throw("store belongs to another faucet");
+		});
+	});
+});
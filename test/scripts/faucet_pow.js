@@ -0,0 +1,82 @@
+// Proof-of-work Helpers Tests
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// proof-of-work helpers in use
+const {
+	pow_target,
+	work_hash,
+	verify_work,
+	solve_work,
+} = require("../../scripts/include/faucet_pow");
+
+// run proof-of-work helpers tests
+contract("Proof-of-work helpers", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2] = accounts;
+
+	describe("target 'pow_target'", function() {
+		it("zero difficulty target is the max uint256", async function() {
+			expect(pow_target(0).toString(16)).to.equal("f".repeat(64));
+		});
+		it("each difficulty bit halves the target", async function() {
+			expect(pow_target(8).toString(16)).to.equal("f".repeat(62));
+			expect(pow_target(255).toString()).to.equal("1");
+		});
+	});
+
+	describe("work hash 'work_hash'", function() {
+		it("is the hash of the ABI encoded (address, uint256, uint256) tuple", async function() {
+			const encoded = web3.eth.abi.encodeParameters(["address", "uint256", "uint256"], [a1, "12345", "67890"]);
+			expect(work_hash(a1, 12345, 67890)).to.equal(web3.utils.keccak256(encoded));
+		});
+		it("doesn't depend on the address case", async function() {
+			expect(work_hash(a1.toLowerCase(), 1, 1)).to.equal(work_hash(a1, 1, 1));
+		});
+		it("accepts BN and string nonces and epochs", async function() {
+			expect(work_hash(a1, web3.utils.toBN(7), "20000")).to.equal(work_hash(a1, 7, 20000));
+		});
+	});
+
+	describe("solving and verifying 'solve_work', 'verify_work'", function() {
+		const epoch = 20000;
+		const difficulty = 10;
+		let solution;
+		beforeEach(async function() {
+			solution = solve_work(a1, epoch, difficulty);
+		});
+		it("solution hash doesn't exceed the target", async function() {
+			expect(web3.utils.toBN(solution.hash).lte(pow_target(difficulty))).to.be.true;
+		});
+		it("solution hash is the work hash of the nonce", async function() {
+			expect(solution.hash).to.equal(work_hash(a1, solution.nonce, epoch));
+		});
+		it("solution is the first valid nonce", async function() {
+			expect(solution.iterations).to.equal(parseInt(solution.nonce) + 1);
+			for(let nonce = 0; nonce < solution.iterations - 1; nonce++) {
+				expect(verify_work(a1, nonce, epoch, difficulty), nonce + "").to.be.false;
+			}
+		});
+		it("solution is valid 'verify_work'", async function() {
+			expect(verify_work(a1, solution.nonce, epoch, difficulty)).to.be.true;
+		});
+		it("solving from the next nonce gives another solution", async function() {
+			const next = solve_work(a1, epoch, difficulty, {start: +solution.nonce + 1});
+			expect(parseInt(next.nonce)).to.be.greaterThan(parseInt(solution.nonce));
+			expect(verify_work(a1, next.nonce, epoch, difficulty)).to.be.true;
+		});
+		it("solving fails if the iterations limit is reached", async function() {
+			expect(() => solve_work(a1, epoch, 64, {max_iterations: 10})).to.throw("proof-of-work not solved in 10 iterations");
+		});
+		it("zero difficulty is solved with the start nonce", async function() {
+			expect(solve_work(a2, epoch, 0, {start: 42}).nonce).to.equal("42");
+		});
+	});
+});
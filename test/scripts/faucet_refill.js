@@ -0,0 +1,319 @@
+// Faucet Auto-refill Watcher Tests
+
+// Zeppelin test helpers
+const {
+	balance,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// refill watcher in use
+const {
+	load_refill_targets,
+	FaucetRefiller,
+} = require("../../scripts/include/faucet_refill");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+} = require("../protocol/include/deployment_routines");
+
+// run faucet auto-refill watcher tests
+contract("Faucet auto-refill watcher", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2] = accounts;
+
+	// treasury account
+	const treasury = a1;
+
+	describe("loading the networks to watch, 'load_refill_targets'", function() {
+		const fs = require("fs");
+		const os = require("os");
+		const path = require("path");
+		const key = web3.eth.accounts.create();
+
+		let deployments_dir;
+		before(async function() {
+			deployments_dir = fs.mkdtempSync(path.join(os.tmpdir(), "faucet-refill-"));
+			for(const [name, chain_id, address] of [["sepolia", "11155111", a0], ["base_sepolia", "84532", a1], ["orphan", "1", a2]]) {
+				fs.mkdirSync(path.join(deployments_dir, name));
+				fs.writeFileSync(path.join(deployments_dir, name, ".chainId"), chain_id);
+				fs.writeFileSync(path.join(deployments_dir, name, "TheFaucet_Proxy.json"), JSON.stringify({address}));
+			}
+		});
+		after(async function() {
+			fs.rmSync(deployments_dir, {recursive: true});
+		});
+
+		const networks = {
+			sepolia: {url: "http://127.0.0.1:1"},
+			base_sepolia: {url: "http://127.0.0.1:2"},
+			binance_testnet: {url: "http://127.0.0.1:3"},
+		};
+		it("loads all the networks having the faucet deployed and defined in the config", async function() {
+			const targets = load_refill_targets({networks, deployments_dir, env: {}});
+			expect(targets.map(t => t.network)).to.have.members(["sepolia", "base_sepolia"]);
+		});
+		it("reads the faucet address and chain ID from the deployments", async function() {
+			const [target] = load_refill_targets({networks, deployments_dir, names: ["sepolia"], env: {}});
+			expect(target.faucet_address).to.equal(a0);
+			expect(target.chain_id).to.equal("11155111");
+		});
+		it("treasury is not set if there is no treasury key", async function() {
+			const [target] = load_refill_targets({networks, deployments_dir, names: ["sepolia"], env: {}});
+			expect(target.treasury).to.be.undefined;
+		});
+		it("reads the treasury key for the chain ID (TREASURY_P_KEY<chain_id>)", async function() {
+			const env = {TREASURY_P_KEY11155111: key.privateKey, TREASURY_P_KEY: web3.eth.accounts.create().privateKey};
+			const [target] = load_refill_targets({networks, deployments_dir, names: ["sepolia"], env});
+			expect(target.treasury).to.equal(key.address);
+		});
+		it("falls back to the default treasury key (TREASURY_P_KEY) not starting with 0x", async function() {
+			const env = {TREASURY_P_KEY: key.privateKey.substring(2)};
+			const [target] = load_refill_targets({networks, deployments_dir, names: ["base_sepolia"], env});
+			expect(target.treasury).to.equal(key.address);
+		});
+		it("fails if the network is not defined in the config", async function() {
+			expect(() => load_refill_targets({networks, deployments_dir, names: ["orphan"], env: {}})).to.throw("not defined");
+		});
+		it("fails if the faucet is not deployed on the network", async function() {
+			expect(() => load_refill_targets({networks, deployments_dir, names: ["binance_testnet"], env: {}})).to.throw("not deployed");
+		});
+		describe("when the JSON-RPC endpoint URL is not set for one of the networks", function() {
+			const networks_no_url = {...networks, base_sepolia: {}};
+			it("skips the network if the networks are not named explicitly", async function() {
+				const targets = load_refill_targets({networks: networks_no_url, deployments_dir, env: {}});
+				expect(targets.map(t => t.network)).to.have.members(["sepolia"]);
+			});
+			it("fails if the network is named explicitly", async function() {
+				expect(
+					() => load_refill_targets({networks: networks_no_url, deployments_dir, names: ["base_sepolia"], env: {}})
+				).to.throw("JSON-RPC endpoint URL is not set");
+			});
+		});
+	});
+
+	describe("refilling the faucet (threshold 100, target 250, daily cap 400)", function() {
+		let faucet, records, refiller;
+		beforeEach(async function() {
+			faucet = await faucet_deploy(a0);
+			records = [];
+			refiller = new FaucetRefiller({
+				targets: [{network: "hardhat", web3, faucet_address: faucet.address, treasury}],
+				threshold: "100",
+				target: "250",
+				dailyCap: "400",
+				log: record => records.push(record),
+			});
+		});
+		async function fund(value) {
+			await web3.eth.sendTransaction({from: a0, to: faucet.address, value});
+		}
+
+		describe("when the faucet balance is above the threshold", function() {
+			beforeEach(async function() {
+				await fund(100);
+				await refiller.check();
+			});
+			it("no refill happens", async function() {
+				expect(await balance.current(faucet.address)).to.be.bignumber.that.equals("100");
+			});
+			it("'ok' action is logged", async function() {
+				expect(records.length).to.equal(1);
+				expect(records[0]).to.include({network: "hardhat", faucet: faucet.address, action: "ok", balance: "100"});
+				expect(records[0].time).to.be.a("string");
+			});
+		});
+		describe("when the faucet balance is below the threshold", function() {
+			let tracker;
+			beforeEach(async function() {
+				await fund(40);
+				tracker = await balance.tracker(faucet.address);
+				await refiller.check();
+			});
+			it("faucet is refilled up to the target", async function() {
+				expect(await tracker.delta()).to.be.bignumber.that.equals("210");
+			});
+			it("'refill' action is logged", async function() {
+				expect(records[0]).to.include({action: "refill", balance: "40", value: "210", treasury});
+				expect(records[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+			});
+			it("refill is recorded in the history", async function() {
+				expect(refiller.refills.length).to.equal(1);
+				expect(refiller.refills[0]).to.include({value: "210", txHash: records[0].txHash, status: "confirmed"});
+				expect(refiller.sentOnDay("hardhat")).to.equal("210");
+			});
+			describe("when the faucet is drained again", function() {
+				beforeEach(async function() {
+					// drain the faucet
+					await faucet.addUsers([a2], {from: a0});
+					await faucet.withdrawEth(a2, 250, {from: a2});
+					await refiller.check();
+				});
+				it("refill is limited by the daily cap", async function() {
+					expect(await balance.current(faucet.address)).to.be.bignumber.that.equals("190");
+					expect(records[1]).to.include({action: "refill", value: "190"});
+				});
+				it("next refill on the same day is capped", async function() {
+					await faucet.withdrawEth(a2, 190, {from: a2});
+					await refiller.check();
+					expect(records[2]).to.include({action: "capped"});
+					expect(await balance.current(faucet.address)).to.be.bignumber.that.equals("0");
+				});
+			});
+		});
+		describe("in the dry run mode", function() {
+			beforeEach(async function() {
+				refiller.dryRun = true;
+				await refiller.check();
+			});
+			it("no refill happens", async function() {
+				expect(await balance.current(faucet.address)).to.be.bignumber.that.equals("0");
+			});
+			it("'dry-run' action is logged", async function() {
+				expect(records[0]).to.include({action: "dry-run", value: "250"});
+			});
+			it("nothing is recorded in the history", async function() {
+				expect(refiller.refills.length).to.equal(0);
+			});
+		});
+		describe("when the treasury key is not set", function() {
+			beforeEach(async function() {
+				refiller.targets[0].treasury = undefined;
+				await refiller.check();
+			});
+			it("'error' action is logged", async function() {
+				expect(records[0]).to.include({action: "error", error: "treasury key is not set for hardhat"});
+			});
+		});
+		describe("when the treasury doesn't have enough funds", function() {
+			beforeEach(async function() {
+				refiller.targets[0].treasury = web3.eth.accounts.create().address;
+				await refiller.check();
+			});
+			it("'insufficient-treasury' action is logged", async function() {
+				expect(records[0]).to.include({action: "insufficient-treasury", treasuryBalance: "0"});
+			});
+		});
+		describe("when one of the networks is unreachable", function() {
+			beforeEach(async function() {
+				const Web3 = require("web3");
+				refiller.targets.unshift({network: "offline", web3: new Web3("http://127.0.0.1:1"), faucet_address: faucet.address, treasury});
+				await refiller.check();
+			});
+			it("'error' action is logged for the unreachable network", async function() {
+				expect(records[0]).to.include({network: "offline", action: "error"});
+			});
+			it("other networks are still refilled", async function() {
+				expect(records[1]).to.include({network: "hardhat", action: "refill"});
+			});
+		});
+		describe("when the refill transaction is slow to confirm", function() {
+			// web3 stub: the faucet is empty, and the transactions sent wait to be confirmed (or reverted) by the test
+			let sent;
+			beforeEach(async function() {
+				sent = [];
+				const {EventEmitter} = require("events");
+				const slow_web3 = {
+					eth: {
+						getBalance: async address => address === treasury? "1000": "0",
+						sendTransaction(tx) {
+							const emitter = new EventEmitter();
+							const txHash = web3.utils.randomHex(32);
+							const promise = new Promise((resolve, reject) => sent.push({
+								tx,
+								confirm: () => resolve({transactionHash: txHash, status: true}),
+								revert: () => reject(Object.assign(new Error("reverted"), {receipt: {transactionHash: txHash, status: false}})),
+							}));
+							setImmediate(() => emitter.emit("transactionHash", txHash));
+							return Object.assign(promise, {once: emitter.once.bind(emitter)});
+						},
+					},
+				};
+				refiller.targets[0].web3 = slow_web3;
+			});
+			// waits until the transaction is sent and its hash is reported
+			async function sent_and_hashed(n = 1) {
+				while(sent.length < n) {
+					await new Promise(resolve => setImmediate(resolve));
+				}
+				await new Promise(resolve => setImmediate(resolve));
+			}
+
+			it("overlapping checks send the refill once", async function() {
+				const checks = [refiller.check(), refiller.check()];
+				await sent_and_hashed();
+				sent[0].confirm();
+				const [first, second] = await Promise.all(checks);
+				expect(sent.length).to.equal(1);
+				expect(second).to.equal(first);
+				expect(refiller.refills.length).to.equal(1);
+			});
+			it("polls are skipped while the check is running", async function() {
+				refiller.interval = 5;
+				refiller.start();
+				try {
+					await sent_and_hashed();
+					await new Promise(resolve => setTimeout(resolve, 50));
+					expect(sent.length).to.equal(1);
+				}
+				finally {
+					refiller.stop();
+					sent.forEach(({confirm}) => confirm());
+				}
+			});
+			it("new check is started once the running one is complete", async function() {
+				const check = refiller.check();
+				await sent_and_hashed();
+				sent[0].confirm();
+				await check;
+				const next = refiller.check();
+				await sent_and_hashed(2);
+				sent[1].confirm();
+				await next;
+				expect(sent.length).to.equal(2);
+			});
+			it("refill is recorded as pending once the transaction is sent", async function() {
+				const check = refiller.check();
+				await sent_and_hashed();
+				expect(refiller.refills.length).to.equal(1);
+				expect(refiller.refills[0]).to.include({value: "250", status: "pending"});
+				expect(refiller.sentOnDay("hardhat")).to.equal("250");
+				sent[0].confirm();
+				await check;
+				expect(refiller.refills[0]).to.include({status: "confirmed"});
+			});
+			describe("when the refill transaction reverts", function() {
+				beforeEach(async function() {
+					const check = refiller.check();
+					await sent_and_hashed();
+					sent[0].revert();
+					await check;
+				});
+				it("refill is marked as failed", async function() {
+					expect(refiller.refills[0]).to.include({status: "failed"});
+				});
+				it("failed refill doesn't count towards the daily cap", async function() {
+					expect(refiller.sentOnDay("hardhat")).to.equal("0");
+				});
+				it("'error' action is logged", async function() {
+					expect(records[0]).to.include({action: "error", error: `refill ${refiller.refills[0].txHash} reverted`});
+				});
+			});
+		});
+		describe("per network overrides", function() {
+			beforeEach(async function() {
+				Object.assign(refiller.targets[0], {threshold: "10", target: "20", dailyCap: "15"});
+				await refiller.check();
+			});
+			it("override the global params", async function() {
+				expect(records[0]).to.include({action: "refill", value: "15"});
+			});
+		});
+	});
+});
@@ -0,0 +1,296 @@
+// Faucet Relayer Tests
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	balance,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// EIP-712 claims helpers
+const {
+	split_signature,
+	sign_claim,
+} = require("../../scripts/include/faucet_claims");
+
+// ACL features and roles
+const {
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_USER,
+	FEATURE_PAUSED,
+} = require("../../scripts/include/features_roles");
+
+// relayer in use
+const {
+	FaucetRelayer,
+	create_server,
+} = require("../../scripts/include/faucet_relayer");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+} = require("../protocol/include/deployment_routines");
+
+// run faucet relayer tests
+contract("Faucet relayer", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	// faucet user signing the claims, relayer account, and an empty wallet to fund
+	const signer = a1;
+	const relayer_address = a2;
+	const recipient = web3.eth.accounts.create().address;
+
+	let faucet, relayer, server, url;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		await faucet.addUsers([signer], {from: a0});
+		await faucet.setWeiLimitPerEpochForUser(signer, 100, {from: a0});
+		await web3.eth.sendTransaction({from: a0, to: faucet.address, value: 150});
+
+		relayer = new FaucetRelayer({web3, faucet: new web3.eth.Contract(faucet.abi, faucet.address), relayer: relayer_address});
+		server = create_server(relayer, () => {});
+		await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+		url = `http://127.0.0.1:${server.address().port}`;
+	});
+	afterEach(async function() {
+		relayer.stop();
+		await new Promise(resolve => server.close(resolve));
+	});
+
+	// sends the HTTP request to the relayer, resolves with {status, body}
+	async function request(path, body) {
+		const response = await fetch(url + path, body === undefined? {}: {
+			method: "POST",
+			headers: {"Content-Type": "application/json"},
+			body: typeof body === "string"? body: JSON.stringify(body),
+		});
+		return {status: response.status, body: await response.json()};
+	}
+	// builds and signs the claim
+	async function sign(value = 10, options = {}) {
+		const {signature, ...claim} = await sign_claim(web3, {faucet_address: faucet.address, signer, recipient, value, ...options});
+		return {recipient: claim.recipient, value: claim.value, nonce: claim.nonce, deadline: claim.deadline, signature};
+	}
+
+	describe("GET /health", function() {
+		let response;
+		beforeEach(async function() {
+			response = await request("/health");
+		});
+		it("responds with 200 OK", async function() {
+			expect(response.status).to.equal(200);
+			expect(response.body.status).to.equal("ok");
+		});
+		it("reports the faucet and relayer addresses", async function() {
+			expect(response.body.faucet).to.equal(faucet.address);
+			expect(response.body.relayer).to.equal(relayer_address);
+		});
+		it("reports the faucet balance", async function() {
+			expect(response.body.faucetBalance).to.equal("150");
+		});
+	});
+	describe("GET /status/:address", function() {
+		it("responds with 400 Bad Request if address is malformed", async function() {
+			expect((await request("/status/0x123")).status).to.equal(400);
+		});
+		it("reports the faucet user state", async function() {
+			const {status, body} = await request(`/status/${signer}`);
+			expect(status).to.equal(200);
+			expect(body).to.deep.include({address: signer, isUser: true, weiLimit: "100", weiLeft: "100", claimNonce: "0"});
+		});
+		it("reports not a faucet user", async function() {
+			const {body} = await request(`/status/${a3}`);
+			expect(body.isUser).to.be.false;
+		});
+		it("reports not a faucet user if the access is expired", async function() {
+			await faucet.addUsersWithExpiry([signer], (await time.latest()) + 60, {from: a0});
+			await time.increase(60);
+			const {body} = await request(`/status/${signer}`);
+			expect(body.isUser).to.be.false;
+		});
+	});
+	describe("unknown route", function() {
+		it("responds with 404 Not Found", async function() {
+			const {status, body} = await request("/unknown");
+			expect(status).to.equal(404);
+			expect(body.error).to.equal("not found");
+		});
+	});
+
+	describe("POST /claim", function() {
+		it("responds with 400 Bad Request if the JSON is malformed", async function() {
+			const {status, body} = await request("/claim", "{");
+			expect(status).to.equal(400);
+			expect(body.error).to.equal("malformed JSON");
+		});
+		it("responds with 400 Bad Request if the recipient is malformed", async function() {
+			const {status, body} = await request("/claim", {...await sign(), recipient: "0x123"});
+			expect(status).to.equal(400);
+			expect(body.error).to.equal("invalid recipient");
+		});
+		it("responds with 400 Bad Request if the signature is malformed", async function() {
+			const {status, body} = await request("/claim", {...await sign(), signature: "0x123"});
+			expect(status).to.equal(400);
+			expect(body.error).to.equal("invalid signature");
+		});
+		it("responds with 400 Bad Request if the signer cannot be recovered from the signature", async function() {
+			const {status, body} = await request("/claim", {...await sign(), signature: "0x" + "00".repeat(64) + "1b"});
+			expect(status).to.equal(400);
+			expect(body.error).to.equal("invalid signature");
+		});
+		it("responds with 400 Bad Request if the claim is expired", async function() {
+			const claim = await sign();
+			await time.increaseTo(parseInt(claim.deadline) + 1);
+			const {status, body} = await request("/claim", claim);
+			expect(status).to.equal(400);
+			expect(body.error).to.equal("signature expired");
+		});
+		it("responds with 403 Forbidden if the claim is tampered", async function() {
+			const {status, body} = await request("/claim", {...await sign(), value: "11"});
+			expect(status).to.equal(403);
+			expect(body.error).to.equal("access denied");
+		});
+		it("responds with 403 Forbidden if the signer access is expired", async function() {
+			await faucet.addUsersWithExpiry([signer], (await time.latest()) + 60, {from: a0});
+			await time.increase(60);
+			const {status, body} = await request("/claim", await sign());
+			expect(status).to.equal(403);
+			expect(body.error).to.equal("access denied");
+		});
+		it("responds with 409 Conflict if the nonce is not the next one", async function() {
+			const {status, body} = await request("/claim", await sign(10, {nonce: 1}));
+			expect(status).to.equal(409);
+			expect(body.error).to.equal("invalid nonce");
+		});
+		it("responds with 429 Too Many Requests if the claim exceeds the signer allowance", async function() {
+			const {status, body} = await request("/claim", await sign(101));
+			expect(status).to.equal(429);
+			expect(body.error).to.equal("allowance exceeded");
+		});
+		it("responds with 429 Too Many Requests if the claim exceeds the recipient allowance", async function() {
+			await faucet.setRecipientWeiLimitPerEpoch(5, {from: a0});
+			const {status, body} = await request("/claim", await sign(6));
+			expect(status).to.equal(429);
+			expect(body.error).to.equal("recipient allowance exceeded");
+		});
+		it("responds with 429 Too Many Requests if the claim exceeds the faucet-wide budget", async function() {
+			await faucet.setBudgetsPerEpoch(5, 0, {from: a0});
+			const {status, body} = await request("/claim", await sign(6));
+			expect(status).to.equal(429);
+			expect(body.error).to.equal("budget exceeded");
+		});
+		it("responds with 503 Service Unavailable if the faucet is paused", async function() {
+			await faucet.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED), {from: a0});
+			const {status, body} = await request("/claim", await sign());
+			expect(status).to.equal(503);
+			expect(body.error).to.equal("faucet is paused");
+		});
+		it("responds with 503 Service Unavailable if the claim exceeds the faucet balance", async function() {
+			await faucet.setWeiLimitPerEpochForUser(signer, 1_000, {from: a0});
+			const {status, body} = await request("/claim", await sign(151));
+			expect(status).to.equal(503);
+			expect(body.error).to.equal("balance exceeded");
+		});
+		it("accepts the signature as {v, r, s}", async function() {
+			const {signature, ...claim} = await sign();
+			const {v, r, s} = split_signature(signature);
+			expect((await request("/claim", {...claim, v, r, s})).status).to.equal(200);
+		});
+		describe("when the claim is valid", function() {
+			let tracker, claim, response;
+			beforeEach(async function() {
+				tracker = await balance.tracker(recipient);
+				claim = await sign();
+				response = await request("/claim", claim);
+			});
+			it("responds with 200 OK", async function() {
+				expect(response.status).to.equal(200);
+			});
+			it("responds with the transaction hash", async function() {
+				expect(response.body.txHash).to.match(/^0x[0-9a-f]{64}$/);
+			});
+			it("responds with the signer address", async function() {
+				expect(response.body.signer).to.equal(signer);
+			});
+			it("transaction is sent from the relayer account", async function() {
+				const tx = await web3.eth.getTransaction(response.body.txHash);
+				expect(tx.from).to.equal(relayer_address);
+			});
+			it("recipient receives ETH", async function() {
+				expect(await tracker.delta()).to.be.bignumber.that.equals("10");
+			});
+			it("the claim cannot be replayed", async function() {
+				const {status} = await request("/claim", claim);
+				expect(status).to.equal(409);
+			});
+			it("the next claim with the next nonce succeeds", async function() {
+				const {status} = await request("/claim", await sign(10));
+				expect(status).to.equal(200);
+			});
+			it("signer allowance is updated", async function() {
+				const {body} = await request(`/status/${signer}`);
+				expect(body).to.deep.include({weiLeft: "90", claimNonce: "1"});
+			});
+		});
+		describe("when sending the claim fails (network error)", function() {
+			let response;
+			beforeEach(async function() {
+				// fail the first attempt to send
+				const send = relayer._send.bind(relayer);
+				relayer._send = async(claim) => {
+					relayer._send = send;
+					throw new Error("connection refused");
+				};
+				response = await request("/claim", await sign());
+			});
+			it("responds with 202 Accepted", async function() {
+				expect(response.status).to.equal(202);
+				expect(response.body.status).to.equal("queued");
+			});
+			it("the claim is put into the retry queue", async function() {
+				expect(relayer.queue.length).to.equal(1);
+			});
+			it("pending claim is taken into account in the signer state", async function() {
+				const {body} = await request(`/status/${signer}`);
+				expect(body).to.deep.include({weiLeft: "90", claimNonce: "1"});
+				expect(body.pending.length).to.equal(1);
+			});
+			it("pending claim is taken into account when verifying the next claim", async function() {
+				const {status} = await request("/claim", await sign(91, {nonce: 1}));
+				expect(status).to.equal(429);
+			});
+			it("pending claim is taken into account when verifying the recipient allowance", async function() {
+				await faucet.setRecipientWeiLimitPerEpoch(15, {from: a0});
+				const {status, body} = await request("/claim", await sign(6, {nonce: 1}));
+				expect(status).to.equal(429);
+				expect(body.error).to.equal("recipient allowance exceeded");
+			});
+			describe("after the retry queue is processed", function() {
+				beforeEach(async function() {
+					await relayer.processQueue();
+				});
+				it("the retry queue is empty", async function() {
+					expect(relayer.queue.length).to.equal(0);
+				});
+				it("the claim is sent", async function() {
+					const [claim] = relayer.claims.values();
+					expect(claim.txHash).to.match(/^0x[0-9a-f]{64}$/);
+					expect(claim.attempts).to.equal(2);
+				});
+			});
+		});
+	});
+});
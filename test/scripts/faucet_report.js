@@ -0,0 +1,117 @@
+// Faucet Dashboard Report Tests
+
+// Zeppelin test helpers
+const {
+	ether,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// report builder and formatters in use
+const {
+	build_report,
+	format_json,
+	format_markdown,
+	format_html,
+} = require("../../scripts/include/faucet_report");
+
+// deployment routines in use
+const {
+	faucet_deploy,
+} = require("../protocol/include/deployment_routines");
+
+// run faucet dashboard report tests
+contract("Faucet dashboard report", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet, report;
+	beforeEach(async function() {
+		faucet = await faucet_deploy(a0);
+		await web3.eth.sendTransaction({from: a0, to: faucet.address, value: ether("5")});
+		await faucet.addUsers([a1, a2, a3], {from: a0});
+		await faucet.removeUsers([a3], {from: a0});
+		await faucet.setWeiLimitPerEpochForUser(a2, ether("1"), {from: a0});
+		await faucet.withdrawEth(a3, ether("1"), {from: a1});
+		await faucet.withdrawEth(a3, ether("2"), {from: a1});
+		await faucet.withdrawEth(a3, ether("0.5"), {from: a2});
+
+		const Web3 = require("web3");
+		report = await build_report([
+			{network: "hardhat", web3, faucet: new web3.eth.Contract(faucet.abi, faucet.address)},
+			{network: "offline", web3: new Web3("http://127.0.0.1:1"), faucet: new web3.eth.Contract(faucet.abi, faucet.address)},
+			{network: "misconfigured", error: "JSON-RPC endpoint URL is not set for misconfigured"},
+		], {recent: 2});
+	});
+
+	describe("building the report, 'build_report'", function() {
+		let hardhat;
+		beforeEach(async function() {
+			hardhat = report.networks[0];
+		});
+		it("report contains all the networks", async function() {
+			expect(report.networks.map(n => n.network)).to.deep.equal(["hardhat", "offline", "misconfigured"]);
+		});
+		it("reports the faucet address and implementation", async function() {
+			expect(hardhat.address).to.equal(faucet.address);
+			expect(hardhat.implementation).to.equal(await faucet.getImplementation());
+		});
+		it("reports the balance", async function() {
+			expect(hardhat.balance).to.equal(ether("1.5").toString(10));
+		});
+		it("reports the epoch params", async function() {
+			expect(hardhat.epochLength).to.equal("86400");
+			expect(hardhat.weiLimitPerEpoch).to.equal(ether("10").toString(10));
+		});
+		it("reports the current users only (deployer has all the permissions and is a user as well)", async function() {
+			expect(hardhat.users.map(u => u.address)).to.deep.equal([a0, a1, a2]);
+		});
+		it("reports the effective user limits and remaining allowances", async function() {
+			expect(hardhat.users[1]).to.include({weiLimit: ether("10").toString(10), weiLeft: ether("7").toString(10)});
+			expect(hardhat.users[2]).to.include({weiLimit: ether("1").toString(10), weiLeft: ether("0.5").toString(10)});
+		});
+		it("reports the recent withdrawals, most recent first", async function() {
+			expect(hardhat.recentWithdrawals.map(w => [w.user, w.to, w.value])).to.deep.equal([
+				[a2, a3, ether("0.5").toString(10)],
+				[a1, a3, ether("2").toString(10)],
+			]);
+		});
+		it("reports the unreachable network with the error", async function() {
+			expect(report.networks[1].error).to.match(/CONNECTION ERROR/);
+		});
+		it("reports the misconfigured network with the error", async function() {
+			expect(report.networks[2].error).to.equal("JSON-RPC endpoint URL is not set for misconfigured");
+		});
+	});
+
+	describe("formatting the report", function() {
+		it("JSON 'format_json' is parsable back", async function() {
+			expect(JSON.parse(format_json(report))).to.deep.equal(report);
+		});
+		it("Markdown 'format_markdown' contains the networks, users, and withdrawals", async function() {
+			const md = format_markdown(report);
+			expect(md).to.include("## hardhat ##");
+			expect(md).to.include("| Balance | 1.5 ETH |");
+			expect(md).to.include(`| ${a2} | 1 | 0.5 |`);
+			expect(md).to.include(`| ${a2} | ${a3} | 0.5 |`);
+			expect(md).to.include("**Unreachable:** JSON-RPC endpoint URL is not set for misconfigured");
+		});
+		it("HTML 'format_html' contains the networks, users, and withdrawals", async function() {
+			const html = format_html(report);
+			expect(html).to.match(/^<!DOCTYPE html>/);
+			expect(html).to.include("<h2>hardhat</h2>");
+			expect(html).to.include(`<td>${a2}</td><td>1</td><td>0.5</td>`);
+			expect(html).to.include("Unreachable: JSON-RPC endpoint URL is not set for misconfigured");
+		});
+		it("HTML 'format_html' escapes the values", async function() {
+			const html = format_html({generatedAt: "now", networks: [{network: "<script>", error: "\"x\" & 'y'"}]});
+			expect(html).to.include("<h2>&lt;script&gt;</h2>");
+			expect(html).to.include("&quot;x&quot; &amp; &#39;y&#39;");
+		});
+	});
+});
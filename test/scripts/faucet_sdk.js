@@ -0,0 +1,347 @@
+// The Faucet JS SDK Tests
+
+// Hardhat network helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	balance,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	or,
+	ROLE_ACCESS_MANAGER,
+	ROLE_FAUCET_USER,
+	FEATURE_PAUSED,
+} = require("../../scripts/include/features_roles");
+
+// SDK in use
+const {
+	TheFaucet,
+	FaucetError,
+	AccessDeniedError,
+	AllowanceExceededError,
+	FaucetPausedError,
+	NotAllowedError,
+	InvalidArgumentError,
+	decode_revert,
+	to_faucet_error,
+	parse_amount,
+	load_deployment,
+	find_network,
+} = require("../../index");
+
+// run SDK tests
+contract("The Faucet JS SDK", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	// revert data for `require(false, "access denied")`
+	const ACCESS_DENIED_DATA = "0x08c379a0" + web3.eth.abi.encodeParameter("string", "access denied").slice(2);
+
+	describe("deployments", function() {
+		it("'load_deployment' reads the proxy address and the implementation ABI", async function() {
+			const {network, chainId, address, abi} = load_deployment("sepolia");
+			expect(network).to.equal("sepolia");
+			expect(chainId).to.equal("11155111");
+			expect(address).to.equal(require("../../deployments/sepolia/TheFaucet_Proxy.json").address);
+			expect(abi.map(e => e.name)).to.include("withdrawEth");
+		});
+		it("'load_deployment' reads the proxy deployment block", async function() {
+			const {blockNumber} = load_deployment("sepolia");
+			expect(blockNumber).to.equal(require("../../deployments/sepolia/TheFaucet_Proxy.json").receipt.blockNumber);
+		});
+		it("'load_deployment' fails for the network without the faucet deployed", async function() {
+			expect(() => load_deployment("unknown_network")).to.throw("faucet is not deployed on unknown_network");
+		});
+		it("'find_network' resolves the network by chain ID", async function() {
+			expect(find_network(11155111)).to.equal("sepolia");
+		});
+		it("'find_network' returns undefined for the unknown chain ID", async function() {
+			expect(find_network(999_999_999)).to.be.undefined;
+		});
+	});
+
+	describe("amounts 'parse_amount'", function() {
+		it("parses the amount with the unit", async function() {
+			expect(parse_amount("0.5 ether").toString()).to.equal(web3.utils.toWei("0.5", "ether"));
+		});
+		it("wei is the default unit", async function() {
+			expect(parse_amount("1000").toString()).to.equal("1000");
+		});
+		it("accepts numbers, bigints, and BNs", async function() {
+			expect(parse_amount(1000).toString()).to.equal("1000");
+			expect(parse_amount(10n ** 20n).toString()).to.equal("100000000000000000000");
+			expect(parse_amount(web3.utils.toBN(7)).toString()).to.equal("7");
+		});
+		it("fails for the malformed amount", async function() {
+			expect(() => parse_amount("one ether")).to.throw(InvalidArgumentError, "malformed amount one ether");
+		});
+	});
+
+	describe("revert reasons decoding 'decode_revert', 'to_faucet_error'", function() {
+		it("decodes the web3 (hardhat) error data", async function() {
+			expect(decode_revert({message: "VM Exception", data: ACCESS_DENIED_DATA})).to.equal("access denied");
+		});
+		it("decodes the nested (ethers v5) error data", async function() {
+			expect(decode_revert({message: "call revert exception", error: {error: {data: ACCESS_DENIED_DATA}}})).to.equal("access denied");
+		});
+		it("decodes the custom error", async function() {
+			expect(decode_revert({message: "execution reverted", data: "0x4ca88867"})).to.equal("AccessDenied()");
+		});
+		it("decodes the reason from the error message", async function() {
+			expect(decode_revert(new Error("reverted with reason string 'faucet is paused'"))).to.equal("faucet is paused");
+			expect(decode_revert(new Error('call revert exception (reason="budget exceeded")'))).to.equal("budget exceeded");
+			expect(decode_revert(new Error("execution reverted: allowance exceeded"))).to.equal("allowance exceeded");
+		});
+		it("returns undefined for the non-revert errors", async function() {
+			expect(decode_revert(new Error("connection refused"))).to.be.undefined;
+		});
+		it("maps the reasons to the error classes", async function() {
+			const error = to_faucet_error({message: "", data: ACCESS_DENIED_DATA});
+			expect(error).to.be.instanceOf(AccessDeniedError).and.instanceOf(FaucetError);
+			expect(error.reason).to.equal("access denied");
+			expect(to_faucet_error(new Error("reverted with custom error 'AccessDenied()'"))).to.be.instanceOf(AccessDeniedError);
+			expect(to_faucet_error(new Error("execution reverted: recipient allowance exceeded"))).to.be.instanceOf(AllowanceExceededError);
+			expect(to_faucet_error(new Error("execution reverted: token address not set"))).to.be.instanceOf(InvalidArgumentError);
+		});
+		it("maps the unknown reasons to the base error class", async function() {
+			const error = to_faucet_error(new Error("execution reverted: something new"));
+			expect(error.constructor).to.equal(FaucetError);
+			expect(error.reason).to.equal("something new");
+		});
+		it("keeps the non-revert errors as is", async function() {
+			const error = new Error("connection refused");
+			expect(to_faucet_error(error)).to.equal(error);
+		});
+	});
+
+	describe("when the faucet is deployed", function() {
+		let address, abi, faucet;
+		beforeEach(async function() {
+			await deployments.fixture(["TheFaucet_Proxy"]);
+			({abi} = await deployments.get("TheFaucetV1"));
+			({address} = await deployments.get("TheFaucet_Proxy"));
+			faucet = new web3.eth.Contract(abi, address);
+			await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).send({from: a0});
+			await web3.eth.sendTransaction({from: a0, to: address, value: web3.utils.toWei("10", "ether")});
+		});
+
+		it("'TheFaucet.connect' resolves the faucet by the provider chain ID", async function() {
+			const fs = require("fs");
+			const path = require("path");
+			const tmp = path.join(require("os").tmpdir(), `faucet_sdk_${Date.now()}`);
+			fs.mkdirSync(path.join(tmp, "localhost"), {recursive: true});
+			try {
+				fs.writeFileSync(path.join(tmp, "localhost", ".chainId"), await web3.eth.getChainId() + "");
+				fs.writeFileSync(path.join(tmp, "localhost", "TheFaucet_Proxy.json"), JSON.stringify({address}));
+				fs.writeFileSync(path.join(tmp, "localhost", "TheFaucetV1.json"), JSON.stringify({abi}));
+				const sdk = await TheFaucet.connect(web3, {deploymentsDir: tmp});
+				expect(sdk.network).to.equal("localhost");
+				expect(sdk.address).to.equal(address);
+			}
+			finally {
+				fs.rmSync(tmp, {recursive: true, force: true});
+			}
+		});
+		it("'TheFaucet.connect' fails if the faucet is not deployed to the chain", async function() {
+			let error;
+			await TheFaucet.connect(web3).catch(e => error = e);
+			expect(error.message).to.contain(`faucet is not deployed to the chain ${await web3.eth.getChainId()}`);
+		});
+		it("unsupported provider is rejected", async function() {
+			expect(() => new TheFaucet({provider: {}, address, abi})).to.throw("unsupported provider");
+		});
+		it("function missing in the ABI is rejected", async function() {
+			const sdk = new TheFaucet({provider: web3, address, abi, network: "hardhat"});
+			let error;
+			await sdk.call("noSuchFunction").catch(e => error = e);
+			expect(error.message).to.contain("noSuchFunction(0 argument(s)) is not supported by the faucet deployed on hardhat");
+		});
+
+		// the same tests are executed for web3 and ethers-like signer
+		function sdk_tests(create_sdk) {
+			let manager, user, stranger;
+			beforeEach(async function() {
+				manager = create_sdk(a0);
+				user = create_sdk(a1);
+				stranger = create_sdk(a3);
+			});
+			it("'getBalance' returns the faucet ETH balance", async function() {
+				expect(await manager.getBalance()).to.be.bignumber.that.equals(web3.utils.toWei("10", "ether"));
+			});
+			it("'addUsers' fails if executed not by the access manager", async function() {
+				let error;
+				await stranger.addUsers([a1]).catch(e => error = e);
+				expect(error).to.be.instanceOf(AccessDeniedError);
+			});
+			it("'addUsers' fails for the malformed address", async function() {
+				let error;
+				await manager.addUsers(["0x1234"]).catch(e => error = e);
+				expect(error).to.be.instanceOf(InvalidArgumentError);
+			});
+			describe("when the user is added, 'addUsers'", function() {
+				let result;
+				beforeEach(async function() {
+					result = await manager.addUsers([a1]);
+				});
+				it("transaction hash and block number are returned", async function() {
+					expect(result.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+					expect(result.blockNumber).to.equal(await web3.eth.getBlockNumber());
+				});
+				it("faucet events are decoded", async function() {
+					expect(result.events.map(e => e.event)).to.include("RoleUpdated");
+				});
+				it("'isUser' returns true", async function() {
+					expect(await manager.isUser(a1)).to.be.true;
+				});
+				it("'getUsers' lists the user", async function() {
+					expect(await manager.getUsers()).to.include(a1);
+				});
+				it("'getAllowance' returns the global limit", async function() {
+					expect(await manager.getAllowance(a1)).to.be.bignumber.that.equals(await faucet.methods.weiLimitPerEpoch().call());
+				});
+				it("'withdraw' sends ETH to the recipient", async function() {
+					const tracker = await balance.tracker(a2);
+					const {events} = await user.withdraw(a2, "0.5 ether");
+					expect(await tracker.delta()).to.be.bignumber.that.equals(web3.utils.toWei("0.5", "ether"));
+					expect(events).to.deep.include({event: "ETHWithdrawn", args: {to: a2, value: web3.utils.toWei("0.5", "ether")}});
+				});
+				it("'withdraw' fails with AllowanceExceededError over the limit", async function() {
+					let error;
+					const limit = web3.utils.toBN(await faucet.methods.weiLimitPerEpoch().call());
+					await user.withdraw(a2, limit.addn(1)).catch(e => error = e);
+					expect(error).to.be.instanceOf(AllowanceExceededError);
+					expect(error.reason).to.equal("allowance exceeded");
+				});
+				it("'withdraw' fails with AccessDeniedError for the non-user", async function() {
+					let error;
+					await stranger.withdraw(a2, 1).catch(e => error = e);
+					expect(error).to.be.instanceOf(AccessDeniedError);
+				});
+				it("'withdraw' fails with FaucetPausedError when paused", async function() {
+					await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PAUSED)).send({from: a0});
+					let error;
+					await user.withdraw(a2, 1).catch(e => error = e);
+					expect(error).to.be.instanceOf(FaucetPausedError);
+				});
+				it("'mint' fails with NotAllowedError for the target not allow-listed", async function() {
+					let error;
+					await user.mint(a3, a2, 1).catch(e => error = e);
+					expect(error).to.be.instanceOf(NotAllowedError);
+				});
+				it("'mint' mints via the allow-listed target", async function() {
+					const MintableNoopMock = artifacts.require("./MintableNoopMock");
+					const mintable = await MintableNoopMock.new({from: a0});
+					await faucet.methods.setMintTarget(mintable.address, 1000).send({from: a0});
+					const {events} = await user.mint(mintable.address, a2, 100);
+					expect(events).to.deep.include({event: "MintProxied", args: {target: mintable.address, to: a2, value: "100"}});
+				});
+				it("'setLimit' updates the user limit, 'getLimit'", async function() {
+					await manager.setLimit(a1, "2 ether");
+					expect(await manager.getLimit(a1)).to.be.bignumber.that.equals(web3.utils.toWei("2", "ether"));
+					expect(await manager.getAllowance(a1)).to.be.bignumber.that.equals(web3.utils.toWei("2", "ether"));
+				});
+				it("'removeUsers' removes the user", async function() {
+					await manager.removeUsers([a1]);
+					expect(await manager.isUser(a1)).to.be.false;
+					expect(await manager.getUsers()).to.not.include(a1);
+				});
+			});
+			describe("when the user is added with the access expiration, 'addUsersWithExpiry'", function() {
+				beforeEach(async function() {
+					await faucet.methods.addUsersWithExpiry([a1], (await time.latest()) + 3600).send({from: a0});
+				});
+				it("'isUser' returns true before the access expires", async function() {
+					expect(await manager.isUser(a1)).to.be.true;
+				});
+				it("'isUser' returns false after the access expires", async function() {
+					await time.increase(3600);
+					expect(await manager.isUser(a1)).to.be.false;
+				});
+			});
+			describe("with the bundled (deployed) ABI, having no users registry and access expiration", function() {
+				let legacy;
+				beforeEach(async function() {
+					const {abi} = load_deployment("sepolia");
+					legacy = create_sdk(a0, abi);
+					await legacy.addUsers([a1, a2]);
+					await legacy.removeUsers([a2]);
+				});
+				it("the ABI doesn't support the registry", async function() {
+					expect(legacy.supports("getUsers", 2)).to.be.false;
+					expect(legacy.supports("isActiveUser", 1)).to.be.false;
+				});
+				it("'isUser' falls back to the role check", async function() {
+					expect(await legacy.isUser(a1)).to.be.true;
+					expect(await legacy.isUser(a2)).to.be.false;
+				});
+				it("'getUsers' falls back to the RoleUpdated events", async function() {
+					expect(await legacy.getUsers()).to.have.members([a0, a1]);
+				});
+				it("'getUsers' reads the events in chunks", async function() {
+					expect(await legacy.getUsers(100, 1)).to.have.members([a0, a1]);
+				});
+				it("'getUsers' fails with a clear error if the ABI doesn't have RoleUpdated event", async function() {
+					legacy.abi = legacy.abi.filter(e => e.name !== "RoleUpdated");
+					let error;
+					await legacy.getUsers().catch(e => error = e);
+					expect(error.message).to.contain("listing the users is not supported by the faucet deployed on");
+				});
+			});
+		}
+
+		describe("with web3", function() {
+			sdk_tests((from, deployed_abi = abi) => new TheFaucet({provider: web3, address, abi: deployed_abi, from}));
+		});
+
+		describe("with ethers signer", function() {
+			// minimal ethers signer over web3: the SDK relies on this part of the ethers API only;
+			// the reverts are thrown the way ethers v6 does (CALL_EXCEPTION with the revert data)
+			function ethers_signer(from) {
+				const rethrow = e => {
+					throw Object.assign(new Error("execution reverted (unknown custom error)"), {code: "CALL_EXCEPTION", data: e.data});
+				};
+				const provider = {
+					getNetwork: async() => ({chainId: BigInt(await web3.eth.getChainId())}),
+					getBalance: async(address) => BigInt(await web3.eth.getBalance(address)),
+					getBlockNumber: async() => await web3.eth.getBlockNumber(),
+					getLogs: async(filter) => await web3.eth.getPastLogs(filter),
+					call: async(tx) => await web3.eth.call(tx).catch(rethrow),
+				};
+				return {
+					provider,
+					getAddress: async() => from,
+					call: async(tx) => await web3.eth.call({from, ...tx}).catch(rethrow),
+					sendTransaction: async(tx) => {
+						const hash = await new Promise((resolve, reject) => web3.eth.sendTransaction({from, ...tx})
+							.once("transactionHash", resolve).catch(reject));
+						return {hash, wait: async() => ({hash, ...await web3.eth.getTransactionReceipt(hash), transactionHash: undefined})};
+					},
+				};
+			}
+
+			sdk_tests((from, deployed_abi = abi) => new TheFaucet({provider: ethers_signer(from), address, abi: deployed_abi}));
+
+			it("read-only provider can't send the transactions", async function() {
+				const {provider} = ethers_signer(a0);
+				const sdk = new TheFaucet({provider, address, abi});
+				expect(await sdk.getBalance()).to.be.bignumber.that.equals(web3.utils.toWei("10", "ether"));
+				let error;
+				await sdk.addUsers([a1]).catch(e => error = e);
+				expect(error.message).to.contain("ethers signer is required");
+			});
+		});
+	});
+});
@@ -0,0 +1,309 @@
+// Faucet Administration Tasks Tests
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Zeppelin test helpers
+const {
+	BN,
+	ether,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	or,
+	ROLE_FAUCET_USER,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	parse_amount,
+	parse_duration,
+	get_faucet,
+} = require("../../scripts/include/faucet_utils");
+
+// run faucet administration tasks tests
+contract("Faucet administration tasks", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	describe("human-readable amounts: 'parse_amount'", function() {
+		it("\"0.5 ether\" is parsed as 5 * 10^17 wei", async function() {
+			expect(parse_amount("0.5 ether")).to.be.bignumber.that.equals(ether("0.5"));
+		});
+		it("\"100 gwei\" is parsed as 10^11 wei", async function() {
+			expect(parse_amount("100 gwei")).to.be.bignumber.that.equals(new BN(10).pow(new BN(11)));
+		});
+		it("\"1000\" is parsed as 1000 wei", async function() {
+			expect(parse_amount("1000")).to.be.bignumber.that.equals("1000");
+		});
+		it("\"ether\" throws", async function() {
+			expect(() => parse_amount("ether")).to.throw("malformed amount");
+		});
+	});
+	describe("human-readable durations: 'parse_duration'", function() {
+		it("\"12h\" is parsed as 43200 seconds", async function() {
+			expect(parse_duration("12h")).to.equal(43200);
+		});
+		it("\"1d12h\" is parsed as 129600 seconds", async function() {
+			expect(parse_duration("1d12h")).to.equal(129600);
+		});
+		it("\"90\" is parsed as 90 seconds", async function() {
+			expect(parse_duration("90")).to.equal(90);
+		});
+		it("\"12y\" throws", async function() {
+			expect(() => parse_duration("12y")).to.throw("malformed duration");
+		});
+	});
+
+	describe("when the faucet is deployed via hardhat-deploy", function() {
+		let faucet;
+		beforeEach(async function() {
+			await deployments.fixture(["TheFaucet_Proxy"]);
+			faucet = await get_faucet(deployments);
+			await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).send({from: a0});
+		});
+
+		it("faucet:add-users fails if executed not by ROLE_FAUCET_MANAGER", async function() {
+			let error;
+			await hre.run("faucet:add-users", {from: a1, users: [a2]}).catch(e => error = e);
+			expect(error.message).to.contain("doesn't have ROLE_FAUCET_MANAGER permission");
+		});
+		describe("faucet:add-users succeeds otherwise", function() {
+			beforeEach(async function() {
+				await hre.run("faucet:add-users", {users: [a1, a2]});
+			});
+			it("users added become faucet users ROLE_FAUCET_USER", async function() {
+				expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.true;
+				expect(await faucet.methods.isOperatorInRole(a2, ROLE_FAUCET_USER).call()).to.be.true;
+			});
+			describe("faucet:remove-users succeeds", function() {
+				beforeEach(async function() {
+					await hre.run("faucet:remove-users", {users: [a2]});
+				});
+				it("users removed stop being faucet users ROLE_FAUCET_USER", async function() {
+					expect(await faucet.methods.isOperatorInRole(a2, ROLE_FAUCET_USER).call()).to.be.false;
+				});
+				it("users not removed remain faucet users ROLE_FAUCET_USER", async function() {
+					expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.true;
+				});
+			});
+		});
+		describe("faucet:set-limit with --epoch and --limit", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await hre.run("faucet:set-limit", {epoch: "12h", limit: "0.5 ether"});
+			});
+			it("'EpochParamsUpdated' event is emitted", async function() {
+				expect(receipt.events.EpochParamsUpdated.returnValues.epochLength).to.equal("43200");
+			});
+			it("epoch length 'epochLength' is updated correctly", async function() {
+				expect(await faucet.methods.epochLength().call()).to.equal("43200");
+			});
+			it("wei limit per epoch 'weiLimitPerEpoch' is updated correctly", async function() {
+				expect(await faucet.methods.weiLimitPerEpoch().call()).to.equal(ether("0.5").toString(10));
+			});
+		});
+		describe("faucet:set-limit with --limit only", function() {
+			beforeEach(async function() {
+				await hre.run("faucet:set-limit", {limit: "2 ether"});
+			});
+			it("epoch length 'epochLength' remains unchanged", async function() {
+				expect(await faucet.methods.epochLength().call()).to.equal("86400");
+			});
+			it("wei limit per epoch 'weiLimitPerEpoch' is updated correctly", async function() {
+				expect(await faucet.methods.weiLimitPerEpoch().call()).to.equal(ether("2").toString(10));
+			});
+		});
+		describe("faucet:set-limit with --user", function() {
+			beforeEach(async function() {
+				await hre.run("faucet:set-limit", {user: a3, limit: "1 ether"});
+			});
+			it("wei limit per epoch for a user 'weiLimitPerEpochForUser' is updated correctly", async function() {
+				expect(await faucet.methods.weiLimitPerEpochForUser(a3).call()).to.equal(ether("1").toString(10));
+			});
+		});
+		describe("faucet:add-users with --expires", function() {
+			beforeEach(async function() {
+				await hre.run("faucet:add-users", {expires: "1d", users: [a1]});
+			});
+			it("access expiration time 'userAccessExpiries' is set", async function() {
+				expect(parseInt(await faucet.methods.userAccessExpiries(a1).call())).to.be.closeTo(await time.latest() + 86400, 1);
+			});
+		});
+		describe("faucet:set-limit with --user and --expires", function() {
+			beforeEach(async function() {
+				await hre.run("faucet:set-limit", {user: a3, limit: "1 ether", expires: "2w"});
+			});
+			it("override expiration time 'weiLimitOverrideExpiries' is set", async function() {
+				expect(parseInt(await faucet.methods.weiLimitOverrideExpiries(a3).call())).to.be.closeTo(await time.latest() + 1209600, 1);
+			});
+			it("wei limit per epoch for a user 'weiLimitPerEpochForUser' is updated correctly", async function() {
+				expect(await faucet.methods.weiLimitPerEpochForUser(a3).call()).to.equal(ether("1").toString(10));
+			});
+		});
+		it("faucet:set-limit fails if --expires is set without --user", async function() {
+			let error;
+			await hre.run("faucet:set-limit", {limit: "1 ether", expires: "1d"}).catch(e => error = e);
+			expect(error.message).to.contain("--expires can be set per user only");
+		});
+		it("faucet:set-limit fails if neither --epoch nor --limit is set", async function() {
+			let error;
+			await hre.run("faucet:set-limit", {}).catch(e => error = e);
+			expect(error.message).to.contain("at least one of --limit or --epoch must be set");
+		});
+		describe("faucet:status", function() {
+			let status;
+			beforeEach(async function() {
+				await hre.run("faucet:add-users", {users: [a1]});
+				status = await hre.run("faucet:status", {users: [a1, a2]});
+			});
+			it("reports the faucet proxy address", async function() {
+				expect(status.address).to.equal(faucet.options.address);
+			});
+			it("reports the epoch params", async function() {
+				expect(status.epochLength).to.equal("86400");
+				expect(status.weiLimitPerEpoch).to.equal(ether("10").toString(10));
+				expect(status.throttlingMode).to.equal(0);
+			});
+			it("reports the faucet is not paused", async function() {
+				expect(status.paused).to.be.false;
+			});
+			it("reports the faucet-wide budgets are disabled", async function() {
+				expect(status.weiBudgetPerEpoch).to.equal("0");
+				expect(status.mintBudgetPerEpoch).to.equal("0");
+			});
+			it("reports the user roles", async function() {
+				expect(status.users[0].isUser).to.be.true;
+				expect(status.users[1].isUser).to.be.false;
+			});
+			it("reports the user allowance", async function() {
+				expect(status.users[0].weiLeft).to.equal(ether("10").toString(10));
+			});
+			it("reports the user tier", async function() {
+				expect(status.users[0].tier).to.equal("0");
+			});
+			it("reports the user access and override expiration", async function() {
+				expect(status.users[0].accessExpiresAt).to.equal(0);
+				expect(status.users[0].weiLimitOverrideExpiresAt).to.equal(0);
+			});
+			it("reports the users and managers count", async function() {
+				expect(status.userCount).to.equal("2");
+				expect(status.managerCount).to.equal("1");
+			});
+			it("reports the user which access expired is not a faucet user", async function() {
+				await hre.run("faucet:add-users", {users: [a2], expires: "1h"});
+				await time.increase(3600);
+				const {users: [, user]} = await hre.run("faucet:status", {users: [a1, a2]});
+				expect(user.isUser).to.be.false;
+				expect(user.role).to.equal(ROLE_FAUCET_USER.toString(16));
+			});
+		});
+		describe("faucet:sync-registry", function() {
+			// use the fresh indexer store for every test, the chain is reverted between the tests
+			const store = () => require("path").join(require("os").tmpdir(), `faucet_index_test_${Date.now()}.json`);
+
+			describe("when the roles are updated via updateRole directly", function() {
+				let out_of_sync;
+				beforeEach(async function() {
+					await hre.run("faucet:add-users", {users: [a1, a2]});
+					await faucet.methods.updateRole(a1, 0).send({from: a0});
+					await faucet.methods.updateRole(a3, ROLE_FAUCET_USER).send({from: a0});
+					out_of_sync = await hre.run("faucet:sync-registry", {store: store(), batch: 1});
+				});
+				it("finds the addresses out of sync", async function() {
+					expect(out_of_sync).to.have.members([a1, a3]);
+				});
+				it("the registry is synchronized", async function() {
+					expect(await faucet.methods.getUsers(0, 10).call()).to.have.members([a0, a2, a3]);
+				});
+				it("the revoked user is removed from the registry", async function() {
+					expect(await faucet.methods.userCount().call()).to.equal("3");
+				});
+			});
+			it("does nothing when the registry is in sync", async function() {
+				await hre.run("faucet:add-users", {users: [a1]});
+				expect(await hre.run("faucet:sync-registry", {store: store()})).to.be.empty;
+			});
+		});
+		describe("faucet:cleanup-expired", function() {
+			// use the fresh indexer store for every test, the chain is reverted between the tests
+			const store = () => require("path").join(require("os").tmpdir(), `faucet_index_test_${Date.now()}.json`);
+
+			beforeEach(async function() {
+				await hre.run("faucet:add-users", {expires: "1d", users: [a1, a2]});
+				await hre.run("faucet:add-users", {users: [a3]});
+				await hre.run("faucet:set-limit", {user: a1, limit: "1 ether", expires: "1d"});
+				await hre.run("faucet:set-limit", {user: a3, limit: "1 ether"});
+			});
+			it("finds nothing before the expiration", async function() {
+				expect(await hre.run("faucet:cleanup-expired", {store: store(), dryRun: true}))
+					.to.deep.equal({users: [], overrides: []});
+			});
+			describe("when the access and the overrides expire", function() {
+				beforeEach(async function() {
+					await time.increase(86400);
+				});
+				it("--dry-run lists the expired users", async function() {
+					const {users} = await hre.run("faucet:cleanup-expired", {store: store(), dryRun: true});
+					expect(users.map(e => e.user)).to.have.members([a1, a2]);
+				});
+				it("--dry-run lists the expired overrides", async function() {
+					const {overrides} = await hre.run("faucet:cleanup-expired", {store: store(), dryRun: true});
+					expect(overrides).to.deep.equal([{
+						user: a1,
+						weiLimitPerEpoch: ether("1").toString(10),
+						expiresAt: parseInt(await faucet.methods.weiLimitOverrideExpiries(a1).call()),
+					}]);
+				});
+				it("--dry-run doesn't change anything", async function() {
+					await hre.run("faucet:cleanup-expired", {store: store(), dryRun: true});
+					expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.true;
+				});
+				it("fails if executed not by ROLE_FAUCET_MANAGER", async function() {
+					let error;
+					await hre.run("faucet:cleanup-expired", {from: a1, store: store()}).catch(e => error = e);
+					expect(error.message).to.contain("doesn't have ROLE_FAUCET_MANAGER permission");
+				});
+				describe("when cleaned up", function() {
+					beforeEach(async function() {
+						await hre.run("faucet:cleanup-expired", {store: store(), batch: 1});
+					});
+					it("expired users are removed", async function() {
+						expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.false;
+						expect(await faucet.methods.isOperatorInRole(a2, ROLE_FAUCET_USER).call()).to.be.false;
+						expect(await faucet.methods.getUsers(0, 10).call()).to.have.members([a0, a3]);
+					});
+					it("users which don't expire remain", async function() {
+						expect(await faucet.methods.isOperatorInRole(a3, ROLE_FAUCET_USER).call()).to.be.true;
+					});
+					it("expired overrides are removed", async function() {
+						expect(await faucet.methods.weiLimitPerEpochOverrides(a1).call()).to.equal("0");
+						expect(await faucet.methods.weiLimitOverrideExpiries(a1).call()).to.equal("0");
+					});
+					it("overrides which don't expire remain", async function() {
+						expect(await faucet.methods.weiLimitPerEpochOverrides(a3).call()).to.equal(ether("1").toString(10));
+					});
+					it("nothing is left to clean up", async function() {
+						expect(await hre.run("faucet:cleanup-expired", {store: store(), dryRun: true}))
+							.to.deep.equal({users: [], overrides: []});
+					});
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,107 @@
+// Faucet Allow-list Tasks Tests
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	or,
+	ROLE_FAUCET_USER,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	get_faucet,
+	get_companion,
+} = require("../../scripts/include/faucet_utils");
+
+// run faucet allow-list tasks tests
+contract("Faucet allow-list tasks", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	const path = require("path");
+	const fs = require("fs");
+	// temporary roster and proofs files
+	let tmp, roster_file, proofs_file;
+	let faucet, allowlist;
+	beforeEach(async function() {
+		await deployments.fixture(["FaucetAllowlist_Proxy"]);
+		faucet = await get_faucet(deployments);
+		allowlist = await get_companion(deployments, "FaucetAllowlist");
+		await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).send({from: a0});
+		await faucet.methods.addUsers([allowlist.options.address]).send({from: a0});
+		await web3.eth.sendTransaction({from: a0, to: faucet.options.address, value: web3.utils.toWei("10", "ether")});
+
+		tmp = path.join(require("os").tmpdir(), `faucet_allowlist_${Date.now()}`);
+		fs.mkdirSync(tmp, {recursive: true});
+		roster_file = path.join(tmp, "roster.csv");
+		proofs_file = path.join(tmp, "allowlist.json");
+		fs.writeFileSync(roster_file, `address,limit\n${a1}\n${a2},1 ether\n`);
+	});
+	afterEach(async function() {
+		fs.rmSync(tmp, {recursive: true, force: true});
+	});
+
+	it("faucet:allowlist saves the root and the proofs", async function() {
+		const proofs = await hre.run("faucet:allowlist", {file: roster_file, out: proofs_file});
+		expect(JSON.parse(fs.readFileSync(proofs_file, "utf8"))).to.deep.equal(proofs);
+		expect(proofs.claims).to.have.all.keys(a1, a2);
+		expect(proofs.claims[a2].limit).to.equal(web3.utils.toWei("1", "ether"));
+	});
+	it("faucet:allowlist doesn't publish the root without --publish", async function() {
+		await hre.run("faucet:allowlist", {file: roster_file});
+		expect(await allowlist.methods.merkleRoot().call()).to.match(/^0x0+$/);
+	});
+	it("faucet:allowlist --publish fails if executed not by ROLE_FAUCET_MANAGER", async function() {
+		let error;
+		await hre.run("faucet:allowlist", {file: roster_file, publish: true, from: a3}).catch(e => error = e);
+		expect(error.message).to.contain("doesn't have ROLE_FAUCET_MANAGER permission");
+	});
+	describe("when the root is published", function() {
+		let proofs;
+		beforeEach(async function() {
+			proofs = await hre.run("faucet:allowlist", {file: roster_file, out: proofs_file, publish: true});
+		});
+		it("the root is set on the allow-list contract", async function() {
+			expect(await allowlist.methods.merkleRoot().call()).to.equal(proofs.root);
+		});
+		it("faucet:allowlist-claim sends ETH to the allow-listed address", async function() {
+			const before = web3.utils.toBN(await web3.eth.getBalance(a3));
+			await hre.run("faucet:allowlist-claim", {from: a2, to: a3, proofs: proofs_file, value: "0.5 ether"});
+			const after = web3.utils.toBN(await web3.eth.getBalance(a3));
+			expect(after.sub(before).toString()).to.equal(web3.utils.toWei("0.5", "ether"));
+		});
+		it("faucet:allowlist-claim fails if the value exceeds the leaf limit", async function() {
+			let error;
+			await hre.run("faucet:allowlist-claim", {from: a2, proofs: proofs_file, value: "2 ether"}).catch(e => error = e);
+			expect(error.message).to.contain("can claim up to 1 ETH in current epoch");
+		});
+		it("faucet:allowlist-claim fails for the address not in the allow-list", async function() {
+			let error;
+			await hre.run("faucet:allowlist-claim", {from: a3, proofs: proofs_file, value: "1 ether"}).catch(e => error = e);
+			expect(error.message).to.contain(`${a3} is not in the allow-list`);
+		});
+		describe("when the root is rotated", function() {
+			beforeEach(async function() {
+				fs.writeFileSync(roster_file, `${a1}\n${a3}\n`);
+				await hre.run("faucet:allowlist", {file: roster_file, publish: true});
+			});
+			it("faucet:allowlist-claim fails with the outdated proofs file", async function() {
+				let error;
+				await hre.run("faucet:allowlist-claim", {from: a1, proofs: proofs_file, value: "1 ether"}).catch(e => error = e);
+				expect(error.message).to.contain("is outdated");
+			});
+		});
+	});
+});
@@ -0,0 +1,83 @@
+// Faucet Public Tier Tasks Tests
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	or,
+	ROLE_FAUCET_USER,
+	FEATURE_PUBLIC,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	get_faucet,
+	get_companion,
+} = require("../../scripts/include/faucet_utils");
+
+// run faucet public tier tasks tests
+contract("Faucet public tier tasks", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	let faucet, public_tier;
+	beforeEach(async function() {
+		await deployments.fixture(["FaucetPublic_Proxy"]);
+		faucet = await get_faucet(deployments);
+		public_tier = await get_companion(deployments, "FaucetPublic");
+		await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).send({from: a0});
+		await faucet.methods.addUsers([public_tier.options.address]).send({from: a0});
+		await web3.eth.sendTransaction({from: a0, to: faucet.options.address, value: web3.utils.toWei("10", "ether")});
+	});
+
+	it("faucet:public prints the public tier status", async function() {
+		const status = await hre.run("faucet:public");
+		expect(status).to.include({enabled: false, weiPerClaim: web3.utils.toWei("0.05", "ether"), cooldown: 7 * 86400, difficulty: 18});
+	});
+	it("faucet:public updates the params specified, keeping the rest", async function() {
+		const status = await hre.run("faucet:public", {cooldown: "30d", difficulty: 8});
+		expect(status).to.include({weiPerClaim: web3.utils.toWei("0.05", "ether"), cooldown: 30 * 86400, difficulty: 8});
+	});
+	it("faucet:public fails to update the params if executed not by ROLE_FAUCET_MANAGER", async function() {
+		let error;
+		await hre.run("faucet:public", {from: a3, amount: "1 ether"}).catch(e => error = e);
+		expect(error.message).to.contain("doesn't have ROLE_FAUCET_MANAGER permission");
+	});
+	it("faucet:public-claim fails if the public mode is disabled", async function() {
+		let error;
+		await hre.run("faucet:public-claim", {from: a1}).catch(e => error = e);
+		expect(error.message).to.contain("public tier is disabled");
+	});
+	describe("when the public mode is enabled", function() {
+		beforeEach(async function() {
+			await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_PUBLIC)).send({from: a0});
+			await hre.run("faucet:public", {difficulty: 8});
+		});
+		it("faucet:public reports the public mode enabled", async function() {
+			expect((await hre.run("faucet:public")).enabled).to.be.true;
+		});
+		it("faucet:public-claim solves the proof-of-work and sends ETH to the recipient", async function() {
+			const before = web3.utils.toBN(await web3.eth.getBalance(a2));
+			await hre.run("faucet:public-claim", {from: a1, to: a2});
+			const after = web3.utils.toBN(await web3.eth.getBalance(a2));
+			expect(after.sub(before).toString()).to.equal(web3.utils.toWei("0.05", "ether"));
+		});
+		it("faucet:public-claim fails if the recipient is on cooldown", async function() {
+			await hre.run("faucet:public-claim", {from: a1, to: a2});
+			let error;
+			await hre.run("faucet:public-claim", {from: a3, to: a2}).catch(e => error = e);
+			expect(error.message).to.contain(`${a2} is on cooldown`);
+		});
+	});
+});
@@ -0,0 +1,99 @@
+// Faucet Requests Administration Tasks Tests
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	ROLE_FAUCET_USER,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	get_faucet,
+	get_companion,
+} = require("../../scripts/include/faucet_utils");
+
+// run faucet requests administration tasks tests
+contract("Faucet requests administration tasks", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2] = accounts;
+
+	const reason_hash = web3.utils.keccak256("load test");
+
+	let faucet, requests;
+	beforeEach(async function() {
+		await deployments.fixture(["FaucetRequests_Proxy"]);
+		faucet = await get_faucet(deployments);
+		requests = await get_companion(deployments, "FaucetRequests");
+		await faucet.methods.updateRole(a1, ROLE_FAUCET_USER).send({from: a0});
+		for(const value of ["1", "2", "3"]) {
+			await requests.methods.fileRequest(web3.utils.toWei(value, "ether"), reason_hash).send({from: a1});
+		}
+	});
+
+	it("faucet:requests lists the pending requests", async function() {
+		const result = await hre.run("faucet:requests");
+		expect(result.map(r => r.id)).to.deep.equal(["1", "2", "3"]);
+		expect(result[1]).to.include({user: a1, value: web3.utils.toWei("2", "ether"), reasonHash: reason_hash, status: "pending"});
+	});
+	it("faucet:approve-request fails if executed not by ROLE_FAUCET_MANAGER", async function() {
+		let error;
+		await hre.run("faucet:approve-request", {from: a2, id: 1}).catch(e => error = e);
+		expect(error.message).to.contain("doesn't have ROLE_FAUCET_MANAGER permission");
+	});
+	it("faucet:approve-request fails if the request doesn't exist", async function() {
+		let error;
+		await hre.run("faucet:approve-request", {id: 4}).catch(e => error = e);
+		expect(error.message).to.contain("request 4 is not pending: none");
+	});
+	describe("when the requests are approved and rejected", function() {
+		beforeEach(async function() {
+			await hre.run("faucet:approve-request", {id: 1});
+			await hre.run("faucet:reject-request", {id: 2});
+		});
+		it("faucet:requests lists the remaining pending request only", async function() {
+			expect((await hre.run("faucet:requests")).map(r => r.id)).to.deep.equal(["3"]);
+		});
+		it("faucet:requests --all lists all the requests with their statuses", async function() {
+			expect((await hre.run("faucet:requests", {all: true})).map(r => r.status)).to.deep.equal(["approved", "rejected", "pending"]);
+		});
+		it("faucet:approve-request fails if the request is not pending", async function() {
+			let error;
+			await hre.run("faucet:approve-request", {id: 2}).catch(e => error = e);
+			expect(error.message).to.contain("request 2 is not pending: rejected");
+		});
+	});
+	describe("when the requests expire", function() {
+		beforeEach(async function() {
+			await time.increase(7 * 86400);
+		});
+		it("faucet:requests reports the expired status", async function() {
+			expect((await hre.run("faucet:requests")).map(r => r.status)).to.deep.equal(["expired", "expired", "expired"]);
+		});
+		it("faucet:approve-request fails", async function() {
+			let error;
+			await hre.run("faucet:approve-request", {id: 1}).catch(e => error = e);
+			expect(error.message).to.contain("request 1 is not pending: expired");
+		});
+		it("faucet:reject-request removes the expired request from the pending list", async function() {
+			await hre.run("faucet:reject-request", {id: 1});
+			expect((await hre.run("faucet:requests")).map(r => r.id)).to.deep.equal(["2", "3"]);
+		});
+	});
+});
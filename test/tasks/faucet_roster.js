@@ -0,0 +1,203 @@
+// Faucet Roster Synchronization Tests
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Zeppelin test helpers
+const {
+	ether,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	or,
+	ROLE_FAUCET_USER,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	get_faucet,
+} = require("../../scripts/include/faucet_utils");
+const {
+	parse_roster,
+	split_batches,
+} = require("../../scripts/include/roster_utils");
+
+// run faucet roster synchronization tests
+contract("Faucet roster synchronization", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3, a4] = accounts;
+
+	// writes the roster into a temporary file and returns its path
+	function write_roster(contents, ext = "csv") {
+		const path = require("path").join(require("os").tmpdir(), `faucet_roster_${Date.now()}.${ext}`);
+		require("fs").writeFileSync(path, contents);
+		return path;
+	}
+
+	describe("parsing the roster: 'parse_roster'", function() {
+		it("CSV with a header, comments, and optional limits", async function() {
+			const roster = parse_roster(`address,limit\n# QA\n${a1.toLowerCase()},2 ether\n\n${a2}\n`, "csv");
+			expect(roster.map(e => e.address)).to.deep.equal([a1, a2]);
+			expect(roster[0].limit).to.be.bignumber.that.equals(ether("2"));
+			expect(roster[1].limit).to.be.bignumber.that.equals("0");
+		});
+		it("JSON array of addresses", async function() {
+			const roster = parse_roster(JSON.stringify([a1, a2]), "json");
+			expect(roster.map(e => e.address)).to.deep.equal([a1, a2]);
+		});
+		it("JSON array of objects", async function() {
+			const roster = parse_roster(JSON.stringify([{address: a1, limit: "1 ether"}, {address: a2}]), "json");
+			expect(roster[0].limit).to.be.bignumber.that.equals(ether("1"));
+			expect(roster[1].limit).to.be.bignumber.that.equals("0");
+		});
+		it("JSON object mapping addresses to limits", async function() {
+			const roster = parse_roster(JSON.stringify({[a1]: "1 ether", [a2]: null}), "json");
+			expect(roster.map(e => e.address)).to.deep.equal([a1, a2]);
+			expect(roster[0].limit).to.be.bignumber.that.equals(ether("1"));
+		});
+		it("fails on invalid address", async function() {
+			expect(() => parse_roster(`${a1}\n0x123\n`, "csv")).to.throw("roster entry 2: invalid address 0x123");
+		});
+		it("fails on duplicate address", async function() {
+			expect(() => parse_roster(`${a1}\n${a1.toLowerCase()}\n`, "csv")).to.throw("duplicate address");
+		});
+	});
+	describe("splitting the batches: 'split_batches'", function() {
+		const estimate_gas = async(batch) => 21_000 + 10_000 * batch.length;
+		it("fitting batch is not split", async function() {
+			expect(await split_batches([1, 2, 3], estimate_gas, 100_000)).to.deep.equal([[1, 2, 3]]);
+		});
+		it("non-fitting batch is split in halves", async function() {
+			expect(await split_batches([1, 2, 3, 4, 5], estimate_gas, 50_000)).to.deep.equal([[1, 2], [3], [4, 5]]);
+		});
+		it("batch failing the estimation is split", async function() {
+			const estimate_or_throw = async(batch) => {
+				if(batch.length > 2) {
+					throw new Error("exceeds block gas limit");
+				}
+				return estimate_gas(batch);
+			};
+			expect(await split_batches([1, 2, 3, 4], estimate_or_throw, 100_000)).to.deep.equal([[1, 2], [3, 4]]);
+		});
+		it("fails if a single item doesn't fit", async function() {
+			let error;
+			await split_batches([1], estimate_gas, 30_000).catch(e => error = e);
+			expect(error.message).to.contain("exceeds the limit");
+		});
+	});
+
+	describe("when the faucet is deployed via hardhat-deploy, and has some users", function() {
+		let faucet;
+		beforeEach(async function() {
+			await deployments.fixture(["TheFaucet_Proxy"]);
+			faucet = await get_faucet(deployments);
+			await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).send({from: a0});
+			await faucet.methods.addUsers([a1, a2]).send({from: a0});
+			await faucet.methods.setWeiLimitPerEpochForUser(a2, ether("5")).send({from: a0});
+		});
+
+		describe("roster: a1 (1 ether), a3; faucet:sync-users --dry-run", function() {
+			let plan;
+			beforeEach(async function() {
+				plan = await hre.run("faucet:sync-users", {dryRun: true, file: write_roster(`${a1},1 ether\n${a3}\n`)});
+			});
+			it("plans to add a3", async function() {
+				expect(plan.add).to.deep.equal([a3]);
+			});
+			it("plans to remove a2", async function() {
+				expect(plan.remove).to.deep.equal([a2]);
+			});
+			it("doesn't plan to remove the admin a0", async function() {
+				expect(plan.remove).to.not.include(a0);
+			});
+			it("plans to set a1 limit to 1 ether, and reset a2 limit", async function() {
+				expect(plan.limits.map(e => [e.address, e.limit.toString(10)])).to.deep.equal([
+					[a1, ether("1").toString(10)],
+					[a2, "0"],
+				]);
+			});
+			it("doesn't send any transactions", async function() {
+				expect(await faucet.methods.isOperatorInRole(a2, ROLE_FAUCET_USER).call()).to.be.true;
+				expect(await faucet.methods.isOperatorInRole(a3, ROLE_FAUCET_USER).call()).to.be.false;
+			});
+		});
+		describe("roster: a1 (1 ether), a3, a4; faucet:sync-users", function() {
+			beforeEach(async function() {
+				const roster = JSON.stringify([{address: a1, limit: "1 ether"}, a3, a4]);
+				await hre.run("faucet:sync-users", {maxGas: 150_000, file: write_roster(roster, "json")});
+			});
+			it("a3 and a4 become faucet users", async function() {
+				expect(await faucet.methods.isOperatorInRole(a3, ROLE_FAUCET_USER).call()).to.be.true;
+				expect(await faucet.methods.isOperatorInRole(a4, ROLE_FAUCET_USER).call()).to.be.true;
+			});
+			it("a1 remains a faucet user", async function() {
+				expect(await faucet.methods.isOperatorInRole(a1, ROLE_FAUCET_USER).call()).to.be.true;
+			});
+			it("a2 stops being a faucet user", async function() {
+				expect(await faucet.methods.isOperatorInRole(a2, ROLE_FAUCET_USER).call()).to.be.false;
+			});
+			it("a1 limit is set to 1 ether", async function() {
+				expect(await faucet.methods.weiLimitPerEpochOverrides(a1).call()).to.equal(ether("1").toString(10));
+			});
+			it("a2 limit override is reset", async function() {
+				expect(await faucet.methods.weiLimitPerEpochOverrides(a2).call()).to.equal("0");
+			});
+			it("second sync has nothing to do", async function() {
+				const roster = JSON.stringify([{address: a1, limit: "1 ether"}, a3, a4]);
+				const plan = await hre.run("faucet:sync-users", {dryRun: true, file: write_roster(roster, "json")});
+				expect(plan.add.length + plan.remove.length + plan.limits.length).to.equal(0);
+			});
+		});
+		describe("roster: a1, a2 (5 ether), a2 access expired", function() {
+			let roster_path;
+			beforeEach(async function() {
+				await faucet.methods.addUsersWithExpiry([a2], (await time.latest()) + 60).send({from: a0});
+				await time.increase(60);
+				roster_path = write_roster(`${a1}\n${a2},5 ether\n`);
+			});
+			it("faucet:sync-users --dry-run plans to add a2 again", async function() {
+				const plan = await hre.run("faucet:sync-users", {dryRun: true, file: roster_path});
+				expect(plan.add).to.deep.equal([a2]);
+			});
+			it("faucet:sync-users restores a2 access which doesn't expire", async function() {
+				await hre.run("faucet:sync-users", {file: roster_path});
+				expect(await faucet.methods.isActiveUser(a2).call()).to.be.true;
+				expect(await faucet.methods.userAccessExpiries(a2).call()).to.equal("0");
+			});
+		});
+		describe("roster: a1, a2 (5 ether), a2 limit override expired", function() {
+			let roster_path;
+			beforeEach(async function() {
+				await faucet.methods.setWeiLimitPerEpochForUserWithExpiry(a2, ether("5"), (await time.latest()) + 60).send({from: a0});
+				await time.increase(60);
+				roster_path = write_roster(`${a1}\n${a2},5 ether\n`);
+			});
+			it("faucet:sync-users --dry-run plans to set a2 limit to 5 ether again", async function() {
+				const plan = await hre.run("faucet:sync-users", {dryRun: true, file: roster_path});
+				expect(plan.limits.map(e => [e.address, e.current.toString(10), e.limit.toString(10)])).to.deep.equal([
+					[a2, "0", ether("5").toString(10)],
+				]);
+			});
+			it("faucet:sync-users restores a2 limit override which doesn't expire", async function() {
+				await hre.run("faucet:sync-users", {file: roster_path});
+				expect(await faucet.methods.weiLimitPerEpochForUser(a2).call()).to.equal(ether("5").toString(10));
+				expect(await faucet.methods.weiLimitOverrideExpiries(a2).call()).to.equal("0");
+			});
+		});
+	});
+});
@@ -0,0 +1,107 @@
+// Faucet Timelock Administration Tasks Tests
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	or,
+	ROLE_FAUCET_MANAGER,
+	ROLE_UPGRADE_MANAGER,
+	ROLE_TIMELOCK,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	get_faucet,
+	get_companion,
+} = require("../../scripts/include/faucet_utils");
+
+// run faucet timelock administration tasks tests
+contract("Faucet timelock administration tasks", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2] = accounts;
+
+	const limit = web3.utils.toWei("20", "ether");
+
+	let faucet, timelock, delay;
+	beforeEach(async function() {
+		await deployments.fixture(["FaucetTimelock_Proxy"]);
+		faucet = await get_faucet(deployments);
+		timelock = await get_companion(deployments, "FaucetTimelock");
+		delay = parseInt(await timelock.methods.delay().call());
+		const roles = or(ROLE_TIMELOCK, ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER);
+		await faucet.methods.updateRole(timelock.options.address, roles.toString()).send({from: a0});
+		await faucet.methods.updateRole(a1, ROLE_FAUCET_MANAGER).send({from: a0});
+		await hre.run("faucet:queue-operation", {from: a1, method: "setEpochParams", args: ["86400", limit]});
+		await hre.run("faucet:queue-operation", {from: a1, method: "setBudgetsPerEpoch", args: ["1", "2"]});
+	});
+
+	it("faucet:queue-operation fails for the unknown faucet function", async function() {
+		let error;
+		await hre.run("faucet:queue-operation", {from: a1, method: "setEverything", args: []}).catch(e => error = e);
+		expect(error.message).to.contain("unknown faucet function setEverything");
+	});
+	it("faucet:timelock lists the pending operations with the calls decoded", async function() {
+		const result = await hre.run("faucet:timelock");
+		expect(result.map(o => o.id)).to.deep.equal(["1", "2"]);
+		expect(result[0]).to.include({proposer: a1, call: `setEpochParams(86400, ${limit})`, status: "pending"});
+		expect(result[1]).to.include({call: "setBudgetsPerEpoch(1, 2)"});
+	});
+	it("faucet:execute-operation fails if executed not by ROLE_FAUCET_MANAGER", async function() {
+		let error;
+		await hre.run("faucet:execute-operation", {from: a2, id: 1}).catch(e => error = e);
+		expect(error.message).to.contain("doesn't have ROLE_FAUCET_MANAGER permission");
+	});
+	it("faucet:execute-operation fails if the delay has not passed", async function() {
+		let error;
+		await hre.run("faucet:execute-operation", {id: 1}).catch(e => error = e);
+		expect(error.message).to.contain("operation 1 is not ready: pending");
+	});
+	it("faucet:cancel-operation cancels the pending operation", async function() {
+		await hre.run("faucet:cancel-operation", {id: 1});
+		expect((await hre.run("faucet:timelock", {all: true})).map(o => o.status)).to.deep.equal(["cancelled", "pending"]);
+	});
+	describe("when the delay passes", function() {
+		beforeEach(async function() {
+			await time.increase(delay);
+		});
+		it("faucet:timelock lists the operations as ready", async function() {
+			expect((await hre.run("faucet:timelock")).map(o => o.status)).to.deep.equal(["ready", "ready"]);
+		});
+		describe("when the operation is executed", function() {
+			beforeEach(async function() {
+				await hre.run("faucet:execute-operation", {from: a1, id: 1});
+			});
+			it("the faucet param is updated", async function() {
+				expect(await faucet.methods.weiLimitPerEpoch().call()).to.equal(limit);
+			});
+			it("faucet:timelock lists the remaining pending operation only", async function() {
+				expect((await hre.run("faucet:timelock")).map(o => o.id)).to.deep.equal(["2"]);
+			});
+			it("faucet:timelock --all lists all the operations with their statuses", async function() {
+				expect((await hre.run("faucet:timelock", {all: true})).map(o => o.status)).to.deep.equal(["executed", "ready"]);
+			});
+			it("faucet:cancel-operation fails if the operation is not pending", async function() {
+				let error;
+				await hre.run("faucet:cancel-operation", {id: 1}).catch(e => error = e);
+				expect(error.message).to.contain("operation 1 is not pending: executed");
+			});
+		});
+	});
+});
@@ -0,0 +1,314 @@
+// Storage Layout Snapshots and Upgrade Safety Tests
+
+// Hardhat Network Helpers
+// https://hardhat.org/hardhat-network-helpers/docs/overview
+const {
+	time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// storage layout helpers
+const {
+	SNAPSHOTS_DIR,
+	extract_layout,
+	compare_layouts,
+	load_snapshots,
+	save_snapshot,
+	check_snapshots,
+} = require("../../scripts/include/storage_layout");
+
+// ACL features and roles
+const {
+	or,
+	ROLE_FAUCET_MANAGER,
+	ROLE_UPGRADE_MANAGER,
+	ROLE_TIMELOCK,
+	FEATURE_TIMELOCK,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	get_faucet,
+	get_companion,
+} = require("../../scripts/include/faucet_utils");
+
+// deployment routines in use
+const {
+	faucet_impl_deploy,
+} = require("../protocol/include/deployment_routines");
+
+// run storage layout snapshots and upgrade safety tests
+contract("Storage layout snapshots and upgrade safety", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0] = accounts;
+
+	// v1_0 snapshot committed, and the layout of the contract compiled
+	let v1_0, layout;
+	before(async function() {
+		v1_0 = load_snapshots("TheFaucetV1").find(snapshot => snapshot.version === "v1_0");
+		layout = await extract_layout(artifacts, "TheFaucetV1");
+	});
+
+	// deep copy of the layout to be modified by the test
+	function copy(layout) {
+		return JSON.parse(JSON.stringify(layout));
+	}
+	// finds the state variable in the layout
+	function find_var(layout, label) {
+		return layout.storage.find(v => v.label === label);
+	}
+
+	describe("comparing the layouts: 'compare_layouts'", function() {
+		it("v1_0 snapshot is committed", async function() {
+			assert.isDefined(v1_0, "v1_0 snapshot not found in " + SNAPSHOTS_DIR);
+			expect(v1_0.contract).to.equal("TheFaucetV1");
+		});
+		it("current layout is compatible with all the snapshots committed", async function() {
+			expect(check_snapshots("TheFaucetV1", layout)).to.be.empty;
+		});
+		it("snapshot is compatible with itself", async function() {
+			expect(compare_layouts(v1_0, v1_0)).to.be.empty;
+		});
+		it("appending new state variables is allowed", async function() {
+			const new_layout = copy(v1_0);
+			new_layout.storage.push({label: "newVar", slot: "154", offset: 0, type: "t_uint256"});
+			expect(compare_layouts(v1_0, new_layout)).to.be.empty;
+		});
+		it("shrinking the __gap to add the new state variables in front of it is allowed", async function() {
+			const new_layout = copy(v1_0);
+			const gap = new_layout.storage[3];
+			new_layout.storage.splice(3, 1,
+				{label: "newVar", slot: "2", offset: 0, type: "t_uint256"},
+				{label: "__gap", slot: "3", offset: 0, type: "t_array(t_uint256)48_storage"},
+			);
+			new_layout.types["t_array(t_uint256)48_storage"] = Object.assign({}, new_layout.types[gap.type], {label: "uint256[48]", numberOfBytes: "1536"});
+			expect(compare_layouts(v1_0, new_layout)).to.be.empty;
+		});
+		it("moving the __gap end is detected", async function() {
+			const new_layout = copy(v1_0);
+			new_layout.storage[3].type = "t_array(t_uint256)50_storage";
+			expect(compare_layouts(v1_0, new_layout)).to.deep.equal(["__gap (slot 2, offset 0) is removed or moved"]);
+		});
+		it("removing the state variable is detected", async function() {
+			const new_layout = copy(v1_0);
+			new_layout.storage = new_layout.storage.filter(v => v.label !== "weiLimitPerEpochOverrides");
+			expect(compare_layouts(v1_0, new_layout)).to.deep.equal(["weiLimitPerEpochOverrides (slot 152, offset 0) is removed or moved"]);
+		});
+		it("reordering the packed epochLength/weiLimitPerEpoch slot is detected", async function() {
+			const new_layout = copy(v1_0);
+			Object.assign(find_var(new_layout, "epochLength"), {offset: 24});
+			Object.assign(find_var(new_layout, "weiLimitPerEpoch"), {offset: 0});
+			expect(compare_layouts(v1_0, new_layout)).to.deep.equal([
+				"epochLength (slot 151, offset 0) is replaced by weiLimitPerEpoch",
+				"weiLimitPerEpoch (slot 151, offset 8) is removed or moved",
+			]);
+		});
+		it("retyping the packed epochLength is detected", async function() {
+			const new_layout = copy(v1_0);
+			find_var(new_layout, "epochLength").type = "t_uint192";
+			expect(compare_layouts(v1_0, new_layout)).to.deep.equal([
+				"epochLength (slot 151, offset 0): uint64: size changed from 8 to 24 bytes",
+			]);
+		});
+		it("retyping the weiLimitPerEpochOverrides mapping value is detected", async function() {
+			const new_layout = copy(v1_0);
+			new_layout.types["t_mapping(t_address,t_uint192)"].value = "t_uint64";
+			expect(compare_layouts(v1_0, new_layout)).to.deep.equal([
+				"weiLimitPerEpochOverrides (slot 152, offset 0): uint192: size changed from 24 to 8 bytes",
+			]);
+		});
+		it("reordering withdrawalStats struct members is detected", async function() {
+			const new_layout = copy(v1_0);
+			const struct = new_layout.types["t_struct(WithdrawalStat)_storage"];
+			struct.members = [
+				{label: "weiWithdrawn", slot: "0", offset: 0, type: "t_uint192"},
+				{label: "lastWithdrawalTimestamp", slot: "0", offset: 24, type: "t_uint64"},
+			];
+			const errors = compare_layouts(v1_0, new_layout);
+			expect(errors).to.have.lengthOf(1);
+			expect(errors[0]).to.contain("withdrawalStats (slot 153, offset 0): struct TheFaucetV1.WithdrawalStat:");
+			expect(errors[0]).to.contain("lastWithdrawalTimestamp (slot 0, offset 0) is replaced by weiWithdrawn");
+		});
+		it("retyping withdrawalStats struct member is detected", async function() {
+			const new_layout = copy(v1_0);
+			new_layout.types["t_struct(WithdrawalStat)_storage"].members[1].type = "t_uint256";
+			const errors = compare_layouts(v1_0, new_layout);
+			expect(errors).to.have.lengthOf(1);
+			expect(errors[0]).to.contain("weiWithdrawn (slot 0, offset 8): uint192: size changed from 24 to 32 bytes");
+		});
+		it("appending new members to withdrawalStats struct (mapping value) is allowed", async function() {
+			const new_layout = copy(v1_0);
+			const struct = new_layout.types["t_struct(WithdrawalStat)_storage"];
+			struct.members.push({label: "withdrawalCount", slot: "1", offset: 0, type: "t_uint256"});
+			struct.numberOfBytes = "64";
+			expect(compare_layouts(v1_0, new_layout)).to.be.empty;
+		});
+		it("changing withdrawalStats mapping key type is detected", async function() {
+			const new_layout = copy(v1_0);
+			new_layout.types["t_mapping(t_address,t_struct(WithdrawalStat)_storage)"].key = "t_uint256";
+			expect(compare_layouts(v1_0, new_layout)).to.deep.equal([
+				"withdrawalStats (slot 153, offset 0): mapping(address => struct TheFaucetV1.WithdrawalStat): key type changed from t_address to t_uint256",
+			]);
+		});
+	});
+
+	describe("storage layout tasks", function() {
+		// temporary snapshots folder
+		let dir;
+		beforeEach(async function() {
+			dir = require("path").join(require("os").tmpdir(), `storage_layouts_${Date.now()}`);
+		});
+		afterEach(async function() {
+			require("fs").rmSync(dir, {recursive: true, force: true});
+		});
+
+		it("storage:check passes with the snapshots committed", async function() {
+			expect(await hre.run("storage:check")).to.include("v1_0");
+		});
+		it("storage:check passes with no snapshots", async function() {
+			expect(await hre.run("storage:check", {dir})).to.be.empty;
+		});
+		it("storage:snapshot saves the snapshot of the contract compiled", async function() {
+			const file = await hre.run("storage:snapshot", {dir, tag: "v1_1"});
+			const snapshot = JSON.parse(require("fs").readFileSync(file, "utf8"));
+			expect(snapshot.version).to.equal("v1_1");
+			expect(snapshot.storage).to.deep.equal(layout.storage);
+			expect(await hre.run("storage:check", {dir})).to.deep.equal(["v1_1"]);
+		});
+		describe("when incompatible snapshot is saved", function() {
+			beforeEach(async function() {
+				const snapshot = copy(v1_0);
+				Object.assign(find_var(snapshot, "epochLength"), {offset: 24});
+				Object.assign(find_var(snapshot, "weiLimitPerEpoch"), {offset: 0});
+				save_snapshot("TheFaucetV1", "v0_9", snapshot, dir);
+			});
+			it("storage:check fails", async function() {
+				let error;
+				await hre.run("storage:check", {dir}).catch(e => error = e);
+				expect(error.message).to.contain("v0_9: epochLength (slot 151, offset 24) is removed or moved");
+			});
+			it("storage:snapshot fails", async function() {
+				let error;
+				await hre.run("storage:snapshot", {dir, tag: "v1_0"}).catch(e => error = e);
+				expect(error.message).to.contain("use --force to save anyway");
+			});
+			it("storage:snapshot --force saves the snapshot", async function() {
+				await hre.run("storage:snapshot", {dir, tag: "v1_0", force: true});
+				expect(load_snapshots("TheFaucetV1", dir).map(snapshot => snapshot.version)).to.deep.equal(["v0_9", "v1_0"]);
+			});
+		});
+		it("storage:snapshot --deployment fails if the contract is not deployed", async function() {
+			let error;
+			await hre.run("storage:snapshot", {dir, tag: "v1_0", deployment: "unknown"}).catch(e => error = e);
+			expect(error.message).to.contain("TheFaucetV1 is not deployed to unknown");
+		});
+		it("storage:snapshot --deployment saves the snapshot of the contract deployed", async function() {
+			await hre.run("storage:snapshot", {dir, tag: "v1_0", deployment: "sepolia"});
+			const [snapshot] = load_snapshots("TheFaucetV1", dir);
+			expect(snapshot.storage).to.deep.equal(v1_0.storage);
+			expect(snapshot.types).to.deep.equal(v1_0.types);
+		});
+	});
+
+	describe("upgrade script: upgrade-TheFaucetV1", function() {
+		let v1_deployment, proxy_address;
+		beforeEach(async function() {
+			await deployments.fixture(["TheFaucet_Proxy"]);
+			v1_deployment = await deployments.get("TheFaucetV1");
+			({address: proxy_address} = await deployments.get("TheFaucet_Proxy"));
+			// new implementation deployed, to be upgraded to
+			const {address} = await faucet_impl_deploy(a0);
+			v1_deployment = Object.assign({}, v1_deployment, {address});
+		});
+
+		// reads the proxy implementation address from the ERC1967 implementation slot
+		async function implementation_of(proxy_address) {
+			const slot = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+			return web3.utils.toChecksumAddress("0x" + (await web3.eth.getStorageAt(proxy_address, slot)).slice(-40));
+		}
+		// runs the upgrade script against the fixture deployed
+		async function run_upgrade() {
+			await deployments.run(["upgrade-TheFaucetV1"], {resetMemory: false, writeDeploymentsToFiles: false});
+		}
+
+		it("upgrades the proxy when the storage layout is compatible", async function() {
+			const {storageLayout} = await deployments.getExtendedArtifact("TheFaucetV1");
+			await deployments.save("TheFaucetV1", Object.assign({}, v1_deployment, {storageLayout}));
+			await run_upgrade();
+			expect(await implementation_of(proxy_address)).to.equal(v1_deployment.address);
+		});
+		it("upgrades the proxy using the compiler output if the deployment doesn't keep the storage layout", async function() {
+			await deployments.save("TheFaucetV1", Object.assign({}, v1_deployment, {storageLayout: undefined}));
+			await run_upgrade();
+			expect(await implementation_of(proxy_address)).to.equal(v1_deployment.address);
+		});
+		it("fails when the new implementation reorders the packed epochLength/weiLimitPerEpoch slot", async function() {
+			const storageLayout = copy((await deployments.getExtendedArtifact("TheFaucetV1")).storageLayout);
+			const epoch_length = storageLayout.storage.find(v => v.label === "epochLength");
+			const wei_limit = storageLayout.storage.find(v => v.label === "weiLimitPerEpoch");
+			[epoch_length.offset, wei_limit.offset] = [24, 0];
+			await deployments.save("TheFaucetV1", Object.assign({}, v1_deployment, {storageLayout}));
+			let error;
+			await run_upgrade().catch(e => error = e);
+			expect(error.message).to.contain("v1_0: epochLength (slot 151, offset 0) is replaced by weiLimitPerEpoch");
+			expect(await implementation_of(proxy_address)).to.not.equal(v1_deployment.address);
+		});
+
+		describe("when the timelock is enabled", function() {
+			let faucet, upgrade_data;
+			beforeEach(async function() {
+				faucet = await get_faucet(deployments);
+				upgrade_data = faucet.methods.upgradeTo(v1_deployment.address).encodeABI();
+				const features = await faucet.methods.features().call();
+				await faucet.methods.updateFeatures(or(features, FEATURE_TIMELOCK).toString()).send({from: a0});
+			});
+			it("fails with the clear message if the timelock is not deployed", async function() {
+				await deployments.save("TheFaucetV1", Object.assign({}, v1_deployment, {storageLayout: undefined}));
+				let error;
+				await run_upgrade().catch(e => error = e);
+				expect(error.message).to.contain("the upgrade must be queued via FaucetTimelock_Proxy, but it is not deployed");
+				expect(await implementation_of(proxy_address)).to.not.equal(v1_deployment.address);
+			});
+			describe("when the timelock is deployed", function() {
+				let timelock;
+				beforeEach(async function() {
+					await deployments.run(["FaucetTimelock_Proxy"], {resetMemory: false, writeDeploymentsToFiles: false});
+					timelock = await get_companion(deployments, "FaucetTimelock");
+					const roles = or(ROLE_TIMELOCK, ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER);
+					await faucet.methods.updateRole(timelock.options.address, roles.toString()).send({from: a0});
+					await deployments.save("TheFaucetV1", Object.assign({}, v1_deployment, {storageLayout: undefined}));
+					await run_upgrade();
+				});
+				it("queues the upgrade via the timelock instead of upgrading the proxy", async function() {
+					expect(await implementation_of(proxy_address)).to.not.equal(v1_deployment.address);
+					expect(await timelock.methods.pendingOperationCount().call()).to.equal("1");
+					const [id] = await timelock.methods.getPendingOperations(0, 1).call();
+					const {proposer, data} = await timelock.methods.operations(id).call();
+					expect(proposer).to.equal(a0);
+					expect(data).to.equal(upgrade_data);
+				});
+				it("doesn't queue the same upgrade twice", async function() {
+					await run_upgrade();
+					expect(await timelock.methods.pendingOperationCount().call()).to.equal("1");
+				});
+				it("queued upgrade upgrades the proxy once executed after the delay", async function() {
+					await time.increase(parseInt(await timelock.methods.delay().call()));
+					const [id] = await timelock.methods.getPendingOperations(0, 1).call();
+					await timelock.methods.executeOperation(id).send({from: a0});
+					expect(await implementation_of(proxy_address)).to.equal(v1_deployment.address);
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,248 @@
+// Upgrade Rehearsal Tests
+
+// Hardhat Runtime Environment, used to execute the tasks
+const hre = require("hardhat");
+
+// Zeppelin test helpers
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// ACL features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	ROLE_UPGRADE_MANAGER,
+	or,
+	not,
+	ROLE_FAUCET_USER,
+	ROLE_FAUCET_MANAGER,
+	ROLE_TIMELOCK,
+	FEATURE_TIMELOCK,
+} = require("../../scripts/include/features_roles");
+
+// faucet helpers
+const {
+	get_faucet,
+	get_companion,
+} = require("../../scripts/include/faucet_utils");
+const {
+	get_implementation,
+	read_faucet_state,
+	compare_states,
+} = require("../../scripts/include/upgrade_rehearsal");
+
+// run upgrade rehearsal tests
+contract("Upgrade rehearsal", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1, a2, a3] = accounts;
+
+	describe("comparing the states: 'compare_states'", function() {
+		const state = {epochLength: "86400", balance: "1", accounts: {[a1]: {role: "65536", weiWithdrawn: "1"}}};
+		it("same states have no differences", async function() {
+			expect(compare_states(state, JSON.parse(JSON.stringify(state)))).to.be.empty;
+		});
+		it("changed values are reported", async function() {
+			const after = {epochLength: "0", balance: "1", accounts: {[a1]: {role: "0", weiWithdrawn: "1"}}};
+			expect(compare_states(state, after)).to.deep.equal([
+				"epochLength: 86400 -> 0",
+				`accounts.${a1}.role: 65536 -> 0`,
+			]);
+		});
+		it("missing values are reported", async function() {
+			expect(compare_states(state, {epochLength: "86400", balance: "1", accounts: {}})).to.deep.equal([
+				`accounts.${a1}.role: 65536 -> undefined`,
+				`accounts.${a1}.weiWithdrawn: 1 -> undefined`,
+			]);
+		});
+	});
+
+	describe("rehearsing the upgrade against the state dump", function() {
+		const path = require("path");
+		const fs = require("fs");
+		// temporary deployments folder, mimicking the sepolia deployment, and the state dump file
+		let tmp, deployments_dir, paths_deployments, dump_file;
+		let faucet, state;
+		beforeEach(async function() {
+			await deployments.fixture(["TheFaucet_Proxy"]);
+			faucet = await get_faucet(deployments);
+
+			// set up the state to be kept by the upgrade
+			await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER)).send({from: a0});
+			await faucet.methods.setEpochParams(43_200, web3.utils.toWei("2", "ether")).send({from: a0});
+			await faucet.methods.addUsers([a1, a2]).send({from: a0});
+			await faucet.methods.setWeiLimitPerEpochForUser(a1, web3.utils.toWei("5", "ether")).send({from: a0});
+			await web3.eth.sendTransaction({from: a0, to: faucet.options.address, value: web3.utils.toWei("10", "ether")});
+			await faucet.methods.withdrawEth(a3, web3.utils.toWei("3", "ether")).send({from: a1});
+			state = await read_faucet_state(faucet, [a0, a1, a2]);
+
+			tmp = path.join(require("os").tmpdir(), `upgrade_rehearsal_${Date.now()}`);
+			deployments_dir = path.join(tmp, "deployments");
+			dump_file = path.join(tmp, "sepolia.json");
+			fs.mkdirSync(path.join(deployments_dir, "sepolia"), {recursive: true});
+			fs.writeFileSync(path.join(deployments_dir, "sepolia", ".chainId"), "11155111");
+			for(const name of ["TheFaucetV1", "TheFaucet_Proxy"]) {
+				fs.writeFileSync(path.join(deployments_dir, "sepolia", `${name}.json`), JSON.stringify(await deployments.get(name)));
+			}
+			paths_deployments = hre.config.paths.deployments;
+			hre.config.paths.deployments = deployments_dir;
+		});
+		afterEach(async function() {
+			hre.config.paths.deployments = paths_deployments;
+			fs.rmSync(tmp, {recursive: true, force: true});
+		});
+
+		describe("upgrade:capture-state", function() {
+			let dump;
+			beforeEach(async function() {
+				dump = await hre.run("upgrade:capture-state", {file: dump_file});
+			});
+			it("saves the state dump into the file", async function() {
+				expect(JSON.parse(fs.readFileSync(dump_file, "utf8"))).to.deep.equal(JSON.parse(JSON.stringify(dump)));
+			});
+			it("dump contains the proxy and its implementation", async function() {
+				expect(dump.proxy).to.equal(faucet.options.address);
+				expect(dump.implementation).to.equal(await get_implementation(faucet.options.address));
+				expect(dump.accounts).to.have.property(dump.proxy);
+				expect(dump.accounts).to.have.property(dump.implementation);
+			});
+			it("dump contains the libraries the implementation is linked with", async function() {
+				const {libraries} = await deployments.get("TheFaucetV1");
+				expect(Object.values(libraries)).to.not.be.empty;
+				expect(dump.accounts).to.include.keys(...Object.values(libraries));
+			});
+			it("dump contains the deployer and registered users", async function() {
+				expect(dump.accounts).to.include.keys(a0, a1, a2);
+			});
+			it("dump contains the faucet ETH balance", async function() {
+				expect(dump.accounts[dump.proxy].balance).to.equal(web3.utils.toWei("7", "ether"));
+			});
+		});
+
+		describe("upgrade:rehearse --state", function() {
+			beforeEach(async function() {
+				await hre.run("upgrade:capture-state", {file: dump_file, users: a3});
+			});
+			it("upgrades the proxy and keeps the state", async function() {
+				const result = await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file});
+				expect(result.manager).to.equal(a0);
+				expect(result.implementation.after).to.not.equal(result.implementation.before);
+				expect(await get_implementation(faucet.options.address)).to.equal(result.implementation.after);
+				expect(result.accounts).to.include.members([a0, a1, a2, a3]);
+				expect(compare_states(state, await read_faucet_state(faucet, [a0, a1, a2]))).to.be.empty;
+			});
+			it("state loaded is the one captured", async function() {
+				const {state: loaded} = await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file});
+				expect(loaded.epochLength).to.equal("43200");
+				expect(loaded.weiLimitPerEpoch).to.equal(web3.utils.toWei("2", "ether"));
+				expect(loaded.balance).to.equal(web3.utils.toWei("7", "ether"));
+				expect(loaded.accounts[a1].role).to.equal(ROLE_FAUCET_USER + "");
+				expect(loaded.accounts[a1].weiLimitPerEpochOverride).to.equal(web3.utils.toWei("5", "ether"));
+				expect(loaded.accounts[a1].weiWithdrawn).to.equal(web3.utils.toWei("3", "ether"));
+			});
+			it("registry is loaded as well", async function() {
+				await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file});
+				expect(await faucet.methods.getUsers(0, 10).call()).to.have.members([a0, a1, a2]);
+			});
+			it("upgrade transaction is sent by the upgrade script from the manager", async function() {
+				await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file});
+				const [upgraded] = await faucet.getPastEvents("Upgraded", {fromBlock: "latest"});
+				expect((await web3.eth.getTransaction(upgraded.transactionHash)).from).to.equal(a0);
+			});
+			it("upgrade script is executed: the new implementation is deployed", async function() {
+				const result = await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file});
+				expect((await deployments.get("TheFaucetV1")).address).to.equal(result.implementation.after);
+			});
+			it("upgrades the proxy on behalf of the manager specified, not the deployment account", async function() {
+				await faucet.methods.updateRole(a2, or(ROLE_FAUCET_USER, ROLE_UPGRADE_MANAGER)).send({from: a0});
+				await faucet.methods.updateRole(a0, not(ROLE_UPGRADE_MANAGER)).send({from: a0});
+				await hre.run("upgrade:capture-state", {file: dump_file, users: a3});
+				const result = await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file, manager: a2});
+				expect(result.manager).to.equal(a2);
+				expect(await get_implementation(faucet.options.address)).to.equal(result.implementation.after);
+				const [upgraded] = await faucet.getPastEvents("Upgraded", {fromBlock: "latest"});
+				expect((await web3.eth.getTransaction(upgraded.transactionHash)).from).to.equal(a2);
+			});
+			it("doesn't leave the upgrade manager override set", async function() {
+				await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file});
+				expect(process.env.UPGRADE_MANAGER).to.be.undefined;
+			});
+			it("fails if the manager doesn't have ROLE_UPGRADE_MANAGER permission", async function() {
+				let error;
+				await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file, manager: a1}).catch(e => error = e);
+				expect(error.message).to.contain(`${a1} doesn't have ROLE_UPGRADE_MANAGER permission`);
+			});
+			describe("when the timelock is enabled", function() {
+				let timelock;
+				beforeEach(async function() {
+					await faucet.methods.updateFeatures(or(ROLE_ACCESS_MANAGER, ROLE_FAUCET_USER, FEATURE_TIMELOCK)).send({from: a0});
+					await faucet.methods.updateRole(a1, or(ROLE_FAUCET_USER, ROLE_UPGRADE_MANAGER)).send({from: a0});
+				});
+				it("fails if the timelock is not deployed", async function() {
+					await hre.run("upgrade:capture-state", {file: dump_file, users: a3});
+					let error;
+					await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file}).catch(e => error = e);
+					expect(error.message).to.contain("FEATURE_TIMELOCK is enabled on the faucet");
+					expect(error.message).to.contain("FaucetTimelock_Proxy is not deployed on sepolia");
+				});
+				describe("when the timelock is deployed", function() {
+					beforeEach(async function() {
+						await deployments.run(["FaucetTimelock_Proxy"], {resetMemory: false, writeDeploymentsToFiles: false});
+						timelock = await get_companion(deployments, "FaucetTimelock");
+						const roles = or(ROLE_TIMELOCK, ROLE_FAUCET_MANAGER, ROLE_UPGRADE_MANAGER);
+						await faucet.methods.updateRole(timelock.options.address, roles.toString()).send({from: a0});
+						for(const name of ["FaucetTimelockV1", "FaucetTimelock_Proxy"]) {
+							fs.writeFileSync(path.join(deployments_dir, "sepolia", `${name}.json`), JSON.stringify(await deployments.get(name)));
+						}
+						await hre.run("upgrade:capture-state", {file: dump_file, users: a3});
+					});
+					it("dump contains the timelock and its implementation", async function() {
+						const dump = JSON.parse(fs.readFileSync(dump_file, "utf8"));
+						const implementation = await get_implementation(timelock.options.address);
+						expect(dump.companions).to.deep.equal({[timelock.options.address]: implementation});
+						expect(dump.accounts).to.include.keys(timelock.options.address, implementation);
+					});
+					it("fails if the manager doesn't have ROLE_FAUCET_MANAGER permission", async function() {
+						let error;
+						await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file, manager: a1}).catch(e => error = e);
+						expect(error.message).to.contain(`${a1} doesn't have ROLE_FAUCET_MANAGER and ROLE_UPGRADE_MANAGER permissions`);
+					});
+					describe("when rehearsed", function() {
+						let result;
+						beforeEach(async function() {
+							result = await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file});
+						});
+						it("upgrades the proxy via the timelock", async function() {
+							expect(await get_implementation(faucet.options.address)).to.equal(result.implementation.after);
+							const [upgraded] = await faucet.getPastEvents("Upgraded", {fromBlock: "latest"});
+							const {from, to} = await web3.eth.getTransaction(upgraded.transactionHash);
+							expect(from).to.equal(a0);
+							expect(to).to.equal(timelock.options.address);
+						});
+						it("upgrade is queued by the manager, and executed", async function() {
+							const [queued] = await timelock.getPastEvents("OperationQueued", {fromBlock: 0});
+							expect(queued.returnValues.proposer).to.equal(a0);
+							const {status} = await timelock.methods.operations(queued.returnValues.operationId).call();
+							expect(status).to.equal("2");
+							expect(await timelock.methods.pendingOperationCount().call()).to.equal("0");
+						});
+						it("state is kept", async function() {
+							expect(result.state.epochLength).to.equal("43200");
+							expect(result.state.accounts[a1].weiLimitPerEpochOverride).to.equal(web3.utils.toWei("5", "ether"));
+						});
+					});
+				});
+			});
+			it("fails if the state dump is captured for another proxy", async function() {
+				const dump = JSON.parse(fs.readFileSync(dump_file, "utf8"));
+				fs.writeFileSync(dump_file, JSON.stringify(Object.assign(dump, {proxy: a3})));
+				let error;
+				await hre.run("upgrade:rehearse", {target: "sepolia", state: dump_file}).catch(e => error = e);
+				expect(error.message).to.contain(`is captured for ${a3}, not for the sepolia faucet`);
+			});
+		});
+	});
+});